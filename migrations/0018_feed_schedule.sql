@@ -0,0 +1,10 @@
+-- 0018_feed_schedule.sql
+-- Per-feed scheduling: each feed's schedule_cron drives its own next_crawl_at
+
+ALTER TABLE IF EXISTS feeds
+  ADD COLUMN IF NOT EXISTS next_crawl_at timestamptz;
+
+-- Scheduler tick selects enabled feeds whose next_crawl_at is null or in the past
+CREATE INDEX IF NOT EXISTS idx_feeds_next_crawl
+  ON feeds (next_crawl_at NULLS FIRST)
+  WHERE enabled;
@@ -0,0 +1,9 @@
+-- 0019_feed_adaptive_polling.sql
+-- Adaptive polling: feeds may opt in to a learned poll interval instead of schedule_cron
+
+ALTER TABLE IF EXISTS feeds
+  ADD COLUMN IF NOT EXISTS adaptive_poll boolean DEFAULT false;
+
+-- Last computed interval (seconds), bounded by FEED_ADAPTIVE_MIN_SEC/FEED_ADAPTIVE_MAX_SEC
+ALTER TABLE IF EXISTS feeds
+  ADD COLUMN IF NOT EXISTS poll_interval_sec int;
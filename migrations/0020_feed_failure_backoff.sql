@@ -0,0 +1,15 @@
+-- 0020_feed_failure_backoff.sql
+-- Per-feed failure tracking, exponential backoff and auto-disable (circuit breaker)
+
+ALTER TABLE IF EXISTS feeds
+  ADD COLUMN IF NOT EXISTS consecutive_failures int NOT NULL DEFAULT 0;
+ALTER TABLE IF EXISTS feeds
+  ADD COLUMN IF NOT EXISTS last_failure_at timestamptz;
+ALTER TABLE IF EXISTS feeds
+  ADD COLUMN IF NOT EXISTS last_error text;
+
+-- Set when the breaker trips; cleared by POST /api/feeds/:id/reset
+ALTER TABLE IF EXISTS feeds
+  ADD COLUMN IF NOT EXISTS disabled_reason text;
+ALTER TABLE IF EXISTS feeds
+  ADD COLUMN IF NOT EXISTS disabled_at timestamptz;
@@ -0,0 +1,11 @@
+-- 0021_feed_kind_jsonfeed.sql
+-- Allow JSON Feed (https://jsonfeed.org) as a feed kind
+
+DO $$ BEGIN
+  ALTER TABLE feeds DROP CONSTRAINT IF EXISTS feeds_kind_check;
+  ALTER TABLE feeds
+    ADD CONSTRAINT feeds_kind_check
+      CHECK (kind in ('rss','atom','api','jsonfeed'));
+EXCEPTION WHEN undefined_table THEN
+  NULL;
+END $$;
@@ -0,0 +1,11 @@
+-- 0022_feed_kind_sitemap.sql
+-- Allow news sitemaps / sitemap indexes as a feed kind
+
+DO $$ BEGIN
+  ALTER TABLE feeds DROP CONSTRAINT IF EXISTS feeds_kind_check;
+  ALTER TABLE feeds
+    ADD CONSTRAINT feeds_kind_check
+      CHECK (kind in ('rss','atom','api','jsonfeed','sitemap'));
+EXCEPTION WHEN undefined_table THEN
+  NULL;
+END $$;
@@ -0,0 +1,15 @@
+-- 0023_feed_kind_scrape.sql
+-- HTML listing-page scraper feeds: selectors live on the feed row
+-- scrape_config: { item, link, title?, date?, image?, snippet?, link_attr?, date_attr?, image_attr? }
+
+ALTER TABLE IF EXISTS feeds
+  ADD COLUMN IF NOT EXISTS scrape_config jsonb;
+
+DO $$ BEGIN
+  ALTER TABLE feeds DROP CONSTRAINT IF EXISTS feeds_kind_check;
+  ALTER TABLE feeds
+    ADD CONSTRAINT feeds_kind_check
+      CHECK (kind in ('rss','atom','api','jsonfeed','sitemap','scrape'));
+EXCEPTION WHEN undefined_table THEN
+  NULL;
+END $$;
@@ -0,0 +1,17 @@
+-- 0024_feed_websub.sql
+-- WebSub (PubSubHubbub) push subscriptions for feeds that advertise a hub
+-- websub_state: pending | subscribed | denied | failed | unsubscribing | unsubscribed
+
+ALTER TABLE IF EXISTS feeds
+  ADD COLUMN IF NOT EXISTS websub_hub text,
+  ADD COLUMN IF NOT EXISTS websub_topic text,
+  ADD COLUMN IF NOT EXISTS websub_secret text,
+  ADD COLUMN IF NOT EXISTS websub_state text,
+  ADD COLUMN IF NOT EXISTS websub_requested_at timestamptz,
+  ADD COLUMN IF NOT EXISTS websub_lease_expires_at timestamptz,
+  ADD COLUMN IF NOT EXISTS websub_last_push_at timestamptz;
+
+-- Lease renewal scan
+CREATE INDEX IF NOT EXISTS idx_feeds_websub_lease
+  ON feeds (websub_lease_expires_at)
+  WHERE websub_state = 'subscribed';
@@ -0,0 +1,15 @@
+-- 0025_article_simhash.sql
+-- Near-duplicate detection: 64-bit SimHash over full_text plus 16-bit band keys
+-- for the candidate lookup; syndicated copies point at their original
+
+ALTER TABLE IF EXISTS articles
+  ADD COLUMN IF NOT EXISTS simhash text,
+  ADD COLUMN IF NOT EXISTS simhash_bands text[],
+  ADD COLUMN IF NOT EXISTS duplicate_of uuid REFERENCES articles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_articles_simhash_bands
+  ON articles USING gin (simhash_bands);
+
+CREATE INDEX IF NOT EXISTS idx_articles_duplicate_of
+  ON articles (duplicate_of)
+  WHERE duplicate_of IS NOT NULL;
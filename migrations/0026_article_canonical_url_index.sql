@@ -0,0 +1,5 @@
+-- 0026_article_canonical_url_index.sql
+-- Pre-insert dedupe looks articles up by normalized canonical_url
+
+CREATE INDEX IF NOT EXISTS idx_articles_canonical_url
+  ON articles (canonical_url);
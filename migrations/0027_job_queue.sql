@@ -0,0 +1,105 @@
+-- 0027_job_queue.sql
+-- Durable job queue for ingestion stages (categorize, score, media, cluster, pretranslate)
+-- - claim_jobs: lease-based claiming with FOR UPDATE SKIP LOCKED and a per-type running cap
+-- - enqueue_job: idempotent enqueue on (type, dedupe_key) while a job is queued/running
+-- - status 'dead' is the dead-letter state (attempts exhausted)
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id bigserial PRIMARY KEY,
+  type text NOT NULL,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  dedupe_key text,
+  status text NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued','running','done','dead')),
+  attempts int NOT NULL DEFAULT 0,
+  max_attempts int NOT NULL DEFAULT 5,
+  run_at timestamptz NOT NULL DEFAULT now(),
+  locked_by text,
+  locked_until timestamptz,
+  last_error text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  finished_at timestamptz
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_jobs_active_dedupe
+  ON jobs (type, dedupe_key)
+  WHERE dedupe_key IS NOT NULL AND status IN ('queued','running');
+
+CREATE INDEX IF NOT EXISTS idx_jobs_claim
+  ON jobs (type, run_at, id)
+  WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS idx_jobs_running_lease
+  ON jobs (type, locked_until)
+  WHERE status = 'running';
+
+CREATE OR REPLACE FUNCTION enqueue_job(
+  p_type text,
+  p_payload jsonb DEFAULT '{}'::jsonb,
+  p_dedupe_key text DEFAULT NULL,
+  p_run_at timestamptz DEFAULT now(),
+  p_max_attempts int DEFAULT 5
+)
+RETURNS bigint
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_id bigint;
+BEGIN
+  INSERT INTO jobs (type, payload, dedupe_key, run_at, max_attempts)
+  VALUES (p_type, coalesce(p_payload, '{}'::jsonb), p_dedupe_key,
+          coalesce(p_run_at, now()), coalesce(p_max_attempts, 5))
+  ON CONFLICT (type, dedupe_key)
+    WHERE dedupe_key IS NOT NULL AND status IN ('queued','running')
+    DO NOTHING
+  RETURNING id INTO v_id;
+  RETURN v_id; -- NULL when an active duplicate exists
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION claim_jobs(
+  p_type text,
+  p_worker text,
+  p_limit int DEFAULT 1,
+  p_lease_seconds int DEFAULT 300,
+  p_max_running int DEFAULT NULL
+)
+RETURNS SETOF jobs
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_running int;
+  v_take int;
+BEGIN
+  -- Expired leases: the worker died mid-job. Requeue, or dead-letter when out of attempts.
+  UPDATE jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+         last_error = coalesce(last_error, 'lease expired'),
+         finished_at = CASE WHEN attempts >= max_attempts THEN now() ELSE NULL END,
+         locked_by = NULL,
+         locked_until = NULL,
+         updated_at = now()
+   WHERE type = p_type AND status = 'running' AND locked_until < now();
+
+  SELECT count(*) INTO v_running FROM jobs WHERE type = p_type AND status = 'running';
+  v_take := least(p_limit, greatest(coalesce(p_max_running, p_limit) - v_running, 0));
+  IF v_take <= 0 THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  UPDATE jobs j
+     SET status = 'running',
+         attempts = j.attempts + 1,
+         locked_by = p_worker,
+         locked_until = now() + make_interval(secs => p_lease_seconds),
+         updated_at = now()
+   WHERE j.id IN (
+     SELECT q.id FROM jobs q
+      WHERE q.type = p_type AND q.status = 'queued' AND q.run_at <= now()
+      ORDER BY q.run_at, q.id
+      FOR UPDATE SKIP LOCKED
+      LIMIT v_take
+   )
+  RETURNING j.*;
+END;
+$$;
@@ -0,0 +1,62 @@
+-- 0028_job_locks.sql
+-- Lease locks for cron jobs so only one worker replica runs a job at a time
+-- - acquire_job_lock: takes a free or expired lease (not re-entrant: an overlapping
+--   tick in the same process is skipped too)
+-- - renew_job_lock: heartbeat; false when the lease was lost to another holder
+-- - release_job_lock: frees the lease early
+
+CREATE TABLE IF NOT EXISTS job_locks (
+  name text PRIMARY KEY,
+  holder text NOT NULL,
+  locked_until timestamptz NOT NULL,
+  acquired_at timestamptz NOT NULL DEFAULT now(),
+  heartbeat_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE OR REPLACE FUNCTION acquire_job_lock(
+  p_name text,
+  p_holder text,
+  p_ttl_seconds int DEFAULT 120
+)
+RETURNS boolean
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_name text;
+BEGIN
+  INSERT INTO job_locks (name, holder, locked_until, acquired_at, heartbeat_at)
+  VALUES (p_name, p_holder, now() + make_interval(secs => p_ttl_seconds), now(), now())
+  ON CONFLICT (name) DO UPDATE
+    SET holder = EXCLUDED.holder,
+        locked_until = EXCLUDED.locked_until,
+        acquired_at = now(),
+        heartbeat_at = now()
+    WHERE job_locks.locked_until < now()
+  RETURNING name INTO v_name;
+  RETURN v_name IS NOT NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION renew_job_lock(
+  p_name text,
+  p_holder text,
+  p_ttl_seconds int DEFAULT 120
+)
+RETURNS boolean
+LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE job_locks
+     SET locked_until = now() + make_interval(secs => p_ttl_seconds),
+         heartbeat_at = now()
+   WHERE name = p_name AND holder = p_holder;
+  RETURN FOUND;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION release_job_lock(p_name text, p_holder text)
+RETURNS boolean
+LANGUAGE plpgsql AS $$
+BEGIN
+  DELETE FROM job_locks WHERE name = p_name AND holder = p_holder;
+  RETURN FOUND;
+END;
+$$;
@@ -0,0 +1,48 @@
+-- 0029_job_runs.sql
+-- History of scheduled job invocations (crawl, cluster-enrich:<lang>, pretranslate, ...)
+-- - result holds the object the job returned (e.g. crawl totals, { processed })
+-- - job_run_summary: latest run plus last success/failure per job, for the admin API
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id bigserial PRIMARY KEY,
+  job_name text NOT NULL,
+  status text NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running','succeeded','failed')),
+  worker_id text,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz,
+  duration_ms int,
+  result jsonb,
+  error text
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_name_started
+  ON job_runs (job_name, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_started
+  ON job_runs (started_at);
+
+CREATE OR REPLACE VIEW job_run_summary AS
+SELECT
+  l.job_name,
+  l.id AS last_run_id,
+  l.status AS last_status,
+  l.started_at AS last_started_at,
+  l.finished_at AS last_finished_at,
+  l.duration_ms AS last_duration_ms,
+  l.error AS last_error,
+  s.last_success_at,
+  f.last_failure_at
+FROM (
+  SELECT DISTINCT ON (job_name) *
+  FROM job_runs
+  ORDER BY job_name, started_at DESC
+) l
+LEFT JOIN (
+  SELECT job_name, max(finished_at) AS last_success_at
+  FROM job_runs WHERE status = 'succeeded' GROUP BY job_name
+) s USING (job_name)
+LEFT JOIN (
+  SELECT job_name, max(finished_at) AS last_failure_at
+  FROM job_runs WHERE status = 'failed' GROUP BY job_name
+) f USING (job_name);
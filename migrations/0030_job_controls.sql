@@ -0,0 +1,20 @@
+-- 0030_job_controls.sql
+-- Operator controls for scheduled jobs
+-- - job_controls: pause/resume per job (cron checks it on every tick, no restart needed)
+-- - job_runs.trigger / triggered_by: scheduled vs manual runs and who started them
+
+CREATE TABLE IF NOT EXISTS job_controls (
+  name text PRIMARY KEY,
+  paused boolean NOT NULL DEFAULT false,
+  reason text,
+  updated_by text,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS trigger text NOT NULL DEFAULT 'schedule';
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS triggered_by text;
+
+DO $$ BEGIN
+  ALTER TABLE job_runs
+    ADD CONSTRAINT job_runs_trigger_check CHECK (trigger IN ('schedule','manual'));
+EXCEPTION WHEN duplicate_object THEN NULL; END $$;
@@ -0,0 +1,23 @@
+-- 0031_api_keys.sql
+-- Scoped API keys (replace the shared EDGE_TOKEN)
+-- - Only the SHA-256 of a key is stored; key_prefix identifies it in listings
+-- - scopes: read, feeds:write, crawl, admin (admin implies all)
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  key_prefix text NOT NULL,
+  key_hash text NOT NULL UNIQUE,
+  scopes text[] NOT NULL DEFAULT ARRAY['read']::text[],
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+DO $$ BEGIN
+  ALTER TABLE api_keys
+    ADD CONSTRAINT api_keys_scopes_check
+    CHECK (scopes <@ ARRAY['read','feeds:write','crawl','admin']::text[] AND cardinality(scopes) > 0);
+EXCEPTION WHEN duplicate_object THEN NULL; END $$;
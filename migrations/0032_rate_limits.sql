@@ -0,0 +1,33 @@
+-- 0032_rate_limits.sql
+-- Shared fixed-window rate limit counters (RATE_LIMIT_STORE=postgres)
+-- - rate_limit_hit: atomically counts one request in the current window and
+--   drops the key's older windows, so each key keeps a single row; windows of
+--   keys that stop calling are swept by the daily log-cleanup job
+-- - api_keys.rate_limits: per-key overrides, e.g. {"general": 1000, "crawl": 30}
+
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key text NOT NULL,
+  window_start timestamptz NOT NULL,
+  count int NOT NULL DEFAULT 0,
+  PRIMARY KEY (key, window_start)
+);
+
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rate_limits jsonb;
+
+CREATE OR REPLACE FUNCTION rate_limit_hit(p_key text, p_window_ms int)
+RETURNS TABLE (count int, reset_at timestamptz)
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_start timestamptz;
+BEGIN
+  v_start := to_timestamp(
+    floor(extract(epoch FROM clock_timestamp()) * 1000 / p_window_ms) * p_window_ms / 1000.0
+  );
+  DELETE FROM rate_limit_counters c WHERE c.key = p_key AND c.window_start < v_start;
+  RETURN QUERY
+  INSERT INTO rate_limit_counters AS c (key, window_start, count)
+  VALUES (p_key, v_start, 1)
+  ON CONFLICT (key, window_start) DO UPDATE SET count = c.count + 1
+  RETURNING c.count, v_start + make_interval(secs => p_window_ms / 1000.0);
+END;
+$$;
@@ -0,0 +1,14 @@
+-- 0033_articles_keyset_index.sql
+-- Indexes for GET /api/articles keyset pagination on (published_at, id)
+-- and its most common filters
+
+CREATE INDEX IF NOT EXISTS idx_articles_pub_id
+  ON articles (published_at DESC, id DESC)
+  WHERE published_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_articles_source_pub_id
+  ON articles (source_id, published_at DESC, id DESC)
+  WHERE published_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_article_scores_score
+  ON article_scores (score);
@@ -0,0 +1,206 @@
+-- 0034_full_text_search.sql
+-- Full-text search for GET /api/search
+-- - search_config: text search dictionary for a language code ('simple' when unknown)
+-- - articles.search_tsv: title (A), snippet (B) and the start of full_text (C),
+--   stemmed with the article's own language
+-- - cluster_ai.search_tsv: ai_title (A) and ai_summary (B) in the row's lang
+-- - search_articles / search_article_facets / search_clusters: ranked matches,
+--   headlines (title and snippet only) and facet counts
+
+CREATE OR REPLACE FUNCTION search_config(p_lang text)
+RETURNS regconfig
+LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+  SELECT CASE split_part(lower(coalesce(p_lang, '')), '-', 1)
+    WHEN 'ar' THEN 'arabic'
+    WHEN 'da' THEN 'danish'
+    WHEN 'de' THEN 'german'
+    WHEN 'el' THEN 'greek'
+    WHEN 'en' THEN 'english'
+    WHEN 'es' THEN 'spanish'
+    WHEN 'fi' THEN 'finnish'
+    WHEN 'fr' THEN 'french'
+    WHEN 'hu' THEN 'hungarian'
+    WHEN 'id' THEN 'indonesian'
+    WHEN 'it' THEN 'italian'
+    WHEN 'nl' THEN 'dutch'
+    WHEN 'no' THEN 'norwegian'
+    WHEN 'nb' THEN 'norwegian'
+    WHEN 'pt' THEN 'portuguese'
+    WHEN 'ro' THEN 'romanian'
+    WHEN 'ru' THEN 'russian'
+    WHEN 'sv' THEN 'swedish'
+    WHEN 'tr' THEN 'turkish'
+    ELSE 'simple'
+  END::regconfig
+$$;
+
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS search_tsv tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector(search_config(language), coalesce(title, '')), 'A') ||
+    setweight(to_tsvector(search_config(language), coalesce(snippet, '')), 'B') ||
+    setweight(to_tsvector(search_config(language), left(coalesce(full_text, ''), 20000)), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_articles_search_tsv
+  ON articles USING gin (search_tsv);
+
+ALTER TABLE cluster_ai ADD COLUMN IF NOT EXISTS search_tsv tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector(search_config(lang), coalesce(ai_title, '')), 'A') ||
+    setweight(to_tsvector(search_config(lang), coalesce(ai_summary, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_cluster_ai_search_tsv
+  ON cluster_ai USING gin (search_tsv)
+  WHERE is_current = true;
+
+-- Query in one language, or in every configured dictionary when p_lang is NULL
+-- (each article was stemmed with its own language)
+CREATE OR REPLACE FUNCTION search_tsquery(p_query text, p_lang text DEFAULT NULL)
+RETURNS tsquery
+LANGUAGE plpgsql STABLE AS $$
+DECLARE
+  v_query tsquery;
+  v_cfg regconfig;
+BEGIN
+  IF p_lang IS NOT NULL THEN
+    RETURN websearch_to_tsquery(search_config(p_lang), p_query);
+  END IF;
+  v_query := websearch_to_tsquery('simple', p_query);
+  FOR v_cfg IN
+    SELECT DISTINCT search_config(code)
+    FROM unnest(ARRAY['ar','da','de','el','en','es','fi','fr','hu','id','it','nl','no','pt','ro','ru','sv','tr']) AS code
+  LOOP
+    v_query := v_query || websearch_to_tsquery(v_cfg, p_query);
+  END LOOP;
+  RETURN v_query;
+END;
+$$;
+
+-- Shared filters for search_articles and search_article_facets
+CREATE OR REPLACE FUNCTION search_article_matches(
+  p_query text,
+  p_lang text DEFAULT NULL,
+  p_source_id text DEFAULT NULL,
+  p_category text DEFAULT NULL
+)
+RETURNS TABLE (article_id uuid, rank real)
+LANGUAGE sql STABLE AS $$
+  SELECT a.id, ts_rank_cd(a.search_tsv, q.query)
+  FROM articles a, (SELECT search_tsquery(p_query, p_lang) AS query) q
+  WHERE a.search_tsv @@ q.query
+    AND (p_lang IS NULL
+         OR split_part(lower(a.language), '-', 1) = split_part(lower(p_lang), '-', 1))
+    AND (p_source_id IS NULL OR a.source_id = p_source_id)
+    AND (p_category IS NULL OR EXISTS (
+      SELECT 1 FROM article_categories ac
+      JOIN categories c ON c.id = ac.category_id
+      WHERE ac.article_id = a.id
+        AND (c.path = p_category OR c.path LIKE p_category || '.%')
+    ))
+$$;
+
+CREATE OR REPLACE FUNCTION search_articles(
+  p_query text,
+  p_lang text DEFAULT NULL,
+  p_source_id text DEFAULT NULL,
+  p_category text DEFAULT NULL,
+  p_limit int DEFAULT 20,
+  p_offset int DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  title text,
+  snippet text,
+  url text,
+  source_id text,
+  language text,
+  published_at timestamptz,
+  cluster_id text,
+  rank real,
+  title_highlight text,
+  snippet_highlight text,
+  total bigint
+)
+LANGUAGE sql STABLE AS $$
+  WITH m AS (
+    SELECT * FROM search_article_matches(p_query, p_lang, p_source_id, p_category)
+  ), page AS (
+    SELECT m.article_id, m.rank, count(*) OVER () AS total
+    FROM m
+    ORDER BY m.rank DESC, m.article_id
+    LIMIT p_limit OFFSET p_offset
+  )
+  SELECT a.id, a.title, a.snippet, coalesce(a.canonical_url, a.url),
+         a.source_id, a.language, a.published_at, a.cluster_id, page.rank,
+         ts_headline(search_config(a.language), coalesce(a.title, ''),
+                     search_tsquery(p_query, coalesce(p_lang, a.language)),
+                     'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+         ts_headline(search_config(a.language), coalesce(a.snippet, ''),
+                     search_tsquery(p_query, coalesce(p_lang, a.language)),
+                     'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2'),
+         page.total
+  FROM page
+  JOIN articles a ON a.id = page.article_id
+  ORDER BY page.rank DESC, a.id
+$$;
+
+-- facet is 'source', 'language' or 'category'
+CREATE OR REPLACE FUNCTION search_article_facets(
+  p_query text,
+  p_lang text DEFAULT NULL,
+  p_source_id text DEFAULT NULL,
+  p_category text DEFAULT NULL
+)
+RETURNS TABLE (facet text, value text, count bigint)
+LANGUAGE sql STABLE AS $$
+  WITH m AS (
+    SELECT article_id FROM search_article_matches(p_query, p_lang, p_source_id, p_category)
+  )
+  SELECT 'source', a.source_id, count(*)
+  FROM m JOIN articles a ON a.id = m.article_id
+  WHERE a.source_id IS NOT NULL
+  GROUP BY a.source_id
+  UNION ALL
+  SELECT 'language', a.language, count(*)
+  FROM m JOIN articles a ON a.id = m.article_id
+  WHERE a.language IS NOT NULL
+  GROUP BY a.language
+  UNION ALL
+  SELECT 'category', c.path, count(DISTINCT m.article_id)
+  FROM m
+  JOIN article_categories ac ON ac.article_id = m.article_id
+  JOIN categories c ON c.id = ac.category_id
+  GROUP BY c.path
+$$;
+
+CREATE OR REPLACE FUNCTION search_clusters(
+  p_query text,
+  p_lang text DEFAULT NULL,
+  p_limit int DEFAULT 10
+)
+RETURNS TABLE (
+  cluster_id text,
+  lang text,
+  ai_title text,
+  rank real,
+  title_highlight text,
+  summary_highlight text
+)
+LANGUAGE sql STABLE AS $$
+  SELECT ca.cluster_id, ca.lang, ca.ai_title, r.rank,
+         ts_headline(search_config(ca.lang), coalesce(ca.ai_title, ''),
+                     search_tsquery(p_query, coalesce(p_lang, ca.lang)),
+                     'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+         ts_headline(search_config(ca.lang), coalesce(ca.ai_summary, ''),
+                     search_tsquery(p_query, coalesce(p_lang, ca.lang)),
+                     'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2')
+  FROM cluster_ai ca,
+       (SELECT search_tsquery(p_query, p_lang) AS query) q,
+       LATERAL (SELECT ts_rank_cd(ca.search_tsv, q.query) AS rank) r
+  WHERE ca.is_current = true
+    AND ca.search_tsv @@ q.query
+    AND (p_lang IS NULL OR ca.lang_base = split_part(lower(p_lang), '-', 1))
+  ORDER BY r.rank DESC, ca.cluster_id
+  LIMIT p_limit
+$$;
@@ -0,0 +1,120 @@
+-- 0035_category_taxonomy.sql
+-- Category browsing and taxonomy cleanup
+-- - category_aliases: drifted paths mapped onto canonical ones; new LLM
+--   output is rewritten through them before it is stored
+-- - category_counts: article/cluster counts per path, descendants included
+-- - category_clusters: clusters with articles under a path, latest first
+-- - merge_category: moves a path and its subtree onto another path,
+--   re-pointing article_categories and leaving aliases behind
+
+CREATE TABLE IF NOT EXISTS category_aliases (
+  alias text PRIMARY KEY,
+  target_path text NOT NULL REFERENCES categories(path) ON UPDATE CASCADE ON DELETE CASCADE,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (alias <> target_path)
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_aliases_target
+  ON category_aliases (target_path);
+
+CREATE INDEX IF NOT EXISTS idx_categories_path_prefix
+  ON categories (path text_pattern_ops);
+
+-- Every ancestor counts an article once, however many of its subpaths it has
+CREATE OR REPLACE FUNCTION category_counts(p_since timestamptz DEFAULT NULL)
+RETURNS TABLE (path text, article_count bigint, cluster_count bigint)
+LANGUAGE sql STABLE AS $$
+  WITH links AS (
+    SELECT DISTINCT ac.article_id, a.cluster_id, string_to_array(c.path, '.') AS parts
+    FROM article_categories ac
+    JOIN categories c ON c.id = ac.category_id
+    JOIN articles a ON a.id = ac.article_id
+    WHERE p_since IS NULL OR a.published_at >= p_since
+  ), prefixes AS (
+    SELECT l.article_id, l.cluster_id, array_to_string(l.parts[1:n], '.') AS prefix
+    FROM links l, generate_series(1, cardinality(l.parts)) AS n
+  )
+  SELECT p.prefix, count(DISTINCT p.article_id), count(DISTINCT p.cluster_id)
+  FROM prefixes p
+  GROUP BY p.prefix
+$$;
+
+CREATE OR REPLACE FUNCTION category_clusters(
+  p_path text,
+  p_since timestamptz DEFAULT NULL,
+  p_limit int DEFAULT 20,
+  p_offset int DEFAULT 0
+)
+RETURNS TABLE (cluster_id text, article_count bigint, last_published_at timestamptz)
+LANGUAGE sql STABLE AS $$
+  SELECT a.cluster_id, count(DISTINCT a.id), max(a.published_at)
+  FROM categories c
+  JOIN article_categories ac ON ac.category_id = c.id
+  JOIN articles a ON a.id = ac.article_id
+  WHERE (c.path = p_path OR c.path LIKE p_path || '.%')
+    AND a.cluster_id IS NOT NULL
+    AND (p_since IS NULL OR a.published_at >= p_since)
+  GROUP BY a.cluster_id
+  ORDER BY max(a.published_at) DESC NULLS LAST, a.cluster_id
+  LIMIT p_limit OFFSET p_offset
+$$;
+
+-- Move p_from and everything below it onto p_into (created when missing):
+-- sports.soccer.transfer -> football.transfer for p_from=sports.soccer, p_into=football.
+-- Links keep the higher confidence when an article already has the target.
+CREATE OR REPLACE FUNCTION merge_category(p_from text, p_into text, p_by text DEFAULT NULL)
+RETURNS TABLE (moved_paths int, moved_links int)
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_paths int;
+  v_links int;
+BEGIN
+  IF p_from = p_into OR p_into LIKE p_from || '.%' THEN
+    RAISE EXCEPTION 'cannot merge % into itself or its subtree', p_from;
+  END IF;
+
+  CREATE TEMP TABLE _moves ON COMMIT DROP AS
+  SELECT c.id AS old_id, c.path AS old_path,
+         p_into || substr(c.path, length(p_from) + 1) AS new_path
+  FROM categories c
+  WHERE c.path = p_from OR c.path LIKE p_from || '.%';
+  GET DIAGNOSTICS v_paths = ROW_COUNT;
+  IF v_paths = 0 THEN
+    RAISE EXCEPTION 'category % not found', p_from USING ERRCODE = 'no_data_found';
+  END IF;
+
+  -- Target paths and their ancestors
+  INSERT INTO categories (path, parent_path)
+  SELECT DISTINCT prefix,
+         NULLIF(array_to_string(parts[1:n - 1], '.'), '')
+  FROM (SELECT string_to_array(new_path, '.') AS parts FROM _moves) m,
+       generate_series(1, cardinality(m.parts)) AS n,
+       LATERAL (SELECT array_to_string(m.parts[1:n], '.') AS prefix) p
+  ON CONFLICT (path) DO NOTHING;
+
+  INSERT INTO article_categories (article_id, category_id, confidence)
+  SELECT ac.article_id, nc.id, max(ac.confidence)
+  FROM _moves mv
+  JOIN article_categories ac ON ac.category_id = mv.old_id
+  JOIN categories nc ON nc.path = mv.new_path
+  GROUP BY ac.article_id, nc.id
+  ON CONFLICT (article_id, category_id)
+  DO UPDATE SET confidence = greatest(article_categories.confidence, excluded.confidence);
+  GET DIAGNOSTICS v_links = ROW_COUNT;
+
+  DELETE FROM article_categories ac USING _moves mv WHERE ac.category_id = mv.old_id;
+
+  -- Aliases keep pointing at live paths, and the old paths become aliases
+  UPDATE category_aliases ca SET target_path = mv.new_path
+  FROM _moves mv WHERE ca.target_path = mv.old_path;
+  DELETE FROM category_aliases ca USING _moves mv WHERE ca.alias = mv.new_path;
+  DELETE FROM categories c USING _moves mv WHERE c.id = mv.old_id;
+  INSERT INTO category_aliases (alias, target_path, created_by)
+  SELECT mv.old_path, mv.new_path, p_by FROM _moves mv
+  ON CONFLICT (alias) DO UPDATE
+    SET target_path = excluded.target_path, created_by = excluded.created_by, created_at = now();
+
+  RETURN QUERY SELECT v_paths, v_links;
+END;
+$$;
@@ -0,0 +1,87 @@
+-- 0036_entities.sql
+-- Named entities extracted per article (article.entities stage)
+-- - entities.normalized_name: case/diacritic-folded name; unique per type so
+--   "Zürich" and "ZURICH" resolve to one row
+-- - entity_articles / entity_clusters / entity_timeline back GET /api/entities/:id
+
+ALTER TABLE entities ADD COLUMN IF NOT EXISTS normalized_name text;
+ALTER TABLE entities ADD COLUMN IF NOT EXISTS created_at timestamptz DEFAULT now();
+
+DO $$ BEGIN
+  ALTER TABLE entities
+    ADD CONSTRAINT entities_type_check CHECK (type IN ('person', 'organization', 'place')) NOT VALID;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_entities_type_normalized
+  ON entities (type, normalized_name);
+
+CREATE INDEX IF NOT EXISTS idx_article_entities_entity
+  ON article_entities (entity_id);
+
+CREATE OR REPLACE FUNCTION entity_articles(
+  p_entity_id int,
+  p_since timestamptz DEFAULT NULL,
+  p_limit int DEFAULT 20,
+  p_offset int DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  title text,
+  snippet text,
+  url text,
+  source_id text,
+  language text,
+  published_at timestamptz,
+  cluster_id text,
+  salience real
+)
+LANGUAGE sql STABLE AS $$
+  SELECT a.id, a.title, a.snippet, coalesce(a.canonical_url, a.url), a.source_id,
+         a.language, a.published_at, a.cluster_id, ae.salience
+  FROM article_entities ae
+  JOIN articles a ON a.id = ae.article_id
+  WHERE ae.entity_id = p_entity_id
+    AND (p_since IS NULL OR a.published_at >= p_since)
+  ORDER BY a.published_at DESC NULLS LAST, a.id DESC
+  LIMIT p_limit OFFSET p_offset
+$$;
+
+CREATE OR REPLACE FUNCTION entity_clusters(
+  p_entity_id int,
+  p_since timestamptz DEFAULT NULL,
+  p_limit int DEFAULT 20
+)
+RETURNS TABLE (
+  cluster_id text,
+  article_count bigint,
+  avg_salience real,
+  first_published_at timestamptz,
+  last_published_at timestamptz
+)
+LANGUAGE sql STABLE AS $$
+  SELECT a.cluster_id, count(*), avg(ae.salience)::real,
+         min(a.published_at), max(a.published_at)
+  FROM article_entities ae
+  JOIN articles a ON a.id = ae.article_id
+  WHERE ae.entity_id = p_entity_id
+    AND a.cluster_id IS NOT NULL
+    AND (p_since IS NULL OR a.published_at >= p_since)
+  GROUP BY a.cluster_id
+  ORDER BY max(a.published_at) DESC NULLS LAST, a.cluster_id
+  LIMIT p_limit
+$$;
+
+-- Articles mentioning the entity per UTC day
+CREATE OR REPLACE FUNCTION entity_timeline(p_entity_id int, p_since timestamptz DEFAULT NULL)
+RETURNS TABLE (day date, article_count bigint, cluster_count bigint)
+LANGUAGE sql STABLE AS $$
+  SELECT (a.published_at AT TIME ZONE 'UTC')::date, count(*), count(DISTINCT a.cluster_id)
+  FROM article_entities ae
+  JOIN articles a ON a.id = ae.article_id
+  WHERE ae.entity_id = p_entity_id
+    AND a.published_at IS NOT NULL
+    AND (p_since IS NULL OR a.published_at >= p_since)
+  GROUP BY 1
+  ORDER BY 1
+$$;
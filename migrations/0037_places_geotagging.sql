@@ -0,0 +1,97 @@
+-- 0037_places_geotagging.sql
+-- Gazetteer-backed geotagging (article.geotag stage, src/data/gazetteer.js)
+-- - places: kind, country/parent codes, coordinates and multilingual names;
+--   rows are upserted by code from the bundled gazetteer
+-- - place_clusters: clusters with articles tagged to a place or anything
+--   under it (cities of a country by code prefix, of a region by parent_code)
+-- - places_in_bbox: tagged places inside a bounding box for map views
+
+ALTER TABLE places ADD COLUMN IF NOT EXISTS kind text;
+ALTER TABLE places ADD COLUMN IF NOT EXISTS country_code text;
+ALTER TABLE places ADD COLUMN IF NOT EXISTS parent_code text;
+ALTER TABLE places ADD COLUMN IF NOT EXISTS lat double precision;
+ALTER TABLE places ADD COLUMN IF NOT EXISTS lon double precision;
+ALTER TABLE places ADD COLUMN IF NOT EXISTS names jsonb NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE places ADD COLUMN IF NOT EXISTS updated_at timestamptz DEFAULT now();
+
+DO $$ BEGIN
+  ALTER TABLE places
+    ADD CONSTRAINT places_kind_check CHECK (kind IN ('country', 'region', 'city')) NOT VALID;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE places
+    ADD CONSTRAINT places_coordinates_check
+    CHECK (lat BETWEEN -90 AND 90 AND lon BETWEEN -180 AND 180) NOT VALID;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_places_code_prefix ON places (code text_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_places_parent ON places (parent_code);
+CREATE INDEX IF NOT EXISTS idx_places_lat_lon ON places (lat, lon);
+CREATE INDEX IF NOT EXISTS idx_article_places_place ON article_places (place_id);
+
+CREATE OR REPLACE FUNCTION place_clusters(
+  p_code text,
+  p_since timestamptz DEFAULT NULL,
+  p_limit int DEFAULT 20,
+  p_offset int DEFAULT 0
+)
+RETURNS TABLE (
+  cluster_id text,
+  article_count bigint,
+  max_confidence real,
+  last_published_at timestamptz
+)
+LANGUAGE sql STABLE AS $$
+  SELECT a.cluster_id, count(DISTINCT a.id), max(ap.confidence), max(a.published_at)
+  FROM places p
+  JOIN article_places ap ON ap.place_id = p.id
+  JOIN articles a ON a.id = ap.article_id
+  WHERE (p.code = p_code OR p.code LIKE p_code || '.%' OR p.parent_code = p_code)
+    AND a.cluster_id IS NOT NULL
+    AND (p_since IS NULL OR a.published_at >= p_since)
+  GROUP BY a.cluster_id
+  ORDER BY max(a.published_at) DESC NULLS LAST, a.cluster_id
+  LIMIT p_limit OFFSET p_offset
+$$;
+
+-- Longitudes wrap across the antimeridian when p_min_lon > p_max_lon.
+-- Counts are per place (a city's articles don't count toward its country).
+CREATE OR REPLACE FUNCTION places_in_bbox(
+  p_min_lat double precision,
+  p_min_lon double precision,
+  p_max_lat double precision,
+  p_max_lon double precision,
+  p_since timestamptz DEFAULT NULL,
+  p_kinds text[] DEFAULT NULL,
+  p_limit int DEFAULT 200
+)
+RETURNS TABLE (
+  code text,
+  name text,
+  kind text,
+  country_code text,
+  lat double precision,
+  lon double precision,
+  article_count bigint,
+  cluster_count bigint,
+  last_published_at timestamptz
+)
+LANGUAGE sql STABLE AS $$
+  SELECT p.code, p.name, p.kind, p.country_code, p.lat, p.lon,
+         count(DISTINCT a.id), count(DISTINCT a.cluster_id), max(a.published_at)
+  FROM places p
+  JOIN article_places ap ON ap.place_id = p.id
+  JOIN articles a ON a.id = ap.article_id
+  WHERE p.lat BETWEEN p_min_lat AND p_max_lat
+    AND CASE WHEN p_min_lon <= p_max_lon
+             THEN p.lon BETWEEN p_min_lon AND p_max_lon
+             ELSE p.lon >= p_min_lon OR p.lon <= p_max_lon END
+    AND (p_kinds IS NULL OR p.kind = ANY (p_kinds))
+    AND (p_since IS NULL OR a.published_at >= p_since)
+  GROUP BY p.id
+  ORDER BY count(DISTINCT a.id) DESC, p.code
+  LIMIT p_limit
+$$;
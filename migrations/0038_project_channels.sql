@@ -0,0 +1,102 @@
+-- 0038_project_channels.sql
+-- Projects as curated news channels (GET /api/projects/:slug/clusters)
+-- - project_rules.source_ids / exclude_source_ids restrict sources
+-- - project_clusters: candidate clusters with at least one article that
+--   passes the project's rules, plus the categories, places and sources
+--   their matching articles carry (for boosts applied in the API)
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS created_at timestamptz NOT NULL DEFAULT now();
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS updated_at timestamptz NOT NULL DEFAULT now();
+
+DO $$ BEGIN
+  ALTER TABLE projects
+    ADD CONSTRAINT projects_slug_check CHECK (slug ~ '^[a-z0-9][a-z0-9-]{0,62}$') NOT VALID;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE project_rules ADD COLUMN IF NOT EXISTS source_ids text[];
+ALTER TABLE project_rules ADD COLUMN IF NOT EXISTS exclude_source_ids text[];
+ALTER TABLE project_rules ADD COLUMN IF NOT EXISTS updated_at timestamptz NOT NULL DEFAULT now();
+
+-- Empty or missing rules match everything. Paths and geo scopes match their
+-- subtrees; a geo scope matches tagged places (code prefix or parent region)
+-- and geo.<code> categories.
+CREATE OR REPLACE FUNCTION project_clusters(
+  p_project_id uuid,
+  p_since timestamptz DEFAULT NULL,
+  p_limit int DEFAULT 300
+)
+RETURNS TABLE (
+  cluster_id text,
+  article_count bigint,
+  last_published_at timestamptz,
+  category_paths text[],
+  place_codes text[],
+  source_ids text[]
+)
+LANGUAGE sql STABLE AS $$
+  WITH r AS (
+    SELECT coalesce(pr.include_paths, '{}') AS inc,
+           coalesce(pr.exclude_paths, '{}') AS exc,
+           coalesce(pr.geo_scope, '{}') AS geo,
+           coalesce(pr.source_ids, '{}') AS src,
+           coalesce(pr.exclude_source_ids, '{}') AS xsrc
+    FROM (SELECT 1) one
+    LEFT JOIN project_rules pr ON pr.project_id = p_project_id
+  ), eligible AS (
+    SELECT a.id, a.cluster_id, a.source_id, a.published_at
+    FROM articles a, r
+    WHERE a.cluster_id IS NOT NULL
+      AND (p_since IS NULL OR a.published_at >= p_since)
+      AND (cardinality(r.src) = 0 OR a.source_id = ANY (r.src))
+      AND NOT coalesce(a.source_id = ANY (r.xsrc), false)
+      AND (cardinality(r.inc) = 0 OR EXISTS (
+        SELECT 1
+        FROM article_categories ac
+        JOIN categories c ON c.id = ac.category_id
+        JOIN unnest(r.inc) AS p(path) ON c.path = p.path OR c.path LIKE p.path || '.%'
+        WHERE ac.article_id = a.id))
+      AND NOT EXISTS (
+        SELECT 1
+        FROM article_categories ac
+        JOIN categories c ON c.id = ac.category_id
+        JOIN unnest(r.exc) AS p(path) ON c.path = p.path OR c.path LIKE p.path || '.%'
+        WHERE ac.article_id = a.id)
+      AND (cardinality(r.geo) = 0
+        OR EXISTS (
+          SELECT 1
+          FROM article_places ap
+          JOIN places pl ON pl.id = ap.place_id
+          JOIN unnest(r.geo) AS g(code)
+            ON pl.code = g.code OR pl.code LIKE g.code || '.%' OR pl.parent_code = g.code
+          WHERE ap.article_id = a.id)
+        OR EXISTS (
+          SELECT 1
+          FROM article_categories ac
+          JOIN categories c ON c.id = ac.category_id
+          JOIN unnest(r.geo) AS g(code)
+            ON c.path = 'geo.' || g.code OR c.path LIKE 'geo.' || g.code || '.%'
+          WHERE ac.article_id = a.id))
+  ), grouped AS (
+    SELECT e.cluster_id, count(*) AS article_count, max(e.published_at) AS last_published_at,
+           array_agg(e.id) AS article_ids, array_agg(DISTINCT e.source_id) AS source_ids
+    FROM eligible e
+    GROUP BY e.cluster_id
+    ORDER BY max(e.published_at) DESC NULLS LAST, e.cluster_id
+    LIMIT p_limit
+  )
+  SELECT g.cluster_id, g.article_count, g.last_published_at,
+         ARRAY(SELECT DISTINCT c.path
+               FROM article_categories ac
+               JOIN categories c ON c.id = ac.category_id
+               WHERE ac.article_id = ANY (g.article_ids)),
+         -- Parent codes let region boosts reach their cities
+         ARRAY(SELECT DISTINCT x.code
+               FROM article_places ap
+               JOIN places pl ON pl.id = ap.place_id,
+               LATERAL (VALUES (pl.code), (pl.parent_code)) AS x(code)
+               WHERE ap.article_id = ANY (g.article_ids) AND x.code IS NOT NULL),
+         g.source_ids
+  FROM grouped g
+  ORDER BY g.last_published_at DESC NULLS LAST
+$$;
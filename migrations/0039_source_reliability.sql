@@ -0,0 +1,96 @@
+-- 0039_source_reliability.sql
+-- Per-source reliability feeding article scores (src/services/scoring.js)
+-- - sources.reliability: current value (editorial override, else the model)
+-- - sources.reliability_components: metrics and component scores of the last recompute
+-- - sources.reliability_override: editorial value in [0, 1]; NULL = use the model
+-- - source_quality_metrics: raw counts per source since p_since
+
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS reliability real;
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS reliability_components jsonb;
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS reliability_override real;
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS reliability_updated_at timestamptz;
+
+DO $$ BEGIN
+  ALTER TABLE sources
+    ADD CONSTRAINT sources_reliability_check CHECK (reliability BETWEEN 0 AND 1);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE sources
+    ADD CONSTRAINT sources_reliability_override_check CHECK (reliability_override BETWEEN 0 AND 1);
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_crawl_log_feed_created
+  ON crawl_log (feed_id, created_at);
+
+-- Extraction: crawl_log items per feed (skipped = no usable full text;
+-- exists = already stored, re-polled, so not counted).
+-- Duplicates: articles marked duplicate_of a near-duplicate.
+-- First reports: clusters with more than one source the source took part
+-- in, and how many it published first (ties count for every tied source);
+-- expected_firsts is its fair share (1 / sources per cluster).
+CREATE OR REPLACE FUNCTION source_quality_metrics(p_since timestamptz)
+RETURNS TABLE (
+  source_id text,
+  crawl_successes bigint,
+  crawl_attempts bigint,
+  article_count bigint,
+  duplicate_count bigint,
+  contested_clusters bigint,
+  first_reports bigint,
+  expected_firsts double precision
+)
+LANGUAGE sql STABLE AS $$
+  WITH crawl AS (
+    SELECT f.source_id,
+           count(*) FILTER (WHERE l.status = 'success') AS successes,
+           count(*) AS attempts
+    FROM crawl_log l
+    JOIN feeds f ON f.id = l.feed_id
+    WHERE l.created_at >= p_since
+      AND l.status IN ('success', 'skipped', 'error')
+    GROUP BY f.source_id
+  ), art AS (
+    SELECT a.source_id,
+           count(*) AS articles,
+           count(*) FILTER (WHERE a.duplicate_of IS NOT NULL) AS duplicates
+    FROM articles a
+    WHERE a.published_at >= p_since
+    GROUP BY a.source_id
+  ), cl AS (
+    SELECT a.cluster_id, min(a.published_at) AS first_at,
+           count(DISTINCT a.source_id) AS sources
+    FROM articles a
+    WHERE a.cluster_id IN (
+      SELECT DISTINCT cluster_id FROM articles
+      WHERE cluster_id IS NOT NULL AND published_at >= p_since)
+    GROUP BY a.cluster_id
+    HAVING count(DISTINCT a.source_id) > 1
+  ), per AS (
+    SELECT a.source_id, a.cluster_id, min(a.published_at) AS published_at
+    FROM articles a
+    JOIN cl ON cl.cluster_id = a.cluster_id
+    WHERE a.source_id IS NOT NULL
+    GROUP BY a.source_id, a.cluster_id
+  ), firsts AS (
+    SELECT per.source_id,
+           count(*) AS contested,
+           count(*) FILTER (WHERE per.published_at <= cl.first_at) AS firsts,
+           sum(1.0 / cl.sources) AS expected
+    FROM per
+    JOIN cl ON cl.cluster_id = per.cluster_id
+    GROUP BY per.source_id
+  )
+  SELECT s.id,
+         coalesce(crawl.successes, 0), coalesce(crawl.attempts, 0),
+         coalesce(art.articles, 0), coalesce(art.duplicates, 0),
+         coalesce(firsts.contested, 0), coalesce(firsts.firsts, 0),
+         coalesce(firsts.expected, 0)::double precision
+  FROM sources s
+  LEFT JOIN crawl ON crawl.source_id = s.id
+  LEFT JOIN art ON art.source_id = s.id
+  LEFT JOIN firsts ON firsts.source_id = s.id
+  ORDER BY s.id
+$$;
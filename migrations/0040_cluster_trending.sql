@@ -0,0 +1,85 @@
+-- 0040_cluster_trending.sql
+-- Cluster trending score for the ranked front page (GET /api/clusters/top)
+-- - clusters.trending_base: weighted velocity / source diversity / article
+--   quality / language spread, without recency (src/services/clusterTrending.js)
+-- - clusters.trending_score: trending_base with recency decay as of the last refresh
+-- - clusters.trending_factors: the breakdown behind both
+-- - app_markets.geo_scope: place codes a market's front page covers (empty = all)
+-- - cluster_trending_stats: member aggregates for one cluster
+-- - top_clusters: clusters ranked by trending_base decayed to now
+
+ALTER TABLE clusters ADD COLUMN IF NOT EXISTS trending_base real;
+ALTER TABLE clusters ADD COLUMN IF NOT EXISTS trending_score real;
+ALTER TABLE clusters ADD COLUMN IF NOT EXISTS trending_factors jsonb;
+ALTER TABLE clusters ADD COLUMN IF NOT EXISTS trending_updated_at timestamptz;
+
+ALTER TABLE app_markets ADD COLUMN IF NOT EXISTS geo_scope text[];
+
+CREATE INDEX IF NOT EXISTS idx_clusters_trending_last_seen
+  ON clusters (last_seen DESC) WHERE trending_base IS NOT NULL;
+
+-- Languages count by base subtag (en-GB and en are one language)
+CREATE OR REPLACE FUNCTION cluster_trending_stats(
+  p_cluster_id text,
+  p_window_start timestamptz
+)
+RETURNS TABLE (
+  article_count bigint,
+  recent_count bigint,
+  source_count bigint,
+  language_count bigint,
+  avg_score double precision,
+  first_published_at timestamptz,
+  last_published_at timestamptz
+)
+LANGUAGE sql STABLE AS $$
+  SELECT count(*),
+         count(*) FILTER (WHERE a.published_at >= p_window_start),
+         count(DISTINCT a.source_id),
+         count(DISTINCT lower(split_part(a.language, '-', 1))),
+         avg(s.score)::double precision,
+         min(a.published_at),
+         max(a.published_at)
+  FROM articles a
+  LEFT JOIN article_scores s ON s.article_id = a.id
+  WHERE a.cluster_id = p_cluster_id
+$$;
+
+-- A geo scope matches clusters with an article from a source in one of the
+-- countries or tagged with a place under one of the codes
+CREATE OR REPLACE FUNCTION top_clusters(
+  p_geo_scope text[] DEFAULT NULL,
+  p_since timestamptz DEFAULT NULL,
+  p_half_life_hours double precision DEFAULT 12,
+  p_limit int DEFAULT 20,
+  p_offset int DEFAULT 0
+)
+RETURNS TABLE (
+  cluster_id text,
+  score double precision
+)
+LANGUAGE sql STABLE AS $$
+  SELECT c.id,
+         c.trending_base * power(
+           0.5,
+           greatest(0, extract(epoch FROM now() - c.last_seen)) / 3600.0 / p_half_life_hours
+         ) AS score
+  FROM clusters c
+  WHERE c.trending_base IS NOT NULL
+    AND (p_since IS NULL OR c.last_seen >= p_since)
+    AND (coalesce(cardinality(p_geo_scope), 0) = 0 OR EXISTS (
+      SELECT 1
+      FROM articles a
+      LEFT JOIN sources src ON src.id = a.source_id
+      WHERE a.cluster_id = c.id
+        AND (lower(src.country) = ANY (p_geo_scope)
+          OR EXISTS (
+            SELECT 1
+            FROM article_places ap
+            JOIN places pl ON pl.id = ap.place_id
+            JOIN unnest(p_geo_scope) AS g(code)
+              ON pl.code = g.code OR pl.code LIKE g.code || '.%'
+            WHERE ap.article_id = a.id))))
+  ORDER BY score DESC NULLS LAST, c.last_seen DESC, c.id
+  LIMIT p_limit OFFSET p_offset
+$$;
@@ -0,0 +1,122 @@
+-- 0041_project_clusters_boosted.sql
+-- project_clusters ranks by the boosted score before applying p_limit, so a
+-- heavily boosted cluster is not cut from the pool just because newer
+-- unboosted ones fill it. Same formula as scoreCandidate in
+-- src/services/projects.js:
+--   (1 + ln(1 + article_count)) x 0.5^(age_hours / p_half_life_hours)
+--   x category, place and source boosts
+
+-- The signature gains parameters; drop the 0038 version so PostgREST does
+-- not see two overloads
+DROP FUNCTION IF EXISTS project_clusters(uuid, timestamptz, int);
+
+-- Highest weight among boost keys matching any value; 1 when none match.
+-- Keys match themselves and, for dotted keys, everything below them.
+CREATE OR REPLACE FUNCTION project_boost(p_weights jsonb, p_values text[])
+RETURNS numeric
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT coalesce(max(w.value::numeric), 1)
+  FROM jsonb_each_text(coalesce(p_weights, '{}'::jsonb)) AS w
+  WHERE EXISTS (
+    SELECT 1
+    FROM unnest(coalesce(p_values, '{}')) AS v(value)
+    WHERE v.value = w.key OR left(v.value, length(w.key) + 1) = w.key || '.')
+$$;
+
+-- Empty or missing rules match everything. Paths and geo scopes match their
+-- subtrees; a geo scope matches tagged places (code prefix or parent region)
+-- and geo.<code> categories.
+CREATE OR REPLACE FUNCTION project_clusters(
+  p_project_id uuid,
+  p_since timestamptz DEFAULT NULL,
+  p_limit int DEFAULT 300,
+  p_boosts jsonb DEFAULT '{}',
+  p_half_life_hours numeric DEFAULT 24
+)
+RETURNS TABLE (
+  cluster_id text,
+  article_count bigint,
+  last_published_at timestamptz,
+  category_paths text[],
+  place_codes text[],
+  source_ids text[]
+)
+LANGUAGE sql STABLE AS $$
+  WITH r AS (
+    SELECT coalesce(pr.include_paths, '{}') AS inc,
+           coalesce(pr.exclude_paths, '{}') AS exc,
+           coalesce(pr.geo_scope, '{}') AS geo,
+           coalesce(pr.source_ids, '{}') AS src,
+           coalesce(pr.exclude_source_ids, '{}') AS xsrc
+    FROM (SELECT 1) one
+    LEFT JOIN project_rules pr ON pr.project_id = p_project_id
+  ), eligible AS (
+    SELECT a.id, a.cluster_id, a.source_id, a.published_at
+    FROM articles a, r
+    WHERE a.cluster_id IS NOT NULL
+      AND (p_since IS NULL OR a.published_at >= p_since)
+      AND (cardinality(r.src) = 0 OR a.source_id = ANY (r.src))
+      AND NOT coalesce(a.source_id = ANY (r.xsrc), false)
+      AND (cardinality(r.inc) = 0 OR EXISTS (
+        SELECT 1
+        FROM article_categories ac
+        JOIN categories c ON c.id = ac.category_id
+        JOIN unnest(r.inc) AS p(path) ON c.path = p.path OR c.path LIKE p.path || '.%'
+        WHERE ac.article_id = a.id))
+      AND NOT EXISTS (
+        SELECT 1
+        FROM article_categories ac
+        JOIN categories c ON c.id = ac.category_id
+        JOIN unnest(r.exc) AS p(path) ON c.path = p.path OR c.path LIKE p.path || '.%'
+        WHERE ac.article_id = a.id)
+      AND (cardinality(r.geo) = 0
+        OR EXISTS (
+          SELECT 1
+          FROM article_places ap
+          JOIN places pl ON pl.id = ap.place_id
+          JOIN unnest(r.geo) AS g(code)
+            ON pl.code = g.code OR pl.code LIKE g.code || '.%' OR pl.parent_code = g.code
+          WHERE ap.article_id = a.id)
+        OR EXISTS (
+          SELECT 1
+          FROM article_categories ac
+          JOIN categories c ON c.id = ac.category_id
+          JOIN unnest(r.geo) AS g(code)
+            ON c.path = 'geo.' || g.code OR c.path LIKE 'geo.' || g.code || '.%'
+          WHERE ac.article_id = a.id))
+  ), grouped AS (
+    SELECT e.cluster_id, count(*) AS article_count, max(e.published_at) AS last_published_at,
+           array_agg(e.id) AS article_ids, array_agg(DISTINCT e.source_id) AS source_ids
+    FROM eligible e
+    GROUP BY e.cluster_id
+  ), featured AS (
+    SELECT g.cluster_id, g.article_count, g.last_published_at, g.source_ids,
+           ARRAY(SELECT DISTINCT c.path
+                 FROM article_categories ac
+                 JOIN categories c ON c.id = ac.category_id
+                 WHERE ac.article_id = ANY (g.article_ids)) AS category_paths,
+           -- Parent codes let region boosts reach their cities
+           ARRAY(SELECT DISTINCT x.code
+                 FROM article_places ap
+                 JOIN places pl ON pl.id = ap.place_id,
+                 LATERAL (VALUES (pl.code), (pl.parent_code)) AS x(code)
+                 WHERE ap.article_id = ANY (g.article_ids) AND x.code IS NOT NULL) AS place_codes
+    FROM grouped g
+  ), scored AS (
+    SELECT f.*,
+           CASE WHEN f.last_published_at IS NULL THEN 0 ELSE
+             (1 + ln(1 + f.article_count))
+             * power(0.5, greatest(0, extract(epoch FROM now() - f.last_published_at) / 3600)
+                          / p_half_life_hours)
+             * project_boost(p_boosts -> 'categories', f.category_paths)
+             * project_boost(p_boosts -> 'places', f.place_codes)
+             * project_boost(p_boosts -> 'sources', array_remove(f.source_ids, NULL))
+           END AS score
+    FROM featured f
+  )
+  SELECT s.cluster_id, s.article_count, s.last_published_at,
+         s.category_paths, s.place_codes, s.source_ids
+  FROM scored s
+  ORDER BY s.score DESC, s.last_published_at DESC NULLS LAST, s.cluster_id
+  LIMIT p_limit
+$$;
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Create a scoped API key (e.g. the first admin key; later keys can be made via
+ * POST /api/admin/keys). The plaintext key is printed once and never stored.
+ * Usage: node scripts/create-api-key.js <name> [scopes=read] [expires_in_days]
+ *   scopes: comma-separated list of read, feeds:write, crawl, admin
+ */
+import dotenv from "dotenv";
+dotenv.config();
+
+import { API_SCOPES, createApiKey } from "../src/services/apiKeys.js";
+
+const [name, scopeArg = "read", daysArg] = process.argv.slice(2);
+const scopes = [...new Set(scopeArg.split(",").map((s) => s.trim()))].filter(
+  Boolean
+);
+if (!name || !scopes.length || scopes.some((s) => !API_SCOPES.includes(s))) {
+  console.log(
+    `Usage: node scripts/create-api-key.js <name> [${API_SCOPES.join(
+      ","
+    )}] [expires_in_days]`
+  );
+  process.exit(1);
+}
+const days = daysArg ? Number(daysArg) : null;
+if (daysArg && (!Number.isFinite(days) || days <= 0)) {
+  console.error("expires_in_days must be a positive number");
+  process.exit(1);
+}
+
+try {
+  const { key, record } = await createApiKey({
+    name,
+    scopes,
+    expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+    createdBy: "cli",
+  });
+  console.log(JSON.stringify({ ...record, key }, null, 2));
+  console.log("\nStore this key now; it cannot be shown again.");
+  process.exit(0);
+} catch (e) {
+  console.error("Failed to create API key:", e.message);
+  process.exit(1);
+}
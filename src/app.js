@@ -5,13 +5,26 @@ import dotenv from "dotenv";
 
 import { createContextLogger } from "./config/logger.js";
 import { testConnection } from "./config/database.js";
-import { generalRateLimit } from "./middleware/rateLimiter.js";
+import {
+  generalRateLimit,
+  keyLookupRateLimit,
+} from "./middleware/rateLimiter.js";
 import { optionalAuth } from "./middleware/auth.js";
 
 // Import routes
 import feedsRouter from "./routes/feeds.js";
 import sourcesRouter from "./routes/sources.js";
 import clustersRouter from "./routes/clusters.js";
+import articlesRouter from "./routes/articles.js";
+import searchRouter from "./routes/search.js";
+import categoriesRouter from "./routes/categories.js";
+import categoryAdminRouter from "./routes/categoryAdmin.js";
+import entitiesRouter from "./routes/entities.js";
+import placesRouter from "./routes/places.js";
+import projectsRouter from "./routes/projects.js";
+import websubRouter from "./routes/websub.js";
+import adminRouter from "./routes/admin.js";
+import apiKeysRouter from "./routes/apiKeys.js";
 import { translationMetrics } from "./services/translationHelper.js";
 import { pretranslateMetrics } from "./services/pretranslator.js";
 
@@ -44,16 +57,22 @@ app.use(
   })
 );
 
+// WebSub hub callbacks: mounted before the JSON parser (HMAC needs the raw
+// body) and outside rate limiting / auth, since hubs call in unauthenticated
+app.use("/api/websub", websubRouter);
+
 // Body parsing middleware
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
-// Rate limiting
-app.use(generalRateLimit);
-
-// Optional authentication for all routes
+// Throttle uncached API key lookups per IP, then resolve keys for all
+// routes; routers enforce scopes
+app.use(keyLookupRateLimit);
 app.use(optionalAuth);
 
+// Rate limiting (per API key, else per IP)
+app.use(generalRateLimit);
+
 // Health check endpoint (lightweight, non-blocking DB status)
 let lastDbHealth = { status: "unknown", checkedAt: null };
 const DB_HEALTH_TTL_MS = 30000; // refresh every 30s in background
@@ -126,6 +145,15 @@ app.get("/health/db", async (req, res) => {
 app.use("/api/feeds", feedsRouter);
 app.use("/api/sources", sourcesRouter);
 app.use("/api/clusters", clustersRouter);
+app.use("/api/articles", articlesRouter);
+app.use("/api/search", searchRouter);
+app.use("/api/categories", categoriesRouter);
+app.use("/api/entities", entitiesRouter);
+app.use("/api/places", placesRouter);
+app.use("/api/projects", projectsRouter);
+app.use("/api/admin/keys", apiKeysRouter);
+app.use("/api/admin/categories", categoryAdminRouter);
+app.use("/api/admin", adminRouter);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -138,6 +166,13 @@ app.get("/", (req, res) => {
       feeds: "/api/feeds",
       sources: "/api/sources",
       clusters: "/api/clusters",
+      articles: "/api/articles",
+      search: "/api/search",
+      categories: "/api/categories",
+      entities: "/api/entities",
+      places: "/api/places",
+      projects: "/api/projects",
+      admin: "/api/admin",
     },
     documentation: "https://github.com/your-repo/insight-feeder",
   });
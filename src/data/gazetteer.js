@@ -0,0 +1,1897 @@
+// Offline gazetteer for geotagging; synced into `places` on first use.
+// Codes: ISO 3166-1 alpha-2 for countries, <cc>.<ISO 3166-2 suffix> for
+// regions and <cc>.<slug> for cities (same scheme as the geo.* categories).
+// Rows: [code, lat, lon, english name, other-language names, extra], where
+// extra may hold `aliases` (other spellings), `parent` (a region code; the
+// country otherwise) and `context` (the name is also a common word or given
+// name, so it only counts next to another place in the same country).
+
+const COUNTRIES = [
+  [
+    "us",
+    39.8,
+    -98.6,
+    "United States",
+    {
+      de: "Vereinigte Staaten",
+      fr: "États-Unis",
+      es: "Estados Unidos",
+      it: "Stati Uniti",
+      tr: "Amerika Birleşik Devletleri",
+    },
+    { aliases: ["USA", "US", "U.S.", "ABD"] },
+  ],
+  [
+    "gb",
+    54.0,
+    -2.0,
+    "United Kingdom",
+    {
+      de: "Vereinigtes Königreich",
+      fr: "Royaume-Uni",
+      es: "Reino Unido",
+      it: "Regno Unito",
+      tr: "Birleşik Krallık",
+    },
+    {
+      aliases: [
+        "UK",
+        "U.K.",
+        "Britain",
+        "Great Britain",
+        "Großbritannien",
+        "Grande-Bretagne",
+        "Gran Bretaña",
+        "Gran Bretagna",
+      ],
+    },
+  ],
+  [
+    "ie",
+    53.4,
+    -8.2,
+    "Ireland",
+    {
+      de: "Irland",
+      fr: "Irlande",
+      es: "Irlanda",
+      it: "Irlanda",
+      tr: "İrlanda",
+    },
+  ],
+  [
+    "de",
+    51.17,
+    10.45,
+    "Germany",
+    {
+      de: "Deutschland",
+      fr: "Allemagne",
+      es: "Alemania",
+      it: "Germania",
+      tr: "Almanya",
+    },
+  ],
+  [
+    "fr",
+    46.6,
+    2.2,
+    "France",
+    { de: "Frankreich", es: "Francia", it: "Francia", tr: "Fransa" },
+  ],
+  [
+    "es",
+    40.0,
+    -3.7,
+    "Spain",
+    { de: "Spanien", fr: "Espagne", es: "España", it: "Spagna", tr: "İspanya" },
+  ],
+  [
+    "it",
+    42.8,
+    12.6,
+    "Italy",
+    { de: "Italien", fr: "Italie", es: "Italia", it: "Italia", tr: "İtalya" },
+  ],
+  ["pt", 39.6, -8.0, "Portugal", { it: "Portogallo", tr: "Portekiz" }],
+  [
+    "nl",
+    52.2,
+    5.3,
+    "Netherlands",
+    {
+      nl: "Nederland",
+      de: "Niederlande",
+      fr: "Pays-Bas",
+      es: "Países Bajos",
+      it: "Paesi Bassi",
+      tr: "Hollanda",
+    },
+    { aliases: ["Holland"] },
+  ],
+  [
+    "be",
+    50.6,
+    4.5,
+    "Belgium",
+    {
+      nl: "België",
+      de: "Belgien",
+      fr: "Belgique",
+      es: "Bélgica",
+      it: "Belgio",
+      tr: "Belçika",
+    },
+  ],
+  [
+    "lu",
+    49.8,
+    6.1,
+    "Luxembourg",
+    { de: "Luxemburg", es: "Luxemburgo", it: "Lussemburgo", tr: "Lüksemburg" },
+  ],
+  [
+    "ch",
+    46.8,
+    8.2,
+    "Switzerland",
+    { de: "Schweiz", fr: "Suisse", es: "Suiza", it: "Svizzera", tr: "İsviçre" },
+  ],
+  [
+    "at",
+    47.6,
+    14.1,
+    "Austria",
+    { de: "Österreich", fr: "Autriche", tr: "Avusturya" },
+  ],
+  [
+    "dk",
+    56.0,
+    10.0,
+    "Denmark",
+    {
+      da: "Danmark",
+      de: "Dänemark",
+      fr: "Danemark",
+      es: "Dinamarca",
+      it: "Danimarca",
+      tr: "Danimarka",
+    },
+  ],
+  [
+    "se",
+    62.0,
+    15.0,
+    "Sweden",
+    {
+      sv: "Sverige",
+      de: "Schweden",
+      fr: "Suède",
+      es: "Suecia",
+      it: "Svezia",
+      tr: "İsveç",
+    },
+  ],
+  [
+    "no",
+    64.5,
+    12.0,
+    "Norway",
+    {
+      nb: "Norge",
+      de: "Norwegen",
+      fr: "Norvège",
+      es: "Noruega",
+      it: "Norvegia",
+      tr: "Norveç",
+    },
+  ],
+  [
+    "fi",
+    64.0,
+    26.0,
+    "Finland",
+    {
+      fi: "Suomi",
+      de: "Finnland",
+      fr: "Finlande",
+      es: "Finlandia",
+      it: "Finlandia",
+      tr: "Finlandiya",
+    },
+  ],
+  [
+    "is",
+    64.9,
+    -18.6,
+    "Iceland",
+    {
+      de: "Island",
+      fr: "Islande",
+      es: "Islandia",
+      it: "Islanda",
+      tr: "İzlanda",
+    },
+  ],
+  [
+    "pl",
+    52.1,
+    19.4,
+    "Poland",
+    {
+      pl: "Polska",
+      de: "Polen",
+      fr: "Pologne",
+      es: "Polonia",
+      it: "Polonia",
+      tr: "Polonya",
+    },
+  ],
+  [
+    "cz",
+    49.8,
+    15.5,
+    "Czech Republic",
+    {
+      cs: "Česko",
+      de: "Tschechien",
+      fr: "Tchéquie",
+      es: "Chequia",
+      it: "Cechia",
+      tr: "Çekya",
+    },
+    { aliases: ["Czechia"] },
+  ],
+  [
+    "sk",
+    48.7,
+    19.7,
+    "Slovakia",
+    {
+      sk: "Slovensko",
+      de: "Slowakei",
+      fr: "Slovaquie",
+      es: "Eslovaquia",
+      it: "Slovacchia",
+      tr: "Slovakya",
+    },
+  ],
+  [
+    "hu",
+    47.2,
+    19.5,
+    "Hungary",
+    {
+      hu: "Magyarország",
+      de: "Ungarn",
+      fr: "Hongrie",
+      es: "Hungría",
+      it: "Ungheria",
+      tr: "Macaristan",
+    },
+  ],
+  [
+    "ro",
+    45.9,
+    25.0,
+    "Romania",
+    {
+      ro: "România",
+      de: "Rumänien",
+      fr: "Roumanie",
+      es: "Rumania",
+      tr: "Romanya",
+    },
+  ],
+  [
+    "bg",
+    42.7,
+    25.5,
+    "Bulgaria",
+    { de: "Bulgarien", fr: "Bulgarie", tr: "Bulgaristan" },
+  ],
+  [
+    "gr",
+    39.1,
+    22.0,
+    "Greece",
+    {
+      el: "Ελλάδα",
+      de: "Griechenland",
+      fr: "Grèce",
+      es: "Grecia",
+      it: "Grecia",
+      tr: "Yunanistan",
+    },
+  ],
+  [
+    "cy",
+    35.0,
+    33.2,
+    "Cyprus",
+    { de: "Zypern", fr: "Chypre", es: "Chipre", it: "Cipro", tr: "Kıbrıs" },
+  ],
+  [
+    "hr",
+    45.1,
+    15.2,
+    "Croatia",
+    {
+      hr: "Hrvatska",
+      de: "Kroatien",
+      fr: "Croatie",
+      es: "Croacia",
+      it: "Croazia",
+      tr: "Hırvatistan",
+    },
+  ],
+  [
+    "si",
+    46.1,
+    14.8,
+    "Slovenia",
+    {
+      sl: "Slovenija",
+      de: "Slowenien",
+      fr: "Slovénie",
+      es: "Eslovenia",
+      tr: "Slovenya",
+    },
+  ],
+  [
+    "rs",
+    44.0,
+    20.9,
+    "Serbia",
+    { sr: "Srbija", de: "Serbien", fr: "Serbie", tr: "Sırbistan" },
+  ],
+  [
+    "ba",
+    44.2,
+    17.8,
+    "Bosnia and Herzegovina",
+    {
+      de: "Bosnien und Herzegowina",
+      fr: "Bosnie-Herzégovine",
+      es: "Bosnia y Herzegovina",
+      it: "Bosnia ed Erzegovina",
+      tr: "Bosna-Hersek",
+    },
+    { aliases: ["Bosnia"] },
+  ],
+  [
+    "ua",
+    49.0,
+    31.4,
+    "Ukraine",
+    { uk: "Україна", es: "Ucrania", it: "Ucraina", tr: "Ukrayna" },
+  ],
+  [
+    "ru",
+    61.5,
+    105.3,
+    "Russia",
+    {
+      ru: "Россия",
+      de: "Russland",
+      fr: "Russie",
+      es: "Rusia",
+      it: "Russia",
+      tr: "Rusya",
+    },
+  ],
+  [
+    "by",
+    53.7,
+    28.0,
+    "Belarus",
+    {
+      de: "Belarus",
+      fr: "Biélorussie",
+      es: "Bielorrusia",
+      it: "Bielorussia",
+      tr: "Belarus",
+    },
+  ],
+  [
+    "md",
+    47.4,
+    28.4,
+    "Moldova",
+    {
+      de: "Moldau",
+      fr: "Moldavie",
+      es: "Moldavia",
+      it: "Moldavia",
+      tr: "Moldova",
+    },
+  ],
+  [
+    "lt",
+    55.2,
+    23.9,
+    "Lithuania",
+    {
+      lt: "Lietuva",
+      de: "Litauen",
+      fr: "Lituanie",
+      es: "Lituania",
+      tr: "Litvanya",
+    },
+  ],
+  [
+    "lv",
+    56.9,
+    24.6,
+    "Latvia",
+    {
+      lv: "Latvija",
+      de: "Lettland",
+      fr: "Lettonie",
+      es: "Letonia",
+      it: "Lettonia",
+      tr: "Letonya",
+    },
+  ],
+  [
+    "ee",
+    58.6,
+    25.0,
+    "Estonia",
+    { et: "Eesti", de: "Estland", fr: "Estonie", tr: "Estonya" },
+  ],
+  [
+    "ge",
+    42.3,
+    43.4,
+    "Georgia",
+    { de: "Georgien", fr: "Géorgie", it: "Georgia", tr: "Gürcistan" },
+  ],
+  [
+    "am",
+    40.1,
+    45.0,
+    "Armenia",
+    { de: "Armenien", fr: "Arménie", tr: "Ermenistan" },
+  ],
+  [
+    "az",
+    40.1,
+    47.6,
+    "Azerbaijan",
+    {
+      az: "Azərbaycan",
+      de: "Aserbaidschan",
+      fr: "Azerbaïdjan",
+      es: "Azerbaiyán",
+      tr: "Azerbaycan",
+    },
+  ],
+  [
+    "tr",
+    39.0,
+    35.2,
+    "Turkey",
+    {
+      tr: "Türkiye",
+      de: "Türkei",
+      fr: "Turquie",
+      es: "Turquía",
+      it: "Turchia",
+    },
+  ],
+  [
+    "kz",
+    48.0,
+    67.0,
+    "Kazakhstan",
+    { de: "Kasachstan", es: "Kazajistán", tr: "Kazakistan" },
+  ],
+  ["il", 31.0, 34.9, "Israel", { tr: "İsrail", fr: "Israël" }],
+  [
+    "ps",
+    31.9,
+    35.2,
+    "Palestine",
+    { de: "Palästina", es: "Palestina", it: "Palestina", tr: "Filistin" },
+  ],
+  [
+    "lb",
+    33.9,
+    35.9,
+    "Lebanon",
+    { de: "Libanon", fr: "Liban", es: "Líbano", it: "Libano", tr: "Lübnan" },
+  ],
+  [
+    "sy",
+    35.0,
+    38.5,
+    "Syria",
+    { de: "Syrien", fr: "Syrie", es: "Siria", it: "Siria", tr: "Suriye" },
+  ],
+  [
+    "jo",
+    31.2,
+    36.5,
+    "Jordan",
+    {
+      de: "Jordanien",
+      fr: "Jordanie",
+      es: "Jordania",
+      it: "Giordania",
+      tr: "Ürdün",
+    },
+    { context: true },
+  ],
+  [
+    "iq",
+    33.2,
+    43.7,
+    "Iraq",
+    { de: "Irak", fr: "Irak", es: "Irak", tr: "Irak" },
+  ],
+  ["ir", 32.4, 53.7, "Iran", { es: "Irán" }],
+  [
+    "sa",
+    23.9,
+    45.1,
+    "Saudi Arabia",
+    {
+      de: "Saudi-Arabien",
+      fr: "Arabie saoudite",
+      es: "Arabia Saudita",
+      it: "Arabia Saudita",
+      tr: "Suudi Arabistan",
+    },
+  ],
+  [
+    "ae",
+    23.4,
+    53.8,
+    "United Arab Emirates",
+    {
+      de: "Vereinigte Arabische Emirate",
+      fr: "Émirats arabes unis",
+      es: "Emiratos Árabes Unidos",
+      it: "Emirati Arabi Uniti",
+      tr: "Birleşik Arap Emirlikleri",
+    },
+    { aliases: ["UAE"] },
+  ],
+  ["qa", 25.3, 51.2, "Qatar", { de: "Katar", tr: "Katar" }],
+  ["ye", 15.6, 48.5, "Yemen", { de: "Jemen", fr: "Yémen" }],
+  [
+    "eg",
+    26.8,
+    30.8,
+    "Egypt",
+    { de: "Ägypten", fr: "Égypte", es: "Egipto", it: "Egitto", tr: "Mısır" },
+  ],
+  [
+    "ly",
+    26.3,
+    17.2,
+    "Libya",
+    { de: "Libyen", fr: "Libye", es: "Libia", it: "Libia", tr: "Libya" },
+  ],
+  [
+    "tn",
+    33.9,
+    9.5,
+    "Tunisia",
+    { de: "Tunesien", fr: "Tunisie", es: "Túnez", tr: "Tunus" },
+  ],
+  [
+    "dz",
+    28.0,
+    1.7,
+    "Algeria",
+    { de: "Algerien", fr: "Algérie", es: "Argelia", tr: "Cezayir" },
+  ],
+  [
+    "ma",
+    31.8,
+    -7.1,
+    "Morocco",
+    { de: "Marokko", fr: "Maroc", es: "Marruecos", it: "Marocco", tr: "Fas" },
+  ],
+  ["sd", 15.5, 30.2, "Sudan", { fr: "Soudan", es: "Sudán" }],
+  [
+    "et",
+    9.1,
+    40.5,
+    "Ethiopia",
+    {
+      de: "Äthiopien",
+      fr: "Éthiopie",
+      es: "Etiopía",
+      it: "Etiopia",
+      tr: "Etiyopya",
+    },
+  ],
+  ["ke", 0.0, 37.9, "Kenya", { de: "Kenia", es: "Kenia" }],
+  ["ng", 9.1, 8.7, "Nigeria", { fr: "Nigéria", tr: "Nijerya" }],
+  ["gh", 7.9, -1.0, "Ghana", { tr: "Gana" }],
+  ["sn", 14.5, -14.5, "Senegal", { fr: "Sénégal" }],
+  [
+    "cd",
+    -4.0,
+    21.8,
+    "Democratic Republic of the Congo",
+    {
+      de: "Demokratische Republik Kongo",
+      fr: "République démocratique du Congo",
+      es: "República Democrática del Congo",
+      tr: "Demokratik Kongo Cumhuriyeti",
+    },
+    { aliases: ["DR Congo", "DRC"] },
+  ],
+  ["so", 5.2, 46.2, "Somalia", { fr: "Somalie", tr: "Somali" }],
+  [
+    "za",
+    -30.6,
+    22.9,
+    "South Africa",
+    {
+      de: "Südafrika",
+      fr: "Afrique du Sud",
+      es: "Sudáfrica",
+      it: "Sudafrica",
+      tr: "Güney Afrika",
+    },
+  ],
+  ["af", 33.9, 67.7, "Afghanistan", { es: "Afganistán", tr: "Afganistan" }],
+  ["pk", 30.4, 69.3, "Pakistan", { es: "Pakistán" }],
+  ["in", 20.6, 79.0, "India", { de: "Indien", fr: "Inde", tr: "Hindistan" }],
+  ["bd", 23.7, 90.4, "Bangladesh", { tr: "Bangladeş" }],
+  ["cn", 35.9, 104.2, "China", { fr: "Chine", it: "Cina", tr: "Çin" }],
+  ["hk", 22.32, 114.17, "Hong Kong", { de: "Hongkong", es: "Hong Kong" }],
+  ["tw", 23.7, 121.0, "Taiwan", { es: "Taiwán", tr: "Tayvan" }],
+  [
+    "jp",
+    36.2,
+    138.3,
+    "Japan",
+    { fr: "Japon", es: "Japón", it: "Giappone", tr: "Japonya" },
+  ],
+  [
+    "kr",
+    35.9,
+    127.8,
+    "South Korea",
+    {
+      de: "Südkorea",
+      fr: "Corée du Sud",
+      es: "Corea del Sur",
+      it: "Corea del Sud",
+      tr: "Güney Kore",
+    },
+  ],
+  [
+    "kp",
+    40.3,
+    127.5,
+    "North Korea",
+    {
+      de: "Nordkorea",
+      fr: "Corée du Nord",
+      es: "Corea del Norte",
+      it: "Corea del Nord",
+      tr: "Kuzey Kore",
+    },
+  ],
+  ["vn", 14.1, 108.3, "Vietnam", { fr: "Viêt Nam", tr: "Vietnam" }],
+  [
+    "th",
+    15.9,
+    100.9,
+    "Thailand",
+    { fr: "Thaïlande", es: "Tailandia", it: "Thailandia", tr: "Tayland" },
+  ],
+  [
+    "my",
+    4.2,
+    101.98,
+    "Malaysia",
+    { fr: "Malaisie", es: "Malasia", it: "Malesia", tr: "Malezya" },
+  ],
+  [
+    "sg",
+    1.35,
+    103.82,
+    "Singapore",
+    { de: "Singapur", fr: "Singapour", es: "Singapur", tr: "Singapur" },
+  ],
+  [
+    "id",
+    -0.8,
+    113.9,
+    "Indonesia",
+    { de: "Indonesien", fr: "Indonésie", tr: "Endonezya" },
+  ],
+  [
+    "ph",
+    12.9,
+    121.8,
+    "Philippines",
+    {
+      de: "Philippinen",
+      fr: "Philippines",
+      es: "Filipinas",
+      it: "Filippine",
+      tr: "Filipinler",
+    },
+  ],
+  ["mm", 21.9, 95.96, "Myanmar", { aliases: ["Burma"] }],
+  [
+    "au",
+    -25.3,
+    133.8,
+    "Australia",
+    { de: "Australien", fr: "Australie", tr: "Avustralya" },
+  ],
+  [
+    "nz",
+    -40.9,
+    174.9,
+    "New Zealand",
+    {
+      de: "Neuseeland",
+      fr: "Nouvelle-Zélande",
+      es: "Nueva Zelanda",
+      it: "Nuova Zelanda",
+      tr: "Yeni Zelanda",
+    },
+  ],
+  ["ca", 56.1, -106.3, "Canada", { de: "Kanada", es: "Canadá", tr: "Kanada" }],
+  [
+    "mx",
+    23.6,
+    -102.6,
+    "Mexico",
+    { de: "Mexiko", fr: "Mexique", es: "México", it: "Messico", tr: "Meksika" },
+  ],
+  ["cu", 21.5, -77.8, "Cuba", { de: "Kuba", tr: "Küba" }],
+  [
+    "br",
+    -14.2,
+    -51.9,
+    "Brazil",
+    {
+      pt: "Brasil",
+      de: "Brasilien",
+      fr: "Brésil",
+      es: "Brasil",
+      it: "Brasile",
+      tr: "Brezilya",
+    },
+  ],
+  [
+    "ar",
+    -38.4,
+    -63.6,
+    "Argentina",
+    { de: "Argentinien", fr: "Argentine", tr: "Arjantin" },
+  ],
+  ["cl", -35.7, -71.5, "Chile", { fr: "Chili", it: "Cile", tr: "Şili" }],
+  [
+    "co",
+    4.6,
+    -74.3,
+    "Colombia",
+    { de: "Kolumbien", fr: "Colombie", tr: "Kolombiya" },
+  ],
+  ["pe", -9.2, -75.0, "Peru", { fr: "Pérou", es: "Perú", it: "Perù" }],
+  ["ve", 6.4, -66.6, "Venezuela", { tr: "Venezuela" }],
+];
+
+const REGIONS = [
+  [
+    "us.ca",
+    36.78,
+    -119.42,
+    "California",
+    { fr: "Californie", es: "California", it: "California", tr: "Kaliforniya" },
+  ],
+  ["us.tx", 31.97, -99.9, "Texas", { tr: "Teksas" }],
+  [
+    "us.ny",
+    42.95,
+    -75.5,
+    "New York State",
+    { es: "Estado de Nueva York", tr: "New York Eyaleti" },
+  ],
+  ["us.fl", 27.66, -81.52, "Florida", { fr: "Floride" }],
+  ["us.il", 40.63, -89.4, "Illinois"],
+  ["us.ga", 32.17, -82.9, "Georgia", { fr: "Géorgie" }],
+  [
+    "us.pa",
+    41.2,
+    -77.19,
+    "Pennsylvania",
+    { fr: "Pennsylvanie", es: "Pensilvania" },
+  ],
+  ["us.oh", 40.42, -82.91, "Ohio"],
+  ["us.mi", 44.31, -85.6, "Michigan"],
+  ["us.az", 34.05, -111.09, "Arizona"],
+  ["us.nv", 38.8, -116.42, "Nevada"],
+  [
+    "us.nc",
+    35.76,
+    -79.02,
+    "North Carolina",
+    { fr: "Caroline du Nord", es: "Carolina del Norte", tr: "Kuzey Carolina" },
+  ],
+  ["us.va", 37.43, -78.66, "Virginia", { fr: "Virginie" }],
+  ["us.ma", 42.26, -71.81, "Massachusetts"],
+  ["ca.on", 51.25, -85.32, "Ontario"],
+  ["ca.qc", 52.94, -73.55, "Quebec", { fr: "Québec" }],
+  [
+    "ca.bc",
+    53.73,
+    -127.65,
+    "British Columbia",
+    { fr: "Colombie-Britannique", es: "Columbia Británica" },
+  ],
+  [
+    "gb.eng",
+    52.36,
+    -1.17,
+    "England",
+    { fr: "Angleterre", es: "Inglaterra", it: "Inghilterra", tr: "İngiltere" },
+  ],
+  [
+    "gb.sct",
+    56.49,
+    -4.2,
+    "Scotland",
+    {
+      de: "Schottland",
+      fr: "Écosse",
+      es: "Escocia",
+      it: "Scozia",
+      tr: "İskoçya",
+    },
+  ],
+  [
+    "gb.wls",
+    52.13,
+    -3.78,
+    "Wales",
+    { fr: "Pays de Galles", es: "Gales", it: "Galles", tr: "Galler" },
+  ],
+  [
+    "gb.nir",
+    54.79,
+    -6.49,
+    "Northern Ireland",
+    {
+      de: "Nordirland",
+      fr: "Irlande du Nord",
+      es: "Irlanda del Norte",
+      it: "Irlanda del Nord",
+      tr: "Kuzey İrlanda",
+    },
+  ],
+  [
+    "de.by",
+    48.79,
+    11.5,
+    "Bavaria",
+    {
+      de: "Bayern",
+      fr: "Bavière",
+      es: "Baviera",
+      it: "Baviera",
+      tr: "Bavyera",
+    },
+  ],
+  [
+    "de.nw",
+    51.43,
+    7.66,
+    "North Rhine-Westphalia",
+    {
+      de: "Nordrhein-Westfalen",
+      fr: "Rhénanie-du-Nord-Westphalie",
+      es: "Renania del Norte-Westfalia",
+    },
+  ],
+  ["de.bw", 48.66, 9.35, "Baden-Württemberg"],
+  ["de.he", 50.65, 9.16, "Hesse", { de: "Hessen" }],
+  [
+    "de.ni",
+    52.64,
+    9.85,
+    "Lower Saxony",
+    { de: "Niedersachsen", fr: "Basse-Saxe", es: "Baja Sajonia" },
+  ],
+  [
+    "de.sn",
+    51.1,
+    13.2,
+    "Saxony",
+    { de: "Sachsen", fr: "Saxe", es: "Sajonia", it: "Sassonia" },
+  ],
+  ["ch.ti", 46.33, 8.8, "Ticino", { de: "Tessin", fr: "Tessin" }],
+  ["ch.vs", 46.19, 7.6, "Valais", { de: "Wallis", it: "Vallese" }],
+  ["ch.gr", 46.66, 9.63, "Graubünden", { fr: "Grisons", it: "Grigioni" }],
+  ["fr.idf", 48.85, 2.64, "Île-de-France"],
+  [
+    "fr.bre",
+    48.2,
+    -2.93,
+    "Brittany",
+    { fr: "Bretagne", de: "Bretagne", es: "Bretaña", it: "Bretagna" },
+  ],
+  [
+    "fr.cor",
+    42.04,
+    9.01,
+    "Corsica",
+    { fr: "Corse", de: "Korsika", es: "Córcega" },
+  ],
+  [
+    "es.ct",
+    41.59,
+    1.52,
+    "Catalonia",
+    {
+      es: "Cataluña",
+      ca: "Catalunya",
+      fr: "Catalogne",
+      de: "Katalonien",
+      it: "Catalogna",
+      tr: "Katalonya",
+    },
+  ],
+  [
+    "es.an",
+    37.54,
+    -4.73,
+    "Andalusia",
+    {
+      es: "Andalucía",
+      fr: "Andalousie",
+      de: "Andalusien",
+      it: "Andalusia",
+      tr: "Endülüs",
+    },
+  ],
+  [
+    "es.pv",
+    42.99,
+    -2.62,
+    "Basque Country",
+    {
+      es: "País Vasco",
+      eu: "Euskadi",
+      fr: "Pays basque",
+      de: "Baskenland",
+      it: "Paesi Baschi",
+      tr: "Bask Bölgesi",
+    },
+  ],
+  [
+    "it.25",
+    45.47,
+    9.85,
+    "Lombardy",
+    { it: "Lombardia", fr: "Lombardie", de: "Lombardei", es: "Lombardía" },
+  ],
+  ["it.62", 41.87, 12.86, "Lazio", { fr: "Latium", de: "Latium" }],
+  [
+    "it.21",
+    45.05,
+    7.52,
+    "Piedmont",
+    { it: "Piemonte", fr: "Piémont", de: "Piemont" },
+  ],
+  [
+    "it.52",
+    43.77,
+    11.25,
+    "Tuscany",
+    {
+      it: "Toscana",
+      fr: "Toscane",
+      de: "Toskana",
+      es: "Toscana",
+      tr: "Toskana",
+    },
+  ],
+  [
+    "it.82",
+    37.6,
+    14.02,
+    "Sicily",
+    {
+      it: "Sicilia",
+      fr: "Sicile",
+      de: "Sizilien",
+      es: "Sicilia",
+      tr: "Sicilya",
+    },
+  ],
+  ["in.mh", 19.75, 75.71, "Maharashtra"],
+  ["au.nsw", -31.84, 145.61, "New South Wales"],
+  ["au.vic", -36.9, 144.3, "Victoria", {}, { context: true }],
+];
+
+const CITIES = [
+  // Americas
+  [
+    "us.new-york",
+    40.71,
+    -74.01,
+    "New York",
+    { es: "Nueva York", pt: "Nova Iorque" },
+    { parent: "us.ny", aliases: ["New York City", "NYC"] },
+  ],
+  [
+    "us.washington-dc",
+    38.91,
+    -77.04,
+    "Washington",
+    { fr: "Washington", es: "Washington" },
+    { aliases: ["Washington, D.C.", "Washington DC"] },
+  ],
+  ["us.los-angeles", 34.05, -118.24, "Los Angeles", {}, { parent: "us.ca" }],
+  [
+    "us.san-francisco",
+    37.77,
+    -122.42,
+    "San Francisco",
+    {},
+    { parent: "us.ca" },
+  ],
+  ["us.chicago", 41.88, -87.63, "Chicago", {}, { parent: "us.il" }],
+  ["us.houston", 29.76, -95.37, "Houston", {}, { parent: "us.tx" }],
+  ["us.dallas", 32.78, -96.8, "Dallas", {}, { parent: "us.tx" }],
+  ["us.miami", 25.76, -80.19, "Miami", {}, { parent: "us.fl" }],
+  ["us.boston", 42.36, -71.06, "Boston", {}, { parent: "us.ma" }],
+  ["us.atlanta", 33.75, -84.39, "Atlanta", {}, { parent: "us.ga" }],
+  [
+    "us.philadelphia",
+    39.95,
+    -75.17,
+    "Philadelphia",
+    { fr: "Philadelphie", es: "Filadelfia", it: "Filadelfia" },
+    { parent: "us.pa" },
+  ],
+  [
+    "us.phoenix",
+    33.45,
+    -112.07,
+    "Phoenix",
+    {},
+    { parent: "us.az", context: true },
+  ],
+  ["us.las-vegas", 36.17, -115.14, "Las Vegas", {}, { parent: "us.nv" }],
+  ["us.detroit", 42.33, -83.05, "Detroit", {}, { parent: "us.mi" }],
+  ["us.seattle", 47.61, -122.33, "Seattle"],
+  ["us.denver", 39.74, -104.99, "Denver"],
+  ["ca.toronto", 43.65, -79.38, "Toronto", {}, { parent: "ca.on" }],
+  ["ca.ottawa", 45.42, -75.7, "Ottawa", {}, { parent: "ca.on" }],
+  [
+    "ca.montreal",
+    45.5,
+    -73.57,
+    "Montreal",
+    { fr: "Montréal" },
+    { parent: "ca.qc" },
+  ],
+  ["ca.vancouver", 49.28, -123.12, "Vancouver", {}, { parent: "ca.bc" }],
+  [
+    "mx.mexico-city",
+    19.43,
+    -99.13,
+    "Mexico City",
+    {
+      es: "Ciudad de México",
+      de: "Mexiko-Stadt",
+      fr: "Mexico",
+      it: "Città del Messico",
+    },
+    { aliases: ["CDMX"] },
+  ],
+  [
+    "cu.havana",
+    23.11,
+    -82.37,
+    "Havana",
+    {
+      es: "La Habana",
+      de: "Havanna",
+      fr: "La Havane",
+      it: "L'Avana",
+      tr: "Havana",
+    },
+  ],
+  ["br.sao-paulo", -23.55, -46.63, "São Paulo", { it: "San Paolo" }],
+  ["br.rio-de-janeiro", -22.91, -43.17, "Rio de Janeiro"],
+  ["br.brasilia", -15.79, -47.88, "Brasília"],
+  ["ar.buenos-aires", -34.6, -58.38, "Buenos Aires"],
+  [
+    "cl.santiago",
+    -33.45,
+    -70.67,
+    "Santiago",
+    { es: "Santiago de Chile" },
+    { context: true },
+  ],
+  ["co.bogota", 4.71, -74.07, "Bogotá"],
+  ["pe.lima", -12.05, -77.04, "Lima"],
+  ["ve.caracas", 10.48, -66.9, "Caracas"],
+  // Europe
+  [
+    "gb.london",
+    51.51,
+    -0.13,
+    "London",
+    { fr: "Londres", es: "Londres", it: "Londra", pt: "Londres", tr: "Londra" },
+    { parent: "gb.eng" },
+  ],
+  ["gb.manchester", 53.48, -2.24, "Manchester", {}, { parent: "gb.eng" }],
+  ["gb.birmingham", 52.49, -1.89, "Birmingham", {}, { parent: "gb.eng" }],
+  ["gb.liverpool", 53.41, -2.98, "Liverpool", {}, { parent: "gb.eng" }],
+  ["gb.leeds", 53.8, -1.55, "Leeds", {}, { parent: "gb.eng" }],
+  ["gb.bristol", 51.45, -2.59, "Bristol", {}, { parent: "gb.eng" }],
+  [
+    "gb.newcastle",
+    54.98,
+    -1.61,
+    "Newcastle",
+    {},
+    { parent: "gb.eng", aliases: ["Newcastle upon Tyne"] },
+  ],
+  [
+    "gb.glasgow",
+    55.86,
+    -4.25,
+    "Glasgow",
+    { fr: "Glasgow" },
+    { parent: "gb.sct" },
+  ],
+  [
+    "gb.edinburgh",
+    55.95,
+    -3.19,
+    "Edinburgh",
+    { fr: "Édimbourg", es: "Edimburgo", it: "Edimburgo", tr: "Edinburg" },
+    { parent: "gb.sct" },
+  ],
+  ["gb.cardiff", 51.48, -3.18, "Cardiff", {}, { parent: "gb.wls" }],
+  ["gb.belfast", 54.6, -5.93, "Belfast", {}, { parent: "gb.nir" }],
+  ["ie.dublin", 53.35, -6.26, "Dublin", { es: "Dublín", it: "Dublino" }],
+  ["ie.cork", 51.9, -8.47, "Cork", {}, { context: true }],
+  [
+    "fr.paris",
+    48.86,
+    2.35,
+    "Paris",
+    { es: "París", it: "Parigi" },
+    { parent: "fr.idf" },
+  ],
+  [
+    "fr.marseille",
+    43.3,
+    5.37,
+    "Marseille",
+    { es: "Marsella", it: "Marsiglia" },
+    { aliases: ["Marseilles"] },
+  ],
+  ["fr.lyon", 45.76, 4.84, "Lyon", { it: "Lione" }, { aliases: ["Lyons"] }],
+  ["fr.bordeaux", 44.84, -0.58, "Bordeaux", { es: "Burdeos" }],
+  [
+    "fr.strasbourg",
+    48.57,
+    7.75,
+    "Strasbourg",
+    { de: "Straßburg", es: "Estrasburgo", it: "Strasburgo" },
+  ],
+  ["fr.lille", 50.63, 3.06, "Lille"],
+  [
+    "fr.nice",
+    43.7,
+    7.27,
+    "Nice",
+    { it: "Nizza", es: "Niza" },
+    { context: true },
+  ],
+  ["de.berlin", 52.52, 13.41, "Berlin", { es: "Berlín", it: "Berlino" }],
+  [
+    "de.hamburg",
+    53.55,
+    9.99,
+    "Hamburg",
+    { fr: "Hambourg", es: "Hamburgo", it: "Amburgo" },
+  ],
+  [
+    "de.munich",
+    48.14,
+    11.58,
+    "Munich",
+    { de: "München", es: "Múnich", it: "Monaco di Baviera", tr: "Münih" },
+    { parent: "de.by" },
+  ],
+  [
+    "de.cologne",
+    50.94,
+    6.96,
+    "Cologne",
+    { de: "Köln", es: "Colonia", it: "Colonia", tr: "Köln" },
+    { parent: "de.nw" },
+  ],
+  [
+    "de.frankfurt",
+    50.11,
+    8.68,
+    "Frankfurt",
+    { fr: "Francfort", es: "Fráncfort", it: "Francoforte" },
+    { parent: "de.he", aliases: ["Frankfurt am Main"] },
+  ],
+  [
+    "de.stuttgart",
+    48.78,
+    9.18,
+    "Stuttgart",
+    { es: "Stuttgart", it: "Stoccarda" },
+    { parent: "de.bw" },
+  ],
+  [
+    "de.dusseldorf",
+    51.23,
+    6.77,
+    "Düsseldorf",
+    { es: "Düsseldorf" },
+    { parent: "de.nw" },
+  ],
+  ["de.dortmund", 51.51, 7.47, "Dortmund", {}, { parent: "de.nw" }],
+  [
+    "de.leipzig",
+    51.34,
+    12.37,
+    "Leipzig",
+    { fr: "Leipzig", es: "Leipzig", it: "Lipsia" },
+    { parent: "de.sn" },
+  ],
+  [
+    "de.dresden",
+    51.05,
+    13.74,
+    "Dresden",
+    { fr: "Dresde", es: "Dresde", it: "Dresda" },
+    { parent: "de.sn" },
+  ],
+  [
+    "de.hanover",
+    52.37,
+    9.73,
+    "Hanover",
+    { de: "Hannover", fr: "Hanovre", es: "Hannover", it: "Hannover" },
+    { parent: "de.ni" },
+  ],
+  ["de.bremen", 53.08, 8.8, "Bremen", { fr: "Brême", it: "Brema" }],
+  [
+    "ch.zurich",
+    47.38,
+    8.54,
+    "Zurich",
+    { de: "Zürich", es: "Zúrich", it: "Zurigo", tr: "Zürih" },
+  ],
+  [
+    "ch.geneva",
+    46.2,
+    6.14,
+    "Geneva",
+    { de: "Genf", fr: "Genève", es: "Ginebra", it: "Ginevra", tr: "Cenevre" },
+  ],
+  ["ch.bern", 46.95, 7.45, "Bern", { fr: "Berne", es: "Berna", it: "Berna" }],
+  [
+    "ch.basel",
+    47.56,
+    7.59,
+    "Basel",
+    { fr: "Bâle", es: "Basilea", it: "Basilea" },
+  ],
+  ["ch.lausanne", 46.52, 6.63, "Lausanne", { es: "Lausana", it: "Losanna" }],
+  [
+    "ch.lucerne",
+    47.05,
+    8.31,
+    "Lucerne",
+    { de: "Luzern", es: "Lucerna", it: "Lucerna" },
+  ],
+  ["ch.lugano", 46.0, 8.95, "Lugano", {}, { parent: "ch.ti" }],
+  [
+    "at.vienna",
+    48.21,
+    16.37,
+    "Vienna",
+    { de: "Wien", fr: "Vienne", es: "Viena", tr: "Viyana" },
+  ],
+  [
+    "at.salzburg",
+    47.81,
+    13.04,
+    "Salzburg",
+    { fr: "Salzbourg", es: "Salzburgo", it: "Salisburgo" },
+  ],
+  ["at.graz", 47.07, 15.44, "Graz"],
+  ["at.innsbruck", 47.27, 11.39, "Innsbruck"],
+  [
+    "it.rome",
+    41.9,
+    12.5,
+    "Rome",
+    { it: "Roma", de: "Rom", es: "Roma", tr: "Roma" },
+    { parent: "it.62" },
+  ],
+  [
+    "it.milan",
+    45.46,
+    9.19,
+    "Milan",
+    { it: "Milano", de: "Mailand", es: "Milán", tr: "Milano" },
+    { parent: "it.25" },
+  ],
+  [
+    "it.naples",
+    40.85,
+    14.27,
+    "Naples",
+    { it: "Napoli", de: "Neapel", es: "Nápoles", tr: "Napoli" },
+  ],
+  [
+    "it.turin",
+    45.07,
+    7.69,
+    "Turin",
+    { it: "Torino", es: "Turín", tr: "Torino" },
+    { parent: "it.21" },
+  ],
+  [
+    "it.florence",
+    43.77,
+    11.26,
+    "Florence",
+    { it: "Firenze", de: "Florenz", es: "Florencia", tr: "Floransa" },
+    { parent: "it.52", context: true },
+  ],
+  [
+    "it.venice",
+    45.44,
+    12.32,
+    "Venice",
+    {
+      it: "Venezia",
+      de: "Venedig",
+      fr: "Venise",
+      es: "Venecia",
+      tr: "Venedik",
+    },
+  ],
+  [
+    "it.palermo",
+    38.12,
+    13.36,
+    "Palermo",
+    { fr: "Palerme" },
+    { parent: "it.82" },
+  ],
+  ["es.madrid", 40.42, -3.7, "Madrid"],
+  [
+    "es.barcelona",
+    41.39,
+    2.17,
+    "Barcelona",
+    { fr: "Barcelone", it: "Barcellona" },
+    { parent: "es.ct" },
+  ],
+  ["es.valencia", 39.47, -0.38, "Valencia", { ca: "València" }],
+  [
+    "es.seville",
+    37.39,
+    -5.98,
+    "Seville",
+    { es: "Sevilla", fr: "Séville", it: "Siviglia", tr: "Sevilla" },
+    { parent: "es.an" },
+  ],
+  ["es.malaga", 36.72, -4.42, "Málaga", {}, { parent: "es.an" }],
+  ["es.bilbao", 43.26, -2.93, "Bilbao", {}, { parent: "es.pv" }],
+  [
+    "pt.lisbon",
+    38.72,
+    -9.14,
+    "Lisbon",
+    {
+      pt: "Lisboa",
+      de: "Lissabon",
+      fr: "Lisbonne",
+      es: "Lisboa",
+      it: "Lisbona",
+      tr: "Lizbon",
+    },
+  ],
+  ["pt.porto", 41.15, -8.61, "Porto", { es: "Oporto" }],
+  ["nl.amsterdam", 52.37, 4.9, "Amsterdam", { es: "Ámsterdam" }],
+  ["nl.rotterdam", 51.92, 4.48, "Rotterdam", { es: "Róterdam" }],
+  [
+    "nl.the-hague",
+    52.08,
+    4.3,
+    "The Hague",
+    {
+      nl: "Den Haag",
+      de: "Den Haag",
+      fr: "La Haye",
+      es: "La Haya",
+      it: "L'Aia",
+      tr: "Lahey",
+    },
+  ],
+  [
+    "be.brussels",
+    50.85,
+    4.35,
+    "Brussels",
+    {
+      fr: "Bruxelles",
+      nl: "Brussel",
+      de: "Brüssel",
+      es: "Bruselas",
+      it: "Bruxelles",
+      tr: "Brüksel",
+    },
+  ],
+  [
+    "be.antwerp",
+    51.22,
+    4.4,
+    "Antwerp",
+    {
+      nl: "Antwerpen",
+      de: "Antwerpen",
+      fr: "Anvers",
+      es: "Amberes",
+      it: "Anversa",
+    },
+  ],
+  [
+    "dk.copenhagen",
+    55.68,
+    12.57,
+    "Copenhagen",
+    {
+      da: "København",
+      de: "Kopenhagen",
+      fr: "Copenhague",
+      es: "Copenhague",
+      it: "Copenaghen",
+      tr: "Kopenhag",
+    },
+  ],
+  [
+    "se.stockholm",
+    59.33,
+    18.07,
+    "Stockholm",
+    { es: "Estocolmo", it: "Stoccolma" },
+  ],
+  ["no.oslo", 59.91, 10.75, "Oslo"],
+  ["fi.helsinki", 60.17, 24.94, "Helsinki", { sv: "Helsingfors" }],
+  ["is.reykjavik", 64.15, -21.94, "Reykjavík", {}, { aliases: ["Reykjavik"] }],
+  [
+    "pl.warsaw",
+    52.23,
+    21.01,
+    "Warsaw",
+    {
+      pl: "Warszawa",
+      de: "Warschau",
+      fr: "Varsovie",
+      es: "Varsovia",
+      it: "Varsavia",
+      tr: "Varşova",
+    },
+  ],
+  [
+    "pl.krakow",
+    50.06,
+    19.94,
+    "Kraków",
+    { de: "Krakau", fr: "Cracovie", es: "Cracovia", it: "Cracovia" },
+    { aliases: ["Cracow"] },
+  ],
+  [
+    "cz.prague",
+    50.08,
+    14.44,
+    "Prague",
+    { cs: "Praha", de: "Prag", es: "Praga", it: "Praga", tr: "Prag" },
+  ],
+  ["sk.bratislava", 48.15, 17.11, "Bratislava", { de: "Pressburg" }],
+  ["hu.budapest", 47.5, 19.04, "Budapest", { tr: "Budapeşte" }],
+  [
+    "ro.bucharest",
+    44.43,
+    26.1,
+    "Bucharest",
+    {
+      ro: "București",
+      de: "Bukarest",
+      fr: "Bucarest",
+      es: "Bucarest",
+      it: "Bucarest",
+      tr: "Bükreş",
+    },
+  ],
+  [
+    "bg.sofia",
+    42.7,
+    23.32,
+    "Sofia",
+    { bg: "София", fr: "Sofia", tr: "Sofya" },
+    { context: true },
+  ],
+  [
+    "gr.athens",
+    37.98,
+    23.73,
+    "Athens",
+    {
+      el: "Αθήνα",
+      de: "Athen",
+      fr: "Athènes",
+      es: "Atenas",
+      it: "Atene",
+      tr: "Atina",
+    },
+  ],
+  [
+    "gr.thessaloniki",
+    40.64,
+    22.94,
+    "Thessaloniki",
+    { fr: "Thessalonique", es: "Tesalónica", it: "Salonicco", tr: "Selanik" },
+  ],
+  ["cy.nicosia", 35.17, 33.36, "Nicosia", { fr: "Nicosie", tr: "Lefkoşa" }],
+  ["hr.zagreb", 45.81, 15.98, "Zagreb"],
+  ["si.ljubljana", 46.06, 14.51, "Ljubljana", { de: "Laibach" }],
+  [
+    "rs.belgrade",
+    44.79,
+    20.45,
+    "Belgrade",
+    {
+      sr: "Beograd",
+      de: "Belgrad",
+      es: "Belgrado",
+      it: "Belgrado",
+      tr: "Belgrad",
+    },
+  ],
+  [
+    "ba.sarajevo",
+    43.86,
+    18.41,
+    "Sarajevo",
+    { es: "Sarajevo", tr: "Saraybosna" },
+  ],
+  [
+    "ua.kyiv",
+    50.45,
+    30.52,
+    "Kyiv",
+    { uk: "Київ", de: "Kiew", fr: "Kiev", es: "Kiev", it: "Kiev", tr: "Kiev" },
+    { aliases: ["Kiev"] },
+  ],
+  [
+    "ua.kharkiv",
+    49.99,
+    36.23,
+    "Kharkiv",
+    { uk: "Харків", de: "Charkiw", tr: "Harkiv" },
+    { aliases: ["Kharkov"] },
+  ],
+  ["ua.odesa", 46.48, 30.72, "Odesa", { uk: "Одеса" }, { aliases: ["Odessa"] }],
+  ["ua.lviv", 49.84, 24.03, "Lviv", { uk: "Львів", de: "Lemberg", tr: "Lviv" }],
+  ["ua.donetsk", 48.0, 37.8, "Donetsk", { uk: "Донецьк", de: "Donezk" }],
+  [
+    "ru.moscow",
+    55.76,
+    37.62,
+    "Moscow",
+    {
+      ru: "Москва",
+      de: "Moskau",
+      fr: "Moscou",
+      es: "Moscú",
+      it: "Mosca",
+      tr: "Moskova",
+    },
+  ],
+  [
+    "ru.saint-petersburg",
+    59.93,
+    30.34,
+    "Saint Petersburg",
+    {
+      ru: "Санкт-Петербург",
+      de: "Sankt Petersburg",
+      fr: "Saint-Pétersbourg",
+      es: "San Petersburgo",
+      it: "San Pietroburgo",
+    },
+    { aliases: ["St Petersburg", "St. Petersburg"] },
+  ],
+  ["by.minsk", 53.9, 27.56, "Minsk"],
+  ["lt.vilnius", 54.69, 25.28, "Vilnius", { de: "Wilna" }],
+  ["lv.riga", 56.95, 24.11, "Riga", { lv: "Rīga" }],
+  ["ee.tallinn", 59.44, 24.75, "Tallinn"],
+  ["md.chisinau", 47.01, 28.86, "Chișinău", {}, { aliases: ["Chisinau"] }],
+  // Turkey, Caucasus, Middle East
+  ["tr.istanbul", 41.01, 28.98, "Istanbul", { tr: "İstanbul", es: "Estambul" }],
+  ["tr.ankara", 39.93, 32.86, "Ankara"],
+  ["tr.izmir", 38.42, 27.14, "İzmir", {}, { aliases: ["Izmir"] }],
+  ["tr.antalya", 36.9, 30.71, "Antalya"],
+  ["tr.bursa", 40.19, 29.06, "Bursa"],
+  ["tr.adana", 37.0, 35.32, "Adana"],
+  ["tr.gaziantep", 37.07, 37.38, "Gaziantep"],
+  ["tr.konya", 37.87, 32.48, "Konya"],
+  ["tr.kayseri", 38.72, 35.48, "Kayseri"],
+  ["tr.eskisehir", 39.78, 30.52, "Eskişehir"],
+  ["tr.diyarbakir", 37.91, 40.23, "Diyarbakır"],
+  ["tr.trabzon", 41.0, 39.72, "Trabzon"],
+  ["ge.tbilisi", 41.72, 44.79, "Tbilisi", { de: "Tiflis", tr: "Tiflis" }],
+  [
+    "am.yerevan",
+    40.18,
+    44.51,
+    "Yerevan",
+    { de: "Jerewan", fr: "Erevan", es: "Ereván", tr: "Erivan" },
+  ],
+  ["az.baku", 40.41, 49.87, "Baku", { az: "Bakı", fr: "Bakou", tr: "Bakü" }],
+  [
+    "il.jerusalem",
+    31.77,
+    35.21,
+    "Jerusalem",
+    { fr: "Jérusalem", es: "Jerusalén", it: "Gerusalemme", tr: "Kudüs" },
+  ],
+  ["il.tel-aviv", 32.09, 34.78, "Tel Aviv"],
+  [
+    "ps.gaza",
+    31.5,
+    34.47,
+    "Gaza",
+    { tr: "Gazze" },
+    { aliases: ["Gaza City", "Gaza Strip"] },
+  ],
+  ["ps.ramallah", 31.9, 35.2, "Ramallah"],
+  ["lb.beirut", 33.89, 35.5, "Beirut", { fr: "Beyrouth", tr: "Beyrut" }],
+  [
+    "sy.damascus",
+    33.51,
+    36.29,
+    "Damascus",
+    { de: "Damaskus", fr: "Damas", es: "Damasco", it: "Damasco", tr: "Şam" },
+  ],
+  [
+    "sy.aleppo",
+    36.2,
+    37.16,
+    "Aleppo",
+    { fr: "Alep", es: "Alepo", tr: "Halep" },
+  ],
+  ["jo.amman", 31.95, 35.93, "Amman", { es: "Amán" }],
+  [
+    "iq.baghdad",
+    33.31,
+    44.37,
+    "Baghdad",
+    { de: "Bagdad", fr: "Bagdad", es: "Bagdad", tr: "Bağdat" },
+  ],
+  [
+    "ir.tehran",
+    35.69,
+    51.39,
+    "Tehran",
+    {
+      de: "Teheran",
+      fr: "Téhéran",
+      es: "Teherán",
+      it: "Teheran",
+      tr: "Tahran",
+    },
+  ],
+  [
+    "sa.riyadh",
+    24.71,
+    46.68,
+    "Riyadh",
+    { de: "Riad", fr: "Riyad", es: "Riad", it: "Riad", tr: "Riyad" },
+  ],
+  ["ae.dubai", 25.2, 55.27, "Dubai", { fr: "Dubaï", es: "Dubái" }],
+  ["ae.abu-dhabi", 24.45, 54.38, "Abu Dhabi", { es: "Abu Dabi" }],
+  ["qa.doha", 25.29, 51.53, "Doha"],
+  // Africa
+  [
+    "eg.cairo",
+    30.04,
+    31.24,
+    "Cairo",
+    {
+      de: "Kairo",
+      fr: "Le Caire",
+      es: "El Cairo",
+      it: "Il Cairo",
+      tr: "Kahire",
+    },
+  ],
+  ["ma.casablanca", 33.57, -7.59, "Casablanca", { tr: "Kazablanka" }],
+  ["ma.rabat", 34.02, -6.83, "Rabat"],
+  ["tn.tunis", 36.81, 10.18, "Tunis", { es: "Túnez", it: "Tunisi" }],
+  [
+    "dz.algiers",
+    36.75,
+    3.06,
+    "Algiers",
+    { de: "Algier", fr: "Alger", es: "Argel", it: "Algeri" },
+  ],
+  ["ly.tripoli", 32.89, 13.19, "Tripoli", { es: "Trípoli", tr: "Trablus" }],
+  [
+    "sd.khartoum",
+    15.5,
+    32.56,
+    "Khartoum",
+    { de: "Khartum", es: "Jartum", tr: "Hartum" },
+  ],
+  [
+    "et.addis-ababa",
+    9.03,
+    38.74,
+    "Addis Ababa",
+    { de: "Addis Abeba", fr: "Addis-Abeba", es: "Adís Abeba" },
+  ],
+  ["ke.nairobi", -1.29, 36.82, "Nairobi"],
+  ["ng.lagos", 6.52, 3.38, "Lagos"],
+  ["ng.abuja", 9.08, 7.4, "Abuja"],
+  ["gh.accra", 5.6, -0.19, "Accra"],
+  ["sn.dakar", 14.72, -17.47, "Dakar"],
+  ["cd.kinshasa", -4.44, 15.27, "Kinshasa"],
+  [
+    "so.mogadishu",
+    2.05,
+    45.32,
+    "Mogadishu",
+    { de: "Mogadischu", fr: "Mogadiscio", es: "Mogadiscio", tr: "Mogadişu" },
+  ],
+  ["za.johannesburg", -26.2, 28.05, "Johannesburg", { es: "Johannesburgo" }],
+  [
+    "za.cape-town",
+    -33.92,
+    18.42,
+    "Cape Town",
+    {
+      de: "Kapstadt",
+      fr: "Le Cap",
+      es: "Ciudad del Cabo",
+      it: "Città del Capo",
+    },
+  ],
+  // Asia and Oceania
+  ["af.kabul", 34.56, 69.21, "Kabul", { fr: "Kaboul" }],
+  ["pk.islamabad", 33.68, 73.05, "Islamabad"],
+  ["pk.karachi", 24.86, 67.01, "Karachi", { tr: "Karaçi" }],
+  ["pk.lahore", 31.55, 74.34, "Lahore"],
+  [
+    "in.new-delhi",
+    28.61,
+    77.21,
+    "New Delhi",
+    {
+      de: "Neu-Delhi",
+      fr: "New Delhi",
+      es: "Nueva Delhi",
+      it: "Nuova Delhi",
+      tr: "Yeni Delhi",
+    },
+    { aliases: ["Delhi"] },
+  ],
+  [
+    "in.mumbai",
+    19.08,
+    72.88,
+    "Mumbai",
+    {},
+    { parent: "in.mh", aliases: ["Bombay"] },
+  ],
+  ["in.bengaluru", 12.97, 77.59, "Bengaluru", {}, { aliases: ["Bangalore"] }],
+  ["in.kolkata", 22.57, 88.36, "Kolkata", {}, { aliases: ["Calcutta"] }],
+  ["in.chennai", 13.08, 80.27, "Chennai", {}, { aliases: ["Madras"] }],
+  ["bd.dhaka", 23.81, 90.41, "Dhaka", { tr: "Dakka" }],
+  [
+    "cn.beijing",
+    39.9,
+    116.41,
+    "Beijing",
+    { de: "Peking", fr: "Pékin", es: "Pekín", it: "Pechino", tr: "Pekin" },
+  ],
+  ["cn.shanghai", 31.23, 121.47, "Shanghai", { es: "Shanghái", tr: "Şanghay" }],
+  ["cn.shenzhen", 22.54, 114.06, "Shenzhen"],
+  ["cn.guangzhou", 23.13, 113.26, "Guangzhou"],
+  ["cn.wuhan", 30.59, 114.31, "Wuhan"],
+  ["tw.taipei", 25.03, 121.57, "Taipei", { es: "Taipéi" }],
+  ["jp.tokyo", 35.68, 139.69, "Tokyo", { de: "Tokio", es: "Tokio" }],
+  ["jp.osaka", 34.69, 135.5, "Osaka"],
+  ["jp.kyoto", 35.01, 135.77, "Kyoto"],
+  ["jp.hiroshima", 34.39, 132.46, "Hiroshima"],
+  ["kr.seoul", 37.57, 126.98, "Seoul", { fr: "Séoul", es: "Seúl" }],
+  [
+    "kp.pyongyang",
+    39.04,
+    125.76,
+    "Pyongyang",
+    { de: "Pjöngjang", es: "Pionyang" },
+  ],
+  ["vn.hanoi", 21.03, 105.85, "Hanoi", { es: "Hanói" }],
+  [
+    "vn.ho-chi-minh-city",
+    10.82,
+    106.63,
+    "Ho Chi Minh City",
+    {},
+    { aliases: ["Saigon"] },
+  ],
+  ["th.bangkok", 13.76, 100.5, "Bangkok", { es: "Bangkok" }],
+  ["my.kuala-lumpur", 3.14, 101.69, "Kuala Lumpur"],
+  [
+    "id.jakarta",
+    -6.21,
+    106.85,
+    "Jakarta",
+    { fr: "Jakarta", es: "Yakarta", tr: "Cakarta" },
+  ],
+  ["ph.manila", 14.6, 120.98, "Manila", { fr: "Manille" }],
+  ["mm.yangon", 16.87, 96.2, "Yangon", {}, { aliases: ["Rangoon"] }],
+  [
+    "au.sydney",
+    -33.87,
+    151.21,
+    "Sydney",
+    { es: "Sídney" },
+    { parent: "au.nsw" },
+  ],
+  ["au.melbourne", -37.81, 144.96, "Melbourne", {}, { parent: "au.vic" }],
+  ["au.canberra", -35.28, 149.13, "Canberra"],
+  ["au.brisbane", -27.47, 153.03, "Brisbane"],
+  ["au.perth", -31.95, 115.86, "Perth", {}, { context: true }],
+  ["nz.auckland", -36.85, 174.76, "Auckland"],
+  ["nz.wellington", -41.29, 174.78, "Wellington", {}, { context: true }],
+];
+
+const toPlace =
+  (kind) =>
+  ([code, lat, lon, name, names = {}, extra = {}]) => {
+    const country = code.split(".")[0];
+    return {
+      code,
+      kind,
+      country_code: country,
+      parent_code: kind === "country" ? null : extra.parent || country,
+      lat,
+      lon,
+      name,
+      names: { en: name, ...names },
+      aliases: extra.aliases || [],
+      context: Boolean(extra.context),
+    };
+  };
+
+export const GAZETTEER = [
+  ...COUNTRIES.map(toPlace("country")),
+  ...REGIONS.map(toPlace("region")),
+  ...CITIES.map(toPlace("city")),
+];
@@ -1,25 +1,52 @@
 import dotenv from "dotenv";
 import { createContextLogger } from "../config/logger.js";
+import { resolveApiKey, hasScope } from "../services/apiKeys.js";
 
 dotenv.config();
 
-const _logger = createContextLogger("AuthMiddleware");
+const logger = createContextLogger("AuthMiddleware");
 
-export const optionalAuth = (req, res, next) => {
+// Token from "Authorization: Bearer <api key>", or undefined
+export const bearerToken = (req) => {
   const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
+  return authHeader && authHeader.split(" ")[1];
+};
 
+// Resolve the bearer token to req.apiKey ({ id, name, scopes }).
+// Never rejects; routes enforce access with requireScope.
+export const optionalAuth = async (req, res, next) => {
+  const token = bearerToken(req);
+  req.apiKey = null;
   if (token) {
-    const expectedToken = process.env.EDGE_TOKEN;
-
-    if (expectedToken && token === expectedToken) {
-      req.authenticated = true;
-    } else {
-      req.authenticated = false;
+    try {
+      req.apiKey = await resolveApiKey(token);
+      if (!req.apiKey) req.authError = "Invalid, expired or revoked API key";
+    } catch (error) {
+      logger.error("API key lookup failed", { error: error.message });
+      req.authError = "API key could not be verified";
     }
-  } else {
-    req.authenticated = false;
   }
+  next();
+};
 
+// Anonymous GETs can be allowed during migration to keys (API_PUBLIC_READ=true)
+const publicRead = () =>
+  (process.env.API_PUBLIC_READ || "false").toLowerCase() === "true";
+
+// 401 without a usable key, 403 when the key lacks the scope
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey) {
+    if (scope === "read" && publicRead() && !req.authError) return next();
+    return res.status(401).json({
+      success: false,
+      error: req.authError || "API key required",
+    });
+  }
+  if (!hasScope(req.apiKey.scopes, scope)) {
+    return res.status(403).json({
+      success: false,
+      error: `API key lacks the '${scope}' scope`,
+    });
+  }
   next();
 };
@@ -1,34 +1,90 @@
-import { createRateLimiter } from "../utils/helpers.js";
 import { createContextLogger } from "../config/logger.js";
+import { createRateLimitStore } from "../services/rateLimitStore.js";
+import { needsApiKeyLookup } from "../services/apiKeys.js";
+import { bearerToken } from "./auth.js";
 
 const logger = createContextLogger("RateLimiter");
 
-// Create different rate limiters for different endpoints
-const rateLimiters = {
-  general: createRateLimiter(100, 60 * 1000), // 100 requests per minute
-  crawl: createRateLimiter(10, 60 * 1000), // 10 crawl requests per minute
-  ai: createRateLimiter(20, 60 * 1000), // 20 AI requests per minute
-  search: createRateLimiter(30, 60 * 1000), // 30 search requests per minute
+// Default limits per route group; override with RATE_LIMIT_<GROUP>=<max>/<windowSec>
+// (e.g. RATE_LIMIT_CRAWL=5/60) or per API key via api_keys.rate_limits
+const DEFAULT_LIMITS = {
+  general: { max: 100, windowSec: 60 },
+  crawl: { max: 10, windowSec: 60 },
+  ai: { max: 20, windowSec: 60 },
+  search: { max: 30, windowSec: 60 },
+  // API key lookups that miss the key cache, per IP (keyLookupRateLimit)
+  auth: { max: 30, windowSec: 60 },
 };
 
-const createRateLimit = (type = "general") => {
-  const limiter = rateLimiters[type] || rateLimiters.general;
+// Groups an API key may override (auth runs before the key is known)
+export const RATE_LIMIT_GROUPS = Object.keys(DEFAULT_LIMITS).filter(
+  (group) => group !== "auth"
+);
 
-  return (req, res, next) => {
-    const clientId = req.ip || req.connection.remoteAddress || "unknown";
-    const key = `${type}:${clientId}`;
+const groupLimit = (group) => {
+  const base = DEFAULT_LIMITS[group] || DEFAULT_LIMITS.general;
+  const match = String(process.env[`RATE_LIMIT_${group.toUpperCase()}`] || "")
+    .trim()
+    .match(/^(\d+)\/(\d+)$/);
+  return match
+    ? { max: parseInt(match[1], 10), windowSec: parseInt(match[2], 10) }
+    : base;
+};
+
+let sharedStore = null;
+const defaultStore = () => (sharedStore ||= createRateLimitStore());
+
+// Requests are counted per API key when one is presented, otherwise per IP.
+// Runs after optionalAuth so req.apiKey is resolved. options.skip(req)
+// exempts a request from counting.
+export const createRateLimit = (group = "general", options = {}) => {
+  const { max: defaultMax, windowSec } = groupLimit(group);
+  const windowMs = windowSec * 1000;
+
+  return async (req, res, next) => {
+    if (options.skip?.(req)) return next();
+    const keyOverride = Number(req.apiKey?.rateLimits?.[group]);
+    const max =
+      Number.isFinite(keyOverride) && keyOverride > 0
+        ? keyOverride
+        : defaultMax;
+    const clientId = req.apiKey
+      ? `key:${req.apiKey.id}`
+      : `ip:${req.ip || req.connection?.remoteAddress || "unknown"}`;
 
-    if (!limiter(key)) {
+    let hit;
+    try {
+      hit = await (options.store || defaultStore()).hit(
+        `${group}:${clientId}`,
+        windowMs
+      );
+    } catch (error) {
+      // Never block traffic because the limiter itself failed
+      logger.warn("Rate limit check failed", { group, error: error.message });
+      return next();
+    }
+
+    const resetSec = Math.max(0, Math.ceil((hit.resetAt - Date.now()) / 1000));
+    res.set({
+      "RateLimit-Policy": `${max};w=${windowSec}`,
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - hit.count)),
+      "RateLimit-Reset": String(resetSec),
+    });
+
+    if (hit.count > max) {
       logger.warn("Rate limit exceeded", {
-        type,
-        clientId: clientId.substring(0, 10) + "...",
+        group,
+        clientId: req.apiKey
+          ? `key:${req.apiKey.name}`
+          : clientId.substring(0, 13) + "...",
         path: req.path,
       });
-
+      res.set("Retry-After", String(resetSec));
       return res.status(429).json({
         success: false,
         error: "Rate limit exceeded. Please try again later.",
-        retryAfter: 60,
+        retryAfter: resetSec,
       });
     }
 
@@ -36,4 +92,11 @@ const createRateLimit = (type = "general") => {
   };
 };
 
+// Runs before optionalAuth (so it counts per IP): made-up bearer tokens each
+// cost an api_keys query, while known keys are served from the cache
+export const keyLookupRateLimit = createRateLimit("auth", {
+  skip: (req) => !needsApiKeyLookup(bearerToken(req)),
+});
 export const generalRateLimit = createRateLimit("general");
+export const crawlRateLimit = createRateLimit("crawl");
+export const searchRateLimit = createRateLimit("search");
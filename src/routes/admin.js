@@ -0,0 +1,200 @@
+import express from "express";
+import { createContextLogger } from "../config/logger.js";
+import { requireScope } from "../middleware/auth.js";
+import { crawlRateLimit } from "../middleware/rateLimiter.js";
+import { listJobSummaries, listJobRuns } from "../services/jobRuns.js";
+import {
+  MANUAL_JOBS,
+  PAUSABLE_JOBS,
+  runJob,
+  startJob,
+  setJobPaused,
+  jobRunName,
+} from "../scheduler/jobs.js";
+import { parseBoolean } from "../utils/helpers.js";
+
+const router = express.Router();
+const logger = createContextLogger("AdminAPI");
+
+const RUN_STATUSES = ["running", "succeeded", "failed"];
+const LANG_RE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Who made the change: the name of the API key used
+const actorOf = (req) => `api-key:${req.apiKey.name}`;
+
+// A manual run that did not get its lock: 409 while another run holds it,
+// 503 when the lock table is unreachable
+const lockConflict = (res, name, unavailable) =>
+  unavailable
+    ? res.status(503).json({
+        success: false,
+        error: `${name} lock unavailable; try again later`,
+      })
+    : res.status(409).json({
+        success: false,
+        error: `${name} is already running`,
+      });
+
+// "crawl", "cluster-enrich" (all languages) or "cluster-enrich:<lang>"
+const isPausableName = (name) => {
+  const [base, lang, ...rest] = String(name).split(":");
+  if (!PAUSABLE_JOBS.includes(base) || rest.length) return false;
+  return (
+    lang === undefined || (base === "cluster-enrich" && LANG_RE.test(lang))
+  );
+};
+
+// Scheduler overview: last run, last success/failure and lock holder per job
+router.get("/jobs", requireScope("admin"), async (req, res) => {
+  try {
+    const jobs = await listJobSummaries();
+    res.json({
+      success: true,
+      data: jobs,
+      count: jobs.length,
+    });
+  } catch (error) {
+    logger.error("Failed to get jobs", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve jobs",
+    });
+  }
+});
+
+// Run history for one job, newest first
+router.get("/jobs/:name/runs", requireScope("admin"), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${RUN_STATUSES.join(", ")}`,
+      });
+    }
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 50, 1),
+      200
+    );
+    const runs = await listJobRuns(req.params.name, { status, limit });
+    res.json({
+      success: true,
+      data: runs,
+      count: runs.length,
+    });
+  } catch (error) {
+    logger.error("Failed to get job runs", {
+      job: req.params.name,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve job runs",
+    });
+  }
+});
+
+// crawl keys may run crawls and enrichment; the other jobs delete or rewrite
+// data (log-cleanup, source-reliability) and need admin, like pausing them
+const CRAWL_SCOPE_JOBS = ["crawl", "cluster-enrich"];
+const requireJobScope = (req, res, next) => {
+  const scope = CRAWL_SCOPE_JOBS.includes(req.params.name) ? "crawl" : "admin";
+  return requireScope(scope)(req, res, next);
+};
+
+// Trigger a job now. Runs in the background (202) unless wait=true; 409 when
+// a run of the same job holds the lock. Pause state does not block manual runs.
+router.post(
+  "/jobs/:name/run",
+  requireJobScope,
+  crawlRateLimit,
+  async (req, res) => {
+    const job = req.params.name;
+    try {
+      if (!MANUAL_JOBS.includes(job)) {
+        return res.status(400).json({
+          success: false,
+          error: `job must be one of: ${MANUAL_JOBS.join(", ")}`,
+        });
+      }
+      const body = req.body || {};
+      const params = {};
+      if (job === "cluster-enrich") {
+        const lang = String(body.lang || "").trim();
+        if (!LANG_RE.test(lang)) {
+          return res.status(400).json({
+            success: false,
+            error: "lang is required for cluster-enrich (e.g. en, de)",
+          });
+        }
+        params.lang = lang;
+      }
+      if (job === "crawl") {
+        params.crawlOptions = { dueOnly: parseBoolean(body.dueOnly) };
+      }
+      const options = { params, trigger: "manual", triggeredBy: actorOf(req) };
+      const name = jobRunName(job, params);
+      logger.info("Manual job triggered", {
+        job: name,
+        by: options.triggeredBy,
+      });
+
+      if (parseBoolean(body.wait ?? req.query.wait)) {
+        const { acquired, unavailable, result } = await runJob(job, options);
+        if (!acquired) return lockConflict(res, name, unavailable);
+        return res.json({ success: true, data: { job: name, result } });
+      }
+
+      const started = await startJob(job, options);
+      if (!started.acquired) {
+        return lockConflict(res, name, started.unavailable);
+      }
+      res.status(202).json({
+        success: true,
+        data: { job: name, status: "running", run_id: started.run?.id || null },
+      });
+    } catch (error) {
+      logger.error("Manual job failed", { job, error: error.message });
+      res.status(500).json({
+        success: false,
+        error: "Failed to run job",
+      });
+    }
+  }
+);
+
+const setPaused = (paused) => async (req, res) => {
+  const name = req.params.name;
+  try {
+    if (!isPausableName(name)) {
+      return res.status(400).json({
+        success: false,
+        error: `job must be one of: ${PAUSABLE_JOBS.join(", ")}`,
+      });
+    }
+    const control = await setJobPaused(name, paused, {
+      by: actorOf(req),
+      reason: req.body?.reason,
+    });
+    logger.info(paused ? "Job paused" : "Job resumed", {
+      job: name,
+      by: actorOf(req),
+    });
+    res.json({ success: true, data: control });
+  } catch (error) {
+    logger.error("Failed to update job control", {
+      job: name,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to update job",
+    });
+  }
+};
+
+// Pause/resume scheduled runs; the worker checks on every tick
+router.post("/jobs/:name/pause", requireScope("admin"), setPaused(true));
+router.post("/jobs/:name/resume", requireScope("admin"), setPaused(false));
+
+export default router;
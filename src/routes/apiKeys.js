@@ -0,0 +1,139 @@
+import express from "express";
+import { createContextLogger } from "../config/logger.js";
+import { requireScope } from "../middleware/auth.js";
+import { RATE_LIMIT_GROUPS } from "../middleware/rateLimiter.js";
+import {
+  API_SCOPES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} from "../services/apiKeys.js";
+
+const router = express.Router();
+const logger = createContextLogger("ApiKeysAPI");
+
+router.use(requireScope("admin"));
+
+// List keys (hashes are never returned)
+router.get("/", async (req, res) => {
+  try {
+    const keys = await listApiKeys();
+    res.json({
+      success: true,
+      data: keys,
+      count: keys.length,
+    });
+  } catch (error) {
+    logger.error("Failed to list API keys", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve API keys",
+    });
+  }
+});
+
+// Create a key; the plaintext key is only returned in this response
+router.post("/", async (req, res) => {
+  try {
+    const { name, scopes, expires_at, expires_in_days, rate_limits } =
+      req.body || {};
+    if (!name || typeof name !== "string" || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: "name is required (max 100 characters)",
+      });
+    }
+    const wanted = Array.isArray(scopes) ? [...new Set(scopes)] : [];
+    if (!wanted.length || wanted.some((s) => !API_SCOPES.includes(s))) {
+      return res.status(400).json({
+        success: false,
+        error: `scopes must be a non-empty list of: ${API_SCOPES.join(", ")}`,
+      });
+    }
+    let expiresAt = null;
+    if (expires_in_days !== undefined) {
+      const days = Number(expires_in_days);
+      if (!Number.isFinite(days) || days <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: "expires_in_days must be a positive number",
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    } else if (expires_at) {
+      expiresAt = new Date(expires_at);
+      if (isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+        return res.status(400).json({
+          success: false,
+          error: "expires_at must be a future ISO date",
+        });
+      }
+    }
+    // Per-key request limits per route group, e.g. { "general": 1000 }
+    if (
+      rate_limits !== undefined &&
+      rate_limits !== null &&
+      (typeof rate_limits !== "object" ||
+        Array.isArray(rate_limits) ||
+        Object.entries(rate_limits).some(
+          ([group, max]) =>
+            !RATE_LIMIT_GROUPS.includes(group) ||
+            !Number.isInteger(max) ||
+            max <= 0
+        ))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `rate_limits must map route groups (${RATE_LIMIT_GROUPS.join(
+          ", "
+        )}) to positive integers`,
+      });
+    }
+
+    const { key, record } = await createApiKey({
+      name,
+      scopes: wanted,
+      expiresAt,
+      rateLimits: rate_limits || null,
+      createdBy: `api-key:${req.apiKey.name}`,
+    });
+    res.status(201).json({
+      success: true,
+      data: { ...record, key },
+    });
+  } catch (error) {
+    logger.error("Failed to create API key", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Failed to create API key",
+    });
+  }
+});
+
+// Revoke a key (kept for audit; it stops authenticating immediately on this instance)
+router.delete("/:id", async (req, res) => {
+  try {
+    const key = await revokeApiKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: "API key not found",
+      });
+    }
+    res.json({
+      success: true,
+      data: key,
+    });
+  } catch (error) {
+    logger.error("Failed to revoke API key", {
+      id: req.params.id,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke API key",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,118 @@
+import express from "express";
+import { createContextLogger } from "../config/logger.js";
+import { requireScope } from "../middleware/auth.js";
+import { isCategoryPath } from "../services/categories.js";
+import {
+  decodeCursor,
+  getArticle,
+  listArticles,
+} from "../services/articleReader.js";
+
+const router = express.Router();
+const logger = createContextLogger("ArticlesAPI");
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isoDate = (value) => {
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+};
+
+// List articles, newest first. Pass pagination.next_cursor as ?cursor= for the next page.
+router.get("/", requireScope("read"), async (req, res) => {
+  try {
+    const {
+      source_id,
+      lang,
+      category,
+      cluster_id,
+      from,
+      to,
+      min_score,
+      limit,
+      cursor,
+    } = req.query;
+
+    const filters = {
+      sourceId: source_id,
+      lang,
+      clusterId: cluster_id,
+      limit,
+    };
+    const invalid = (error) => res.status(400).json({ success: false, error });
+
+    if (category !== undefined) {
+      if (!isCategoryPath(category)) {
+        return invalid("category must be a dot-separated path");
+      }
+      filters.category = category;
+    }
+    if (from !== undefined) {
+      filters.from = isoDate(from);
+      if (!filters.from) return invalid("from must be an ISO date");
+    }
+    if (to !== undefined) {
+      filters.to = isoDate(to);
+      if (!filters.to) return invalid("to must be an ISO date");
+    }
+    if (min_score !== undefined) {
+      filters.minScore = Number(min_score);
+      if (!Number.isFinite(filters.minScore)) {
+        return invalid("min_score must be a number");
+      }
+    }
+    if (cursor !== undefined) {
+      filters.cursor = decodeCursor(cursor);
+      if (!filters.cursor) return invalid("Invalid cursor");
+    }
+
+    const page = await listArticles(filters);
+    res.json({
+      success: true,
+      data: page.articles,
+      count: page.articles.length,
+      pagination: {
+        limit: page.limit,
+        next_cursor: page.nextCursor,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to list articles", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve articles",
+    });
+  }
+});
+
+// Article detail with categories, media and score. The body is an excerpt of
+// the extracted text, limited by article_policy and the source's allowed_use.
+router.get("/:id", requireScope("read"), async (req, res) => {
+  try {
+    const article = UUID_RE.test(req.params.id)
+      ? await getArticle(req.params.id)
+      : null;
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: "Article not found",
+      });
+    }
+    res.json({
+      success: true,
+      data: article,
+    });
+  } catch (error) {
+    logger.error("Failed to get article", {
+      articleId: req.params.id,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve article",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,101 @@
+import express from "express";
+import { createContextLogger } from "../config/logger.js";
+import { requireScope } from "../middleware/auth.js";
+import {
+  getCategoryTree,
+  isCategoryPath,
+  listCategoryClusters,
+} from "../services/categories.js";
+
+const router = express.Router();
+const logger = createContextLogger("CategoriesAPI");
+
+// Counting window in days; 0 = all time
+const parseDays = (value) => {
+  if (value === undefined) return 7;
+  const days = parseInt(value, 10);
+  return Number.isInteger(days) && days >= 0 && days <= 365 ? days : null;
+};
+
+// Category tree with article and cluster counts (subpaths included)
+router.get("/", requireScope("read"), async (req, res) => {
+  try {
+    const days = parseDays(req.query.days);
+    if (days === null) {
+      return res.status(400).json({
+        success: false,
+        error: "days must be between 0 and 365",
+      });
+    }
+    const { root } = req.query;
+    if (root !== undefined && !isCategoryPath(root)) {
+      return res.status(400).json({
+        success: false,
+        error: "root must be a dot-separated path",
+      });
+    }
+
+    const tree = await getCategoryTree({ days, root: root || null });
+    if (!tree) {
+      return res.status(404).json({
+        success: false,
+        error: "Category not found",
+      });
+    }
+    res.json({
+      success: true,
+      data: tree,
+      window: { days },
+    });
+  } catch (error) {
+    logger.error("Failed to get category tree", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve categories",
+    });
+  }
+});
+
+// Category feed: clusters with recent articles under the path
+router.get("/:path/clusters", requireScope("read"), async (req, res) => {
+  try {
+    const { path } = req.params;
+    const { lang = "en" } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const days = parseDays(req.query.days);
+    if (!isCategoryPath(path) || days === null) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid category path or days",
+      });
+    }
+
+    const clusters = await listCategoryClusters(path, {
+      days,
+      lang,
+      limit,
+      offset,
+    });
+    res.json({
+      success: true,
+      data: clusters,
+      count: clusters.length,
+      pagination: {
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to list category clusters", {
+      path: req.params.path,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve category clusters",
+    });
+  }
+});
+
+export default router;
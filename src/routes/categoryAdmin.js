@@ -0,0 +1,176 @@
+import express from "express";
+import { createContextLogger } from "../config/logger.js";
+import { requireScope } from "../middleware/auth.js";
+import {
+  addCategoryAlias,
+  categoryExists,
+  isCategoryPath,
+  listCategoryAliases,
+  mergeCategory,
+  removeCategoryAlias,
+} from "../services/categories.js";
+
+const router = express.Router();
+const logger = createContextLogger("CategoryAdminAPI");
+
+router.use(requireScope("admin"));
+
+const actorOf = (req) => `api-key:${req.apiKey.name}`;
+
+const badRequest = (res, error) =>
+  res.status(400).json({ success: false, error });
+
+// Validates { [fromKey], [toKey] } and rejects moving a path into its own subtree
+const readMove = (req, res, fromKey, toKey) => {
+  const from = req.body?.[fromKey];
+  const to = req.body?.[toKey];
+  if (!isCategoryPath(from) || !isCategoryPath(to)) {
+    badRequest(res, `${fromKey} and ${toKey} must be dot-separated paths`);
+    return null;
+  }
+  if (from === to || to.startsWith(`${from}.`)) {
+    badRequest(res, `${toKey} cannot be ${fromKey} or below it`);
+    return null;
+  }
+  return { from, to };
+};
+
+const moveCategory =
+  ({ fromKey, toKey, targetMustExist }) =>
+  async (req, res) => {
+    const move = readMove(req, res, fromKey, toKey);
+    if (!move) return;
+    try {
+      const [fromExists, toExists] = await Promise.all([
+        categoryExists(move.from),
+        categoryExists(move.to),
+      ]);
+      if (!fromExists) {
+        return res.status(404).json({
+          success: false,
+          error: `Category ${move.from} not found`,
+        });
+      }
+      if (toExists !== targetMustExist) {
+        return res.status(targetMustExist ? 404 : 409).json({
+          success: false,
+          error: targetMustExist
+            ? `Category ${move.to} not found`
+            : `Category ${move.to} already exists; merge into it instead`,
+        });
+      }
+
+      const result = await mergeCategory(move.from, move.to, {
+        by: actorOf(req),
+      });
+      res.json({
+        success: true,
+        data: { from: move.from, to: move.to, ...result },
+      });
+    } catch (error) {
+      logger.error("Failed to move category", {
+        ...move,
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Failed to update category",
+      });
+    }
+  };
+
+// Rename a path (and its subtree) to one that doesn't exist yet
+router.post(
+  "/rename",
+  moveCategory({ fromKey: "from", toKey: "to", targetMustExist: false })
+);
+
+// Merge a path (and its subtree) into an existing one
+router.post(
+  "/merge",
+  moveCategory({ fromKey: "from", toKey: "into", targetMustExist: true })
+);
+
+router.get("/aliases", async (req, res) => {
+  try {
+    const aliases = await listCategoryAliases();
+    res.json({
+      success: true,
+      data: aliases,
+      count: aliases.length,
+    });
+  } catch (error) {
+    logger.error("Failed to list category aliases", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve category aliases",
+    });
+  }
+});
+
+// Map a path the LLM keeps producing onto an existing category
+router.post("/aliases", async (req, res) => {
+  const move = readMove(req, res, "alias", "target");
+  if (!move) return;
+  try {
+    const [aliasExists, targetExists] = await Promise.all([
+      categoryExists(move.from),
+      categoryExists(move.to),
+    ]);
+    if (!targetExists) {
+      return res.status(404).json({
+        success: false,
+        error: `Category ${move.to} not found`,
+      });
+    }
+    if (aliasExists) {
+      return res.status(409).json({
+        success: false,
+        error: `Category ${move.from} exists; merge it to re-point its articles`,
+      });
+    }
+    const alias = await addCategoryAlias(move.from, move.to, {
+      by: actorOf(req),
+    });
+    res.status(201).json({
+      success: true,
+      data: alias,
+    });
+  } catch (error) {
+    logger.error("Failed to add category alias", {
+      ...move,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to add category alias",
+    });
+  }
+});
+
+router.delete("/aliases/:alias", async (req, res) => {
+  try {
+    const removed = await removeCategoryAlias(req.params.alias);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: "Category alias not found",
+      });
+    }
+    res.json({
+      success: true,
+      data: { alias: req.params.alias },
+    });
+  } catch (error) {
+    logger.error("Failed to remove category alias", {
+      alias: req.params.alias,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove category alias",
+    });
+  }
+});
+
+export default router;
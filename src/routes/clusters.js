@@ -1,12 +1,16 @@
 import express from "express";
 import { supabase, selectRecords } from "../config/database.js";
 import { createContextLogger } from "../config/logger.js";
+import { requireScope } from "../middleware/auth.js";
+import { getMarket, listTopClusters } from "../services/clusterTrending.js";
+import { parseBoolean } from "../utils/helpers.js";
+import { normalizeBcp47 } from "../utils/lang.js";
 
 const router = express.Router();
 const logger = createContextLogger("ClustersAPI");
 
 // List cluster representatives (one row per cluster)
-router.get("/reps", async (req, res) => {
+router.get("/reps", requireScope("read"), async (req, res) => {
   try {
     const {
       limit = 50,
@@ -80,8 +84,77 @@ router.get("/reps", async (req, res) => {
   }
 });
 
+// Ranked front page: clusters by trending score (decayed to now), optionally
+// limited to a market's geo_scope; ?debug=true adds the score breakdown
+router.get("/top", requireScope("read"), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const maxHours = parseInt(process.env.CLUSTER_TOP_MAX_AGE_HOURS || "72");
+    const hours =
+      req.query.hours === undefined ? maxHours : parseInt(req.query.hours, 10);
+    if (!Number.isInteger(hours) || hours < 1 || hours > 24 * 30) {
+      return res.status(400).json({
+        success: false,
+        error: "hours must be between 1 and 720",
+      });
+    }
+
+    let market = null;
+    if (req.query.market) {
+      market = await getMarket(String(req.query.market));
+      if (!market) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Market not found" });
+      }
+    }
+    // Summaries default to the market's pivot language
+    const lang = normalizeBcp47(
+      req.query.lang ? String(req.query.lang) : market?.pivot_lang
+    );
+    const debug = parseBoolean(req.query.debug ?? false);
+    const geoScope = (market?.geo_scope || []).map((c) =>
+      String(c).toLowerCase()
+    );
+
+    const clusters = await listTopClusters({
+      geoScope,
+      lang,
+      hours,
+      limit,
+      offset,
+      debug,
+    });
+    res.json({
+      success: true,
+      data: clusters,
+      market: market
+        ? {
+            market_code: market.market_code,
+            pivot_lang: market.pivot_lang,
+            show_langs: market.show_langs || [],
+            geo_scope: geoScope,
+          }
+        : null,
+      lang,
+      count: clusters.length,
+      pagination: {
+        limit,
+        offset,
+      },
+      window: { hours },
+    });
+  } catch (error) {
+    logger.error("Failed to list top clusters", { error: error.message });
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to list top clusters" });
+  }
+});
+
 // Cluster detail: summary + timeline + articles
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireScope("read"), async (req, res) => {
   try {
     const clusterId = req.params.id;
     const { lang = "en", limit = 50, offset = 0 } = req.query;
@@ -148,7 +221,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Cluster timeline only
-router.get("/:id/updates", async (req, res) => {
+router.get("/:id/updates", requireScope("read"), async (req, res) => {
   try {
     const clusterId = req.params.id;
     const { limit = 100, offset = 0 } = req.query;
@@ -0,0 +1,96 @@
+import express from "express";
+import { createContextLogger } from "../config/logger.js";
+import { requireScope } from "../middleware/auth.js";
+import { findEntities, getEntityActivity } from "../services/entities.js";
+
+const router = express.Router();
+const logger = createContextLogger("EntitiesAPI");
+
+const ENTITY_TYPES = ["person", "organization", "place"];
+
+// Find entities by name
+router.get("/", requireScope("read"), async (req, res) => {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    const { type } = req.query;
+    if (q.length < 2 || q.length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: "q must be 2-100 characters",
+      });
+    }
+    if (type !== undefined && !ENTITY_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${ENTITY_TYPES.join(", ")}`,
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const entities = await findEntities({ q, type, limit });
+    res.json({
+      success: true,
+      data: entities,
+      count: entities.length,
+    });
+  } catch (error) {
+    logger.error("Failed to find entities", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve entities",
+    });
+  }
+});
+
+// Entity detail: daily mentions, clusters and articles (newest first)
+router.get("/:id", requireScope("read"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const days = req.query.days === undefined ? 0 : Number(req.query.days);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Entity not found",
+      });
+    }
+    if (!Number.isInteger(days) || days < 0 || days > 3650) {
+      return res.status(400).json({
+        success: false,
+        error: "days must be between 0 and 3650",
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const activity = await getEntityActivity(id, {
+      days,
+      lang: req.query.lang || "en",
+      limit,
+      offset,
+    });
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: "Entity not found",
+      });
+    }
+    res.json({
+      success: true,
+      data: activity,
+      pagination: {
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to get entity", {
+      entityId: req.params.id,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve entity",
+    });
+  }
+});
+
+export default router;
@@ -4,19 +4,36 @@ import {
   insertRecord,
   updateRecord,
 } from "../config/database.js";
-import { crawlFeedById, getFeedStats } from "../services/feedCrawler.js";
+import {
+  crawlFeedById,
+  getFeedStats,
+  resetFeed,
+  previewFeed,
+} from "../services/feedCrawler.js";
 import {
   validateFeedUrl,
   extractFeedMetadata,
 } from "../services/feedParser.js";
 import { createContextLogger } from "../config/logger.js";
+import { requireScope } from "../middleware/auth.js";
+import { crawlRateLimit } from "../middleware/rateLimiter.js";
 import { isValidUrl } from "../utils/helpers.js";
+import { isValidCronExpression } from "../utils/cron.js";
+import {
+  DEFAULT_FEED_CRON,
+  computeNextCrawlAt,
+} from "../services/feedScheduler.js";
+import { validateScrapeConfig } from "../services/scrapeParser.js";
+import { importOpml, exportOpml } from "../services/opml.js";
+import { publicFeed } from "../services/websub.js";
 
 const router = express.Router();
 const logger = createContextLogger("FeedsAPI");
 
+const FEED_KINDS = ["rss", "atom", "api", "jsonfeed", "sitemap", "scrape"];
+
 // Get all feeds
-router.get("/", async (req, res) => {
+router.get("/", requireScope("read"), async (req, res) => {
   try {
     const { source_id, enabled } = req.query;
     const filters = {};
@@ -30,7 +47,7 @@ router.get("/", async (req, res) => {
 
     res.json({
       success: true,
-      data: feeds,
+      data: feeds.map(publicFeed),
       count: feeds.length,
     });
   } catch (error) {
@@ -42,8 +59,74 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Export feeds as OPML, grouped by source
+router.get("/export/opml", requireScope("read"), async (req, res) => {
+  try {
+    const opml = await exportOpml({
+      enabledOnly: req.query.enabled === "true",
+    });
+    res
+      .type("text/x-opml")
+      .set("Content-Disposition", 'attachment; filename="feeds.opml"')
+      .send(opml);
+  } catch (error) {
+    logger.error("OPML export failed", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Failed to export OPML",
+    });
+  }
+});
+
+// Import OPML: raw XML body, or JSON { opml: "<opml ...>" }
+router.post(
+  "/import/opml",
+  requireScope("feeds:write"),
+  express.text({
+    type: ["text/xml", "application/xml", "text/x-opml", "text/plain"],
+    limit: "5mb",
+  }),
+  async (req, res) => {
+    try {
+      const xml = typeof req.body === "string" ? req.body : req.body?.opml;
+      if (!xml || typeof xml !== "string") {
+        return res.status(400).json({
+          success: false,
+          error: "OPML document is required",
+        });
+      }
+
+      let report;
+      try {
+        report = await importOpml(xml, {
+          enabled: req.query.enabled !== "false",
+        });
+      } catch (error) {
+        if (/OPML/.test(error.message)) {
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+          });
+        }
+        throw error;
+      }
+
+      res.json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      logger.error("OPML import failed", { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: "Failed to import OPML",
+      });
+    }
+  }
+);
+
 // Get feed by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireScope("read"), async (req, res) => {
   try {
     const feeds = await selectRecords("feeds", { id: req.params.id });
 
@@ -56,7 +139,7 @@ router.get("/:id", async (req, res) => {
 
     res.json({
       success: true,
-      data: feeds[0],
+      data: publicFeed(feeds[0]),
     });
   } catch (error) {
     logger.error("Failed to get feed", {
@@ -71,7 +154,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Create new feed
-router.post("/", async (req, res) => {
+router.post("/", requireScope("feeds:write"), async (req, res) => {
   try {
     const {
       source_id,
@@ -82,6 +165,8 @@ router.post("/", async (req, res) => {
       section,
       schedule_cron,
       enabled,
+      adaptive_poll,
+      scrape_config,
     } = req.body;
 
     // Validation
@@ -99,15 +184,34 @@ router.post("/", async (req, res) => {
       });
     }
 
-    if (!["rss", "atom", "api"].includes(kind)) {
+    if (!FEED_KINDS.includes(kind)) {
       return res.status(400).json({
         success: false,
-        error: "Invalid kind. Must be: rss, atom, or api",
+        error: `Invalid kind. Must be one of: ${FEED_KINDS.join(", ")}`,
       });
     }
 
+    if (schedule_cron && !isValidCronExpression(schedule_cron)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid schedule_cron expression",
+      });
+    }
+
+    if (kind === "scrape") {
+      const configError = validateScrapeConfig(scrape_config);
+      if (configError) {
+        return res.status(400).json({
+          success: false,
+          error: configError,
+        });
+      }
+    }
+
     // Validate feed URL
-    const validation = await validateFeedUrl(url);
+    const validation = await validateFeedUrl(url, {
+      allowHtml: kind === "scrape",
+    });
     if (!validation.valid) {
       return res.status(400).json({
         success: false,
@@ -132,15 +236,17 @@ router.post("/", async (req, res) => {
       country: country || null,
       lang: lang || null,
       section: section || null,
-      schedule_cron: schedule_cron || "*/5 * * * *",
+      schedule_cron: schedule_cron || DEFAULT_FEED_CRON,
       enabled: enabled !== false,
+      adaptive_poll: adaptive_poll === true,
+      scrape_config: kind === "scrape" ? scrape_config : null,
     });
 
     logger.info("Feed created", { feedId: feed.id, url });
 
     res.status(201).json({
       success: true,
-      data: feed,
+      data: publicFeed(feed),
     });
   } catch (error) {
     logger.error("Failed to create feed", { error: error.message });
@@ -152,10 +258,19 @@ router.post("/", async (req, res) => {
 });
 
 // Update feed
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireScope("feeds:write"), async (req, res) => {
   try {
-    const { url, kind, country, lang, section, schedule_cron, enabled } =
-      req.body;
+    const {
+      url,
+      kind,
+      country,
+      lang,
+      section,
+      schedule_cron,
+      enabled,
+      adaptive_poll,
+      scrape_config,
+    } = req.body;
 
     const updates = {};
     if (url !== undefined) {
@@ -168,10 +283,10 @@ router.put("/:id", async (req, res) => {
       updates.url = url;
     }
     if (kind !== undefined) {
-      if (!["rss", "atom", "api"].includes(kind)) {
+      if (!FEED_KINDS.includes(kind)) {
         return res.status(400).json({
           success: false,
-          error: "Invalid kind. Must be: rss, atom, or api",
+          error: `Invalid kind. Must be one of: ${FEED_KINDS.join(", ")}`,
         });
       }
       updates.kind = kind;
@@ -179,8 +294,37 @@ router.put("/:id", async (req, res) => {
     if (country !== undefined) updates.country = country;
     if (lang !== undefined) updates.lang = lang;
     if (section !== undefined) updates.section = section;
-    if (schedule_cron !== undefined) updates.schedule_cron = schedule_cron;
-    if (enabled !== undefined) updates.enabled = enabled;
+    if (schedule_cron !== undefined) {
+      // null clears a custom schedule back to the default
+      if (schedule_cron !== null && !isValidCronExpression(schedule_cron)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid schedule_cron expression",
+        });
+      }
+      updates.schedule_cron = schedule_cron ?? DEFAULT_FEED_CRON;
+    }
+    if (enabled !== undefined) {
+      updates.enabled = enabled;
+      // Manual re-enable clears a tripped circuit breaker
+      if (enabled === true) {
+        updates.consecutive_failures = 0;
+        updates.disabled_reason = null;
+        updates.disabled_at = null;
+      }
+    }
+    if (adaptive_poll !== undefined) updates.adaptive_poll = !!adaptive_poll;
+    if (scrape_config !== undefined) {
+      const configError =
+        scrape_config === null ? null : validateScrapeConfig(scrape_config);
+      if (configError) {
+        return res.status(400).json({
+          success: false,
+          error: configError,
+        });
+      }
+      updates.scrape_config = scrape_config;
+    }
 
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({
@@ -189,13 +333,45 @@ router.put("/:id", async (req, res) => {
       });
     }
 
+    // kind, scrape_config and the schedule are checked against the feed as
+    // it will be
+    if (
+      kind !== undefined ||
+      scrape_config !== undefined ||
+      schedule_cron !== undefined
+    ) {
+      const [current] = await selectRecords("feeds", { id: req.params.id });
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: "Feed not found",
+        });
+      }
+      const next = { ...current, ...updates };
+      // A scrape feed must keep a valid config
+      if (next.kind === "scrape") {
+        const configError = validateScrapeConfig(next.scrape_config);
+        if (configError) {
+          return res.status(400).json({
+            success: false,
+            error: configError,
+          });
+        }
+      }
+      // Re-plan from now so a tightened schedule takes effect on the next
+      // tick; adaptive feeds keep polling at their learned interval
+      if (schedule_cron !== undefined) {
+        updates.next_crawl_at = computeNextCrawlAt(next).toISOString();
+      }
+    }
+
     const feed = await updateRecord("feeds", req.params.id, updates);
 
     logger.info("Feed updated", { feedId: req.params.id });
 
     res.json({
       success: true,
-      data: feed,
+      data: publicFeed(feed),
     });
   } catch (error) {
     logger.error("Failed to update feed", {
@@ -210,33 +386,123 @@ router.put("/:id", async (req, res) => {
 });
 
 // Crawl feed manually
-router.post("/:id/crawl", async (req, res) => {
+router.post(
+  "/:id/crawl",
+  requireScope("crawl"),
+  crawlRateLimit,
+  async (req, res) => {
+    try {
+      const stats = await crawlFeedById(req.params.id);
+
+      logger.info("Manual feed crawl completed", {
+        feedId: req.params.id,
+        stats,
+      });
+
+      res.json({
+        success: true,
+        data: stats,
+      });
+    } catch (error) {
+      logger.error("Manual feed crawl failed", {
+        feedId: req.params.id,
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Failed to crawl feed",
+      });
+    }
+  }
+);
+
+// Dry-run: fetch and parse without storing anything. The body may carry an
+// unsaved url / scrape_config so selectors can be tuned before enabling the feed.
+router.post("/:id/dry-run", requireScope("feeds:write"), async (req, res) => {
   try {
-    const stats = await crawlFeedById(req.params.id);
+    const { url, scrape_config } = req.body || {};
+    const overrides = {};
+    if (url !== undefined) {
+      if (!isValidUrl(url)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid URL format",
+        });
+      }
+      overrides.url = url;
+    }
+    if (scrape_config !== undefined) {
+      const configError = validateScrapeConfig(scrape_config);
+      if (configError) {
+        return res.status(400).json({
+          success: false,
+          error: configError,
+        });
+      }
+      overrides.scrape_config = scrape_config;
+    }
+
+    const preview = await previewFeed(req.params.id, overrides);
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        error: "Feed not found",
+      });
+    }
 
-    logger.info("Manual feed crawl completed", {
+    res.json({
+      success: true,
+      data: {
+        feed_id: preview.feed.id,
+        kind: preview.feed.kind,
+        url: preview.feed.url,
+        scrape_config: preview.feed.scrape_config || null,
+        count: preview.items.length,
+        items: preview.items,
+      },
+    });
+  } catch (error) {
+    logger.error("Feed dry-run failed", {
       feedId: req.params.id,
-      stats,
+      error: error.message,
     });
+    res.status(500).json({
+      success: false,
+      error: "Feed dry-run failed",
+    });
+  }
+});
+
+// Re-enable a feed after failures / auto-disable
+router.post("/:id/reset", requireScope("feeds:write"), async (req, res) => {
+  try {
+    const feed = await resetFeed(req.params.id);
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        error: "Feed not found",
+      });
+    }
 
     res.json({
       success: true,
-      data: stats,
+      data: publicFeed(feed),
     });
   } catch (error) {
-    logger.error("Manual feed crawl failed", {
+    logger.error("Failed to reset feed", {
       feedId: req.params.id,
       error: error.message,
     });
     res.status(500).json({
       success: false,
-      error: "Failed to crawl feed",
+      error: "Failed to reset feed",
     });
   }
 });
 
 // Get feed statistics
-router.get("/:id/stats", async (req, res) => {
+router.get("/:id/stats", requireScope("read"), async (req, res) => {
   try {
     const stats = await getFeedStats(req.params.id);
 
@@ -257,7 +523,7 @@ router.get("/:id/stats", async (req, res) => {
 });
 
 // Validate feed URL
-router.post("/validate", async (req, res) => {
+router.post("/validate", requireScope("feeds:write"), async (req, res) => {
   try {
     const { url } = req.body;
 
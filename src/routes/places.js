@@ -0,0 +1,132 @@
+import express from "express";
+import { createContextLogger } from "../config/logger.js";
+import { requireScope } from "../middleware/auth.js";
+import {
+  findPlacesInBbox,
+  getPlace,
+  isPlaceCode,
+  listPlaceClusters,
+} from "../services/places.js";
+
+const router = express.Router();
+const logger = createContextLogger("PlacesAPI");
+
+const PLACE_KINDS = ["country", "region", "city"];
+
+// Counting window in days; 0 = all time
+const parseDays = (value) => {
+  if (value === undefined) return 7;
+  const days = parseInt(value, 10);
+  return Number.isInteger(days) && days >= 0 && days <= 365 ? days : null;
+};
+
+// "minLon,minLat,maxLon,maxLat"; minLon > maxLon crosses the antimeridian
+const parseBbox = (value) => {
+  if (typeof value !== "string") return null;
+  const parts = value.split(",").map((v) => (v.trim() ? Number(v) : NaN));
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  const lonOk = (v) => v >= -180 && v <= 180;
+  const latOk = (v) => v >= -90 && v <= 90;
+  if (!lonOk(minLon) || !lonOk(maxLon) || !latOk(minLat) || !latOk(maxLat))
+    return null;
+  return minLat <= maxLat ? parts : null;
+};
+
+// Map view: tagged places in a bounding box with article and cluster counts
+router.get("/", requireScope("read"), async (req, res) => {
+  try {
+    const bbox = parseBbox(req.query.bbox);
+    if (!bbox) {
+      return res.status(400).json({
+        success: false,
+        error: "bbox must be minLon,minLat,maxLon,maxLat",
+      });
+    }
+    const days = parseDays(req.query.days);
+    if (days === null) {
+      return res.status(400).json({
+        success: false,
+        error: "days must be between 0 and 365",
+      });
+    }
+    const kinds = req.query.kind
+      ? String(req.query.kind).split(",").filter(Boolean)
+      : null;
+    if (kinds && !kinds.every((k) => PLACE_KINDS.includes(k))) {
+      return res.status(400).json({
+        success: false,
+        error: `kind must be a comma-separated list of: ${PLACE_KINDS.join(
+          ", "
+        )}`,
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 500);
+
+    const places = await findPlacesInBbox(bbox, { days, kinds, limit });
+    res.json({
+      success: true,
+      data: places,
+      count: places.length,
+      window: { days },
+    });
+  } catch (error) {
+    logger.error("Failed to query places", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve places",
+    });
+  }
+});
+
+// Place feed: clusters with recent articles tagged to the place or under it
+router.get("/:code/clusters", requireScope("read"), async (req, res) => {
+  try {
+    const code = String(req.params.code).toLowerCase();
+    const { lang = "en" } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const days = parseDays(req.query.days);
+    if (days === null) {
+      return res.status(400).json({
+        success: false,
+        error: "days must be between 0 and 365",
+      });
+    }
+
+    const place = isPlaceCode(code) ? await getPlace(code) : null;
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        error: "Place not found",
+      });
+    }
+    const clusters = await listPlaceClusters(code, {
+      days,
+      lang,
+      limit,
+      offset,
+    });
+    res.json({
+      success: true,
+      data: clusters,
+      place,
+      count: clusters.length,
+      pagination: {
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to list place clusters", {
+      code: req.params.code,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve place clusters",
+    });
+  }
+});
+
+export default router;
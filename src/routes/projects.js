@@ -0,0 +1,315 @@
+import express from "express";
+import { createContextLogger } from "../config/logger.js";
+import { requireScope } from "../middleware/auth.js";
+import { isCategoryPath } from "../services/categories.js";
+import { isPlaceCode } from "../services/places.js";
+import {
+  BOOST_TYPES,
+  RULE_FIELDS,
+  candidatePool,
+  createProject,
+  deleteProject,
+  getProject,
+  isProjectSlug,
+  listProjectClusters,
+  listProjects,
+  setProjectRules,
+  updateProject,
+} from "../services/projects.js";
+import { normalizeBcp47 } from "../utils/lang.js";
+
+const router = express.Router();
+const logger = createContextLogger("ProjectsAPI");
+
+const MAX_RULE_ITEMS = 50;
+const MAX_BOOST = 10;
+
+const badRequest = (res, error) =>
+  res.status(400).json({ success: false, error });
+
+const notFound = (res) =>
+  res.status(404).json({ success: false, error: "Project not found" });
+
+const isSourceId = (v) =>
+  typeof v === "string" && v.length > 0 && v.length <= 100;
+
+const RULE_VALIDATORS = {
+  include_paths: [isCategoryPath, "dot-separated category paths"],
+  exclude_paths: [isCategoryPath, "dot-separated category paths"],
+  geo_scope: [isPlaceCode, 'place codes such as "ch" or "gb.london"'],
+  source_ids: [isSourceId, "source ids"],
+  exclude_source_ids: [isSourceId, "source ids"],
+};
+const BOOST_KEY_VALIDATORS = {
+  categories: isCategoryPath,
+  places: isPlaceCode,
+  sources: isSourceId,
+};
+
+// Validated rules from a request body, or { error }
+const readRules = (body = {}) => {
+  const rules = {};
+  for (const field of RULE_FIELDS) {
+    const value = body[field];
+    if (value === undefined || value === null) continue;
+    const [valid, what] = RULE_VALIDATORS[field];
+    if (
+      !Array.isArray(value) ||
+      value.length > MAX_RULE_ITEMS ||
+      !value.every(valid)
+    ) {
+      return {
+        error: `${field} must be a list of at most ${MAX_RULE_ITEMS} ${what}`,
+      };
+    }
+    rules[field] = [...new Set(value)];
+  }
+  const { boosts } = body;
+  if (boosts !== undefined && boosts !== null) {
+    const isMap = (v) => v && typeof v === "object" && !Array.isArray(v);
+    const ok =
+      isMap(boosts) &&
+      Object.entries(boosts).every(
+        ([type, weights]) =>
+          BOOST_TYPES.includes(type) &&
+          isMap(weights) &&
+          Object.entries(weights).every(
+            ([key, w]) =>
+              BOOST_KEY_VALIDATORS[type](key) &&
+              typeof w === "number" &&
+              w > 0 &&
+              w <= MAX_BOOST
+          )
+      );
+    if (!ok) {
+      return {
+        error: `boosts must map ${BOOST_TYPES.join(
+          ", "
+        )} to { key: weight } with weights in (0, ${MAX_BOOST}]`,
+      };
+    }
+    rules.boosts = boosts;
+  }
+  return { rules };
+};
+
+// Validated description/locale updates, or { error }
+const readDetails = (body = {}) => {
+  const updates = {};
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== "string") {
+      return { error: "description must be a string" };
+    }
+    updates.description = body.description;
+  }
+  if (body.locale !== undefined) {
+    if (body.locale !== null && typeof body.locale !== "string") {
+      return { error: "locale must be a BCP-47 tag such as en-GB" };
+    }
+    updates.locale = body.locale ? normalizeBcp47(body.locale) : null;
+  }
+  return { updates };
+};
+
+// List projects with their rules
+router.get("/", requireScope("read"), async (req, res) => {
+  try {
+    const projects = await listProjects();
+    res.json({
+      success: true,
+      data: projects,
+      count: projects.length,
+    });
+  } catch (error) {
+    logger.error("Failed to list projects", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve projects",
+    });
+  }
+});
+
+// Create a project, optionally with rules
+router.post("/", requireScope("admin"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { slug } = body;
+    if (!isProjectSlug(slug)) {
+      return badRequest(
+        res,
+        "slug must be lowercase letters, digits and dashes (max 63)"
+      );
+    }
+    const details = readDetails(body);
+    if (details.error) return badRequest(res, details.error);
+    const { rules, error } = readRules(body.rules || {});
+    if (error) return badRequest(res, error);
+
+    if (await getProject(slug)) {
+      return res.status(409).json({
+        success: false,
+        error: `Project ${slug} already exists`,
+      });
+    }
+    const project = await createProject({ slug, ...details.updates, rules });
+    res.status(201).json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    logger.error("Failed to create project", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Failed to create project",
+    });
+  }
+});
+
+router.get("/:slug", requireScope("read"), async (req, res) => {
+  try {
+    const project = await getProject(req.params.slug);
+    if (!project) return notFound(res);
+    res.json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    logger.error("Failed to get project", {
+      slug: req.params.slug,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve project",
+    });
+  }
+});
+
+// Update description and locale
+router.put("/:slug", requireScope("admin"), async (req, res) => {
+  try {
+    const { updates, error } = readDetails(req.body);
+    if (error) return badRequest(res, error);
+    if (!Object.keys(updates).length) {
+      return badRequest(res, "No valid fields to update");
+    }
+    const project = await getProject(req.params.slug);
+    if (!project) return notFound(res);
+    res.json({
+      success: true,
+      data: await updateProject(project, updates),
+    });
+  } catch (error) {
+    logger.error("Failed to update project", {
+      slug: req.params.slug,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to update project",
+    });
+  }
+});
+
+// Replace the project's rules
+router.put("/:slug/rules", requireScope("admin"), async (req, res) => {
+  try {
+    const { rules, error } = readRules(req.body);
+    if (error) return badRequest(res, error);
+    const project = await getProject(req.params.slug);
+    if (!project) return notFound(res);
+    await setProjectRules(project.id, rules);
+    logger.info("Project rules updated", { slug: project.slug });
+    res.json({
+      success: true,
+      data: await getProject(project.slug),
+    });
+  } catch (error) {
+    logger.error("Failed to update project rules", {
+      slug: req.params.slug,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to update project rules",
+    });
+  }
+});
+
+router.delete("/:slug", requireScope("admin"), async (req, res) => {
+  try {
+    const project = await getProject(req.params.slug);
+    if (!project) return notFound(res);
+    await deleteProject(project);
+    res.json({
+      success: true,
+      data: { slug: project.slug, deleted: true },
+    });
+  } catch (error) {
+    logger.error("Failed to delete project", {
+      slug: req.params.slug,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete project",
+    });
+  }
+});
+
+// Channel feed: clusters passing the rules, ranked with boosts
+router.get("/:slug/clusters", requireScope("read"), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const days =
+      req.query.days === undefined ? 3 : parseInt(req.query.days, 10);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      return badRequest(res, "days must be between 0 and 365");
+    }
+    if (offset + limit > candidatePool()) {
+      return badRequest(
+        res,
+        `offset + limit must be at most ${candidatePool()}`
+      );
+    }
+
+    const project = await getProject(req.params.slug);
+    if (!project) return notFound(res);
+    // Summaries default to the project's language
+    const lang =
+      req.query.lang || (project.locale || "en").split("-")[0].toLowerCase();
+
+    const clusters = await listProjectClusters(project, {
+      days,
+      lang,
+      limit,
+      offset,
+    });
+    res.json({
+      success: true,
+      data: clusters,
+      project: {
+        slug: project.slug,
+        description: project.description,
+        locale: project.locale,
+      },
+      count: clusters.length,
+      pagination: {
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to list project clusters", {
+      slug: req.params.slug,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve project clusters",
+    });
+  }
+});
+
+export default router;
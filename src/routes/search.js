@@ -0,0 +1,68 @@
+import express from "express";
+import { createContextLogger } from "../config/logger.js";
+import { requireScope } from "../middleware/auth.js";
+import { searchRateLimit } from "../middleware/rateLimiter.js";
+import { isCategoryPath } from "../services/categories.js";
+import { search } from "../services/search.js";
+
+const router = express.Router();
+const logger = createContextLogger("SearchAPI");
+
+const LANG_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i;
+const MAX_OFFSET = 1000;
+
+// Search articles and cluster summaries: ranked hits with <mark> highlights and facets
+router.get("/", requireScope("read"), searchRateLimit, async (req, res) => {
+  try {
+    const { q, lang, source_id, category } = req.query;
+    const invalid = (error) => res.status(400).json({ success: false, error });
+
+    const query = typeof q === "string" ? q.trim() : "";
+    if (query.length < 2 || query.length > 200) {
+      return invalid("q must be 2-200 characters");
+    }
+    if (lang !== undefined && !LANG_RE.test(lang)) {
+      return invalid("lang must be a language code such as en or pt-BR");
+    }
+    if (category !== undefined && !isCategoryPath(category)) {
+      return invalid("category must be a dot-separated path");
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const offset = Math.min(
+      Math.max(parseInt(req.query.offset) || 0, 0),
+      MAX_OFFSET
+    );
+
+    const result = await search({
+      q: query,
+      lang: lang || null,
+      sourceId: source_id || null,
+      category: category || null,
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        articles: result.articles,
+        clusters: result.clusters,
+      },
+      facets: result.facets,
+      count: result.articles.length,
+      total: result.total,
+      pagination: {
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    logger.error("Search failed", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: "Search failed",
+    });
+  }
+});
+
+export default router;
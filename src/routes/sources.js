@@ -6,13 +6,17 @@ import {
   supabase,
 } from "../config/database.js";
 import { createContextLogger } from "../config/logger.js";
-import { isValidUrl } from "../utils/helpers.js";
+import { requireScope } from "../middleware/auth.js";
+import { isValidUrl, parseBoolean } from "../utils/helpers.js";
+import { discoverFeeds } from "../services/feedDiscovery.js";
+import { applySourceReliability } from "../services/scoring.js";
+import { publicFeed } from "../services/websub.js";
 
 const router = express.Router();
 const logger = createContextLogger("SourcesAPI");
 
 // Get all sources
-router.get("/", async (req, res) => {
+router.get("/", requireScope("read"), async (req, res) => {
   try {
     const { country, lang } = req.query;
     const filters = {};
@@ -39,7 +43,7 @@ router.get("/", async (req, res) => {
 });
 
 // Get source by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireScope("read"), async (req, res) => {
   try {
     const sources = await selectRecords("sources", { id: req.params.id });
 
@@ -55,7 +59,7 @@ router.get("/:id", async (req, res) => {
 
     const sourceWithFeeds = {
       ...sources[0],
-      feeds,
+      feeds: feeds.map(publicFeed),
     };
 
     res.json({
@@ -75,7 +79,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Create new source
-router.post("/", async (req, res) => {
+router.post("/", requireScope("feeds:write"), async (req, res) => {
   try {
     const {
       id,
@@ -146,7 +150,7 @@ router.post("/", async (req, res) => {
 });
 
 // Update source
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireScope("feeds:write"), async (req, res) => {
   try {
     const {
       name,
@@ -156,9 +160,11 @@ router.put("/:id", async (req, res) => {
       terms_url,
       allowed_use,
       canonical_link_required,
+      reliability_override,
     } = req.body;
 
     const updates = {};
+    let previousReliability;
     if (name !== undefined) updates.name = name;
     if (homepage !== undefined) {
       if (homepage && !isValidUrl(homepage)) {
@@ -183,6 +189,27 @@ router.put("/:id", async (req, res) => {
     if (allowed_use !== undefined) updates.allowed_use = allowed_use;
     if (canonical_link_required !== undefined)
       updates.canonical_link_required = canonical_link_required;
+    if (reliability_override !== undefined) {
+      if (
+        reliability_override !== null &&
+        !(
+          typeof reliability_override === "number" &&
+          reliability_override >= 0 &&
+          reliability_override <= 1
+        )
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "reliability_override must be a number from 0 to 1, or null",
+        });
+      }
+      // Editorial value applies at once; null falls back to the last model value
+      const [current] = await selectRecords("sources", { id: req.params.id });
+      previousReliability = current?.reliability ?? null;
+      updates.reliability_override = reliability_override;
+      updates.reliability =
+        reliability_override ?? current?.reliability_components?.model ?? null;
+    }
 
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({
@@ -192,6 +219,20 @@ router.put("/:id", async (req, res) => {
     }
 
     const source = await updateRecord("sources", req.params.id, updates);
+    // Existing article scores follow the new reliability
+    if (
+      reliability_override !== undefined &&
+      updates.reliability !== previousReliability
+    ) {
+      const rescored = await applySourceReliability(
+        req.params.id,
+        updates.reliability
+      );
+      logger.info("Source articles rescored", {
+        sourceId: req.params.id,
+        rescored,
+      });
+    }
 
     logger.info("Source updated", { sourceId: req.params.id });
 
@@ -211,8 +252,46 @@ router.put("/:id", async (req, res) => {
   }
 });
 
+// Discover feeds from the source homepage; ?create=true adds valid ones as disabled feeds
+router.post("/:id/discover", requireScope("feeds:write"), async (req, res) => {
+  try {
+    const sources = await selectRecords("sources", { id: req.params.id });
+    if (sources.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Source not found",
+      });
+    }
+    const source = sources[0];
+    if (!source.homepage || !isValidUrl(source.homepage)) {
+      return res.status(400).json({
+        success: false,
+        error: "Source has no valid homepage URL",
+      });
+    }
+
+    const create = parseBoolean(req.body?.create ?? req.query.create ?? false);
+    const result = await discoverFeeds(source, { create });
+
+    res.json({
+      success: true,
+      data: result,
+      count: result.candidates.length,
+    });
+  } catch (error) {
+    logger.error("Feed discovery failed", {
+      sourceId: req.params.id,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to discover feeds",
+    });
+  }
+});
+
 // Get source statistics
-router.get("/:id/stats", async (req, res) => {
+router.get("/:id/stats", requireScope("read"), async (req, res) => {
   try {
     const sourceId = req.params.id;
 
@@ -234,6 +313,7 @@ router.get("/:id/stats", async (req, res) => {
 
     // Get feed count
     const feeds = await selectRecords("feeds", { source_id: sourceId });
+    const [source] = await selectRecords("sources", { id: sourceId });
     const enabledFeeds = feeds.filter((feed) => feed.enabled);
 
     // Get latest article
@@ -253,6 +333,13 @@ router.get("/:id/stats", async (req, res) => {
       total_feeds: feeds.length,
       enabled_feeds: enabledFeeds.length,
       latest_article: latestArticles[0] || null,
+      // As of the last source-reliability run (components null before it)
+      reliability: {
+        score: source?.reliability ?? null,
+        override: source?.reliability_override ?? null,
+        components: source?.reliability_components ?? null,
+        updated_at: source?.reliability_updated_at ?? null,
+      },
       feeds: feeds.map((feed) => ({
         id: feed.id,
         url: feed.url,
@@ -0,0 +1,60 @@
+import express from "express";
+import { createContextLogger } from "../config/logger.js";
+import { handleVerification, receivePush } from "../services/websub.js";
+import { processFeedItems } from "../services/feedCrawler.js";
+
+const router = express.Router();
+const logger = createContextLogger("WebSubAPI");
+
+// Hub intent verification: echo hub.challenge for subscriptions we requested
+router.get("/callback/:feedId", async (req, res) => {
+  try {
+    const { status, body } = await handleVerification(
+      req.params.feedId,
+      req.query
+    );
+    res.status(status).type("text/plain").send(body);
+  } catch (error) {
+    logger.error("WebSub verification failed", {
+      feedId: req.params.feedId,
+      error: error.message,
+    });
+    res.status(500).type("text/plain").send("Verification failed");
+  }
+});
+
+// Content push: raw body is needed for the X-Hub-Signature HMAC
+router.post(
+  "/callback/:feedId",
+  express.raw({ type: "*/*", limit: "5mb" }),
+  async (req, res) => {
+    const feedId = req.params.feedId;
+    try {
+      const push = await receivePush(feedId, req.body, req.headers);
+      if (push.status === "gone") {
+        return res.status(410).type("text/plain").send("Unknown subscription");
+      }
+      // Hubs only need an acknowledgement; items are processed afterwards
+      res.status(202).type("text/plain").send("Accepted");
+      if (push.status !== "accepted") return;
+
+      processFeedItems(push.feed, push.items)
+        .then((stats) =>
+          logger.info("WebSub push processed", { feedId, ...stats })
+        )
+        .catch((error) =>
+          logger.error("WebSub push processing failed", {
+            feedId,
+            error: error.message,
+          })
+        );
+    } catch (error) {
+      logger.error("WebSub push failed", { feedId, error: error.message });
+      if (!res.headersSent) {
+        res.status(500).type("text/plain").send("Push failed");
+      }
+    }
+  }
+);
+
+export default router;
@@ -1,68 +1,59 @@
 import cron from "node-cron";
-import { crawlAllFeeds } from "../services/feedCrawler.js";
-import { crawlNewsdataOnly } from "../services/newsdataCrawler.js";
-import { enrichPendingClusters } from "../services/clusterEnricher.js";
-import { runPretranslationCycle } from "../services/pretranslator.js";
+import { drainJobs } from "../services/jobQueue.js";
+import { registerPipelineJobs } from "../services/pipelineJobs.js";
 // Per-article AI removed — no longer importing queue processors
-import { supabase } from "../config/database.js";
 import { createContextLogger } from "../config/logger.js";
+import { runJob, isJobPaused, jobRunName } from "./jobs.js";
 
 const logger = createContextLogger("CronScheduler");
 
+// Scheduled run: skipped while paused (checked every tick, so pause/resume
+// needs no restart); otherwise one replica runs it and it lands in job_runs
+const runScheduled = async (job, params) => {
+  if (await isJobPaused(jobRunName(job, params))) {
+    logger.debug("Job paused; skipping tick", { job });
+    return { acquired: false };
+  }
+  return runJob(job, { params });
+};
+
 export const startCronJobs = () => {
   logger.info("Starting cron jobs");
 
   // Resolve cron expressions from env (defaults)
-  const crawlExpr = process.env.CRON_CRAWL_EXPR || "*/5 * * * *";
+  // RSS mode ticks every minute; each feed's own schedule_cron decides whether it is due
+  const sourceMode = (process.env.SOURCE_MODE || "rss").toLowerCase();
+  const crawlExpr =
+    process.env.CRON_CRAWL_EXPR ||
+    (sourceMode === "newsdata" ? "*/5 * * * *" : "* * * * *");
+  const enrichExpr = process.env.CRON_ENRICH_EXPR || "*/5 * * * *";
   const pretransExpr = process.env.CRON_PRETRANS_EXPR || "*/5 * * * *";
   const cleanupExpr = process.env.CRON_CLEANUP_EXPR || "0 2 * * *";
+  const websubRenewExpr = process.env.CRON_WEBSUB_RENEW_EXPR || "17 * * * *";
+  const reliabilityExpr =
+    process.env.CRON_SOURCE_RELIABILITY_EXPR || "40 */6 * * *";
+  const jobsExpr = process.env.CRON_JOBS_EXPR || "* * * * *";
 
-  // Crawl feeds on schedule
+  // Crawl feeds on schedule. Every job below runs under a lease lock so that
+  // with several worker replicas only one runs it per tick.
   cron.schedule(
     crawlExpr,
     async () => {
       try {
-        logger.info("Starting scheduled feed crawl");
         const perFeedLimit = process.env.CRAWL_PER_FEED_LIMIT
           ? parseInt(process.env.CRAWL_PER_FEED_LIMIT, 10)
           : null;
         const totalLimit = process.env.CRAWL_TOTAL_LIMIT
           ? parseInt(process.env.CRAWL_TOTAL_LIMIT, 10)
           : null;
-        const opts = {};
+        const opts = { dueOnly: true };
         if (Number.isFinite(perFeedLimit)) opts.perFeedLimit = perFeedLimit;
         if (Number.isFinite(totalLimit)) opts.totalLimit = totalLimit;
-        const mode = (process.env.SOURCE_MODE || "rss").toLowerCase();
-        const results =
-          mode === "newsdata"
-            ? await crawlNewsdataOnly()
-            : await crawlAllFeeds(opts);
+        const { acquired, result: results } = await runScheduled("crawl", {
+          crawlOptions: opts,
+        });
+        if (!acquired) return;
         logger.info("Scheduled feed crawl completed", results);
-        // Optionally enrich clusters after crawl
-        const enabled =
-          (process.env.CLUSTER_ENRICH_ENABLED || "true").toLowerCase() ===
-          "true";
-        if (enabled) {
-          const langs = (
-            process.env.CLUSTER_LANGS ||
-            process.env.CLUSTER_LANG ||
-            "en"
-          )
-            .split(",")
-            .map((s) => s.trim())
-            .filter(Boolean);
-          for (const lang of langs) {
-            try {
-              const res = await enrichPendingClusters(lang);
-              logger.info("Cluster enrich completed (cron)", { lang, ...res });
-            } catch (e) {
-              logger.warn("Cluster enrich failed (cron)", {
-                lang,
-                error: e.message,
-              });
-            }
-          }
-        }
       } catch (error) {
         logger.error("Scheduled feed crawl failed", { error: error.message });
       }
@@ -75,6 +66,42 @@ export const startCronJobs = () => {
 
   // Per-article AI queue removed — no scheduled job
 
+  // Cluster enrichment (LLM summaries) on its own schedule, one run per language,
+  // so the every-minute crawl tick does not drive LLM calls
+  cron.schedule(
+    enrichExpr,
+    async () => {
+      const enabled =
+        (process.env.CLUSTER_ENRICH_ENABLED || "true").toLowerCase() === "true";
+      if (!enabled) return;
+      const langs = (
+        process.env.CLUSTER_LANGS ||
+        process.env.CLUSTER_LANG ||
+        "en"
+      )
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+      for (const lang of langs) {
+        try {
+          const { acquired, result: res } = await runScheduled(
+            "cluster-enrich",
+            { lang }
+          );
+          if (acquired) {
+            logger.info("Cluster enrich completed (cron)", { lang, ...res });
+          }
+        } catch (e) {
+          logger.warn("Cluster enrich failed (cron)", {
+            lang,
+            error: e.message,
+          });
+        }
+      }
+    },
+    { scheduled: true, timezone: "UTC" }
+  );
+
   // Pretranslation cycle every 5 minutes
   cron.schedule(
     pretransExpr,
@@ -83,9 +110,8 @@ export const startCronJobs = () => {
         const enabled =
           (process.env.PRETRANS_ENABLED || "true").toLowerCase() !== "false";
         if (!enabled) return;
-        logger.info("Starting pretranslation cycle");
-        const res = await runPretranslationCycle();
-        logger.info("Pretranslation cycle completed", res);
+        const { acquired, result: res } = await runScheduled("pretranslate");
+        if (acquired) logger.info("Pretranslation cycle completed", res);
       } catch (error) {
         logger.warn("Pretranslation cycle failed", { error: error.message });
       }
@@ -93,13 +119,71 @@ export const startCronJobs = () => {
     { scheduled: true, timezone: "UTC" }
   );
 
+  // Drain the durable job queue (ingestion stages); skip a tick while the previous one runs.
+  // No lease lock: claim_jobs already lets replicas share the queue.
+  if ((process.env.JOB_QUEUE_ENABLED || "true").toLowerCase() !== "false") {
+    registerPipelineJobs();
+    let draining = false;
+    cron.schedule(
+      jobsExpr,
+      async () => {
+        if (draining || (await isJobPaused("job-queue"))) return;
+        draining = true;
+        try {
+          const res = await drainJobs();
+          const claimed = Object.values(res).reduce((n, s) => n + s.claimed, 0);
+          if (claimed) logger.info("Job queue drained", res);
+        } catch (error) {
+          logger.warn("Job queue drain failed", { error: error.message });
+        } finally {
+          draining = false;
+        }
+      },
+      { scheduled: true, timezone: "UTC" }
+    );
+  }
+
+  // Renew WebSub leases before they expire (only when a callback URL is configured)
+  if (process.env.WEBSUB_CALLBACK_BASE_URL) {
+    cron.schedule(
+      websubRenewExpr,
+      async () => {
+        try {
+          const { acquired, result: res } = await runScheduled("websub-renew");
+          if (acquired) logger.info("WebSub lease renewal completed", res);
+        } catch (error) {
+          logger.warn("WebSub lease renewal failed", { error: error.message });
+        }
+      },
+      { scheduled: true, timezone: "UTC" }
+    );
+  }
+
+  // Recompute source reliability and rescore recent articles every 6 hours
+  cron.schedule(
+    reliabilityExpr,
+    async () => {
+      try {
+        const { acquired, result: res } = await runScheduled(
+          "source-reliability"
+        );
+        if (acquired) logger.info("Source reliability recomputed", res);
+      } catch (error) {
+        logger.warn("Source reliability recompute failed", {
+          error: error.message,
+        });
+      }
+    },
+    { scheduled: true, timezone: "UTC" }
+  );
+
   // Cleanup old logs daily at 2 AM
   cron.schedule(
     cleanupExpr,
     async () => {
       try {
-        logger.info("Starting scheduled cleanup");
-        await cleanupOldLogs();
+        const { acquired } = await runScheduled("log-cleanup");
+        if (acquired) logger.info("Scheduled cleanup completed");
       } catch (error) {
         logger.error("Scheduled cleanup failed", { error: error.message });
       }
@@ -115,22 +199,4 @@ export const startCronJobs = () => {
 
 // Per-article AI queue processor removed
 
-const cleanupOldLogs = async () => {
-  try {
-    const cutoffDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000); // 7 days ago
-
-    const { error } = await supabase
-      .from("crawl_log")
-      .delete()
-      .lt("created_at", cutoffDate.toISOString());
-
-    if (error) throw error;
-
-    logger.info("Old logs cleaned up", { cutoffDate });
-  } catch (error) {
-    logger.error("Log cleanup failed", { error: error.message });
-    throw error;
-  }
-};
-
 // stopCronJobs removed (unused)
@@ -0,0 +1,171 @@
+import { crawlAllFeeds } from "../services/feedCrawler.js";
+import { crawlNewsdataOnly } from "../services/newsdataCrawler.js";
+import { enrichPendingClusters } from "../services/clusterEnricher.js";
+import { runPretranslationCycle } from "../services/pretranslator.js";
+import { renewExpiringSubscriptions } from "../services/websub.js";
+import { recomputeSourceReliability } from "../services/scoring.js";
+import { withJobLock } from "../services/jobLock.js";
+import { trackJobRun, pruneJobRuns } from "../services/jobRuns.js";
+import { pruneFinishedJobs } from "../services/jobQueue.js";
+import { pruneRateLimitCounters } from "../services/rateLimitStore.js";
+import { selectRecords, upsertRecord, supabase } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+
+const logger = createContextLogger("Jobs");
+
+// Scheduled jobs shared by the cron scheduler and the admin API. Run names
+// (job_runs, job_locks, job_controls) equal the job name, except
+// cluster-enrich which runs per language as "cluster-enrich:<lang>".
+// Each gets the lock's AbortSignal; the long loops stop once it aborts.
+const JOBS = {
+  crawl: ({ crawlOptions = {} }, signal) =>
+    (process.env.SOURCE_MODE || "rss").toLowerCase() === "newsdata"
+      ? crawlNewsdataOnly()
+      : crawlAllFeeds({ ...crawlOptions, signal }),
+  "cluster-enrich": ({ lang }, signal) =>
+    enrichPendingClusters(lang, { signal }),
+  pretranslate: (params, signal) => runPretranslationCycle({ signal }),
+  "websub-renew": () => renewExpiringSubscriptions(),
+  "source-reliability": () => recomputeSourceReliability(),
+  "log-cleanup": () => cleanupOldLogs(),
+};
+
+// Jobs operators may run on demand
+export const MANUAL_JOBS = [
+  "crawl",
+  "cluster-enrich",
+  "pretranslate",
+  "source-reliability",
+  "log-cleanup",
+];
+// Jobs that can be paused (job-queue is the durable queue drain tick)
+export const PAUSABLE_JOBS = [...Object.keys(JOBS), "job-queue"];
+
+export const jobRunName = (job, params = {}) =>
+  job === "cluster-enrich" ? `${job}:${params.lang}` : job;
+
+// Run a job under its lease lock and record it in job_runs.
+// Returns { acquired, result } (acquired=false: another run holds the lock,
+// or unavailable=true when the lock table cannot be reached).
+export const runJob = (job, options = {}) => {
+  const { params = {}, trigger = "schedule", triggeredBy, onStart } = options;
+  const name = jobRunName(job, params);
+  return withJobLock(name, (signal) =>
+    trackJobRun(name, () => JOBS[job](params, signal), {
+      trigger,
+      triggeredBy,
+      onStart,
+    })
+  );
+};
+
+// Start a job in the background. Resolves once it is running ({ acquired:
+// true, run }) or was skipped because the lock is held or unavailable
+// ({ acquired: false }).
+export const startJob = (job, options = {}) =>
+  new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (value) => {
+      if (settled) return;
+      settled = true;
+      resolve(value);
+    };
+    runJob(job, {
+      ...options,
+      onStart: (run) => settle({ acquired: true, run }),
+    })
+      .then((res) => {
+        if (!settled) settle(res);
+        else if (res.acquired) {
+          logger.info("Manual job completed", {
+            job: jobRunName(job, options.params),
+          });
+        }
+      })
+      .catch((error) => {
+        if (!settled) {
+          settled = true;
+          reject(error);
+          return;
+        }
+        logger.warn("Manual job failed", {
+          job: jobRunName(job, options.params),
+          error: error.message,
+        });
+      });
+  });
+
+// A run name is paused when it or its base job is paused
+// (pausing "cluster-enrich" pauses every language). Fails open.
+export const isJobPaused = async (name) => {
+  try {
+    const names = [...new Set([name, name.split(":")[0]])];
+    const { data, error } = await supabase
+      .from("job_controls")
+      .select("name")
+      .in("name", names)
+      .eq("paused", true);
+    if (error) throw error;
+    return (data || []).length > 0;
+  } catch (error) {
+    logger.debug("Pause state unavailable", { name, error: error.message });
+    return false;
+  }
+};
+
+export const setJobPaused = async (name, paused, { by, reason } = {}) => {
+  await upsertRecord(
+    "job_controls",
+    {
+      name,
+      paused,
+      reason: paused ? reason || null : null,
+      updated_by: by || null,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "name", ignoreDuplicates: false }
+  );
+  const rows = await selectRecords("job_controls", { name });
+  return rows[0] || null;
+};
+
+const cleanupOldLogs = async () => {
+  try {
+    const cutoffDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000); // 7 days ago
+
+    const { error } = await supabase
+      .from("crawl_log")
+      .delete()
+      .lt("created_at", cutoffDate.toISOString());
+
+    if (error) throw error;
+
+    const runsDays = parseInt(process.env.JOB_RUNS_RETENTION_DAYS || "30", 10);
+    try {
+      await pruneJobRuns(new Date(Date.now() - runsDays * 24 * 60 * 60 * 1000));
+    } catch (e) {
+      logger.warn("Job run cleanup failed", { error: e.message });
+    }
+
+    const queueDays = parseInt(process.env.JOB_QUEUE_RETENTION_DAYS || "7", 10);
+    try {
+      await pruneFinishedJobs(
+        new Date(Date.now() - queueDays * 24 * 60 * 60 * 1000)
+      );
+    } catch (e) {
+      logger.warn("Job queue cleanup failed", { error: e.message });
+    }
+
+    // Limit windows are minutes long; a day leaves every live one alone
+    try {
+      await pruneRateLimitCounters(new Date(Date.now() - 24 * 60 * 60 * 1000));
+    } catch (e) {
+      logger.warn("Rate limit counter cleanup failed", { error: e.message });
+    }
+
+    logger.info("Old logs cleaned up", { cutoffDate });
+  } catch (error) {
+    logger.error("Log cleanup failed", { error: error.message });
+    throw error;
+  }
+};
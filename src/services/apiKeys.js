@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import {
+  selectRecords,
+  insertRecord,
+  updateRecord,
+  supabase,
+} from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+
+const logger = createContextLogger("ApiKeys");
+
+// admin implies every other scope
+export const API_SCOPES = ["read", "feeds:write", "crawl", "admin"];
+
+const KEY_PREFIX = "ink_";
+// Resolved keys are cached briefly; a revoke elsewhere takes effect within this window
+const CACHE_TTL_MS = 30 * 1000;
+const CACHE_MAX = 1000;
+// last_used_at is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const cache = new Map(); // hash -> { row, at }, least recently used first
+const touchedAt = new Map(); // id -> ms
+
+export const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(String(key)).digest("hex");
+
+export const hasScope = (scopes = [], scope) =>
+  scopes.includes("admin") || scopes.includes(scope);
+
+// Never expose the hash
+const publicKey = (row) => {
+  if (!row) return row;
+  const { key_hash: _hash, ...rest } = row;
+  return rest;
+};
+
+// Returns the plaintext key once; only its hash is stored
+export const createApiKey = async ({
+  name,
+  scopes,
+  expiresAt,
+  rateLimits,
+  createdBy,
+}) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const record = await insertRecord("api_keys", {
+    name,
+    key_prefix: key.substring(0, 12),
+    key_hash: hashApiKey(key),
+    scopes,
+    expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+    rate_limits: rateLimits || null,
+    created_by: createdBy || null,
+  });
+  logger.info("API key created", { id: record.id, name, scopes });
+  return { key, record: publicKey(record) };
+};
+
+export const listApiKeys = async () => {
+  const rows = await selectRecords(
+    "api_keys",
+    {},
+    { orderBy: { column: "created_at", ascending: false } }
+  );
+  return rows.map(publicKey);
+};
+
+// Returns null when no such key exists
+export const revokeApiKey = async (id) => {
+  const rows = await selectRecords("api_keys", { id });
+  if (!rows.length) return null;
+  const row = rows[0].revoked_at
+    ? rows[0]
+    : await updateRecord("api_keys", id, {
+        revoked_at: new Date().toISOString(),
+      });
+  cache.clear();
+  logger.info("API key revoked", { id, name: row.name });
+  return publicKey(row);
+};
+
+const touchLastUsed = async (id) => {
+  const now = Date.now();
+  if (now - (touchedAt.get(id) || 0) < TOUCH_INTERVAL_MS) return;
+  touchedAt.set(id, now);
+  try {
+    const { error } = await supabase
+      .from("api_keys")
+      .update({ last_used_at: new Date(now).toISOString() })
+      .eq("id", id);
+    if (error) throw error;
+  } catch (error) {
+    logger.debug("last_used_at update failed", { id, error: error.message });
+  }
+};
+
+const isUsable = (row, now = Date.now()) =>
+  row &&
+  !row.revoked_at &&
+  (!row.expires_at || new Date(row.expires_at).getTime() > now);
+
+const looksLikeKey = (token) => !!token && String(token).startsWith(KEY_PREFIX);
+
+const cachedRow = (hash) => {
+  const hit = cache.get(hash);
+  return hit && Date.now() - hit.at < CACHE_TTL_MS ? hit.row : undefined;
+};
+
+// True when resolving this token would query api_keys (not cached);
+// keyLookupRateLimit counts only these per IP
+export const needsApiKeyLookup = (token) =>
+  looksLikeKey(token) && cachedRow(hashApiKey(token)) === undefined;
+
+// Bearer token -> { id, name, scopes, rateLimits }, or null when unknown, revoked or expired
+export const resolveApiKey = async (token) => {
+  if (!looksLikeKey(token)) return null;
+  const hash = hashApiKey(token);
+  let row = cachedRow(hash);
+  if (row === undefined) {
+    const rows = await selectRecords("api_keys", { key_hash: hash });
+    row = rows[0] || null;
+    cache.delete(hash);
+    // Bounded against random tokens: evict the least recently used entry
+    if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+    cache.set(hash, { row, at: Date.now() });
+  } else {
+    // Map order is insertion order: re-insert to mark as recently used
+    const hit = cache.get(hash);
+    cache.delete(hash);
+    cache.set(hash, hit);
+  }
+  if (!isUsable(row)) return null;
+  touchLastUsed(row.id);
+  return {
+    id: row.id,
+    name: row.name,
+    scopes: row.scopes || [],
+    rateLimits: row.rate_limits || null,
+  };
+};
@@ -1,16 +1,33 @@
-import { selectRecords, insertRecord, supabase } from "../config/database.js";
+import {
+  selectRecords,
+  insertRecord,
+  upsertRecord,
+  supabase,
+} from "../config/database.js";
 import { fetchAndExtract } from "./htmlExtractor.js";
 import { normalizeBcp47 } from "../utils/lang.js";
 import { createContextLogger } from "../config/logger.js";
-import { generateContentHash } from "../utils/helpers.js";
+import { generateContentHash, canonicalizeUrl } from "../utils/helpers.js";
 import { logLLMEvent } from "../utils/llmLogger.js";
 import { assignClusterForArticle } from "./clusterer.js";
 import { selectAttachBestImage } from "./mediaSelector.js";
 import { categorizeArticle } from "./gemini.js";
 import { translateFields } from "./translationHelper.js";
+import { fingerprintText, findNearDuplicate } from "./nearDuplicate.js";
+import { enqueueJob } from "./jobQueue.js";
+import { resolveCategoryAliases } from "./categories.js";
+import { persistArticleEntities } from "./entityExtractor.js";
+import { persistArticlePlaces } from "./geotagger.js";
+import { getSourceReliability, weightedArticleScore } from "./scoring.js";
 
 const logger = createContextLogger("ArticleProcessor");
 
+// An article stored by an earlier crawl; callers log these apart from new
+// ones so re-polled items don't count as extractions
+const alreadyStored = (article) => ({ ...article, alreadyStored: true });
+
+// Returns the stored article (alreadyStored=true when it existed before),
+// or null when the item was skipped
 export const processArticle = async (articleData, sourceId) => {
   try {
     logger.debug("Processing article", {
@@ -24,18 +41,48 @@ export const processArticle = async (articleData, sourceId) => {
       content_hash: articleData.content_hash,
     });
 
-    if (existingArticles.length > 0) return existingArticles[0];
+    if (existingArticles.length > 0) return alreadyStored(existingArticles[0]);
+
+    // Same story reached via another feed (section vs top stories, tracking
+    // params, AMP links): match on the normalized canonical URL
+    const rawUrl = articleData.canonical_url || articleData.url;
+    let canonicalUrl =
+      canonicalizeUrl(rawUrl, {
+        canonicalHost: await publisherHost(rawUrl, sourceId),
+      }) ||
+      articleData.canonical_url ||
+      articleData.url;
+    const sameUrl = await findByCanonicalUrl(canonicalUrl);
+    if (sameUrl) return alreadyStored(sameUrl);
 
     // (Optional) enforce full text requirement before persisting
     const requireFull = true; // strict: must have full text
     let preExtractedFullText = null;
-    // Always attempt extraction if enabled (even if not strictly required)
-    if (process.env.ENABLE_HTML_EXTRACTION === "true") {
+    // Always attempt extraction if enabled (even if not strictly required).
+    // Items without a body of their own (e.g. sitemap entries) always extract.
+    if (
+      process.env.ENABLE_HTML_EXTRACTION === "true" ||
+      articleData.requires_full_text
+    ) {
       try {
         const extracted = await fetchAndExtract(
           articleData.canonical_url || articleData.url
         );
         preExtractedFullText = extracted?.text || null;
+        // The page's own canonical (link rel=canonical / og:url) wins
+        const declared = canonicalizeUrl(extracted?.canonicalUrl);
+        if (declared && declared !== canonicalUrl) {
+          const samePage = await findByCanonicalUrl(declared);
+          if (samePage) return alreadyStored(samePage);
+          canonicalUrl = declared;
+        }
+        // Sitemap-style items: extracted page supplies title/snippet when missing
+        if (!articleData.title && extracted?.title) {
+          articleData.title = extracted.title;
+        }
+        if (!articleData.snippet && preExtractedFullText) {
+          articleData.snippet = preExtractedFullText.slice(0, 300);
+        }
         // If page declares language, adopt when missing/auto or when strong mismatch suspected
         if (extracted?.language) {
           const normalized = normalizeBcp47(extracted.language);
@@ -115,13 +162,24 @@ export const processArticle = async (articleData, sourceId) => {
       }
     }
 
+    // Near-duplicate check (syndicated copies, tweaked headlines) across sources
+    const fingerprint = fingerprintText(preExtractedFullText);
+    const nearDup = await findNearDuplicate(fingerprint);
+    if (nearDup) {
+      logger.info("Near-duplicate detected", {
+        url: articleData.url,
+        duplicateOf: nearDup.id,
+        distance: nearDup.distance,
+      });
+    }
+
     // Create new article (only after passing fulltext requirement if enforced)
     let article;
     try {
       article = await insertRecord("articles", {
         source_id: sourceId,
         url: articleData.url,
-        canonical_url: articleData.canonical_url || articleData.url,
+        canonical_url: canonicalUrl,
         title: articleData.title,
         snippet: articleData.snippet,
         language: articleData.language,
@@ -129,6 +187,8 @@ export const processArticle = async (articleData, sourceId) => {
         content_hash: articleData.content_hash,
         fetched_at: new Date(),
         full_text: preExtractedFullText || null,
+        ...(fingerprint || {}),
+        ...(nearDup ? { duplicate_of: nearDup.id } : {}),
       });
     } catch (e) {
       if (/duplicate key value/.test(e.message || "")) {
@@ -146,15 +206,15 @@ export const processArticle = async (articleData, sourceId) => {
         } else {
           throw e; // fallback - shouldn't happen
         }
-      } else if (/full_text/.test(e.message || "")) {
-        logger.warn("Insert without full_text (column missing)", {
+      } else if (/full_text|simhash|duplicate_of/.test(e.message || "")) {
+        logger.warn("Insert without full_text/fingerprint (column missing)", {
           url: articleData.url,
           error: e.message,
         });
         article = await insertRecord("articles", {
           source_id: sourceId,
           url: articleData.url,
-          canonical_url: articleData.canonical_url || articleData.url,
+          canonical_url: canonicalUrl,
           title: articleData.title,
           snippet: articleData.snippet,
           language: articleData.language,
@@ -172,67 +232,146 @@ export const processArticle = async (articleData, sourceId) => {
       title: article.title?.substring(0, 50),
     });
 
-    // Media selection & attachment (behind flags)
-    try {
-      await selectAttachBestImage(article);
-    } catch (e) {
-      logger.warn("Media selection failed (non-fatal)", {
-        articleId: article.id,
-        error: e.message,
+    // Post-insert stages: durable jobs when the queue is available, else inline
+    await scheduleArticleStages(article, { sourceId });
+
+    return article;
+  } catch (error) {
+    logger.error("Failed to process article", {
+      title: articleData.title?.substring(0, 50),
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
+// Stage order matters for inline runs: media and cluster are awaited, the rest
+// are fire-and-forget. Each stage is also a job type (payload { article_id }).
+export const ARTICLE_STAGES = [
+  "article.media",
+  "article.cluster",
+  "article.score",
+  "article.categorize",
+  "article.entities",
+  "article.geotag",
+  "article.pretranslate",
+];
+const BLOCKING_STAGES = new Set(["article.media", "article.cluster"]);
+
+const clusteringEnabled = () =>
+  (process.env.CLUSTERING_ENABLED || "false").toLowerCase() === "true";
+
+const jobQueueEnabled = () =>
+  (process.env.JOB_QUEUE_ENABLED || "true").toLowerCase() !== "false";
+
+export async function runArticleStage(stage, article, { sourceId } = {}) {
+  switch (stage) {
+    case "article.media":
+      return selectAttachBestImage(article);
+    case "article.cluster":
+      if (!clusteringEnabled()) return null;
+      return assignClusterForArticle(article, {
+        sourceId: sourceId || article.source_id,
       });
-    }
+    case "article.score":
+      return calculateArticleScore(article, { rethrow: true });
+    case "article.categorize":
+      return persistArticleCategories(
+        article,
+        {
+          title: article.title,
+          snippet: article.snippet,
+          language: article.language,
+        },
+        { rethrow: true }
+      );
+    case "article.entities":
+      return persistArticleEntities(article, { rethrow: true });
+    case "article.geotag":
+      return persistArticlePlaces(article, { rethrow: true });
+    case "article.pretranslate":
+      return pretranslateArticleContent(article);
+    default:
+      throw new Error(`Unknown article stage: ${stage}`);
+  }
+}
 
-    // Cluster assignment (stub) — only for new items; controlled by flag
-    try {
-      if (
-        (process.env.CLUSTERING_ENABLED || "false").toLowerCase() === "true"
-      ) {
-        await assignClusterForArticle(article, { sourceId });
+async function scheduleArticleStages(article, { sourceId }) {
+  const stages = ARTICLE_STAGES.filter(
+    (s) => s !== "article.cluster" || clusteringEnabled()
+  );
+  let inline = stages;
+  if (jobQueueEnabled()) {
+    inline = [];
+    for (let i = 0; i < stages.length; i++) {
+      const queued = await enqueueJob(
+        stages[i],
+        { article_id: article.id },
+        { dedupeKey: String(article.id) }
+      );
+      // Queue unavailable: run this and the remaining stages inline
+      if (!queued) {
+        inline = stages.slice(i);
+        break;
       }
-    } catch (e) {
-      logger.warn("Cluster assignment failed (non-fatal)", {
-        articleId: article.id,
-        error: e.message,
-      });
     }
+  }
 
-    // Calculate article score asynchronously
-    calculateArticleScore(article).catch((e) =>
-      logger.warn("Score calc failed (new)", {
-        articleId: article.id,
-        error: e.message,
-      })
-    );
-
-    // Categorize article and persist links (non-blocking best-effort)
-    persistArticleCategories(article, {
-      title: article.title,
-      snippet: article.snippet,
-      language: article.language,
-    }).catch((e) =>
-      logger.warn("Categorization failed (non-fatal)", {
+  for (const stage of inline) {
+    const run = runArticleStage(stage, article, { sourceId }).catch((e) =>
+      logger.warn("Article stage failed (non-fatal)", {
         articleId: article.id,
+        stage,
         error: e.message,
       })
     );
+    if (BLOCKING_STAGES.has(stage)) await run;
+  }
+}
 
-    // Pre-translate article content to warm translations cache (non-blocking)
-    pretranslateArticleContent(article).catch((e) =>
-      logger.debug("Article pretranslation skipped", {
-        articleId: article.id,
-        error: e.message,
-      })
-    );
+// Host of the source's homepage (e.g. www.example.com), looked up only for
+// amp. hosts so canonicalizeUrl can map the AMP mirror onto it
+const homepageHosts = new Map(); // sourceId -> { host, at }
+const HOMEPAGE_TTL_MS = 10 * 60 * 1000;
 
-    return article;
-  } catch (error) {
-    logger.error("Failed to process article", {
-      title: articleData.title?.substring(0, 50),
-      error: error.message,
+async function publisherHost(url, sourceId) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (_) {
+    return null;
+  }
+  if (!sourceId || !hostname.startsWith("amp.")) return null;
+  const hit = homepageHosts.get(sourceId);
+  if (hit && Date.now() - hit.at < HOMEPAGE_TTL_MS) return hit.host;
+  let host = null;
+  try {
+    const [source] = await selectRecords("sources", { id: sourceId });
+    host = source?.homepage ? new URL(source.homepage).hostname : null;
+  } catch (e) {
+    logger.debug("Source homepage lookup failed", {
+      sourceId,
+      error: e.message,
     });
-    throw error;
   }
-};
+  homepageHosts.set(sourceId, { host, at: Date.now() });
+  return host;
+}
+
+async function findByCanonicalUrl(canonicalUrl) {
+  if (!canonicalUrl) return null;
+  try {
+    const rows = await selectRecords(
+      "articles",
+      { canonical_url: canonicalUrl },
+      { limit: 1 }
+    );
+    return rows[0] || null;
+  } catch (e) {
+    logger.debug("Canonical URL lookup failed", { error: e.message });
+    return null;
+  }
+}
 
 // processArticleAI removed — deprecated
 
@@ -318,8 +457,11 @@ export async function persistArticleCategories(article, minimal, options = {}) {
       snippet: minimal.snippet || "",
       language: minimal.language || "",
     });
-    const cats = Array.isArray(suggestion) ? suggestion : [];
+    let cats = Array.isArray(suggestion) ? suggestion : [];
     if (!cats.length) return;
+    // Rewrite drifted paths onto their canonical categories
+    const resolved = await resolveCategoryAliases(cats.map((c) => c.path));
+    cats = cats.map((c, i) => ({ ...c, path: resolved[i] }));
     let paths = [...new Set(cats.map((c) => c.path).filter(Boolean))];
 
     // Optional: sanitize geo categories to a preferred country when enabled
@@ -405,27 +547,34 @@ export async function persistArticleCategories(article, minimal, options = {}) {
       articleId: article?.id,
       error: error.message,
     });
+    // Queued runs rethrow so the job is retried
+    if (options.rethrow) throw error;
   }
 }
 
-const calculateArticleScore = async (article) => {
+// Weighted by SCORE_WEIGHT_* (see scoring.js)
+const calculateArticleScore = async (article, options = {}) => {
   try {
     const factors = {
       recency: calculateRecencyScore(article.published_at),
       titleLength: calculateTitleScore(article.title),
       hasSnippet: article.snippet ? 1.0 : 0.0,
-      sourceReliability: 0.7, // Default source reliability
+      sourceReliability: await getSourceReliability(article.source_id),
     };
 
-    const score =
-      Object.values(factors).reduce((sum, factor) => sum + factor, 0) /
-      Object.keys(factors).length;
+    const score = weightedArticleScore(factors);
 
-    await insertRecord("article_scores", {
-      article_id: article.id,
-      score,
-      factors,
-    });
+    // Upsert so retried jobs and rescoring overwrite the row
+    await upsertRecord(
+      "article_scores",
+      {
+        article_id: article.id,
+        score,
+        factors,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "article_id", ignoreDuplicates: false }
+    );
 
     logger.debug("Article score calculated", {
       articleId: article.id,
@@ -438,6 +587,7 @@ const calculateArticleScore = async (article) => {
       articleId: article.id,
       error: error.message,
     });
+    if (options.rethrow) throw error;
     return { score: 0.5, factors: {} };
   }
 };
@@ -0,0 +1,207 @@
+import { supabase } from "../config/database.js";
+import { maxExtractChars } from "./policy.js";
+
+// Read side of the articles API: filtered listing with keyset pagination on
+// (published_at, id) and a detail view that applies the extract policy.
+
+const LIST_COLUMNS =
+  "id,title,snippet,source_id,language,published_at,canonical_url,url,cluster_id";
+const MEDIA_COLUMNS =
+  "id,origin,url,width,height,caption,alt,license,attribution";
+const MAX_PAGE_SIZE = 100;
+
+// Cursors are opaque base64url JSON of the last row's sort key
+const encodeCursor = (row) =>
+  Buffer.from(JSON.stringify([row.published_at, row.id])).toString("base64url");
+
+// Returns null when the cursor is malformed. The timestamp is re-serialized
+// as ISO so only a plain date ever reaches the .or() filter string.
+export const decodeCursor = (cursor) => {
+  try {
+    const [publishedAt, id] = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    const date = typeof publishedAt === "string" ? new Date(publishedAt) : null;
+    if (!date || isNaN(date.getTime()) || !/^[0-9a-f-]{36}$/i.test(id))
+      return null;
+    return { publishedAt: date.toISOString(), id };
+  } catch {
+    return null;
+  }
+};
+
+// PostgREST returns one-to-one embeds as an object (a 1-element array on older versions)
+const one = (embed) => (Array.isArray(embed) ? embed[0] || null : embed);
+
+// Ids of the category and every category below it
+const categoryIdsUnder = async (path) => {
+  const { data, error } = await supabase
+    .from("categories")
+    .select("id")
+    .or(`path.eq."${path}",path.like."${path}.*"`);
+  if (error) throw error;
+  return (data || []).map((r) => r.id);
+};
+
+// Filters: sourceId, lang, category (path prefix), clusterId, from, to, minScore.
+// Articles without published_at are not listed.
+export const listArticles = async (filters = {}) => {
+  const limit = Math.min(
+    Math.max(parseInt(filters.limit, 10) || 20, 1),
+    MAX_PAGE_SIZE
+  );
+
+  let categoryIds = null;
+  if (filters.category) {
+    categoryIds = await categoryIdsUnder(filters.category);
+    if (!categoryIds.length) return { articles: [], nextCursor: null, limit };
+  }
+
+  // Inner embeds filter the parent rows by the joined table
+  const embeds = [
+    filters.minScore !== undefined
+      ? "article_scores!inner(score)"
+      : "article_scores(score)",
+  ];
+  if (categoryIds) embeds.push("article_categories!inner(category_id)");
+
+  let query = supabase
+    .from("articles")
+    .select(`${LIST_COLUMNS},${embeds.join(",")}`)
+    .not("published_at", "is", null);
+
+  if (filters.sourceId) query = query.eq("source_id", filters.sourceId);
+  if (filters.lang) query = query.eq("language", filters.lang);
+  if (filters.clusterId) query = query.eq("cluster_id", filters.clusterId);
+  if (filters.from) query = query.gte("published_at", filters.from);
+  if (filters.to) query = query.lte("published_at", filters.to);
+  if (filters.minScore !== undefined)
+    query = query.gte("article_scores.score", filters.minScore);
+  if (categoryIds)
+    query = query.in("article_categories.category_id", categoryIds);
+
+  if (filters.cursor) {
+    const { publishedAt, id } = filters.cursor;
+    query = query.or(
+      `published_at.lt."${publishedAt}",and(published_at.eq."${publishedAt}",id.lt.${id})`
+    );
+  }
+
+  // One extra row tells whether another page exists
+  const { data, error } = await query
+    .order("published_at", { ascending: false })
+    .order("id", { ascending: false })
+    .limit(limit + 1);
+  if (error) throw error;
+
+  const rows = data || [];
+  const page = rows.slice(0, limit);
+  return {
+    articles: page.map((a) => ({
+      id: a.id,
+      title: a.title,
+      snippet: a.snippet,
+      url: a.canonical_url || a.url,
+      source_id: a.source_id,
+      language: a.language,
+      published_at: a.published_at,
+      cluster_id: a.cluster_id,
+      score: one(a.article_scores)?.score ?? null,
+    })),
+    nextCursor:
+      rows.length > limit ? encodeCursor(page[page.length - 1]) : null,
+    limit,
+  };
+};
+
+// Cut at a word boundary when one is close to the limit
+const truncateText = (text, max) => {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  const space = cut.lastIndexOf(" ");
+  return (space > max * 0.8 ? cut.slice(0, space) : cut).trimEnd() + "…";
+};
+
+const selectAll = async (query) => {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+// Article with source, categories, media and score; null when not found
+export const getArticle = async (id) => {
+  const [article] = await selectAll(
+    supabase
+      .from("articles")
+      .select(`${LIST_COLUMNS},full_text,fetched_at`)
+      .eq("id", id)
+      .limit(1)
+  );
+  if (!article) return null;
+
+  const [sources, policies, categories, media, scores] = await Promise.all([
+    article.source_id
+      ? selectAll(
+          supabase
+            .from("sources")
+            .select("id,name,homepage,allowed_use")
+            .eq("id", article.source_id)
+        )
+      : [],
+    selectAll(supabase.from("article_policy").select("*").eq("article_id", id)),
+    selectAll(
+      supabase
+        .from("article_categories")
+        .select("confidence,categories(path)")
+        .eq("article_id", id)
+    ),
+    selectAll(
+      supabase
+        .from("article_media")
+        .select(`role,position,media_assets(${MEDIA_COLUMNS})`)
+        .eq("article_id", id)
+        .order("position", { ascending: true })
+    ),
+    selectAll(
+      supabase
+        .from("article_scores")
+        .select("score,factors,updated_at")
+        .eq("article_id", id)
+    ),
+  ]);
+
+  const source = sources[0] || null;
+  const policy = policies[0] || null;
+  const maxChars = maxExtractChars(policy, source);
+  const fullText = article.full_text || "";
+
+  return {
+    id: article.id,
+    title: article.title,
+    snippet: article.snippet,
+    url: article.canonical_url || article.url,
+    source_id: article.source_id,
+    language: article.language,
+    published_at: article.published_at,
+    fetched_at: article.fetched_at,
+    cluster_id: article.cluster_id,
+    source: source
+      ? { id: source.id, name: source.name, homepage: source.homepage }
+      : null,
+    body: maxChars && fullText ? truncateText(fullText, maxChars) : null,
+    body_truncated: Boolean(maxChars && fullText.length > maxChars),
+    categories: categories
+      .map((c) => ({
+        path: one(c.categories)?.path,
+        confidence: c.confidence,
+      }))
+      .filter((c) => c.path),
+    media: media
+      .map((m) => {
+        const asset = one(m.media_assets);
+        return asset ? { ...asset, role: m.role, position: m.position } : null;
+      })
+      .filter(Boolean),
+    score: scores[0] || null,
+  };
+};
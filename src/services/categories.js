@@ -0,0 +1,202 @@
+import { supabase } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+
+const logger = createContextLogger("Categories");
+
+// Category paths are dot-separated, e.g. "sports.football.transfer"
+const CATEGORY_PATH_RE = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i;
+export const isCategoryPath = (path) => CATEGORY_PATH_RE.test(String(path));
+
+const parentOf = (path) =>
+  path.includes(".") ? path.slice(0, path.lastIndexOf(".")) : null;
+
+// Aliases change rarely; cache them for categorization
+const ALIAS_CACHE_TTL_MS = 5 * 60 * 1000;
+let aliasCache = { map: null, at: 0 };
+
+const loadAliases = async () => {
+  if (aliasCache.map && Date.now() - aliasCache.at < ALIAS_CACHE_TTL_MS) {
+    return aliasCache.map;
+  }
+  const { data, error } = await supabase
+    .from("category_aliases")
+    .select("alias,target_path");
+  if (error) throw error;
+  const map = new Map((data || []).map((r) => [r.alias, r.target_path]));
+  aliasCache = { map, at: Date.now() };
+  return map;
+};
+
+// Rewrite paths through category_aliases (same order and length as the input).
+// An alias also covers its subpaths: with business.economy -> economy,
+// business.economy.rates -> economy.rates. Paths are returned unchanged when
+// aliases can't be loaded.
+export const resolveCategoryAliases = async (paths) => {
+  let aliases;
+  try {
+    aliases = await loadAliases();
+  } catch (error) {
+    logger.debug("Category aliases unavailable", { error: error.message });
+    return paths;
+  }
+  if (!aliases.size) return paths;
+  return paths.map((path) => {
+    for (let prefix = path; prefix; prefix = parentOf(prefix)) {
+      const target = aliases.get(prefix);
+      if (target) return target + path.slice(prefix.length);
+    }
+    return path;
+  });
+};
+
+const since = (days) =>
+  days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+
+// Nested tree of { path, name, article_count, cluster_count, children }.
+// Counts cover the last `days` days (all time when 0) and include subpaths.
+export const getCategoryTree = async ({ days = 7, root = null } = {}) => {
+  const [{ data: cats, error }, { data: counts, error: cErr }] =
+    await Promise.all([
+      supabase.from("categories").select("path,parent_path"),
+      supabase.rpc("category_counts", { p_since: since(days) }),
+    ]);
+  if (error) throw error;
+  if (cErr) throw cErr;
+
+  const countByPath = new Map((counts || []).map((r) => [r.path, r]));
+  const nodes = new Map();
+  for (const { path } of cats || []) {
+    const c = countByPath.get(path);
+    nodes.set(path, {
+      path,
+      name: path.slice(path.lastIndexOf(".") + 1),
+      article_count: Number(c?.article_count || 0),
+      cluster_count: Number(c?.cluster_count || 0),
+      children: [],
+    });
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = nodes.get(parentOf(node.path));
+    (parent ? parent.children : roots).push(node);
+  }
+  const sortTree = (list) => {
+    list.sort(
+      (a, b) =>
+        b.article_count - a.article_count || a.path.localeCompare(b.path)
+    );
+    list.forEach((n) => sortTree(n.children));
+    return list;
+  };
+
+  if (root) {
+    const node = nodes.get(root);
+    return node ? sortTree([node]) : null;
+  }
+  return sortTree(roots);
+};
+
+// Clusters with articles under `path` (subpaths included), most recent first
+export const listCategoryClusters = async (
+  path,
+  { days = 7, lang = "en", limit = 20, offset = 0 } = {}
+) => {
+  const { data: rows, error } = await supabase.rpc("category_clusters", {
+    p_path: path,
+    p_since: since(days),
+    p_limit: limit,
+    p_offset: offset,
+  });
+  if (error) throw error;
+  const ids = (rows || []).map((r) => r.cluster_id);
+  if (!ids.length) return [];
+
+  const [{ data: clusters, error: clErr }, { data: aiRows, error: aiErr }] =
+    await Promise.all([
+      supabase
+        .from("clusters")
+        .select("id,size,first_seen,last_seen,rep_article")
+        .in("id", ids),
+      supabase
+        .from("cluster_ai")
+        .select("cluster_id,ai_title,ai_summary,lang")
+        .in("cluster_id", ids)
+        .eq("is_current", true)
+        .eq("lang", lang),
+    ]);
+  if (clErr) throw clErr;
+  if (aiErr) throw aiErr;
+
+  const clusterById = new Map((clusters || []).map((c) => [c.id, c]));
+  const aiById = new Map((aiRows || []).map((r) => [r.cluster_id, r]));
+  return rows.map((r) => ({
+    cluster_id: r.cluster_id,
+    article_count: Number(r.article_count),
+    last_published_at: r.last_published_at,
+    cluster: clusterById.get(r.cluster_id) || null,
+    ai: aiById.get(r.cluster_id) || null,
+  }));
+};
+
+export const categoryExists = async (path) => {
+  const { data, error } = await supabase
+    .from("categories")
+    .select("id")
+    .eq("path", path)
+    .limit(1);
+  if (error) throw error;
+  return Boolean(data?.length);
+};
+
+// Move `from` (and its subtree) onto `into`; old paths become aliases.
+// Returns { moved_paths, moved_links }.
+export const mergeCategory = async (from, into, { by } = {}) => {
+  const { data, error } = await supabase.rpc("merge_category", {
+    p_from: from,
+    p_into: into,
+    p_by: by || null,
+  });
+  if (error) throw error;
+  aliasCache = { map: null, at: 0 };
+  const row = Array.isArray(data) ? data[0] : data;
+  logger.info("Category merged", { from, into, by, ...row });
+  return row;
+};
+
+export const listCategoryAliases = async () => {
+  const { data, error } = await supabase
+    .from("category_aliases")
+    .select("alias,target_path,created_by,created_at")
+    .order("alias", { ascending: true });
+  if (error) throw error;
+  return data || [];
+};
+
+// Map a path that is not in the taxonomy onto `target`
+export const addCategoryAlias = async (alias, target, { by } = {}) => {
+  const { data, error } = await supabase
+    .from("category_aliases")
+    .upsert(
+      { alias, target_path: target, created_by: by || null },
+      { onConflict: "alias" }
+    )
+    .select()
+    .single();
+  if (error) throw error;
+  aliasCache = { map: null, at: 0 };
+  logger.info("Category alias set", { alias, target, by });
+  return data;
+};
+
+// Returns false when no such alias exists
+export const removeCategoryAlias = async (alias) => {
+  const { data, error } = await supabase
+    .from("category_aliases")
+    .delete()
+    .eq("alias", alias)
+    .select("alias");
+  if (error) throw error;
+  aliasCache = { map: null, at: 0 };
+  return Boolean(data?.length);
+};
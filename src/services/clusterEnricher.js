@@ -52,6 +52,14 @@ export async function enrichPendingClusters(lang = "en", options = {}) {
     // Removed minChars checks; we now use original article body as details
     let processed = 0;
     for (const c of clusters) {
+      // Lock lost to another worker: it takes over the remaining clusters
+      if (options?.signal?.aborted) {
+        logger.warn("Cluster enrichment stopped early: lock lost", {
+          lang,
+          processed,
+        });
+        break;
+      }
       // Check if has current ai
       const ai = await selectRecords("cluster_ai", {
         cluster_id: c.id,
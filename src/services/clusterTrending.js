@@ -0,0 +1,187 @@
+import { selectRecords, updateRecord, supabase } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+import { envNumber, weightedMean } from "./scoring.js";
+
+const logger = createContextLogger("ClusterTrending");
+
+// Cluster trending score for the front page (migrations/0040_cluster_trending.sql).
+// trending_base is a weighted mean of four 0-1 components; the ranking
+// multiplies it by a recency decay from last_seen at query time, so stale
+// clusters sink without being refreshed.
+
+const weights = () => ({
+  velocity: envNumber("CLUSTER_TREND_WEIGHT_VELOCITY", 0.35),
+  sources: envNumber("CLUSTER_TREND_WEIGHT_SOURCES", 0.3),
+  quality: envNumber("CLUSTER_TREND_WEIGHT_QUALITY", 0.2),
+  languages: envNumber("CLUSTER_TREND_WEIGHT_LANGUAGES", 0.15),
+});
+
+const windowHours = () => envNumber("CLUSTER_TREND_WINDOW_HOURS", 6);
+const halfLifeHours = () => envNumber("CLUSTER_TREND_HALF_LIFE_HOURS", 12);
+
+const round = (n) => Math.round(n * 10000) / 10000;
+
+const recencyAt = (lastSeen, now) => {
+  if (!lastSeen) return 0;
+  const ageHours = Math.max(0, (now - new Date(lastSeen).getTime()) / 36e5);
+  return Math.pow(0.5, ageHours / halfLifeHours());
+};
+
+// Components from cluster_trending_stats:
+// - velocity: members per hour over the last CLUSTER_TREND_WINDOW_HOURS,
+//   0.5 at CLUSTER_TREND_VELOCITY_REF articles/hour
+// - sources: 0 for one source, approaching 1 as more sources report it
+// - quality: mean article score (members not scored yet are left out)
+// - languages: 0 for one language, 0.5 for three
+const trendingFactors = (stats, now) => {
+  const hours = windowHours();
+  const ref = envNumber("CLUSTER_TREND_VELOCITY_REF", 2);
+  const velocity = (Number(stats.recent_count) || 0) / hours;
+  const sourceCount = Number(stats.source_count) || 0;
+  const languageCount = Number(stats.language_count) || 0;
+  const avgScore =
+    stats.avg_score === null || stats.avg_score === undefined
+      ? null
+      : Number(stats.avg_score);
+  const components = {
+    velocity: round(velocity / (velocity + ref)),
+    sources: round(Math.max(0, sourceCount - 1) / (sourceCount + 2)),
+    quality: avgScore === null ? null : round(avgScore),
+    languages: round(Math.max(0, languageCount - 1) / (languageCount + 1)),
+  };
+  const w = weights();
+  const base = round(weightedMean(components, w) ?? 0);
+  const recency = round(recencyAt(stats.last_published_at, now));
+  return {
+    base,
+    recency,
+    score: round(base * recency),
+    components,
+    weights: w,
+    inputs: {
+      article_count: Number(stats.article_count) || 0,
+      recent_count: Number(stats.recent_count) || 0,
+      window_hours: hours,
+      articles_per_hour: round(velocity),
+      source_count: sourceCount,
+      language_count: languageCount,
+      avg_article_score: avgScore === null ? null : round(avgScore),
+    },
+  };
+};
+
+// Recompute one cluster's score from its members; called as
+// assignClusterForArticle adds an article. last_seen follows the newest member.
+export const refreshClusterTrending = async (clusterId) => {
+  const now = Date.now();
+  const { data, error } = await supabase.rpc("cluster_trending_stats", {
+    p_cluster_id: clusterId,
+    p_window_start: new Date(now - windowHours() * 36e5).toISOString(),
+  });
+  if (error) throw error;
+  const stats = Array.isArray(data) ? data[0] : data;
+  if (!stats || !Number(stats.article_count)) return null;
+
+  const factors = trendingFactors(stats, now);
+  await updateRecord("clusters", clusterId, {
+    trending_base: factors.base,
+    trending_score: factors.score,
+    trending_factors: factors,
+    trending_updated_at: new Date(now).toISOString(),
+    ...(stats.last_published_at ? { last_seen: stats.last_published_at } : {}),
+  });
+  logger.debug("Cluster trending refreshed", {
+    clusterId,
+    score: factors.score,
+  });
+  return factors;
+};
+
+// Enabled market by market_code, or null
+export const getMarket = async (code) => {
+  const rows = await selectRecords("app_markets", { market_code: code });
+  return rows.find((m) => m.enabled !== false) || null;
+};
+
+// One page of the front page: clusters ranked by trending_base decayed to
+// now, with their rep article and current summary in `lang`. `debug` adds
+// the stored breakdown with recency recomputed for this request.
+export const listTopClusters = async ({
+  geoScope = [],
+  lang = "en",
+  hours = 72,
+  limit = 20,
+  offset = 0,
+  debug = false,
+} = {}) => {
+  const { data: ranked, error } = await supabase.rpc("top_clusters", {
+    p_geo_scope: geoScope.length ? geoScope : null,
+    p_since: hours ? new Date(Date.now() - hours * 36e5).toISOString() : null,
+    p_half_life_hours: halfLifeHours(),
+    p_limit: limit,
+    p_offset: offset,
+  });
+  if (error) throw error;
+  const ids = (ranked || []).map((r) => r.cluster_id);
+  if (!ids.length) return [];
+
+  const [{ data: clusters, error: clErr }, { data: aiRows, error: aiErr }] =
+    await Promise.all([
+      supabase
+        .from("clusters")
+        .select(
+          "id,size,first_seen,last_seen,rep_article,trending_base,trending_factors,trending_updated_at"
+        )
+        .in("id", ids),
+      supabase
+        .from("cluster_ai")
+        .select("cluster_id,ai_title,ai_summary,lang")
+        .in("cluster_id", ids)
+        .eq("is_current", true)
+        .eq("lang", lang),
+    ]);
+  if (clErr) throw clErr;
+  if (aiErr) throw aiErr;
+
+  const clusterById = new Map((clusters || []).map((c) => [c.id, c]));
+  const repIds = [
+    ...new Set((clusters || []).map((c) => c.rep_article).filter(Boolean)),
+  ];
+  let articleById = new Map();
+  if (repIds.length) {
+    const { data: articles, error: aErr } = await supabase
+      .from("articles")
+      .select(
+        "id,title,snippet,source_id,language,published_at,canonical_url,url"
+      )
+      .in("id", repIds);
+    if (aErr) throw aErr;
+    articleById = new Map((articles || []).map((a) => [a.id, a]));
+  }
+  const aiById = new Map((aiRows || []).map((r) => [r.cluster_id, r]));
+  const now = Date.now();
+
+  return ranked.map((row, i) => {
+    const cluster = clusterById.get(row.cluster_id) || {};
+    const entry = {
+      rank: offset + i + 1,
+      cluster_id: row.cluster_id,
+      score: round(Number(row.score) || 0),
+      size: cluster.size ?? null,
+      first_seen: cluster.first_seen ?? null,
+      last_seen: cluster.last_seen ?? null,
+      rep_article: articleById.get(cluster.rep_article) || null,
+      ai: aiById.get(row.cluster_id) || null,
+    };
+    if (debug) {
+      entry.debug = {
+        ...(cluster.trending_factors || {}),
+        recency: round(recencyAt(cluster.last_seen, now)),
+        score: entry.score,
+        half_life_hours: halfLifeHours(),
+        refreshed_at: cluster.trending_updated_at ?? null,
+      };
+    }
+    return entry;
+  });
+};
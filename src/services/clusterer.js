@@ -5,6 +5,7 @@ import {
   updateRecord,
 } from "../config/database.js";
 import { extractUpdateFromArticle } from "./updateExtractor.js";
+import { refreshClusterTrending } from "./clusterTrending.js";
 import { createContextLogger } from "../config/logger.js";
 
 const logger = createContextLogger("Clusterer");
@@ -39,29 +40,43 @@ export async function assignClusterForArticle(article, { sourceId } = {}) {
 
     let bestClusterId = null;
     let bestSim = 0;
-    try {
-      const { data, error } = await supabase.rpc("find_similar_articles", {
-        p_title: title,
-        p_full_text: fullText,
-        p_window_hours: windowHours,
-        p_threshold: threshold,
-        p_limit: limit,
+
+    // Syndicated copy: join the original's cluster instead of searching
+    if (article.duplicate_of) {
+      const originals = await selectRecords("articles", {
+        id: article.duplicate_of,
       });
-      if (error) throw error;
-      if (Array.isArray(data)) {
-        for (const row of data) {
-          if (row.similarity >= threshold && row.cluster_id) {
-            if (row.similarity > bestSim) {
-              bestSim = row.similarity;
-              bestClusterId = row.cluster_id;
+      if (originals[0]?.cluster_id) {
+        bestClusterId = originals[0].cluster_id;
+        bestSim = 1;
+      }
+    }
+
+    if (!bestClusterId) {
+      try {
+        const { data, error } = await supabase.rpc("find_similar_articles", {
+          p_title: title,
+          p_full_text: fullText,
+          p_window_hours: windowHours,
+          p_threshold: threshold,
+          p_limit: limit,
+        });
+        if (error) throw error;
+        if (Array.isArray(data)) {
+          for (const row of data) {
+            if (row.similarity >= threshold && row.cluster_id) {
+              if (row.similarity > bestSim) {
+                bestSim = row.similarity;
+                bestClusterId = row.cluster_id;
+              }
             }
           }
         }
+      } catch (e) {
+        logger.warn("Similarity search failed; defaulting to new cluster", {
+          error: e.message,
+        });
       }
-    } catch (e) {
-      logger.warn("Similarity search failed; defaulting to new cluster", {
-        error: e.message,
-      });
     }
 
     const clusterId = bestClusterId || article.id; // fallback: 1:1
@@ -124,6 +139,16 @@ export async function assignClusterForArticle(article, { sourceId } = {}) {
       logger.warn("Failed to set article.cluster_id", { error: e.message });
     }
 
+    // New member: refresh the cluster's trending score
+    try {
+      await refreshClusterTrending(clusterId);
+    } catch (e) {
+      logger.warn("Failed to refresh cluster trending score", {
+        clusterId,
+        error: e.message,
+      });
+    }
+
     logger.debug("Cluster assigned", {
       articleId: article.id,
       clusterId,
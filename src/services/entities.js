@@ -0,0 +1,78 @@
+import { supabase } from "../config/database.js";
+
+// Read side for extracted entities (migrations/0036_entities.sql)
+
+const rpc = async (fn, params) => {
+  const { data, error } = await supabase.rpc(fn, params);
+  if (error) throw error;
+  return data || [];
+};
+
+const since = (days) =>
+  days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+
+// Name lookup (case-insensitive substring), optionally by type
+export const findEntities = async ({ q, type, limit = 20 }) => {
+  let query = supabase
+    .from("entities")
+    .select("id,name,type,wikidata_id")
+    .ilike("name", `%${q.replace(/[%_\\]/g, "\\$&")}%`)
+    .order("name", { ascending: true })
+    .limit(limit);
+  if (type) query = query.eq("type", type);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+// Entity with its daily timeline, clusters and articles over the last `days`
+// days (all time when 0); null when not found
+export const getEntityActivity = async (
+  id,
+  { days = 0, lang = "en", limit = 20, offset = 0 } = {}
+) => {
+  const { data: rows, error } = await supabase
+    .from("entities")
+    .select("id,name,type,wikidata_id")
+    .eq("id", id)
+    .limit(1);
+  if (error) throw error;
+  const entity = rows?.[0];
+  if (!entity) return null;
+
+  const params = { p_entity_id: id, p_since: since(days) };
+  const [timeline, clusters, articles] = await Promise.all([
+    rpc("entity_timeline", params),
+    rpc("entity_clusters", { ...params, p_limit: 20 }),
+    rpc("entity_articles", { ...params, p_limit: limit, p_offset: offset }),
+  ]);
+
+  // Current cluster summaries in the requested language
+  const clusterIds = clusters.map((c) => c.cluster_id);
+  let aiById = new Map();
+  if (clusterIds.length) {
+    const { data: aiRows, error: aiErr } = await supabase
+      .from("cluster_ai")
+      .select("cluster_id,ai_title,ai_summary,lang")
+      .in("cluster_id", clusterIds)
+      .eq("is_current", true)
+      .eq("lang", lang);
+    if (aiErr) throw aiErr;
+    aiById = new Map((aiRows || []).map((r) => [r.cluster_id, r]));
+  }
+
+  return {
+    entity,
+    timeline: timeline.map((t) => ({
+      day: t.day,
+      article_count: Number(t.article_count),
+      cluster_count: Number(t.cluster_count),
+    })),
+    clusters: clusters.map((c) => ({
+      ...c,
+      article_count: Number(c.article_count),
+      ai: aiById.get(c.cluster_id) || null,
+    })),
+    articles,
+  };
+};
@@ -0,0 +1,275 @@
+import { selectRecords, upsertRecord, supabase } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+import { generateAIContent } from "./gemini.js";
+
+const logger = createContextLogger("EntityExtractor");
+
+const ENTITY_TYPES = ["person", "organization", "place"];
+// Labels models and NER tools commonly use for the same types
+const TYPE_ALIASES = {
+  per: "person",
+  people: "person",
+  org: "organization",
+  organisation: "organization",
+  company: "organization",
+  loc: "place",
+  location: "place",
+  gpe: "place",
+  country: "place",
+  city: "place",
+};
+
+const enabled = () =>
+  (process.env.ENTITY_EXTRACTION_ENABLED || "true").toLowerCase() !== "false";
+// llm (fallback to heuristic on failure) | heuristic
+const mode = () => (process.env.ENTITY_EXTRACTION_MODE || "llm").toLowerCase();
+const maxEntities = () =>
+  parseInt(process.env.ENTITY_MAX_PER_ARTICLE || "15", 10);
+const textChars = () => parseInt(process.env.ENTITY_TEXT_CHARS || "4000", 10);
+
+// Display form: trimmed, single-spaced, without quotes or a trailing possessive
+export const normalizeEntityName = (name) =>
+  String(name || "")
+    .normalize("NFKC")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^["'“”‘’«»]+|["'“”‘’«»]+$/g, "")
+    .replace(/['’]s$/i, "")
+    .trim();
+
+// Dedupe key: case- and diacritic-insensitive
+const entityKey = (name) =>
+  normalizeEntityName(name)
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+
+const articleText = (article) =>
+  [article.title, article.full_text || article.snippet]
+    .filter(Boolean)
+    .join("\n")
+    .slice(0, textChars());
+
+// Keep one entry per (type, key) with the highest salience, most salient first
+const dedupeEntities = (entities) => {
+  const byKey = new Map();
+  for (const e of entities) {
+    const k = `${e.type}|${entityKey(e.name)}`;
+    const prev = byKey.get(k);
+    if (!prev || e.salience > prev.salience) byKey.set(k, e);
+  }
+  return [...byKey.values()]
+    .sort((a, b) => b.salience - a.salience)
+    .slice(0, maxEntities());
+};
+
+// --- Deterministic fallback -------------------------------------------------
+
+const ORG_SUFFIX_RE =
+  /\b(Inc|Corp|Corporation|Ltd|LLC|AG|GmbH|SA|plc|Bank|Group|University|Party|Ministry|Council|Commission|Association|Agency|Institute|Union|FC|Club|Company|Committee|Court|Parliament|Government|Police|Army)\.?$/;
+const PLACE_PREPOSITION_RE = /\b(in|at|from|near|to|across)\s+$/i;
+// Capitalized words that start sentences or name dates, not entities
+const NOT_ENTITIES = new Set(
+  (
+    "The A An This That These Those It He She They We I You His Her Their Our " +
+    "In On At For From To By With After Before But And Or If When While As " +
+    "Monday Tuesday Wednesday Thursday Friday Saturday Sunday " +
+    "January February March April May June July August September October November December " +
+    "Mr Mrs Ms Dr"
+  ).split(" ")
+);
+const CAPITALIZED_RUN_RE =
+  /\p{Lu}[\p{L}’'-]*(?:\s+(?:(?:of|de|del|der|van|von|la|le|da|di|al)\s+)?\p{Lu}[\p{L}’'-]*){0,3}/gu;
+const ACRONYM_RE = /^\p{Lu}{2,6}$/u;
+
+// Capitalized runs typed by suffix, shape and context; salience from mention
+// counts with a bonus for appearing in the title
+export const extractEntitiesHeuristic = (article) => {
+  const text = articleText(article);
+  const title = article.title || "";
+  const found = new Map(); // key -> { name, type, count }
+
+  for (const match of text.matchAll(CAPITALIZED_RUN_RE)) {
+    let words = match[0].split(" ");
+    while (words.length && NOT_ENTITIES.has(words[0].replace(/[.’']/g, ""))) {
+      words = words.slice(1);
+    }
+    const name = normalizeEntityName(words.join(" "));
+    if (name.length < 2) continue;
+
+    const before = text.slice(Math.max(0, match.index - 8), match.index);
+    const multiWord = name.includes(" ");
+    let type = null;
+    if ((multiWord && ORG_SUFFIX_RE.test(name)) || ACRONYM_RE.test(name))
+      type = "organization";
+    else if (PLACE_PREPOSITION_RE.test(before)) type = "place";
+    else if (multiWord) type = "person";
+    if (!type) continue;
+
+    const k = `${type}|${entityKey(name)}`;
+    const entry = found.get(k) || { name, type, count: 0 };
+    entry.count++;
+    found.set(k, entry);
+  }
+
+  const scored = [...found.values()].map((e) => ({
+    name: e.name,
+    type: e.type,
+    raw: e.count + (title.includes(e.name) ? 2 : 0),
+  }));
+  const top = Math.max(1, ...scored.map((e) => e.raw));
+  return dedupeEntities(
+    scored.map(({ raw, ...e }) => ({
+      ...e,
+      salience: Math.round((raw / top) * 100) / 100,
+    }))
+  );
+};
+
+// --- LLM extraction ---------------------------------------------------------
+
+const buildPrompt = (
+  article
+) => `Extract the named entities (people, organizations, places) from this news article.
+Output STRICT JSON only: {"entities":[{"name":"...","type":"person|organization|place","salience":0.0}]}
+- salience: 0-1, how central the entity is to the article (1 = main subject)
+- Use the fullest name the article gives (e.g. "Angela Merkel", not "Merkel")
+- At most ${maxEntities()} entities. No dates, numbers, products or generic terms.
+
+Language: ${article.language || "unknown"}
+Title: ${article.title || ""}
+Text: ${(article.full_text || article.snippet || "").slice(0, textChars())}`;
+
+// Returns null unless the response is the expected JSON shape
+export const parseEntityResponse = (raw) => {
+  let parsed;
+  try {
+    const cleaned = String(raw || "")
+      .trim()
+      .replace(/^```(json)?\n?/i, "")
+      .replace(/```\s*$/i, "");
+    parsed = JSON.parse(cleaned);
+  } catch (_) {
+    return null;
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.entities;
+  if (!Array.isArray(list)) return null;
+  const entities = [];
+  for (const item of list) {
+    const name = normalizeEntityName(item?.name);
+    const rawType = String(item?.type || "").toLowerCase();
+    const type = ENTITY_TYPES.includes(rawType)
+      ? rawType
+      : TYPE_ALIASES[rawType];
+    if (!type || name.length < 2 || name.length > 120) continue;
+    const s = Number(item.salience);
+    entities.push({
+      name,
+      type,
+      salience: Number.isFinite(s) ? Math.min(1, Math.max(0, s)) : 0.5,
+    });
+  }
+  return dedupeEntities(entities);
+};
+
+// [{ name, type, salience }]; LLM first, heuristic when it fails or is off
+const extractEntities = async (article) => {
+  if (mode() === "llm") {
+    try {
+      const raw = await generateAIContent(buildPrompt(article), {
+        maxOutputTokens: parseInt(process.env.ENTITY_LLM_TOKENS || "400", 10),
+        temperature: 0.2,
+        attempts: 1,
+      });
+      const entities = parseEntityResponse(raw);
+      if (entities) return entities;
+      logger.warn("Unparseable entity response; using heuristic", {
+        articleId: article.id,
+        response: String(raw || "").substring(0, 200),
+      });
+    } catch (error) {
+      logger.warn("LLM entity extraction failed; using heuristic", {
+        articleId: article.id,
+        error: error.message,
+      });
+    }
+  }
+  return extractEntitiesHeuristic(article);
+};
+
+// Upsert entities by (type, normalized_name) and return "type|key" -> id
+const resolveEntityIds = async (entities) => {
+  const rows = entities.map((e) => ({
+    name: e.name,
+    type: e.type,
+    normalized_name: entityKey(e.name),
+  }));
+  // Existing rows keep their first-seen display name
+  await upsertRecord("entities", rows, {
+    onConflict: "type,normalized_name",
+    ignoreDuplicates: true,
+  });
+  const { data, error } = await supabase
+    .from("entities")
+    .select("id,type,normalized_name")
+    .in(
+      "normalized_name",
+      rows.map((r) => r.normalized_name)
+    );
+  if (error) throw error;
+  return new Map(
+    (data || []).map((r) => [`${r.type}|${r.normalized_name}`, r.id])
+  );
+};
+
+// Extract and link entities for an article (skipped when already linked)
+export async function persistArticleEntities(article, options = {}) {
+  try {
+    if (!enabled()) return null;
+    if (!options.force) {
+      const existing = await selectRecords("article_entities", {
+        article_id: article.id,
+      });
+      if (existing.length) return null;
+    }
+
+    const entities = await extractEntities(article);
+    if (!entities.length) return [];
+
+    const idByKey = await resolveEntityIds(entities);
+    const links = entities
+      .map((e) => ({
+        article_id: article.id,
+        entity_id: idByKey.get(`${e.type}|${entityKey(e.name)}`),
+        salience: e.salience,
+      }))
+      .filter((l) => l.entity_id);
+
+    if (options.force) {
+      const { error } = await supabase
+        .from("article_entities")
+        .delete()
+        .eq("article_id", article.id);
+      if (error) throw error;
+    }
+    if (links.length) {
+      await upsertRecord("article_entities", links, {
+        onConflict: "article_id,entity_id",
+        ignoreDuplicates: false,
+      });
+    }
+    logger.debug("Article entities stored", {
+      articleId: article.id,
+      count: links.length,
+    });
+    return links;
+  } catch (error) {
+    logger.warn("Entity extraction skipped", {
+      articleId: article?.id,
+      error: error.message,
+    });
+    // Queued runs rethrow so the job is retried
+    if (options.rethrow) throw error;
+    return null;
+  }
+}
@@ -4,16 +4,93 @@ import {
   insertRecord,
 } from "../config/database.js";
 import { parseFeed } from "./feedParser.js";
+import { parseSitemapFeed } from "./sitemapParser.js";
+import { parseScrapeFeed } from "./scrapeParser.js";
 import { processArticle } from "./articleProcessor.js";
 import { createContextLogger } from "../config/logger.js";
 import { isValidUrl } from "../utils/helpers.js";
+import {
+  selectDueFeeds,
+  scheduleNextCrawl,
+  recordAdaptiveInterval,
+  recordFeedFailure,
+  recordFeedSuccess,
+  describePolling,
+} from "./feedScheduler.js";
+import { ensureSubscription, publicFeed } from "./websub.js";
 
 const logger = createContextLogger("FeedCrawler");
 
+// Feed kinds with their own fetch/parse step; everything else goes through parseFeed
+const PARSERS_BY_KIND = {
+  sitemap: parseSitemapFeed,
+  scrape: parseScrapeFeed,
+};
+
+// Run normalized items through processArticle and record per-item crawl_log
+// rows; shared by polling crawls and WebSub pushes
+export const processFeedItems = async (
+  feed,
+  items,
+  crawlLogger = createContextLogger(`FeedCrawler:${feed.id}`)
+) => {
+  const stats = { processed: 0, skipped: 0, errors: 0 };
+  const maxItems = parseInt(process.env.MAX_ITEMS_PER_RUN) || 500;
+  const itemsToProcess = items.slice(0, maxItems);
+
+  crawlLogger.info("Processing feed items", {
+    totalItems: items.length,
+    processingItems: itemsToProcess.length,
+  });
+
+  for (const item of itemsToProcess) {
+    try {
+      const result = await processArticle(item, feed.source_id);
+      if (result === null) {
+        stats.skipped++;
+        await logCrawlResult(
+          feed.id,
+          item.url,
+          "skipped",
+          "Skipped due to missing/short full text"
+        );
+      } else if (result.alreadyStored) {
+        // "exists" is left out of the extraction rate (source_quality_metrics)
+        stats.processed++;
+        await logCrawlResult(feed.id, item.url, "exists", "Already stored");
+      } else {
+        stats.processed++;
+        await logCrawlResult(
+          feed.id,
+          item.url,
+          "success",
+          "Article processed successfully"
+        );
+      }
+    } catch (error) {
+      stats.errors++;
+      crawlLogger.warn("Failed to process article", {
+        url: item.url,
+        error: error.message,
+      });
+
+      // Log error
+      await logCrawlResult(feed.id, item.url, "error", error.message);
+    }
+  }
+
+  return stats;
+};
+
 const crawlFeed = async (feed) => {
   const crawlLogger = createContextLogger(`FeedCrawler:${feed.id}`);
 
+  const startedAt = new Date();
+
   try {
+    // Claim the next slot up front so an overlapping tick won't pick this feed again
+    const nextCrawlAt = await scheduleNextCrawl(feed, startedAt);
+
     // Validate feed URL before processing
     if (!feed.url || !isValidUrl(feed.url)) {
       const errorMsg = `Invalid feed URL: ${feed.url || "undefined"}`;
@@ -24,18 +101,25 @@ const crawlFeed = async (feed) => {
     crawlLogger.info("Starting feed crawl", {
       feedUrl: feed.url,
       sourceId: feed.source_id,
+      nextCrawlAt,
     });
 
     const parseOptions = {
+      kind: feed.kind,
       lastEtag: feed.last_etag,
       lastModified: feed.last_modified,
+      defaultLanguage: feed.lang || null,
+      scrapeConfig: feed.scrape_config || null,
     };
 
-    const result = await parseFeed(feed.url, parseOptions);
+    const parse = PARSERS_BY_KIND[feed.kind] || parseFeed;
+    const result = await parse(feed.url, parseOptions);
 
     if (result.notModified) {
       crawlLogger.info("Feed not modified, skipping processing");
       await updateFeedLastSeen(feed.id);
+      await recordFeedSuccess(feed);
+      await recordAdaptiveInterval(feed, { notModified: true }, startedAt);
       return { processed: 0, skipped: 0, errors: 0 };
     }
 
@@ -45,47 +129,22 @@ const crawlFeed = async (feed) => {
       last_modified: result.lastModified,
       last_seen_at: new Date(),
     });
+    await recordFeedSuccess(feed);
 
-    const stats = { processed: 0, skipped: 0, errors: 0 };
-    const maxItems = parseInt(process.env.MAX_ITEMS_PER_RUN) || 500;
-    const itemsToProcess = result.items.slice(0, maxItems);
+    // Adaptive mode: learn publish cadence from item timestamps
+    const intervalSec = await recordAdaptiveInterval(
+      feed,
+      { publishedAt: result.items.map((item) => item.published_at) },
+      startedAt
+    );
+    if (intervalSec !== null) {
+      crawlLogger.debug("Adaptive poll interval updated", { intervalSec });
+    }
 
-    crawlLogger.info("Processing feed items", {
-      totalItems: result.items.length,
-      processingItems: itemsToProcess.length,
-    });
+    // Push subscription when the feed advertises a WebSub hub (polling stays on as fallback)
+    if (result.hub) await ensureSubscription(feed, result);
 
-    for (const item of itemsToProcess) {
-      try {
-        const result = await processArticle(item, feed.source_id);
-        if (result === null) {
-          stats.skipped++;
-          await logCrawlResult(
-            feed.id,
-            item.url,
-            "skipped",
-            "Skipped due to missing/short full text"
-          );
-        } else {
-          stats.processed++;
-          await logCrawlResult(
-            feed.id,
-            item.url,
-            "success",
-            "Article processed successfully"
-          );
-        }
-      } catch (error) {
-        stats.errors++;
-        crawlLogger.warn("Failed to process article", {
-          url: item.url,
-          error: error.message,
-        });
-
-        // Log error
-        await logCrawlResult(feed.id, item.url, "error", error.message);
-      }
-    }
+    const stats = await processFeedItems(feed, result.items, crawlLogger);
 
     crawlLogger.info("Feed crawl completed", stats);
     return stats;
@@ -96,16 +155,36 @@ const crawlFeed = async (feed) => {
     });
 
     await logCrawlResult(feed.id, feed.url, "feed_error", error.message);
+    // Back off (and eventually auto-disable) instead of retrying every tick
+    const { failures, nextCrawlAt, disabled } = await recordFeedFailure(
+      feed,
+      error,
+      startedAt
+    );
+    crawlLogger.warn("Feed failure recorded", {
+      failures,
+      nextCrawlAt,
+      disabled,
+    });
     throw error;
   }
 };
 
 export const crawlAllFeeds = async (options = {}) => {
   try {
-    logger.info("Starting crawl of all enabled feeds");
-    const feeds = await selectRecords("feeds", { enabled: true });
+    // dueOnly: honor each feed's schedule_cron via next_crawl_at (scheduler tick)
+    const dueOnly = options.dueOnly === true;
+    logger.info(
+      dueOnly
+        ? "Starting crawl of due feeds"
+        : "Starting crawl of all enabled feeds"
+    );
+    const feeds = dueOnly
+      ? await selectDueFeeds()
+      : await selectRecords("feeds", { enabled: true });
     if (feeds.length === 0) {
-      logger.warn("No enabled feeds found");
+      if (dueOnly) logger.debug("No feeds due");
+      else logger.warn("No enabled feeds found");
       return {
         totalFeeds: 0,
         successful: 0,
@@ -113,10 +192,15 @@ export const crawlAllFeeds = async (options = {}) => {
         totalArticlesProcessed: 0,
       };
     }
-    logger.info("Found enabled feeds", { count: feeds.length });
+    logger.info(dueOnly ? "Found due feeds" : "Found enabled feeds", {
+      count: feeds.length,
+    });
 
     const perFeedLimit = options.perFeedLimit || null; // overrides env MAX_ITEMS_PER_RUN slice
     const totalLimit = options.totalLimit || null;
+    // Aborted when the crawl job loses its lock; feeds not started are left
+    // for the new holder
+    const stopped = () => options.signal?.aborted === true;
     let totalArticlesProcessed = 0;
     const results = { totalFeeds: feeds.length, successful: 0, failed: 0 };
 
@@ -145,6 +229,7 @@ export const crawlAllFeeds = async (options = {}) => {
     if (totalLimit) {
       // Sequential to respect total cap
       for (const feed of feeds) {
+        if (stopped()) break;
         if (totalLimit && totalArticlesProcessed >= totalLimit) break;
         await runFeed(feed);
         if (totalLimit && totalArticlesProcessed >= totalLimit) break;
@@ -153,15 +238,24 @@ export const crawlAllFeeds = async (options = {}) => {
       // Concurrent batches as before
       const batchSize = 5;
       for (let i = 0; i < feeds.length; i += batchSize) {
+        if (stopped()) break;
         const batch = feeds.slice(i, i + batchSize).map(runFeed);
         await Promise.all(batch);
       }
     }
 
-    logger.info("All feeds crawl completed", {
-      ...results,
-      totalArticlesProcessed,
-    });
+    if (stopped()) {
+      results.aborted = true;
+      logger.warn("Feed crawl stopped early: lock lost", {
+        ...results,
+        totalArticlesProcessed,
+      });
+    } else {
+      logger.info("All feeds crawl completed", {
+        ...results,
+        totalArticlesProcessed,
+      });
+    }
     return { ...results, totalArticlesProcessed };
   } catch (error) {
     logger.error("Failed to crawl all feeds", { error: error.message });
@@ -193,6 +287,61 @@ export const crawlFeedById = async (feedId) => {
   }
 };
 
+// Fetch and parse a feed without storing anything or touching its schedule.
+// `overrides` lets an editor try unsaved settings (e.g. scrape_config).
+export const previewFeed = async (feedId, overrides = {}) => {
+  const feeds = await selectRecords("feeds", { id: feedId });
+  if (feeds.length === 0) return null;
+  const feed = { ...feeds[0], ...overrides };
+
+  if (!feed.url || !isValidUrl(feed.url)) {
+    throw new Error(`Invalid feed URL: ${feed.url || "undefined"}`);
+  }
+
+  const parse = PARSERS_BY_KIND[feed.kind] || parseFeed;
+  const result = await parse(feed.url, {
+    kind: feed.kind,
+    defaultLanguage: feed.lang || null,
+    scrapeConfig: feed.scrape_config || null,
+  });
+  logger.info("Feed preview parsed", {
+    feedId,
+    kind: feed.kind,
+    itemCount: result.items.length,
+  });
+  return { feed, items: result.items };
+};
+
+// Re-enable a feed and clear its failure streak (manual recovery after the breaker tripped)
+export const resetFeed = async (feedId) => {
+  try {
+    const feeds = await selectRecords("feeds", { id: feedId });
+    if (feeds.length === 0) {
+      return null;
+    }
+    const feed = await updateRecord("feeds", feedId, {
+      enabled: true,
+      consecutive_failures: 0,
+      last_error: null,
+      disabled_reason: null,
+      disabled_at: null,
+      next_crawl_at: null, // due on the next tick
+    });
+    logger.info("Feed reset", {
+      feedId,
+      previousFailures: feeds[0].consecutive_failures || 0,
+      previousReason: feeds[0].disabled_reason || null,
+    });
+    return feed;
+  } catch (error) {
+    logger.error("Failed to reset feed", {
+      feedId,
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
 const updateFeedLastSeen = async (feedId) => {
   try {
     await updateRecord("feeds", feedId, {
@@ -243,12 +392,29 @@ export const getFeedStats = async (feedId) => {
     );
 
     const stats = {
-      feed: feed[0],
+      feed: publicFeed(feed[0]),
+      polling: describePolling(feed[0]),
+      health: {
+        consecutive_failures: feed[0].consecutive_failures || 0,
+        last_failure_at: feed[0].last_failure_at || null,
+        last_error: feed[0].last_error || null,
+        disabled_reason: feed[0].disabled_reason || null,
+        disabled_at: feed[0].disabled_at || null,
+      },
+      websub: feed[0].websub_hub
+        ? {
+            state: feed[0].websub_state || null,
+            hub: feed[0].websub_hub,
+            lease_expires_at: feed[0].websub_lease_expires_at || null,
+            last_push_at: feed[0].websub_last_push_at || null,
+          }
+        : null,
       recentLogs: logs.slice(0, 10),
       summary: {
         totalLogs: logs.length,
         successCount: logs.filter((log) => log.status === "success").length,
         errorCount: logs.filter((log) => log.status === "error").length,
+        existsCount: logs.filter((log) => log.status === "exists").length,
         lastCrawl: logs.length > 0 ? logs[0].created_at : null,
       },
     };
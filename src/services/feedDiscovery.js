@@ -0,0 +1,206 @@
+import axios from "axios";
+import { JSDOM } from "jsdom";
+import { insertRecord, supabase } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+import { validateFeedUrl, extractFeedMetadata } from "./feedParser.js";
+import { isValidUrl } from "../utils/helpers.js";
+import { normalizeBcp47 } from "../utils/lang.js";
+
+const logger = createContextLogger("FeedDiscovery");
+
+const MAX_FETCH_MS = parseInt(process.env.FETCH_TIMEOUT_MS) || 15000;
+// Upper bound on candidates probed per discovery run
+const MAX_CANDIDATES = parseInt(
+  process.env.FEED_DISCOVERY_MAX_CANDIDATES || "15",
+  10
+);
+
+// Probed on the homepage origin when not advertised via <link rel="alternate">
+const COMMON_FEED_PATHS = [
+  "/feed",
+  "/rss",
+  "/rss.xml",
+  "/feed.xml",
+  "/atom.xml",
+  "/index.xml",
+  "/feed.json",
+];
+
+const FEED_LINK_TYPES = {
+  "application/rss+xml": "rss",
+  "application/atom+xml": "atom",
+  "application/feed+json": "jsonfeed",
+  "application/json": "jsonfeed",
+  "application/xml": "rss",
+  "text/xml": "rss",
+};
+
+// Pure: advertised feeds (<link rel="alternate">) and common paths for a homepage
+export const findFeedCandidates = (html, pageUrl) => {
+  const doc = new JSDOM(html, { url: pageUrl }).window.document;
+  const pageLang = doc.documentElement.getAttribute("lang") || null;
+  const seen = new Set();
+  const candidates = [];
+  const add = (candidate) => {
+    if (!candidate.url || seen.has(candidate.url)) return;
+    seen.add(candidate.url);
+    candidates.push(candidate);
+  };
+
+  for (const link of doc.querySelectorAll("link[rel][href]")) {
+    const rel = (link.getAttribute("rel") || "").toLowerCase().split(/\s+/);
+    if (!rel.includes("alternate")) continue;
+    const type = (link.getAttribute("type") || "").toLowerCase().trim();
+    if (!FEED_LINK_TYPES[type]) continue;
+    let url;
+    try {
+      url = new URL(link.getAttribute("href"), pageUrl).href;
+    } catch (_) {
+      continue;
+    }
+    add({
+      url,
+      title: link.getAttribute("title") || null,
+      kind: FEED_LINK_TYPES[type],
+      origin: "link",
+    });
+  }
+
+  const base = new URL(pageUrl).origin;
+  for (const path of COMMON_FEED_PATHS) {
+    add({
+      url: `${base}${path}`,
+      title: null,
+      kind: path.endsWith(".json") ? "jsonfeed" : null,
+      origin: "path",
+    });
+  }
+
+  return { pageLang, candidates };
+};
+
+// Pure: valid first, then language match, item count, advertised over guessed
+export const rankCandidates = (candidates, { lang } = {}) => {
+  const wanted = lang ? normalizeBcp47(lang).split("-")[0] : null;
+  const score = (c) => {
+    if (!c.valid) return -1;
+    let s = 0;
+    if (wanted && c.language && c.language.split("-")[0] === wanted) s += 1000;
+    s += Math.min(Number(c.item_count) || 0, 500);
+    if (c.origin === "link") s += 50;
+    return s;
+  };
+  return candidates
+    .map((c) => ({ ...c, score: score(c) }))
+    .sort((a, b) => b.score - a.score);
+};
+
+async function probeCandidate(candidate) {
+  const result = {
+    ...candidate,
+    valid: false,
+    language: null,
+    item_count: 0,
+    content_type: null,
+    error: null,
+  };
+  const validation = await validateFeedUrl(candidate.url);
+  result.content_type = validation.contentType || null;
+  // Some servers reject HEAD; advertised feeds still get a GET attempt
+  if (!validation.valid && candidate.origin !== "link") {
+    result.error = validation.error || "Not a feed content type";
+    return result;
+  }
+  try {
+    const meta = await extractFeedMetadata(candidate.url);
+    result.valid = true;
+    result.title = candidate.title || meta.title || null;
+    result.kind = meta.kind || candidate.kind || "rss";
+    result.language = meta.language || null;
+    result.item_count = meta.itemCount || 0;
+  } catch (error) {
+    result.error = error.message;
+  }
+  return result;
+}
+
+// Fetch a source homepage, probe feed candidates and optionally create the
+// valid ones as disabled feeds for review.
+export const discoverFeeds = async (source, { create = false } = {}) => {
+  if (!source.homepage || !isValidUrl(source.homepage)) {
+    throw new Error("Source has no valid homepage URL");
+  }
+
+  logger.info("Discovering feeds", {
+    sourceId: source.id,
+    homepage: source.homepage,
+  });
+
+  const resp = await axios.get(source.homepage, {
+    timeout: MAX_FETCH_MS,
+    responseType: "text",
+    headers: {
+      "User-Agent":
+        process.env.FEED_USER_AGENT ||
+        "InsightFeeder/1.0 (+https://example.com)",
+      Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+    },
+    maxRedirects: 5,
+  });
+  // Redirects (e.g. to a locale path) change the base for relative links
+  const pageUrl = resp.request?.res?.responseUrl || source.homepage;
+  const { pageLang, candidates } = findFeedCandidates(resp.data || "", pageUrl);
+
+  const probed = [];
+  for (const candidate of candidates.slice(0, MAX_CANDIDATES)) {
+    probed.push(await probeCandidate(candidate));
+  }
+  const ranked = rankCandidates(probed, { lang: source.lang || pageLang });
+
+  const urls = ranked.map((c) => c.url);
+  const { data: existing, error } = await supabase
+    .from("feeds")
+    .select("url")
+    .in("url", urls);
+  if (error) throw error;
+  const existingUrls = new Set((existing || []).map((f) => f.url));
+  for (const c of ranked) c.exists = existingUrls.has(c.url);
+
+  const created = [];
+  if (create) {
+    for (const c of ranked.filter((x) => x.valid && !x.exists)) {
+      try {
+        const feed = await insertRecord("feeds", {
+          source_id: source.id,
+          url: c.url,
+          kind: c.kind,
+          country: source.country || null,
+          lang: c.language || source.lang || null,
+          enabled: false,
+        });
+        created.push(feed);
+        c.exists = true;
+      } catch (e) {
+        logger.warn("Failed to create discovered feed", {
+          sourceId: source.id,
+          url: c.url,
+          error: e.message,
+        });
+      }
+    }
+  }
+
+  logger.info("Feed discovery finished", {
+    sourceId: source.id,
+    candidates: ranked.length,
+    valid: ranked.filter((c) => c.valid).length,
+    created: created.length,
+  });
+
+  return {
+    homepage: pageUrl,
+    page_lang: pageLang,
+    candidates: ranked,
+    created,
+  };
+};
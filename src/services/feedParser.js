@@ -1,7 +1,7 @@
 import Parser from "rss-parser";
 import axios from "axios";
 import { createContextLogger } from "../config/logger.js";
-import { generateContentHash } from "../utils/helpers.js";
+import { generateContentHash, isValidUrl } from "../utils/helpers.js";
 import fs from "fs";
 import path from "path";
 import { normalizeBcp47 } from "../utils/lang.js";
@@ -52,7 +52,10 @@ export const parseFeed = async (feedUrl, options = {}) => {
       return { items: [], notModified: true };
     }
 
-    const feed = await parser.parseString(response.data);
+    const { jsonDoc, raw, items, hub, self } = await decodeFeedResponse(
+      response,
+      options.kind
+    );
 
     // Optional raw RSS logging
     if ((process.env.RSS_LOG_ENABLED || "true").toLowerCase() === "true") {
@@ -64,13 +67,13 @@ export const parseFeed = async (feedUrl, options = {}) => {
         if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
         const ts = new Date().toISOString().replace(/[:.]/g, "-");
         const base = feedUrl.replace(/[^a-z0-9]/gi, "_").slice(0, 60);
-        const file = path.join(dir, `${ts}__raw__${base}.xml`);
+        const file = path.join(
+          dir,
+          `${ts}__raw__${base}.${jsonDoc ? "json" : "xml"}`
+        );
         fs.writeFileSync(
           file,
-          response.data.slice(
-            0,
-            parseInt(process.env.RSS_LOG_MAX_BYTES || "500000")
-          ),
+          raw.slice(0, parseInt(process.env.RSS_LOG_MAX_BYTES || "500000")),
           "utf8"
         );
       } catch (e) {
@@ -81,28 +84,6 @@ export const parseFeed = async (feedUrl, options = {}) => {
       }
     }
 
-    const items = feed.items.map((item) => {
-      const mediaCandidates = extractRssMediaCandidates(item);
-      // language: prefer explicit hints; else heuristic with confidence
-      let lang = item.isoLanguage || item.lang || null;
-      if (!lang) {
-        const dl = detectLanguageWithConfidence(
-          item.title,
-          item.contentSnippet || item.summary || item.description
-        );
-        lang = dl.confidence >= 0.25 ? dl.lang : "en";
-      }
-      return {
-        title: item.title || "",
-        url: item.link || item.guid || "",
-        snippet: item.contentSnippet || item.summary || item.description || "",
-        published_at: item.pubDate ? new Date(item.pubDate) : new Date(),
-        language: normalizeBcp47(lang),
-        content_hash: generateContentHash(item.title, item.contentSnippet),
-        media_candidates: mediaCandidates,
-      };
-    });
-
     // Structured JSON log (metadata + normalized items only, no full raw) to aid debugging
     if ((process.env.RSS_LOG_ENABLED || "true").toLowerCase() === "true") {
       try {
@@ -146,6 +127,8 @@ export const parseFeed = async (feedUrl, options = {}) => {
       etag: response.headers.etag,
       lastModified: response.headers["last-modified"],
       notModified: false,
+      hub,
+      self,
     };
   } catch (error) {
     if (error.response?.status === 304) {
@@ -161,21 +144,163 @@ export const parseFeed = async (feedUrl, options = {}) => {
   }
 };
 
-function extractRssMediaCandidates(item) {
+// Shared by polling (parseFeed) and WebSub pushes (parseFeedContent)
+const decodeFeedResponse = async (response, kind) => {
+  const jsonDoc =
+    kind === "jsonfeed" || isJsonFeedResponse(response)
+      ? toJsonFeedDocument(response.data)
+      : null;
+  const feed = jsonDoc ? null : await parser.parseString(response.data);
+  const raw =
+    typeof response.data === "string"
+      ? response.data
+      : JSON.stringify(response.data);
+  const items = jsonDoc ? mapJsonFeed(jsonDoc) : mapRssItems(feed);
+  return { jsonDoc, raw, items, ...extractWebSubLinks(raw, jsonDoc) };
+};
+
+// Normalize a feed document that was delivered to us (WebSub content push)
+export const parseFeedContent = async (body, options = {}) => {
+  const { items, hub, self } = await decodeFeedResponse(
+    { data: body, headers: { "content-type": options.contentType || "" } },
+    options.kind
+  );
+  return { items, hub, self };
+};
+
+// WebSub discovery: <link rel="hub"> / <atom:link rel="hub"> in the channel
+// head, or a WebSub entry in JSON Feed "hubs"
+const extractWebSubLinks = (raw, jsonDoc) => {
+  if (jsonDoc) {
+    const hub = (Array.isArray(jsonDoc.hubs) ? jsonDoc.hubs : []).find(
+      (h) => h?.url && /websub|pubsubhubbub/i.test(h.type || "")
+    );
+    return { hub: hub?.url || null, self: jsonDoc.feed_url || null };
+  }
+  const links = { hub: null, self: null };
+  const head = String(raw).split(/<(?:item|entry)[\s>]/i)[0];
+  for (const tag of head.match(/<(?:atom:)?link\b[^>]*>/gi) || []) {
+    const rel = /\brel\s*=\s*["']([^"']+)["']/i.exec(tag)?.[1].toLowerCase();
+    const href = /\bhref\s*=\s*["']([^"']+)["']/i.exec(tag)?.[1];
+    if (!href || (rel !== "hub" && rel !== "self") || links[rel]) continue;
+    links[rel] = href.replace(/&amp;/g, "&");
+  }
+  return links;
+};
+
+const mapRssItems = (feed) =>
+  feed.items.map((item) => {
+    const mediaCandidates = extractRssMediaCandidates(item);
+    // language: prefer explicit hints; else heuristic with confidence
+    let lang = item.isoLanguage || item.lang || null;
+    if (!lang) {
+      const dl = detectLanguageWithConfidence(
+        item.title,
+        item.contentSnippet || item.summary || item.description
+      );
+      lang = dl.confidence >= 0.25 ? dl.lang : "en";
+    }
+    return {
+      title: item.title || "",
+      url: item.link || item.guid || "",
+      snippet: item.contentSnippet || item.summary || item.description || "",
+      published_at: item.pubDate ? new Date(item.pubDate) : new Date(),
+      language: normalizeBcp47(lang),
+      content_hash: generateContentHash(item.title, item.contentSnippet),
+      media_candidates: mediaCandidates,
+    };
+  });
+
+// JSON Feed (https://jsonfeed.org/version/1.1) ---------------------------------
+
+const isJsonFeedResponse = (response) => {
+  const contentType = String(response.headers?.["content-type"] || "");
+  if (/json/i.test(contentType)) return true;
+  if (response.data && typeof response.data === "object") return true;
+  return (
+    typeof response.data === "string" &&
+    /^\s*\{/.test(response.data) &&
+    /jsonfeed\.org/i.test(response.data.slice(0, 500))
+  );
+};
+
+const toJsonFeedDocument = (data) => {
+  const doc = typeof data === "string" ? JSON.parse(data) : data;
+  if (!doc || typeof doc !== "object" || !Array.isArray(doc.items)) {
+    throw new Error("Invalid JSON Feed: missing items array");
+  }
+  return doc;
+};
+
+const stripHtml = (html) =>
+  String(html || "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Article link: url, else external_url. `id` is not used: it is often an
+// opaque string ("1234", tag: URI) rather than a fetchable page.
+const jsonFeedItemUrl = (item) =>
+  [item?.url, item?.external_url].find(
+    (u) => typeof u === "string" && /^https?:\/\//i.test(u) && isValidUrl(u)
+  ) || null;
+
+// Map a JSON Feed document to the normalized item shape used for RSS
+export const mapJsonFeed = (doc) =>
+  (doc.items || [])
+    .filter((item) => jsonFeedItemUrl(item))
+    .map((item) => {
+      const title = item.title || "";
+      const snippet =
+        item.summary || item.content_text || stripHtml(item.content_html);
+      // language: item, then feed-level, then heuristic
+      let lang = item.language || doc.language || null;
+      if (!lang) {
+        const dl = detectLanguageWithConfidence(title, snippet);
+        lang = dl.confidence >= 0.25 ? dl.lang : "en";
+      }
+      const published = item.date_published || item.date_modified;
+      return {
+        title,
+        url: jsonFeedItemUrl(item),
+        snippet,
+        published_at: published ? new Date(published) : new Date(),
+        language: normalizeBcp47(lang),
+        content_hash: generateContentHash(title, snippet),
+        media_candidates: extractJsonFeedMediaCandidates(item),
+      };
+    });
+
+function extractJsonFeedMediaCandidates(item) {
   const urls = [];
-  const add = (u) => {
-    if (!u) return;
-    try {
-      const url = new URL(u).href;
-      // basic filter: avoid svg/gif/data
-      if (/\.svg(\?|#|$)/i.test(url)) return;
-      if (/\.gif(\?|#|$)/i.test(url)) return;
-      if (/^data:/i.test(url)) return;
-      urls.push(url);
-    } catch (_) {
-      /* ignore JSON-LD parse errors */
+  addMediaUrl(urls, item.image);
+  addMediaUrl(urls, item.banner_image);
+  if (Array.isArray(item.attachments)) {
+    for (const a of item.attachments) {
+      const type = String(a?.mime_type || "").toLowerCase();
+      if (type.startsWith("image/")) addMediaUrl(urls, a.url);
     }
-  };
+  }
+  return Array.from(new Set(urls));
+}
+
+// Push an absolute image URL, skipping svg/gif/data URLs
+function addMediaUrl(urls, u) {
+  if (!u) return;
+  try {
+    const url = new URL(u).href;
+    if (/\.svg(\?|#|$)/i.test(url)) return;
+    if (/\.gif(\?|#|$)/i.test(url)) return;
+    if (/^data:/i.test(url)) return;
+    urls.push(url);
+  } catch (_) {
+    /* ignore invalid URLs */
+  }
+}
+
+function extractRssMediaCandidates(item) {
+  const urls = [];
+  const add = (u) => addMediaUrl(urls, u);
 
   // enclosures
   if (Array.isArray(item.enclosures)) {
@@ -225,7 +350,8 @@ function extractRssMediaCandidates(item) {
   return Array.from(new Set(urls));
 }
 
-export const validateFeedUrl = async (feedUrl) => {
+// options.allowHtml: accept HTML pages (scrape feeds point at section pages)
+export const validateFeedUrl = async (feedUrl, options = {}) => {
   try {
     const response = await axios.head(feedUrl, {
       timeout: 5000,
@@ -238,7 +364,9 @@ export const validateFeedUrl = async (feedUrl) => {
     const isValidFeed =
       contentType.includes("xml") ||
       contentType.includes("rss") ||
-      contentType.includes("atom");
+      contentType.includes("atom") ||
+      contentType.includes("json") || // application/feed+json (JSON Feed)
+      (options.allowHtml === true && contentType.includes("html"));
 
     return {
       valid: isValidFeed,
@@ -305,7 +433,30 @@ const detectLanguageWithConfidence = (title = "", content = "") => {
 
 export const extractFeedMetadata = async (feedUrl) => {
   try {
-    const feed = await parser.parseURL(feedUrl);
+    const response = await axios.get(feedUrl, {
+      timeout: parseInt(process.env.FETCH_TIMEOUT_MS) || 15000,
+      headers: {
+        "User-Agent": process.env.FEED_USER_AGENT || "InsightFeeder/1.0",
+      },
+    });
+
+    if (isJsonFeedResponse(response)) {
+      const doc = toJsonFeedDocument(response.data);
+      return {
+        title: doc.title || "",
+        description: doc.description || "",
+        link: doc.home_page_url || "",
+        language: normalizeBcp47(
+          doc.language ||
+            detectLanguageWithConfidence(doc.title, doc.description).lang
+        ),
+        lastBuildDate: null,
+        itemCount: doc.items.length,
+        kind: "jsonfeed",
+      };
+    }
+
+    const feed = await parser.parseString(response.data);
 
     return {
       title: feed.title || "",
@@ -317,6 +468,9 @@ export const extractFeedMetadata = async (feedUrl) => {
       ),
       lastBuildDate: feed.lastBuildDate ? new Date(feed.lastBuildDate) : null,
       itemCount: feed.items?.length || 0,
+      kind: /<feed[\s>]/i.test(String(response.data).slice(0, 2000))
+        ? "atom"
+        : "rss",
     };
   } catch (error) {
     logger.error("Failed to extract feed metadata", {
@@ -0,0 +1,238 @@
+import { supabase, updateRecord } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+import { nextCronTime } from "../utils/cron.js";
+
+const logger = createContextLogger("FeedScheduler");
+
+export const DEFAULT_FEED_CRON = "*/5 * * * *";
+
+// Adaptive polling bounds and tuning (seconds)
+const ADAPTIVE_MIN_SEC = parseInt(
+  process.env.FEED_ADAPTIVE_MIN_SEC || "60",
+  10
+);
+const ADAPTIVE_MAX_SEC = parseInt(
+  process.env.FEED_ADAPTIVE_MAX_SEC || "21600",
+  10
+);
+// Multiplier applied when the server answers 304 Not Modified
+const ADAPTIVE_STRETCH = parseFloat(process.env.FEED_ADAPTIVE_STRETCH || "1.5");
+// Most recent items considered when estimating the publish cadence
+const ADAPTIVE_SAMPLE = 20;
+
+// Failure backoff / circuit breaker
+const BACKOFF_BASE_SEC = parseInt(
+  process.env.FEED_BACKOFF_BASE_SEC || "60",
+  10
+);
+const BACKOFF_MAX_SEC = parseInt(
+  process.env.FEED_BACKOFF_MAX_SEC || "21600",
+  10
+);
+// 0 disables auto-disable (backoff still applies)
+const MAX_CONSECUTIVE_FAILURES = parseInt(
+  process.env.FEED_MAX_CONSECUTIVE_FAILURES || "10",
+  10
+);
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+const isAdaptive = (feed) =>
+  feed?.adaptive_poll === true && Number(feed?.poll_interval_sec) > 0;
+
+// Next due time for a feed: adaptive interval when learned, else its own schedule_cron
+export const computeNextCrawlAt = (feed, from = new Date()) => {
+  if (isAdaptive(feed)) {
+    return new Date(from.getTime() + Number(feed.poll_interval_sec) * 1000);
+  }
+  const expr = feed?.schedule_cron || DEFAULT_FEED_CRON;
+  try {
+    return nextCronTime(expr, from);
+  } catch (error) {
+    logger.warn("Invalid schedule_cron; using default", {
+      feedId: feed?.id,
+      scheduleCron: expr,
+      error: error.message,
+    });
+    return nextCronTime(DEFAULT_FEED_CRON, from);
+  }
+};
+
+// Enabled feeds that were never scheduled or whose next_crawl_at has passed
+export const selectDueFeeds = async (now = new Date()) => {
+  const { data, error } = await supabase
+    .from("feeds")
+    .select("*")
+    .eq("enabled", true)
+    .or(`next_crawl_at.is.null,next_crawl_at.lte.${now.toISOString()}`)
+    .order("next_crawl_at", { ascending: true, nullsFirst: true });
+  if (error) throw error;
+  return data || [];
+};
+
+// Persist next_crawl_at; best-effort so a scheduling hiccup never blocks a crawl
+export const scheduleNextCrawl = async (feed, from = new Date()) => {
+  const nextCrawlAt = computeNextCrawlAt(feed, from);
+  try {
+    await updateRecord("feeds", feed.id, {
+      next_crawl_at: nextCrawlAt.toISOString(),
+    });
+  } catch (error) {
+    logger.warn("Failed to persist next_crawl_at", {
+      feedId: feed.id,
+      error: error.message,
+    });
+  }
+  return nextCrawlAt;
+};
+
+// Pure: exponential backoff after N consecutive failures (base, 2x base, 4x base, ... capped)
+export const computeFailureBackoffSec = (
+  failures,
+  { baseSec = BACKOFF_BASE_SEC, maxSec = BACKOFF_MAX_SEC } = {}
+) => {
+  const n = Math.max(1, Number(failures) || 1);
+  return Math.min(maxSec, baseSec * Math.pow(2, Math.min(n - 1, 30)));
+};
+
+// Count a feed-level failure, push next_crawl_at out and trip the breaker at the limit
+export const recordFeedFailure = async (feed, error, from = new Date()) => {
+  const failures = (Number(feed.consecutive_failures) || 0) + 1;
+  const message = String(error?.message || error || "unknown error");
+  const backoffAt = new Date(
+    from.getTime() + computeFailureBackoffSec(failures) * 1000
+  );
+  const scheduledAt = computeNextCrawlAt(feed, from);
+  const nextCrawlAt = backoffAt > scheduledAt ? backoffAt : scheduledAt;
+  const disabled =
+    MAX_CONSECUTIVE_FAILURES > 0 && failures >= MAX_CONSECUTIVE_FAILURES;
+
+  const updates = {
+    consecutive_failures: failures,
+    last_failure_at: from.toISOString(),
+    last_error: message.substring(0, 500),
+    next_crawl_at: nextCrawlAt.toISOString(),
+  };
+  if (disabled) {
+    updates.enabled = false;
+    updates.disabled_at = from.toISOString();
+    updates.disabled_reason =
+      `Auto-disabled after ${failures} consecutive failures: ${message}`.substring(
+        0,
+        500
+      );
+    logger.warn("Feed auto-disabled (circuit breaker)", {
+      feedId: feed.id,
+      failures,
+    });
+  }
+  try {
+    await updateRecord("feeds", feed.id, updates);
+  } catch (e) {
+    logger.warn("Failed to record feed failure", {
+      feedId: feed.id,
+      error: e.message,
+    });
+  }
+  return { failures, nextCrawlAt, disabled };
+};
+
+// Close the failure streak after a successful fetch (304 included)
+export const recordFeedSuccess = async (feed) => {
+  if (!Number(feed.consecutive_failures)) return;
+  try {
+    await updateRecord("feeds", feed.id, {
+      consecutive_failures: 0,
+      last_error: null,
+    });
+  } catch (e) {
+    logger.warn("Failed to reset feed failure count", {
+      feedId: feed.id,
+      error: e.message,
+    });
+  }
+};
+
+// Gap between two consecutive cron runs; seeds the adaptive interval for a feed
+const cronIntervalSec = (feed, from = new Date()) => {
+  const first = computeNextCrawlAt({ ...feed, adaptive_poll: false }, from);
+  const second = computeNextCrawlAt({ ...feed, adaptive_poll: false }, first);
+  return Math.round((second - first) / 1000);
+};
+
+// Pure: derive the next poll interval from observed publish times and 304s.
+// - 304: stretch the current interval (nothing new since last poll)
+// - otherwise: aim for two polls per median publish gap, blended with the current value
+export const computeAdaptiveInterval = ({
+  currentSec,
+  publishedAt = [],
+  notModified = false,
+  minSec = ADAPTIVE_MIN_SEC,
+  maxSec = ADAPTIVE_MAX_SEC,
+}) => {
+  const current = clamp(Number(currentSec) || minSec, minSec, maxSec);
+  if (notModified) {
+    return clamp(Math.round(current * ADAPTIVE_STRETCH), minSec, maxSec);
+  }
+
+  const times = publishedAt
+    .map((d) => new Date(d).getTime())
+    .filter((t) => Number.isFinite(t))
+    .sort((a, b) => b - a)
+    .slice(0, ADAPTIVE_SAMPLE);
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) {
+    const gap = (times[i - 1] - times[i]) / 1000;
+    if (gap > 0) gaps.push(gap);
+  }
+  if (!gaps.length) return current;
+
+  gaps.sort((a, b) => a - b);
+  const mid = Math.floor(gaps.length / 2);
+  const median = gaps.length % 2 ? gaps[mid] : (gaps[mid - 1] + gaps[mid]) / 2;
+  const target = median / 2;
+  return clamp(Math.round((current + target) / 2), minSec, maxSec);
+};
+
+// Learn and persist the next adaptive interval (no-op for cron-scheduled feeds)
+export const recordAdaptiveInterval = async (
+  feed,
+  { publishedAt = [], notModified = false } = {},
+  from = new Date()
+) => {
+  if (feed?.adaptive_poll !== true) return null;
+  const currentSec = Number(feed.poll_interval_sec) || cronIntervalSec(feed);
+  const intervalSec = computeAdaptiveInterval({
+    currentSec,
+    publishedAt,
+    notModified,
+  });
+  try {
+    await updateRecord("feeds", feed.id, {
+      poll_interval_sec: intervalSec,
+      next_crawl_at: new Date(
+        from.getTime() + intervalSec * 1000
+      ).toISOString(),
+    });
+  } catch (error) {
+    logger.warn("Failed to persist adaptive poll interval", {
+      feedId: feed.id,
+      error: error.message,
+    });
+  }
+  return intervalSec;
+};
+
+// Polling summary for stats endpoints
+export const describePolling = (feed) => ({
+  mode: feed?.adaptive_poll === true ? "adaptive" : "cron",
+  schedule_cron: feed?.schedule_cron || DEFAULT_FEED_CRON,
+  interval_sec: isAdaptive(feed)
+    ? Number(feed.poll_interval_sec)
+    : cronIntervalSec(feed || {}),
+  next_crawl_at: feed?.next_crawl_at || null,
+  bounds:
+    feed?.adaptive_poll === true
+      ? { min_sec: ADAPTIVE_MIN_SEC, max_sec: ADAPTIVE_MAX_SEC }
+      : null,
+});
@@ -0,0 +1,233 @@
+import { selectRecords, upsertRecord, supabase } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+import { GAZETTEER } from "../data/gazetteer.js";
+
+const logger = createContextLogger("Geotagger");
+
+const enabled = () =>
+  (process.env.GEOTAGGING_ENABLED || "true").toLowerCase() !== "false";
+const maxPlaces = () =>
+  parseInt(process.env.GEO_MAX_PLACES_PER_ARTICLE || "10", 10);
+const textChars = () => parseInt(process.env.GEO_TEXT_CHARS || "6000", 10);
+
+// Preferred reading of an ambiguous name without other clues
+const KIND_ORDER = { country: 0, city: 1, region: 2 };
+
+// Diacritic-insensitive form used for both names and article text
+const fold = (s) =>
+  String(s || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[‘’]/g, "'");
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// name key -> places, plus one regex over every name (longest first)
+let nameIndex = null;
+const getNameIndex = () => {
+  if (nameIndex) return nameIndex;
+  const byKey = new Map();
+  const acronyms = new Set(); // exact spellings of all-caps names (US, UAE)
+  for (const place of GAZETTEER) {
+    for (const name of [...Object.values(place.names), ...place.aliases]) {
+      const folded = fold(name);
+      const key = folded.toLowerCase();
+      if (/^[\p{Lu}.]{2,}$/u.test(folded)) acronyms.add(folded);
+      const list = byKey.get(key) || [];
+      if (!list.includes(place)) list.push(place);
+      byKey.set(key, list);
+    }
+  }
+  const alternatives = [...byKey.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|");
+  nameIndex = {
+    byKey,
+    acronyms,
+    acronymKeys: new Set([...acronyms].map((a) => a.toLowerCase())),
+    re: new RegExp(
+      `(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`,
+      "giu"
+    ),
+  };
+  return nameIndex;
+};
+
+// name key -> mention count in `text`
+const findMentions = (text, index) => {
+  const counts = new Map();
+  for (const [match] of fold(text).matchAll(index.re)) {
+    // Proper nouns only: "nice weather" is not Nice
+    if (!/\p{Lu}/u.test(match)) continue;
+    const key = match.toLowerCase();
+    if (index.acronymKeys.has(key) && !index.acronyms.has(match)) continue;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+};
+
+// [{ place, confidence, mentions }] for the gazetteer places an article names,
+// most confident first. Ambiguous names (Georgia) resolve to the country of
+// another city or region in the article, else to the country, then city,
+// reading at lower confidence. `context` names (Nice) need another place in
+// the same country.
+export const geotagArticle = (article) => {
+  const index = getNameIndex();
+  const title = article.title || "";
+  const body = (article.full_text || article.snippet || "").slice(
+    0,
+    textChars()
+  );
+  const titleHits = findMentions(title, index);
+  const hits = findMentions(`${title}\n${body}`, index);
+
+  // Countries of unambiguous names anchor the article; cities and regions
+  // anchor more strongly than a passing mention of a country
+  const anchors = new Set();
+  const localAnchors = new Set();
+  for (const key of hits.keys()) {
+    const [place, ...others] = index.byKey.get(key);
+    if (others.length || place.context) continue;
+    anchors.add(place.country_code);
+    if (place.kind !== "country") localAnchors.add(place.country_code);
+  }
+
+  const byCode = new Map();
+  for (const [key, mentions] of hits) {
+    const places = index.byKey.get(key);
+    const local = places.filter((p) => localAnchors.has(p.country_code));
+    const options = local.length
+      ? local
+      : places.filter((p) => !p.context || anchors.has(p.country_code));
+    if (!options.length) continue;
+    const place = [...options].sort(
+      (a, b) => KIND_ORDER[a.kind] - KIND_ORDER[b.kind]
+    )[0];
+
+    const entry = byCode.get(place.code) || {
+      place,
+      mentions: 0,
+      inTitle: false,
+      factor: 0,
+    };
+    entry.mentions += mentions;
+    entry.inTitle = entry.inTitle || titleHits.has(key);
+    // Guessed readings count for less; any certain name for the place wins
+    entry.factor = Math.max(entry.factor, options.length === 1 ? 1 : 0.8);
+    byCode.set(place.code, entry);
+  }
+
+  return [...byCode.values()]
+    .map(({ place, mentions, inTitle, factor }) => ({
+      place,
+      mentions,
+      confidence:
+        Math.round(
+          Math.min(
+            1,
+            (0.5 + 0.1 * Math.min(mentions - 1, 3) + (inTitle ? 0.2 : 0)) *
+              factor
+          ) * 100
+        ) / 100,
+    }))
+    .sort((a, b) => b.confidence - a.confidence || b.mentions - a.mentions)
+    .slice(0, maxPlaces());
+};
+
+// Upsert the gazetteer into `places` once per process; code -> id
+let placeIds = null;
+const syncGazetteer = async () => {
+  const updatedAt = new Date().toISOString();
+  const rows = GAZETTEER.map((p) => ({
+    code: p.code,
+    name: p.name,
+    kind: p.kind,
+    country_code: p.country_code,
+    parent_code: p.parent_code,
+    lat: p.lat,
+    lon: p.lon,
+    names: p.names,
+    updated_at: updatedAt,
+  }));
+  await upsertRecord("places", rows, {
+    onConflict: "code",
+    ignoreDuplicates: false,
+  });
+  const ids = new Map();
+  // Chunked to keep the filter URL short
+  for (let i = 0; i < rows.length; i += 100) {
+    const { data, error } = await supabase
+      .from("places")
+      .select("id,code")
+      .in(
+        "code",
+        rows.slice(i, i + 100).map((r) => r.code)
+      );
+    if (error) throw error;
+    for (const r of data || []) ids.set(r.code, r.id);
+  }
+  logger.info("Gazetteer synced", { places: ids.size });
+  return ids;
+};
+const getPlaceIds = () => {
+  if (!placeIds) {
+    placeIds = syncGazetteer().catch((error) => {
+      placeIds = null; // retry on the next article
+      throw error;
+    });
+  }
+  return placeIds;
+};
+
+// Geotag and link places for an article (skipped when already tagged)
+export async function persistArticlePlaces(article, options = {}) {
+  try {
+    if (!enabled()) return null;
+    if (!options.force) {
+      const existing = await selectRecords("article_places", {
+        article_id: article.id,
+      });
+      if (existing.length) return null;
+    }
+
+    const tags = geotagArticle(article);
+    if (!tags.length && !options.force) return [];
+
+    const ids = await getPlaceIds();
+    const links = tags
+      .map((t) => ({
+        article_id: article.id,
+        place_id: ids.get(t.place.code),
+        confidence: t.confidence,
+      }))
+      .filter((l) => l.place_id);
+
+    if (options.force) {
+      const { error } = await supabase
+        .from("article_places")
+        .delete()
+        .eq("article_id", article.id);
+      if (error) throw error;
+    }
+    if (links.length) {
+      await upsertRecord("article_places", links, {
+        onConflict: "article_id,place_id",
+        ignoreDuplicates: false,
+      });
+    }
+    logger.debug("Article places stored", {
+      articleId: article.id,
+      places: tags.map((t) => t.place.code),
+    });
+    return links;
+  } catch (error) {
+    logger.warn("Geotagging skipped", {
+      articleId: article?.id,
+      error: error.message,
+    });
+    // Queued runs rethrow so the job is retried
+    if (options.rethrow) throw error;
+    return null;
+  }
+}
@@ -130,6 +130,30 @@ function extractPageLang(doc) {
   return null;
 }
 
+// Publisher-declared canonical: <link rel="canonical"> first, then og:url.
+// A canonical pointing at the site root from an article page is a common
+// misconfiguration and is ignored.
+function extractCanonicalUrl(doc, pageUrl) {
+  const candidates = [
+    doc.querySelector('link[rel="canonical"]')?.getAttribute("href"),
+    doc.querySelector('meta[property="og:url"]')?.getAttribute("content"),
+  ];
+  for (const raw of candidates) {
+    if (!raw || !raw.trim()) continue;
+    try {
+      const resolved = new URL(raw.trim(), pageUrl);
+      if (!/^https?:$/.test(resolved.protocol)) continue;
+      if (resolved.pathname === "/" && new URL(pageUrl).pathname !== "/") {
+        continue;
+      }
+      return resolved.href;
+    } catch (_) {
+      /* ignore malformed canonical */
+    }
+  }
+  return null;
+}
+
 export async function fetchAndExtract(url) {
   const diagnostics = {
     url,
@@ -177,6 +201,8 @@ export async function fetchAndExtract(url) {
               text: trimmed,
               title: r?.title || null,
               language: normalizeBcp47(r?.lang || r?.language || "") || null,
+              // Mercury resolves canonical link / og:url into its url field
+              canonicalUrl: r?.url || null,
               diagnostics,
             };
           }
@@ -215,6 +241,11 @@ export async function fetchAndExtract(url) {
     const dom = new JSDOM(html, { url });
     pruneDOM(dom.window.document);
     const pageLang = extractPageLang(dom.window.document);
+    // Before Readability, which mutates the document
+    const canonicalUrl = extractCanonicalUrl(
+      dom.window.document,
+      resp.request?.res?.responseUrl || url
+    );
 
     // Strategy 1: Readability
     let bestText = "";
@@ -280,6 +311,7 @@ export async function fetchAndExtract(url) {
       text: bestText,
       title: (article && article.title) || dom.window.document.title || null,
       language: pageLang || null,
+      canonicalUrl,
       diagnostics,
     };
   } catch (err) {
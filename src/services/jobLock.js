@@ -0,0 +1,82 @@
+import { supabase } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+import { WORKER_ID } from "../utils/workerId.js";
+
+const logger = createContextLogger("JobLock");
+
+// Lease length; a holder that stops heartbeating loses the lock after this
+const LOCK_TTL_SEC = parseInt(process.env.JOB_LOCK_TTL_SEC || "120", 10);
+
+const locksEnabled = () =>
+  (process.env.JOB_LOCKS_ENABLED || "true").toLowerCase() !== "false";
+
+const callLockRpc = async (fn, name, extra = {}) => {
+  const { data, error } = await supabase.rpc(fn, {
+    p_name: name,
+    p_holder: WORKER_ID,
+    ...extra,
+  });
+  if (error) throw error;
+  return data === true;
+};
+
+// Run fn(signal) while holding the named lease lock. Returns { acquired,
+// result }; acquired=false means another worker (or an overlapping tick)
+// holds it, or the lock table is unreachable (unavailable=true) - running
+// unlocked could overlap with another replica. signal aborts when a renewal
+// finds the lease taken over; long loops check it and stop early.
+export const withJobLock = async (name, fn, options = {}) => {
+  const controller = new AbortController();
+  if (!locksEnabled()) {
+    return { acquired: true, result: await fn(controller.signal) };
+  }
+
+  const ttlSec = options.ttlSec || LOCK_TTL_SEC;
+  let acquired;
+  try {
+    acquired = await callLockRpc("acquire_job_lock", name, {
+      p_ttl_seconds: ttlSec,
+    });
+  } catch (error) {
+    logger.warn("Lock unavailable; skipping", {
+      name,
+      error: error.message,
+    });
+    return { acquired: false, unavailable: true };
+  }
+  if (!acquired) {
+    logger.debug("Lock held elsewhere; skipping", { name });
+    return { acquired: false };
+  }
+
+  // Heartbeat well inside the TTL so a slow run keeps its lease
+  const heartbeatMs = options.heartbeatMs || (ttlSec * 1000) / 3;
+  const timer = setInterval(async () => {
+    try {
+      const renewed = await callLockRpc("renew_job_lock", name, {
+        p_ttl_seconds: ttlSec,
+      });
+      if (!renewed && !controller.signal.aborted) {
+        logger.warn("Lock lost to another holder; stopping", { name });
+        controller.abort();
+      }
+    } catch (error) {
+      logger.warn("Lock heartbeat failed", { name, error: error.message });
+    }
+  }, heartbeatMs);
+  timer.unref?.();
+
+  try {
+    return { acquired: true, result: await fn(controller.signal) };
+  } finally {
+    clearInterval(timer);
+    if (!controller.signal.aborted) {
+      try {
+        await callLockRpc("release_job_lock", name);
+      } catch (error) {
+        // The lease expires on its own
+        logger.warn("Lock release failed", { name, error: error.message });
+      }
+    }
+  }
+};
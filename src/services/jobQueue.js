@@ -0,0 +1,192 @@
+import { supabase } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+import { WORKER_ID } from "../utils/workerId.js";
+
+const logger = createContextLogger("JobQueue");
+
+// Retry backoff: base * 2^(attempt-1), capped
+const RETRY_BASE_SEC = parseInt(process.env.JOB_RETRY_BASE_SEC || "30", 10);
+const RETRY_MAX_SEC = parseInt(process.env.JOB_RETRY_MAX_SEC || "3600", 10);
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || "5", 10);
+// Claim rounds per type in one drain call (bounds a cron tick)
+const MAX_ROUNDS = parseInt(process.env.JOB_DRAIN_MAX_ROUNDS || "10", 10);
+
+// type -> { handler, concurrency, leaseSec, maxAttempts }
+const handlers = new Map();
+
+// JOB_CONCURRENCY_ARTICLE_SCORE=4 overrides the default for "article.score"
+const envConcurrency = (type) => {
+  const key = `JOB_CONCURRENCY_${type
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "_")}`;
+  const n = parseInt(process.env[key] || "", 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+export const registerJobHandler = (type, handler, options = {}) => {
+  handlers.set(type, {
+    handler,
+    concurrency: envConcurrency(type) || options.concurrency || 2,
+    leaseSec: options.leaseSec || 300,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+  });
+};
+
+// Pure: seconds to wait before the next attempt
+export const computeRetryDelaySec = (
+  attempts,
+  { baseSec = RETRY_BASE_SEC, maxSec = RETRY_MAX_SEC } = {}
+) => {
+  const n = Math.max(1, Number(attempts) || 1);
+  return Math.min(maxSec, baseSec * Math.pow(2, Math.min(n - 1, 30)));
+};
+
+// Persist a job; returns { id } when queued, { duplicate: true } when an
+// active job with the same dedupe key exists, or null when the queue is
+// unavailable (callers fall back to running the work inline).
+export const enqueueJob = async (type, payload = {}, options = {}) => {
+  try {
+    const { data, error } = await supabase.rpc("enqueue_job", {
+      p_type: type,
+      p_payload: payload,
+      p_dedupe_key: options.dedupeKey || null,
+      p_run_at: (options.runAt || new Date()).toISOString(),
+      p_max_attempts:
+        options.maxAttempts ||
+        handlers.get(type)?.maxAttempts ||
+        DEFAULT_MAX_ATTEMPTS,
+    });
+    if (error) throw error;
+    return data ? { id: data } : { duplicate: true };
+  } catch (error) {
+    logger.warn("Enqueue failed", { type, error: error.message });
+    return null;
+  }
+};
+
+const completeJob = async (job) => {
+  const { error } = await supabase
+    .from("jobs")
+    .update({
+      status: "done",
+      finished_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      locked_by: null,
+      locked_until: null,
+      last_error: null,
+    })
+    .eq("id", job.id)
+    .eq("locked_by", WORKER_ID);
+  if (error) throw error;
+};
+
+// Retry with backoff, or dead-letter once attempts are exhausted
+const failJob = async (job, err) => {
+  const dead = job.attempts >= job.max_attempts;
+  const now = new Date();
+  const updates = {
+    status: dead ? "dead" : "queued",
+    last_error: String(err?.message || err).substring(0, 1000),
+    locked_by: null,
+    locked_until: null,
+    updated_at: now.toISOString(),
+  };
+  if (dead) {
+    updates.finished_at = now.toISOString();
+  } else {
+    updates.run_at = new Date(
+      now.getTime() + computeRetryDelaySec(job.attempts) * 1000
+    ).toISOString();
+  }
+  const { error } = await supabase
+    .from("jobs")
+    .update(updates)
+    .eq("id", job.id)
+    .eq("locked_by", WORKER_ID);
+  if (error) throw error;
+  return dead;
+};
+
+const claimJobs = async (type, { concurrency, leaseSec }) => {
+  const { data, error } = await supabase.rpc("claim_jobs", {
+    p_type: type,
+    p_worker: WORKER_ID,
+    p_limit: concurrency,
+    p_lease_seconds: leaseSec,
+    p_max_running: concurrency,
+  });
+  if (error) throw error;
+  return data || [];
+};
+
+// Claim and run queued jobs for the registered types (or a subset) until the
+// queue is empty or MAX_ROUNDS is reached. Returns per-type counters.
+export const drainJobs = async ({ types } = {}) => {
+  const wanted = types || [...handlers.keys()];
+  const stats = {};
+  for (const type of wanted) {
+    const entry = handlers.get(type);
+    if (!entry) continue;
+    const s = { claimed: 0, done: 0, retried: 0, dead: 0 };
+    stats[type] = s;
+    for (let round = 0; round < MAX_ROUNDS; round++) {
+      let jobs;
+      try {
+        jobs = await claimJobs(type, entry);
+      } catch (error) {
+        logger.warn("Claim failed", { type, error: error.message });
+        break;
+      }
+      if (!jobs.length) break;
+      s.claimed += jobs.length;
+      await Promise.all(
+        jobs.map(async (job) => {
+          try {
+            await entry.handler(job.payload || {}, job);
+            await completeJob(job);
+            s.done++;
+          } catch (error) {
+            try {
+              const dead = await failJob(job, error);
+              if (dead) {
+                s.dead++;
+                logger.error("Job dead-lettered", {
+                  type,
+                  jobId: job.id,
+                  attempts: job.attempts,
+                  error: error.message,
+                });
+              } else {
+                s.retried++;
+                logger.warn("Job failed; will retry", {
+                  type,
+                  jobId: job.id,
+                  attempts: job.attempts,
+                  error: error.message,
+                });
+              }
+            } catch (e) {
+              // Lease expiry in claim_jobs will requeue it
+              logger.error("Failed to record job failure", {
+                jobId: job.id,
+                error: e.message,
+              });
+            }
+          }
+        })
+      );
+    }
+  }
+  return stats;
+};
+
+// Retention for finished (done / dead-lettered) jobs; called from the daily
+// cleanup. Queued and running jobs are never touched.
+export const pruneFinishedJobs = async (olderThan) => {
+  const { error } = await supabase
+    .from("jobs")
+    .delete()
+    .in("status", ["done", "dead"])
+    .lt("finished_at", olderThan.toISOString());
+  if (error) throw error;
+};
@@ -0,0 +1,127 @@
+import {
+  selectRecords,
+  insertRecord,
+  updateRecord,
+  supabase,
+} from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+import { WORKER_ID } from "../utils/workerId.js";
+
+const logger = createContextLogger("JobRuns");
+
+// Jobs that report failure in their result instead of throwing
+// (e.g. enrichPendingClusters -> { processed: 0, error })
+const resultError = (result) =>
+  result && typeof result === "object" && typeof result.error === "string"
+    ? result.error
+    : null;
+
+// Run fn and record the invocation in job_runs. Recording is best-effort:
+// a missing table never stops the job itself. Errors from fn are rethrown.
+// options: trigger ("schedule" | "manual"), triggeredBy, onStart(run)
+export const trackJobRun = async (name, fn, options = {}) => {
+  const started = Date.now();
+  let run = null;
+  const row = {
+    job_name: name,
+    status: "running",
+    worker_id: WORKER_ID,
+    started_at: new Date(started).toISOString(),
+  };
+  if (options.trigger === "manual") {
+    row.trigger = "manual";
+    row.triggered_by = options.triggeredBy || null;
+  }
+  try {
+    run = await insertRecord("job_runs", row);
+  } catch (error) {
+    logger.debug("Job run not recorded", { name, error: error.message });
+  }
+  options.onStart?.(run);
+
+  const finish = async (status, result, error) => {
+    if (!run?.id) return;
+    try {
+      await updateRecord("job_runs", run.id, {
+        status,
+        finished_at: new Date().toISOString(),
+        duration_ms: Date.now() - started,
+        result: result === undefined ? null : result,
+        error: error ? String(error).substring(0, 2000) : null,
+      });
+    } catch (e) {
+      logger.debug("Job run update failed", { name, error: e.message });
+    }
+  };
+
+  try {
+    const result = await fn();
+    const failed = resultError(result);
+    await finish(failed ? "failed" : "succeeded", result, failed);
+    return result;
+  } catch (error) {
+    await finish("failed", null, error.message);
+    throw error;
+  }
+};
+
+// Optional tables (locking disabled or not migrated) read as empty
+const selectOptional = async (table) => {
+  try {
+    return await selectRecords(table);
+  } catch (_) {
+    return [];
+  }
+};
+
+// Latest run, last success and last failure per job, with the current lock
+// holder and pause state. Paused jobs that never ran are listed too.
+export const listJobSummaries = async () => {
+  const { data, error } = await supabase
+    .from("job_run_summary")
+    .select("*")
+    .order("job_name", { ascending: true });
+  if (error) throw error;
+
+  const locks = await selectOptional("job_locks");
+  const controls = await selectOptional("job_controls");
+  const lockByName = new Map(locks.map((l) => [l.name, l]));
+  const controlByName = new Map(controls.map((c) => [c.name, c]));
+  const rows = [...(data || [])];
+  for (const c of controls) {
+    if (!rows.some((r) => r.job_name === c.name))
+      rows.push({ job_name: c.name });
+  }
+  return rows
+    .sort((a, b) => a.job_name.localeCompare(b.job_name))
+    .map((row) => {
+      const lock = lockByName.get(row.job_name);
+      const control = controlByName.get(row.job_name);
+      return {
+        ...row,
+        paused: Boolean(control?.paused),
+        pause_reason: control?.paused ? control.reason || null : null,
+        lock: lock
+          ? { holder: lock.holder, locked_until: lock.locked_until }
+          : null,
+      };
+    });
+};
+
+export const listJobRuns = async (name, { status, limit = 50 } = {}) => {
+  const filters = { job_name: name };
+  if (status) filters.status = status;
+  return selectRecords("job_runs", filters, {
+    orderBy: { column: "started_at", ascending: false },
+    limit,
+  });
+};
+
+// Retention for job_runs (called from the daily cleanup)
+export const pruneJobRuns = async (olderThan) => {
+  const { error } = await supabase
+    .from("job_runs")
+    .delete()
+    .lt("started_at", olderThan.toISOString());
+  if (error) throw error;
+};
@@ -0,0 +1,50 @@
+import { supabase } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+import { simhash64, simhashBands, hammingDistance } from "../utils/simhash.js";
+
+const logger = createContextLogger("NearDuplicate");
+
+// Max differing bits to call two texts near-duplicates (band lookup guarantees <= 3)
+const MAX_DISTANCE = Math.min(
+  3,
+  parseInt(process.env.NEAR_DUP_MAX_DISTANCE || "3", 10)
+);
+const WINDOW_HOURS = parseInt(process.env.NEAR_DUP_WINDOW_HOURS || "168", 10);
+const CANDIDATE_LIMIT = 50;
+
+// Fingerprint columns for an article row; null when text is too short
+export const fingerprintText = (fullText) => {
+  const simhash = simhash64(fullText);
+  return simhash ? { simhash, simhash_bands: simhashBands(simhash) } : null;
+};
+
+// Earliest recent article whose fingerprint is within MAX_DISTANCE bits.
+// Returns { id, distance } pointing at the chain root (never at a copy).
+export const findNearDuplicate = async (fingerprint, { excludeId } = {}) => {
+  if (!fingerprint?.simhash) return null;
+  try {
+    const since = new Date(Date.now() - WINDOW_HOURS * 60 * 60 * 1000);
+    let query = supabase
+      .from("articles")
+      .select("id, simhash, duplicate_of, published_at")
+      .overlaps("simhash_bands", fingerprint.simhash_bands)
+      .gte("fetched_at", since.toISOString())
+      .order("published_at", { ascending: true })
+      .limit(CANDIDATE_LIMIT);
+    if (excludeId) query = query.neq("id", excludeId);
+    const { data, error } = await query;
+    if (error) throw error;
+
+    for (const row of data || []) {
+      if (!row.simhash) continue;
+      const distance = hammingDistance(fingerprint.simhash, row.simhash);
+      if (distance <= MAX_DISTANCE) {
+        return { id: row.duplicate_of || row.id, distance };
+      }
+    }
+    return null;
+  } catch (error) {
+    logger.warn("Near-duplicate lookup failed", { error: error.message });
+    return null;
+  }
+};
@@ -201,8 +201,10 @@ export async function crawlNewsdataOnly(_options = {}) {
             remaining--;
             await logCrawlResult(
               item.url,
-              "success",
-              "Article processed successfully"
+              result.alreadyStored ? "exists" : "success",
+              result.alreadyStored
+                ? "Already stored"
+                : "Article processed successfully"
             );
           }
         } catch (e) {
@@ -0,0 +1,290 @@
+import { JSDOM } from "jsdom";
+import { selectRecords, insertRecord, supabase } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+import { isValidUrl, extractDomain, chunk } from "../utils/helpers.js";
+
+const logger = createContextLogger("OPML");
+
+// Kinds that can be described by a plain URL (scrape feeds need selectors)
+const OPML_FEED_KINDS = ["rss", "atom", "api", "jsonfeed", "sitemap"];
+
+const attr = (el, ...names) => {
+  for (const n of names) {
+    const v = el.getAttribute(n);
+    if (v && v.trim()) return v.trim();
+  }
+  return null;
+};
+
+// "/News/Politics" or "News,Politics" -> "politics"
+const sectionFromCategory = (category) => {
+  if (!category) return null;
+  const parts = category
+    .split(/[,/]/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  return parts.length ? parts[parts.length - 1].toLowerCase() : null;
+};
+
+const slugify = (s) =>
+  String(s || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/^www\./, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .substring(0, 64);
+
+// Pure: flatten an OPML document into feed entries.
+// A feed outline (has xmlUrl) inherits source fields from its closest parent
+// group outline; ungrouped feeds are keyed by their htmlUrl or feed host.
+export const parseOpml = (xml) => {
+  let root;
+  try {
+    root = new JSDOM(xml, { contentType: "text/xml" }).window.document
+      .documentElement;
+  } catch (_) {
+    throw new Error("Invalid OPML document: malformed XML");
+  }
+  if (!root || root.localName !== "opml") {
+    throw new Error("Invalid OPML document");
+  }
+  const body = [...root.children].find((c) => c.localName === "body");
+  if (!body) throw new Error("OPML document has no body");
+
+  const entries = [];
+  const walk = (el, group) => {
+    for (const node of el.children) {
+      if (node.localName !== "outline") continue;
+      const xmlUrl = attr(node, "xmlUrl", "xmlurl", "url");
+      if (!xmlUrl) {
+        walk(node, {
+          id: attr(node, "sourceId"),
+          name: attr(node, "title", "text"),
+          homepage: attr(node, "htmlUrl"),
+          country: attr(node, "country"),
+          lang: attr(node, "lang", "language"),
+        });
+        continue;
+      }
+      entries.push({
+        title: attr(node, "title", "text"),
+        url: xmlUrl,
+        kind: (attr(node, "kind", "type") || "rss").toLowerCase(),
+        lang: attr(node, "lang", "language") || group?.lang || null,
+        country: attr(node, "country") || group?.country || null,
+        section:
+          attr(node, "section") ||
+          sectionFromCategory(attr(node, "category")) ||
+          null,
+        source: {
+          id: attr(node, "sourceId") || group?.id || null,
+          name: group?.name || attr(node, "title", "text"),
+          homepage: group?.homepage || attr(node, "htmlUrl"),
+        },
+      });
+    }
+  };
+  walk(body, null);
+  return entries;
+};
+
+const escapeXml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const xmlAttrs = (obj) =>
+  Object.entries(obj)
+    .filter(([, v]) => v !== null && v !== undefined && v !== "")
+    .map(([k, v]) => `${k}="${escapeXml(v)}"`)
+    .join(" ");
+
+// Pure: OPML 2.0 with one group outline per source; round-trips through parseOpml
+export const buildOpml = (sources, feeds, { title = "Insight feeds" } = {}) => {
+  const bySource = new Map();
+  for (const f of feeds) {
+    if (!bySource.has(f.source_id)) bySource.set(f.source_id, []);
+    bySource.get(f.source_id).push(f);
+  }
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    "  <head>",
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    "  </head>",
+    "  <body>",
+  ];
+  for (const source of sources) {
+    const sourceFeeds = bySource.get(source.id) || [];
+    if (!sourceFeeds.length) continue;
+    lines.push(
+      `    <outline ${xmlAttrs({
+        text: source.name || source.id,
+        title: source.name || source.id,
+        sourceId: source.id,
+        htmlUrl: source.homepage,
+        country: source.country,
+        lang: source.lang,
+      })}>`
+    );
+    for (const f of sourceFeeds) {
+      lines.push(
+        `      <outline ${xmlAttrs({
+          type: f.kind === "atom" || f.kind === "rss" ? "rss" : f.kind,
+          kind: f.kind,
+          text: f.section
+            ? `${source.name || source.id} - ${f.section}`
+            : source.name || source.id,
+          xmlUrl: f.url,
+          lang: f.lang,
+          country: f.country,
+          section: f.section,
+        })}/>`
+      );
+    }
+    lines.push("    </outline>");
+  }
+  lines.push("  </body>", "</opml>", "");
+  return lines.join("\n");
+};
+
+const validateEntry = (entry) => {
+  if (!entry.url || !isValidUrl(entry.url) || !/^https?:/i.test(entry.url)) {
+    return "Invalid feed URL";
+  }
+  if (!OPML_FEED_KINDS.includes(entry.kind)) {
+    return `Unsupported kind: ${entry.kind}`;
+  }
+  if (entry.country && !/^[a-z]{2}$/i.test(entry.country)) {
+    return `Invalid country code: ${entry.country}`;
+  }
+  return null;
+};
+
+// Create missing sources and feeds from an OPML document.
+// Feeds are matched on URL; sources on sourceId, then homepage host.
+export const importOpml = async (xml, { enabled = true } = {}) => {
+  const entries = parseOpml(xml);
+  const report = {
+    total: entries.length,
+    created: { sources: [], feeds: [] },
+    skipped: [],
+    invalid: [],
+  };
+
+  const sources = await selectRecords("sources");
+  const sourcesById = new Map(sources.map((s) => [s.id, s]));
+  const sourcesByHost = new Map(
+    sources.filter((s) => s.homepage).map((s) => [extractDomain(s.homepage), s])
+  );
+
+  // Batched so large OPML files don't overflow the request URL
+  const urls = entries.map((e) => e.url).filter(Boolean);
+  const existingUrls = new Set();
+  for (const batch of chunk(urls, 100)) {
+    const { data, error } = await supabase
+      .from("feeds")
+      .select("url")
+      .in("url", batch);
+    if (error) throw error;
+    for (const row of data || []) existingUrls.add(row.url);
+  }
+
+  const resolveSource = async (entry) => {
+    const { id, name, homepage } = entry.source;
+    if (id && sourcesById.has(id)) return sourcesById.get(id);
+    const host = extractDomain(homepage || "") || extractDomain(entry.url);
+    if (!id && sourcesByHost.has(host)) return sourcesByHost.get(host);
+
+    const sourceId = id || slugify(host || name);
+    if (!sourceId) throw new Error("Cannot derive a source id");
+    if (sourcesById.has(sourceId)) return sourcesById.get(sourceId);
+    const source = await insertRecord("sources", {
+      id: sourceId,
+      name: name || host || sourceId,
+      homepage: homepage && isValidUrl(homepage) ? homepage : null,
+      country: entry.country ? entry.country.toUpperCase() : null,
+      lang: entry.lang || null,
+    });
+    sourcesById.set(source.id, source);
+    if (source.homepage) {
+      sourcesByHost.set(extractDomain(source.homepage), source);
+    }
+    report.created.sources.push(source.id);
+    return source;
+  };
+
+  for (const entry of entries) {
+    const reason = validateEntry(entry);
+    if (reason) {
+      report.invalid.push({ url: entry.url, title: entry.title, reason });
+      continue;
+    }
+    if (existingUrls.has(entry.url)) {
+      report.skipped.push({ url: entry.url, reason: "duplicate" });
+      continue;
+    }
+    try {
+      const source = await resolveSource(entry);
+      const feed = await insertRecord("feeds", {
+        source_id: source.id,
+        url: entry.url,
+        kind: entry.kind,
+        country: entry.country ? entry.country.toUpperCase() : null,
+        lang: entry.lang,
+        section: entry.section,
+        enabled,
+      });
+      existingUrls.add(entry.url);
+      report.created.feeds.push({
+        id: feed.id,
+        url: feed.url,
+        source_id: source.id,
+      });
+    } catch (error) {
+      logger.warn("OPML entry import failed", {
+        url: entry.url,
+        error: error.message,
+      });
+      report.invalid.push({
+        url: entry.url,
+        title: entry.title,
+        reason: error.message,
+      });
+    }
+  }
+
+  logger.info("OPML import finished", {
+    total: report.total,
+    sources: report.created.sources.length,
+    feeds: report.created.feeds.length,
+    skipped: report.skipped.length,
+    invalid: report.invalid.length,
+  });
+  return report;
+};
+
+export const exportOpml = async ({ enabledOnly = false } = {}) => {
+  const sources = await selectRecords(
+    "sources",
+    {},
+    {
+      orderBy: { column: "name", ascending: true },
+    }
+  );
+  const feeds = await selectRecords(
+    "feeds",
+    enabledOnly ? { enabled: true } : {},
+    { orderBy: { column: "url", ascending: true } }
+  );
+  // Scrape feeds can't be expressed without their selector config
+  return buildOpml(
+    sources,
+    feeds.filter((f) => OPML_FEED_KINDS.includes(f.kind))
+  );
+};
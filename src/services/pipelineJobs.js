@@ -0,0 +1,40 @@
+import { selectRecords } from "../config/database.js";
+import { registerJobHandler } from "./jobQueue.js";
+import { ARTICLE_STAGES, runArticleStage } from "./articleProcessor.js";
+import { processPretranslateJob } from "./pretranslator.js";
+
+// Default per-type concurrency; JOB_CONCURRENCY_<TYPE> overrides
+// LLM-bound stages stay low to respect provider rate limits
+const STAGE_CONCURRENCY = {
+  "article.media": 4,
+  "article.cluster": 1, // serial to avoid racing cluster creation
+  "article.score": 8,
+  "article.categorize": 2,
+  "article.entities": 2,
+  "article.geotag": 4,
+  "article.pretranslate": 2,
+  "cluster.pretranslate": 4,
+};
+
+const loadArticle = async (articleId) => {
+  const rows = await selectRecords("articles", { id: articleId });
+  return rows[0] || null;
+};
+
+// Register handlers for all ingestion stages (idempotent)
+export const registerPipelineJobs = () => {
+  for (const stage of ARTICLE_STAGES) {
+    registerJobHandler(
+      stage,
+      async ({ article_id }) => {
+        const article = await loadArticle(article_id);
+        if (!article) return; // deleted since enqueue; nothing to do
+        await runArticleStage(stage, article);
+      },
+      { concurrency: STAGE_CONCURRENCY[stage] }
+    );
+  }
+  registerJobHandler("cluster.pretranslate", processPretranslateJob, {
+    concurrency: STAGE_CONCURRENCY["cluster.pretranslate"],
+  });
+};
@@ -0,0 +1,85 @@
+import { supabase } from "../config/database.js";
+
+// Read side for geotagged places (migrations/0037_places_geotagging.sql)
+
+const since = (days) =>
+  days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+
+// Gazetteer codes: "ch", "us.ca", "gb.london"
+export const isPlaceCode = (value) =>
+  typeof value === "string" && /^[a-z]{2}(\.[a-z0-9-]+)?$/.test(value);
+
+export const getPlace = async (code) => {
+  const { data, error } = await supabase
+    .from("places")
+    .select("id,code,name,kind,country_code,parent_code,lat,lon,names")
+    .eq("code", code)
+    .limit(1);
+  if (error) throw error;
+  return data?.[0] || null;
+};
+
+// Clusters with articles tagged to the place or places under it, latest first
+export const listPlaceClusters = async (
+  code,
+  { days = 7, lang = "en", limit = 20, offset = 0 } = {}
+) => {
+  const { data: rows, error } = await supabase.rpc("place_clusters", {
+    p_code: code,
+    p_since: since(days),
+    p_limit: limit,
+    p_offset: offset,
+  });
+  if (error) throw error;
+  const ids = (rows || []).map((r) => r.cluster_id);
+  if (!ids.length) return [];
+
+  const [{ data: clusters, error: clErr }, { data: aiRows, error: aiErr }] =
+    await Promise.all([
+      supabase
+        .from("clusters")
+        .select("id,size,first_seen,last_seen,rep_article")
+        .in("id", ids),
+      supabase
+        .from("cluster_ai")
+        .select("cluster_id,ai_title,ai_summary,lang")
+        .in("cluster_id", ids)
+        .eq("is_current", true)
+        .eq("lang", lang),
+    ]);
+  if (clErr) throw clErr;
+  if (aiErr) throw aiErr;
+
+  const clusterById = new Map((clusters || []).map((c) => [c.id, c]));
+  const aiById = new Map((aiRows || []).map((r) => [r.cluster_id, r]));
+  return rows.map((r) => ({
+    cluster_id: r.cluster_id,
+    article_count: Number(r.article_count),
+    max_confidence: r.max_confidence,
+    last_published_at: r.last_published_at,
+    cluster: clusterById.get(r.cluster_id) || null,
+    ai: aiById.get(r.cluster_id) || null,
+  }));
+};
+
+// Tagged places inside [minLon, minLat, maxLon, maxLat], busiest first
+export const findPlacesInBbox = async (
+  [minLon, minLat, maxLon, maxLat],
+  { days = 7, kinds = null, limit = 200 } = {}
+) => {
+  const { data, error } = await supabase.rpc("places_in_bbox", {
+    p_min_lat: minLat,
+    p_min_lon: minLon,
+    p_max_lat: maxLat,
+    p_max_lon: maxLon,
+    p_since: since(days),
+    p_kinds: kinds,
+    p_limit: limit,
+  });
+  if (error) throw error;
+  return (data || []).map((r) => ({
+    ...r,
+    article_count: Number(r.article_count),
+    cluster_count: Number(r.cluster_count),
+  }));
+};
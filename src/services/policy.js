@@ -12,6 +12,17 @@ function allowedUseAllowsMirror(allowedUse) {
   return s.includes("mirror"); // 'mirror' or 'mirror_thumb'
 }
 
+// Characters of full_text the API may show (0 = none). Needs an article_policy
+// row with max_extract_chars; link+snippet sources and articles failing the
+// robots/terms checks never get a body.
+export function maxExtractChars(policy, source) {
+  if (!policy || policy.terms_ok === false || policy.robots_ok === false)
+    return 0;
+  const allowedUse = String(source?.allowed_use || "link+snippet");
+  if (allowedUse.toLowerCase() === "link+snippet") return 0;
+  return Math.max(0, parseInt(policy.max_extract_chars, 10) || 0);
+}
+
 export async function canMirrorMediaForArticle(article) {
   try {
     // Check article_policy first
@@ -3,6 +3,7 @@ import { createContextLogger } from "../config/logger.js";
 import { normalizeBcp47 } from "../utils/lang.js";
 import { translateFields } from "./translationHelper.js";
 import { decodeHtmlEntities } from "../utils/helpers.js";
+import { enqueueJob as enqueueDurableJob } from "./jobQueue.js";
 import crypto from "node:crypto";
 
 const logger = createContextLogger("Pretranslator");
@@ -31,14 +32,19 @@ function isDone(key) {
   return _doneKeys.has(key);
 }
 
-// In-memory, lightweight queue of jobs (durable queue deferred as per plan)
+// Jobs go to the durable queue ("cluster.pretranslate"); the in-memory queue
+// below is the fallback when it is unavailable (processed within the cycle).
 // Each job carries only minimal payload per spec: cluster_id, target_lang, pivot_hash
 const _jobQueue = [];
 const _jobKeys = new Set(); // for enqueue-time idempotency
 
-function enqueueJob(job) {
+async function enqueueJob(job) {
   const key = `${job.cluster_id}|${job.target_lang}|${job.pivot_hash}`;
   if (_jobKeys.has(key) || isDone(key)) return false; // skip duplicates within run
+  const durable = await enqueueDurableJob("cluster.pretranslate", job, {
+    dedupeKey: key,
+  });
+  if (durable) return Boolean(durable.id); // duplicates are already queued
   _jobKeys.add(key);
   _jobQueue.push(job);
   try {
@@ -81,6 +87,8 @@ export async function runPretranslationCycle(options = {}) {
       process.env.PRETRANS_ITEM_TIMEOUT_MS || "15000",
       10
     ),
+    // Aborted when the pretranslate job loses its lock
+    signal,
   } = options;
 
   try {
@@ -143,7 +151,7 @@ export async function runPretranslationCycle(options = {}) {
       { length: Math.max(1, Math.min(concurrency, 16)) },
       () =>
         (async () => {
-          while (queue.length) {
+          while (queue.length && !signal?.aborted) {
             const c = queue.shift();
             if (!c) break;
             clustersChecked++;
@@ -169,8 +177,14 @@ export async function runPretranslationCycle(options = {}) {
     // Now process the queued jobs with bounded concurrency
     const { inserted: insertedFromJobs } = await processJobQueue(
       Math.max(1, Math.min(concurrency, 16)),
-      perItemTimeoutMs
+      perItemTimeoutMs,
+      signal
     );
+    if (signal?.aborted) {
+      logger.warn("Pretranslation stopped early: lock lost", {
+        clustersChecked,
+      });
+    }
     translationsInserted += insertedFromJobs;
 
     logger.info("Pretranslation done", {
@@ -310,7 +324,7 @@ async function collectJobsForCluster(clusterId, globalTargets, pivotDefault) {
 
   let enqueued = 0;
   for (const dst of targets) {
-    const ok = enqueueJob({
+    const ok = await enqueueJob({
       cluster_id: clusterId,
       target_lang: dst,
       pivot_hash: pivotSig,
@@ -320,6 +334,15 @@ async function collectJobsForCluster(clusterId, globalTargets, pivotDefault) {
   return { enqueued, skipped: enqueued ? 0 : 1 };
 }
 
+// Handler for queued "cluster.pretranslate" jobs
+export async function processPretranslateJob(job) {
+  const perItemTimeoutMs = parseInt(
+    process.env.PRETRANS_ITEM_TIMEOUT_MS || "15000",
+    10
+  );
+  return processJob(job, perItemTimeoutMs);
+}
+
 async function processJob(job, perItemTimeoutMs) {
   const idempotencyKey = `${job.cluster_id}|${job.target_lang}|${job.pivot_hash}`;
   if (isDone(idempotencyKey)) return { inserted: 0, skipped: 1 };
@@ -636,11 +659,11 @@ async function processJob(job, perItemTimeoutMs) {
   }
 }
 
-async function processJobQueue(concurrency, perItemTimeoutMs) {
+async function processJobQueue(concurrency, perItemTimeoutMs, signal) {
   let inserted = 0;
   const workers = Array.from({ length: concurrency }, () =>
     (async () => {
-      while (_jobQueue.length) {
+      while (_jobQueue.length && !signal?.aborted) {
         const job = dequeueJob();
         if (!job) break;
         try {
@@ -653,6 +676,8 @@ async function processJobQueue(concurrency, perItemTimeoutMs) {
     })()
   );
   await Promise.all(workers);
+  // Stopped early: drop the rest, the next cycle collects them again
+  if (signal?.aborted) _jobQueue.length = 0;
   return { inserted };
 }
 
@@ -0,0 +1,209 @@
+import {
+  insertRecord,
+  selectRecords,
+  updateRecord,
+  upsertRecord,
+  supabase,
+} from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+
+const logger = createContextLogger("Projects");
+
+// Projects are curated channels: project_rules select clusters by category,
+// place and source, and `boosts` reorder them
+// (migrations/0038_project_channels.sql)
+
+export const BOOST_TYPES = ["categories", "places", "sources"];
+export const RULE_FIELDS = [
+  "include_paths",
+  "exclude_paths",
+  "geo_scope",
+  "source_ids",
+  "exclude_source_ids",
+];
+
+// Clusters ranked per request; pages must fall inside this pool
+export const candidatePool = () =>
+  parseInt(process.env.PROJECT_CANDIDATE_POOL || "300", 10);
+const halfLifeHours = () =>
+  Number(process.env.PROJECT_RECENCY_HALF_LIFE_HOURS || "24");
+
+const since = (days) =>
+  days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+
+export const isProjectSlug = (value) =>
+  typeof value === "string" && /^[a-z0-9][a-z0-9-]{0,62}$/.test(value);
+
+const emptyRules = () => ({
+  ...Object.fromEntries(RULE_FIELDS.map((f) => [f, []])),
+  boosts: {},
+});
+
+const withRules = (project, rules) => {
+  const { project_id: _id, ...rest } = rules || {};
+  return { ...project, rules: { ...emptyRules(), ...rest } };
+};
+
+export const getProject = async (slug) => {
+  const [project] = await selectRecords("projects", { slug });
+  if (!project) return null;
+  const [rules] = await selectRecords("project_rules", {
+    project_id: project.id,
+  });
+  return withRules(project, rules);
+};
+
+export const listProjects = async () => {
+  const projects = await selectRecords(
+    "projects",
+    {},
+    { orderBy: { column: "slug", ascending: true } }
+  );
+  if (!projects.length) return [];
+  const { data: rules, error } = await supabase
+    .from("project_rules")
+    .select("*")
+    .in(
+      "project_id",
+      projects.map((p) => p.id)
+    );
+  if (error) throw error;
+  const byProject = new Map((rules || []).map((r) => [r.project_id, r]));
+  return projects.map((p) => withRules(p, byProject.get(p.id)));
+};
+
+// Replaces the project's rules (missing fields become empty)
+export const setProjectRules = async (projectId, rules) => {
+  await upsertRecord(
+    "project_rules",
+    {
+      project_id: projectId,
+      ...emptyRules(),
+      ...rules,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "project_id", ignoreDuplicates: false }
+  );
+};
+
+export const createProject = async ({ slug, description, locale, rules }) => {
+  const project = await insertRecord("projects", {
+    slug,
+    description: description ?? null,
+    locale: locale ?? null,
+  });
+  await setProjectRules(project.id, rules || {});
+  logger.info("Project created", { slug });
+  return getProject(slug);
+};
+
+export const updateProject = async (project, updates) => {
+  await updateRecord("projects", project.id, {
+    ...updates,
+    updated_at: new Date().toISOString(),
+  });
+  return getProject(project.slug);
+};
+
+export const deleteProject = async (project) => {
+  // project_rules go with it (ON DELETE CASCADE)
+  const { error } = await supabase
+    .from("projects")
+    .delete()
+    .eq("id", project.id);
+  if (error) throw error;
+  logger.info("Project deleted", { slug: project.slug });
+};
+
+// Highest weight among boost keys matching any value; 1 when none match.
+// Keys match themselves and, for dotted keys, everything below them.
+const boostFor = (weights = {}, values = []) => {
+  let best = null;
+  for (const [key, weight] of Object.entries(weights)) {
+    if (values.some((v) => v === key || v.startsWith(`${key}.`))) {
+      best = best === null ? weight : Math.max(best, weight);
+    }
+  }
+  return best ?? 1;
+};
+
+// score = size x recency (halving every PROJECT_RECENCY_HALF_LIFE_HOURS)
+// x category, place and source boosts
+const scoreCandidate = (row, boosts, now) => {
+  const ageHours = row.last_published_at
+    ? Math.max(0, (now - new Date(row.last_published_at).getTime()) / 36e5)
+    : Infinity;
+  const base =
+    (1 + Math.log1p(Number(row.article_count))) *
+    Math.pow(0.5, ageHours / halfLifeHours());
+  const boost = {
+    categories: boostFor(boosts.categories, row.category_paths || []),
+    places: boostFor(boosts.places, row.place_codes || []),
+    sources: boostFor(boosts.sources, (row.source_ids || []).filter(Boolean)),
+  };
+  const score = base * boost.categories * boost.places * boost.sources;
+  return { score: Math.round(score * 10000) / 10000, boost };
+};
+
+// One page of the project's clusters, ranked by boosted score
+export const listProjectClusters = async (
+  project,
+  { days = 3, lang = "en", limit = 20, offset = 0 } = {}
+) => {
+  // The pool is ranked with the same score in SQL
+  // (migrations/0041_project_clusters_boosted.sql), so boosts reach clusters
+  // older than the newest PROJECT_CANDIDATE_POOL
+  const boosts = project.rules?.boosts || {};
+  const { data: rows, error } = await supabase.rpc("project_clusters", {
+    p_project_id: project.id,
+    p_since: since(days),
+    p_limit: candidatePool(),
+    p_boosts: boosts,
+    p_half_life_hours: halfLifeHours(),
+  });
+  if (error) throw error;
+
+  const now = Date.now();
+  const ranked = (rows || [])
+    .map((r) => ({ row: r, ...scoreCandidate(r, boosts, now) }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        String(b.row.last_published_at).localeCompare(
+          String(a.row.last_published_at)
+        )
+    )
+    .slice(offset, offset + limit);
+  const ids = ranked.map((r) => r.row.cluster_id);
+  if (!ids.length) return [];
+
+  const [{ data: clusters, error: clErr }, { data: aiRows, error: aiErr }] =
+    await Promise.all([
+      supabase
+        .from("clusters")
+        .select("id,size,first_seen,last_seen,rep_article")
+        .in("id", ids),
+      supabase
+        .from("cluster_ai")
+        .select("cluster_id,ai_title,ai_summary,lang")
+        .in("cluster_id", ids)
+        .eq("is_current", true)
+        .eq("lang", lang),
+    ]);
+  if (clErr) throw clErr;
+  if (aiErr) throw aiErr;
+
+  const clusterById = new Map((clusters || []).map((c) => [c.id, c]));
+  const aiById = new Map((aiRows || []).map((r) => [r.cluster_id, r]));
+  return ranked.map(({ row, score, boost }) => ({
+    cluster_id: row.cluster_id,
+    score,
+    boost,
+    article_count: Number(row.article_count),
+    last_published_at: row.last_published_at,
+    category_paths: row.category_paths || [],
+    place_codes: row.place_codes || [],
+    cluster: clusterById.get(row.cluster_id) || null,
+    ai: aiById.get(row.cluster_id) || null,
+  }));
+};
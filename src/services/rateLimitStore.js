@@ -0,0 +1,77 @@
+import { supabase } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+
+const logger = createContextLogger("RateLimitStore");
+
+// Stores count requests per key in fixed windows:
+//   hit(key, windowMs) -> Promise<{ count, resetAt }> (resetAt in ms)
+
+// Process-local counters (single instance, or fallback)
+export const createMemoryStore = () => {
+  const windows = new Map(); // key -> { count, resetAt }
+  let lastSweep = Date.now();
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      if (now - lastSweep > 60 * 1000) {
+        for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+        lastSweep = now;
+      }
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = {
+          count: 0,
+          resetAt: Math.floor(now / windowMs) * windowMs + windowMs,
+        };
+        windows.set(key, w);
+      }
+      w.count++;
+      return { count: w.count, resetAt: w.resetAt };
+    },
+  };
+};
+
+// Shared counters in rate_limit_counters (limits hold across replicas).
+// Falls back to local counters while the database is unreachable.
+export const createPostgresStore = ({
+  fallback = createMemoryStore(),
+} = {}) => {
+  let warnedAt = 0;
+  return {
+    async hit(key, windowMs) {
+      try {
+        const { data, error } = await supabase.rpc("rate_limit_hit", {
+          p_key: key,
+          p_window_ms: windowMs,
+        });
+        if (error) throw error;
+        const row = Array.isArray(data) ? data[0] : data;
+        return { count: row.count, resetAt: new Date(row.reset_at).getTime() };
+      } catch (error) {
+        if (Date.now() - warnedAt > 60 * 1000) {
+          warnedAt = Date.now();
+          logger.warn("Shared rate limit store down; counting locally", {
+            error: error.message,
+          });
+        }
+        return fallback.hit(key, windowMs);
+      }
+    },
+  };
+};
+
+// rate_limit_hit drops a key's old windows only when that key is hit again;
+// the daily cleanup sweeps windows of keys (IPs, revoked keys) seen no more
+export const pruneRateLimitCounters = async (olderThan) => {
+  const { error } = await supabase
+    .from("rate_limit_counters")
+    .delete()
+    .lt("window_start", olderThan.toISOString());
+  if (error) throw error;
+};
+
+// RATE_LIMIT_STORE=memory (default) | postgres
+export const createRateLimitStore = (kind = process.env.RATE_LIMIT_STORE) =>
+  (kind || "memory").toLowerCase() === "postgres"
+    ? createPostgresStore()
+    : createMemoryStore();
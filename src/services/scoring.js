@@ -0,0 +1,246 @@
+import {
+  selectRecords,
+  updateRecord,
+  upsertRecord,
+  supabase,
+} from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+
+const logger = createContextLogger("Scoring");
+
+// Article scores are a weighted mean of their factors; sourceReliability
+// comes from sources.reliability, which the source-reliability job
+// recomputes from crawl and clustering metrics
+// (migrations/0039_source_reliability.sql)
+
+export const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value)
+    ? value
+    : fallback;
+};
+
+const articleWeights = () => ({
+  recency: envNumber("SCORE_WEIGHT_RECENCY", 1),
+  titleLength: envNumber("SCORE_WEIGHT_TITLE", 1),
+  hasSnippet: envNumber("SCORE_WEIGHT_SNIPPET", 1),
+  sourceReliability: envNumber("SCORE_WEIGHT_SOURCE", 1),
+});
+
+const sourceWeights = () => ({
+  extraction: envNumber("SOURCE_WEIGHT_EXTRACTION", 0.4),
+  first_report: envNumber("SOURCE_WEIGHT_FIRST_REPORT", 0.3),
+  duplicates: envNumber("SOURCE_WEIGHT_DUPLICATES", 0.3),
+});
+
+// Reliability of sources without data (and of unknown sources)
+const defaultReliability = () => envNumber("SOURCE_RELIABILITY_DEFAULT", 0.7);
+// Pseudo-observations pulling small samples towards the neutral value
+const priorCount = () => envNumber("SOURCE_RELIABILITY_PRIOR_COUNT", 10);
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+// Weighted mean over factors with a positive weight and a numeric value;
+// null when none qualify
+export const weightedMean = (values, weights) => {
+  let sum = 0;
+  let total = 0;
+  for (const [key, weight] of Object.entries(weights)) {
+    const value = values[key];
+    if (!(weight > 0) || typeof value !== "number") continue;
+    sum += weight * value;
+    total += weight;
+  }
+  return total ? sum / total : null;
+};
+
+export const weightedArticleScore = (factors) =>
+  weightedMean(factors, articleWeights()) ?? 0;
+
+// Component scores in [0, 1] from source_quality_metrics counts. Extraction
+// and duplicates shrink towards the default reliability; first reports
+// compare against the source's fair share, so 0.5 means "as often as chance".
+const reliabilityComponents = (metrics) => {
+  const m = priorCount();
+  const prior = defaultReliability();
+  const attempts = Number(metrics.crawl_attempts) || 0;
+  const successes = Number(metrics.crawl_successes) || 0;
+  const articles = Number(metrics.article_count) || 0;
+  const duplicates = Number(metrics.duplicate_count) || 0;
+  const contested = Number(metrics.contested_clusters) || 0;
+  const firsts = Number(metrics.first_reports) || 0;
+  const expected = Number(metrics.expected_firsts) || 0;
+  return {
+    extraction: {
+      successes,
+      attempts,
+      rate: attempts ? round(successes / attempts) : null,
+      score: attempts ? round((successes + m * prior) / (attempts + m)) : null,
+    },
+    first_report: {
+      firsts,
+      contested,
+      expected: round(expected),
+      rate: contested ? round(firsts / contested) : null,
+      score: contested
+        ? round((firsts + m / 2) / (firsts + expected + m))
+        : null,
+    },
+    duplicates: {
+      duplicates,
+      articles,
+      rate: articles ? round(duplicates / articles) : null,
+      score: articles
+        ? round((articles - duplicates + m * prior) / (articles + m))
+        : null,
+    },
+  };
+};
+
+// Model reliability: weighted mean of the components that have data
+const modelReliability = (components) => {
+  const scores = Object.fromEntries(
+    Object.entries(components).map(([k, c]) => [k, c.score])
+  );
+  const value = weightedMean(scores, sourceWeights());
+  return round(value ?? defaultReliability());
+};
+
+// Per-process cache of sources.reliability; the recompute job and
+// editorial overrides clear it
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const cache = new Map();
+
+const clearReliabilityCache = () => cache.clear();
+
+// Fails open to the default so scoring never blocks on it
+export const getSourceReliability = async (sourceId) => {
+  if (!sourceId) return defaultReliability();
+  const hit = cache.get(sourceId);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.value;
+  try {
+    const [source] = await selectRecords("sources", { id: sourceId });
+    const value =
+      typeof source?.reliability === "number"
+        ? source.reliability
+        : defaultReliability();
+    cache.set(sourceId, { value, at: Date.now() });
+    return value;
+  } catch (error) {
+    logger.debug("Source reliability unavailable", {
+      sourceId,
+      error: error.message,
+    });
+    return defaultReliability();
+  }
+};
+
+// Re-weight recent scores of sources whose reliability moved; the other
+// factors keep the values they were scored with
+const rescoreArticles = async (changed, sinceIso) => {
+  const PAGE = 1000;
+  let rescored = 0;
+  const ids = [...changed.keys()];
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await supabase
+      .from("article_scores")
+      .select("article_id,factors,articles!inner(source_id,published_at)")
+      .in("articles.source_id", ids)
+      .gte("articles.published_at", sinceIso)
+      .order("article_id", { ascending: true })
+      .range(from, from + PAGE - 1);
+    if (error) throw error;
+    const rows = (data || []).map((row) => {
+      const article = Array.isArray(row.articles)
+        ? row.articles[0]
+        : row.articles;
+      const factors = {
+        ...(row.factors || {}),
+        sourceReliability: changed.get(article.source_id),
+      };
+      return {
+        article_id: row.article_id,
+        factors,
+        score: weightedArticleScore(factors),
+        updated_at: new Date().toISOString(),
+      };
+    });
+    if (rows.length) {
+      await upsertRecord("article_scores", rows, {
+        onConflict: "article_id",
+        ignoreDuplicates: false,
+      });
+      rescored += rows.length;
+    }
+    if (!data || data.length < PAGE) break;
+  }
+  return rescored;
+};
+
+// Rescore articles from the last SOURCE_RESCORE_HOURS of the changed sources
+const rescoreRecent = async (changed) => {
+  const rescoreHours = envNumber("SOURCE_RESCORE_HOURS", 48);
+  if (!changed.size || !(rescoreHours > 0)) return 0;
+  return rescoreArticles(
+    changed,
+    new Date(Date.now() - rescoreHours * 60 * 60 * 1000).toISOString()
+  );
+};
+
+// An editorial override (or clearing it) changed sources.reliability outside
+// the recompute job, which would then see no change: rescore right away
+export const applySourceReliability = async (sourceId, reliability) => {
+  clearReliabilityCache();
+  return rescoreRecent(
+    new Map([[sourceId, reliability ?? defaultReliability()]])
+  );
+};
+
+// Recompute every source's metrics and reliability, then rescore its
+// articles from the last SOURCE_RESCORE_HOURS
+export const recomputeSourceReliability = async () => {
+  const windowDays = envNumber("SOURCE_RELIABILITY_WINDOW_DAYS", 7);
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  const { data: metrics, error } = await supabase.rpc(
+    "source_quality_metrics",
+    { p_since: since.toISOString() }
+  );
+  if (error) throw error;
+
+  const sources = await selectRecords("sources");
+  const byId = new Map(sources.map((s) => [s.id, s]));
+  const changed = new Map();
+  const now = new Date().toISOString();
+  for (const row of metrics || []) {
+    const source = byId.get(row.source_id);
+    if (!source) continue;
+    const components = reliabilityComponents(row);
+    const model = modelReliability(components);
+    const reliability = source.reliability_override ?? model;
+    const previous = source.reliability ?? defaultReliability();
+    await updateRecord("sources", source.id, {
+      reliability,
+      reliability_components: {
+        ...components,
+        model,
+        weights: sourceWeights(),
+        window_days: windowDays,
+      },
+      reliability_updated_at: now,
+    });
+    if (Math.abs(previous - reliability) > 0.005) {
+      changed.set(source.id, reliability);
+    }
+  }
+  clearReliabilityCache();
+
+  const rescored = await rescoreRecent(changed);
+
+  const result = {
+    sources: (metrics || []).length,
+    changed: changed.size,
+    rescored,
+  };
+  logger.info("Source reliability recomputed", result);
+  return result;
+};
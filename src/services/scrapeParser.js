@@ -0,0 +1,183 @@
+import axios from "axios";
+import { JSDOM } from "jsdom";
+import { createContextLogger } from "../config/logger.js";
+import { generateContentHash } from "../utils/helpers.js";
+import { normalizeBcp47 } from "../utils/lang.js";
+
+const logger = createContextLogger("ScrapeParser");
+
+const MAX_FETCH_MS = parseInt(process.env.FETCH_TIMEOUT_MS) || 15000;
+const MAX_ITEMS = parseInt(process.env.SCRAPE_MAX_ITEMS || "100", 10);
+
+// Selector keys on feeds.scrape_config; item and link are required
+const SELECTOR_KEYS = ["item", "link", "title", "date", "image", "snippet"];
+
+// Returns an error message for a bad config, or null when usable
+export const validateScrapeConfig = (config) => {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return "scrape_config must be an object";
+  }
+  if (!config.item || !config.link) {
+    return "scrape_config requires item and link selectors";
+  }
+  const { document } = new JSDOM("<!DOCTYPE html>").window;
+  for (const key of SELECTOR_KEYS) {
+    if (config[key] === undefined || config[key] === null) continue;
+    if (typeof config[key] !== "string") {
+      return `scrape_config.${key} must be a string`;
+    }
+    try {
+      document.querySelector(config[key]);
+    } catch (_) {
+      return `Invalid CSS selector for ${key}: ${config[key]}`;
+    }
+  }
+  return null;
+};
+
+const normalizeText = (txt) =>
+  String(txt || "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const toAbsolute = (value, base) => {
+  if (!value) return null;
+  try {
+    return new URL(value.trim(), base).href;
+  } catch (_) {
+    return null;
+  }
+};
+
+// Select within the item; an empty selector means the item element itself
+const pick = (el, selector) => (selector ? el.querySelector(selector) : el);
+
+function readDate(el, config) {
+  const node = pick(el, config.date);
+  if (!node || !config.date) return null;
+  const raw =
+    (config.date_attr && node.getAttribute(config.date_attr)) ||
+    node.getAttribute("datetime") ||
+    node.getAttribute("content") ||
+    node.textContent;
+  const d = new Date(normalizeText(raw));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function readImage(el, config, baseUrl) {
+  if (!config.image) return null;
+  const node = el.querySelector(config.image);
+  if (!node) return null;
+  const srcset =
+    node.getAttribute("srcset") || node.getAttribute("data-srcset");
+  const raw =
+    (config.image_attr && node.getAttribute(config.image_attr)) ||
+    node.getAttribute("data-src") ||
+    node.getAttribute("src") ||
+    (srcset ? srcset.split(",")[0].trim().split(/\s+/)[0] : null) ||
+    node.getAttribute("content");
+  const url = toAbsolute(raw, baseUrl);
+  if (!url || /^data:/i.test(url) || /\.(svg|gif)(\?|#|$)/i.test(url)) {
+    return null;
+  }
+  return url;
+}
+
+// Pure: turn a listing page into normalized items using the feed's selectors.
+// Listing pages carry no article body, so items ask for full-text extraction.
+export const extractListingItems = (html, pageUrl, config, options = {}) => {
+  const dom = new JSDOM(html, { url: pageUrl });
+  const doc = dom.window.document;
+  const pageLang =
+    doc.documentElement.getAttribute("lang") ||
+    doc.querySelector('meta[property="og:locale"]')?.getAttribute("content") ||
+    null;
+  const language = options.defaultLanguage
+    ? normalizeBcp47(options.defaultLanguage)
+    : pageLang
+    ? normalizeBcp47(pageLang)
+    : "auto";
+
+  const seen = new Set();
+  const items = [];
+  for (const el of doc.querySelectorAll(config.item)) {
+    const linkEl = pick(el, config.link);
+    const url = toAbsolute(
+      linkEl?.getAttribute(config.link_attr || "href"),
+      pageUrl
+    );
+    if (!url || !/^https?:/i.test(url) || seen.has(url)) continue;
+    seen.add(url);
+
+    // Fall back to the link text when the title selector finds nothing
+    const titleEl = (config.title && el.querySelector(config.title)) || linkEl;
+    const title = normalizeText(titleEl?.textContent);
+    const snippet = config.snippet
+      ? normalizeText(el.querySelector(config.snippet)?.textContent)
+      : "";
+    const image = readImage(el, config, pageUrl);
+    items.push({
+      title,
+      url,
+      snippet,
+      published_at: readDate(el, config) || new Date(),
+      language,
+      content_hash: generateContentHash(title, url),
+      media_candidates: image ? [image] : [],
+      requires_full_text: true,
+    });
+    if (items.length >= MAX_ITEMS) break;
+  }
+  return items;
+};
+
+export const parseScrapeFeed = async (pageUrl, options = {}) => {
+  try {
+    const config = options.scrapeConfig;
+    const configError = validateScrapeConfig(config);
+    if (configError) throw new Error(configError);
+
+    logger.info("Scraping listing page", { pageUrl });
+
+    const headers = {
+      "User-Agent":
+        process.env.FEED_USER_AGENT ||
+        "InsightFeeder/1.0 (+https://example.com)",
+      Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+    };
+    if (options.lastEtag) headers["If-None-Match"] = options.lastEtag;
+    if (options.lastModified)
+      headers["If-Modified-Since"] = options.lastModified;
+
+    const resp = await axios.get(pageUrl, {
+      timeout: MAX_FETCH_MS,
+      responseType: "text",
+      headers,
+      maxRedirects: 5,
+      validateStatus: (s) => (s >= 200 && s < 300) || s === 304,
+    });
+    if (resp.status === 304) {
+      logger.info("Listing page not modified", { pageUrl });
+      return { items: [], notModified: true };
+    }
+
+    const items = extractListingItems(resp.data || "", pageUrl, config, {
+      defaultLanguage: options.defaultLanguage,
+    });
+
+    logger.info("Listing page scraped", { pageUrl, itemCount: items.length });
+    return {
+      items,
+      etag: resp.headers.etag,
+      lastModified: resp.headers["last-modified"],
+      notModified: false,
+    };
+  } catch (error) {
+    logger.error("Failed to scrape listing page", {
+      pageUrl,
+      error: error.message,
+      status: error.response?.status,
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,82 @@
+import { supabase } from "../config/database.js";
+
+// Full-text search over articles and current cluster summaries
+// (migrations/0034_full_text_search.sql). Highlights only cover titles,
+// snippets and AI summaries; full_text is matched but never returned.
+
+const MARK_RE = /(<mark>|<\/mark>)/;
+
+const escapeHtml = (s) =>
+  s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// ts_headline leaves the source text as-is; escape it but keep the <mark> tags
+const safeHighlight = (text) =>
+  text
+    ? text
+        .split(MARK_RE)
+        .map((part) => (MARK_RE.test(part) ? part : escapeHtml(part)))
+        .join("")
+    : null;
+
+const rpc = async (fn, params) => {
+  const { data, error } = await supabase.rpc(fn, params);
+  if (error) throw error;
+  return data || [];
+};
+
+// { articles, clusters, facets: { source, language, category }, total }
+export const search = async ({
+  q,
+  lang = null,
+  sourceId = null,
+  category = null,
+  limit = 20,
+  offset = 0,
+}) => {
+  const filters = {
+    p_query: q,
+    p_lang: lang,
+    p_source_id: sourceId,
+    p_category: category,
+  };
+  // Clusters don't carry a source or category
+  const withClusters = !sourceId && !category;
+
+  const [articleRows, facetRows, clusterRows] = await Promise.all([
+    rpc("search_articles", { ...filters, p_limit: limit, p_offset: offset }),
+    rpc("search_article_facets", filters),
+    withClusters
+      ? rpc("search_clusters", { p_query: q, p_lang: lang, p_limit: 10 })
+      : [],
+  ]);
+
+  const facets = { source: [], language: [], category: [] };
+  for (const row of facetRows) {
+    facets[row.facet]?.push({ value: row.value, count: Number(row.count) });
+  }
+  for (const list of Object.values(facets)) {
+    list.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+
+  return {
+    articles: articleRows.map(({ total: _total, ...a }) => ({
+      ...a,
+      title_highlight: safeHighlight(a.title_highlight),
+      snippet_highlight: safeHighlight(a.snippet_highlight),
+    })),
+    clusters: clusterRows.map((c) => ({
+      ...c,
+      title_highlight: safeHighlight(c.title_highlight),
+      summary_highlight: safeHighlight(c.summary_highlight),
+    })),
+    facets,
+    // total is repeated on every row; an empty page past the end has none
+    total: articleRows.length
+      ? Number(articleRows[0].total)
+      : facets.source.reduce((sum, f) => sum + f.count, 0),
+  };
+};
@@ -0,0 +1,245 @@
+import crypto from "crypto";
+import axios from "axios";
+import { selectRecords, updateRecord, supabase } from "../config/database.js";
+import { createContextLogger } from "../config/logger.js";
+import { parseFeedContent } from "./feedParser.js";
+
+const logger = createContextLogger("WebSub");
+
+// Requested lease; hubs may grant a different one (hub.lease_seconds on verify)
+const LEASE_SEC = parseInt(process.env.WEBSUB_LEASE_SEC || "864000", 10);
+// Renew subscriptions whose lease ends within this window
+const RENEW_BEFORE_SEC = parseInt(
+  process.env.WEBSUB_RENEW_BEFORE_SEC || "86400",
+  10
+);
+// A pending request the hub never verified is retried after this long
+const PENDING_RETRY_SEC = 3600;
+
+const SIGNATURE_ALGOS = ["sha1", "sha256", "sha384", "sha512"];
+
+// Public base URL of this service; WebSub stays off until it is set
+const callbackBase = () =>
+  (process.env.WEBSUB_CALLBACK_BASE_URL || "").replace(/\/+$/, "");
+
+const callbackUrl = (feedId) =>
+  `${callbackBase()}/api/websub/callback/${encodeURIComponent(feedId)}`;
+
+// Feed row as the API returns it: never the push HMAC secret, which would
+// let any reader forge signed pushes
+export const publicFeed = (feed) => {
+  if (!feed) return feed;
+  const { websub_secret: _secret, ...rest } = feed;
+  return rest;
+};
+
+const findFeed = async (feedId) => {
+  const feeds = await selectRecords("feeds", { id: feedId });
+  return feeds[0] || null;
+};
+
+// Send a (re)subscribe or unsubscribe request to the hub. State is stored
+// first because hubs may verify the intent before answering this request.
+export const subscribeFeed = async (feed, options = {}) => {
+  const mode = options.mode || "subscribe";
+  const hub = options.hub || feed.websub_hub;
+  const topic = options.topic || feed.websub_topic || feed.url;
+  if (!hub) throw new Error("Feed has no WebSub hub");
+  if (!callbackBase()) throw new Error("WEBSUB_CALLBACK_BASE_URL is not set");
+
+  // Keep the secret across renewals so in-flight pushes still verify, and a
+  // renewing subscription stays "subscribed" so pushes keep being accepted
+  const secret = feed.websub_secret || crypto.randomBytes(24).toString("hex");
+  const renewing =
+    feed.websub_state === "subscribed" &&
+    feed.websub_hub === hub &&
+    feed.websub_topic === topic;
+  const state =
+    mode !== "subscribe"
+      ? "unsubscribing"
+      : renewing
+      ? "subscribed"
+      : "pending";
+  await updateRecord("feeds", feed.id, {
+    websub_hub: hub,
+    websub_topic: topic,
+    websub_secret: secret,
+    websub_state: state,
+    websub_requested_at: new Date().toISOString(),
+  });
+
+  const params = new URLSearchParams({
+    "hub.mode": mode,
+    "hub.topic": topic,
+    "hub.callback": callbackUrl(feed.id),
+  });
+  if (mode === "subscribe") {
+    params.set("hub.secret", secret);
+    params.set("hub.lease_seconds", String(LEASE_SEC));
+  }
+
+  const resp = await axios.post(hub, params.toString(), {
+    timeout: parseInt(process.env.FETCH_TIMEOUT_MS) || 15000,
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      "User-Agent": process.env.FEED_USER_AGENT || "InsightFeeder/1.0",
+    },
+    validateStatus: () => true,
+  });
+  if (resp.status < 200 || resp.status >= 300) {
+    await updateRecord("feeds", feed.id, { websub_state: "failed" });
+    throw new Error(`Hub rejected ${mode}: HTTP ${resp.status}`);
+  }
+
+  logger.info("WebSub request accepted by hub", {
+    feedId: feed.id,
+    mode,
+    hub,
+    topic,
+  });
+  return { hub, topic, state };
+};
+
+// A request the hub has not verified yet; don't send another one
+const recentlyRequested = (feed, now) =>
+  ["pending", "subscribed"].includes(feed.websub_state) &&
+  now.getTime() - new Date(feed.websub_requested_at || 0).getTime() <
+    PENDING_RETRY_SEC * 1000;
+
+// Called after a successful poll: subscribe when the feed advertises a hub
+// and there is no live subscription for that hub/topic yet. Never throws.
+export const ensureSubscription = async (
+  feed,
+  { hub, self } = {},
+  now = new Date()
+) => {
+  if (!hub || !callbackBase() || feed.enabled === false) return null;
+  const topic = self || feed.url;
+  const sameTarget = feed.websub_hub === hub && feed.websub_topic === topic;
+  if (sameTarget && feed.websub_state === "subscribed") {
+    const expires = new Date(feed.websub_lease_expires_at || 0).getTime();
+    if (expires - now.getTime() > RENEW_BEFORE_SEC * 1000) return null;
+  }
+  if (sameTarget && recentlyRequested(feed, now)) return null;
+  try {
+    return await subscribeFeed(feed, { hub, topic });
+  } catch (error) {
+    logger.warn("WebSub subscribe failed", {
+      feedId: feed.id,
+      hub,
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+// Intent verification (GET on the callback). Returns { status, body }.
+export const handleVerification = async (feedId, query = {}) => {
+  const mode = query["hub.mode"];
+  const topic = query["hub.topic"];
+  const challenge = query["hub.challenge"];
+  const feed = await findFeed(feedId);
+  if (!feed || (topic && topic !== feed.websub_topic)) {
+    return { status: 404, body: "Unknown subscription" };
+  }
+
+  if (mode === "denied") {
+    await updateRecord("feeds", feed.id, { websub_state: "denied" });
+    logger.warn("WebSub subscription denied by hub", {
+      feedId,
+      reason: query["hub.reason"],
+    });
+    return { status: 200, body: "" };
+  }
+  if (!challenge) return { status: 400, body: "Missing hub.challenge" };
+
+  if (
+    mode === "subscribe" &&
+    ["pending", "subscribed"].includes(feed.websub_state)
+  ) {
+    const leaseSec = parseInt(query["hub.lease_seconds"], 10) || LEASE_SEC;
+    await updateRecord("feeds", feed.id, {
+      websub_state: "subscribed",
+      websub_lease_expires_at: new Date(
+        Date.now() + leaseSec * 1000
+      ).toISOString(),
+    });
+    logger.info("WebSub subscription verified", { feedId, leaseSec });
+    return { status: 200, body: challenge };
+  }
+  if (mode === "unsubscribe" && feed.websub_state === "unsubscribing") {
+    await updateRecord("feeds", feed.id, {
+      websub_state: "unsubscribed",
+      websub_lease_expires_at: null,
+    });
+    return { status: 200, body: challenge };
+  }
+  return { status: 404, body: "Intent not requested" };
+};
+
+// X-Hub-Signature: "<algo>=<hex hmac of the raw body>"
+const isValidSignature = (secret, rawBody, header) => {
+  if (!secret || !header) return false;
+  const [algo, sig] = String(header).split("=");
+  if (!SIGNATURE_ALGOS.includes(algo) || !sig) return false;
+  const expected = crypto
+    .createHmac(algo, secret)
+    .update(rawBody)
+    .digest("hex");
+  const a = Buffer.from(expected, "hex");
+  const b = Buffer.from(sig, "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Content distribution (POST on the callback). Unknown subscriptions are
+// reported as gone; bad signatures are acknowledged but ignored (per spec).
+export const receivePush = async (feedId, rawBody, headers = {}) => {
+  const feed = await findFeed(feedId);
+  if (!feed || feed.websub_state !== "subscribed") {
+    return { status: "gone" };
+  }
+  const body = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody || "");
+  if (!isValidSignature(feed.websub_secret, body, headers["x-hub-signature"])) {
+    logger.warn("WebSub push with invalid signature ignored", { feedId });
+    return { status: "ignored", feed };
+  }
+
+  const { items } = await parseFeedContent(body.toString("utf8"), {
+    contentType: headers["content-type"],
+    kind: feed.kind,
+  });
+  await updateRecord("feeds", feed.id, {
+    websub_last_push_at: new Date().toISOString(),
+    last_seen_at: new Date().toISOString(),
+  });
+  logger.info("WebSub push received", { feedId, itemCount: items.length });
+  return { status: "accepted", feed, items };
+};
+
+// Re-subscribe before leases run out
+export const renewExpiringSubscriptions = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + RENEW_BEFORE_SEC * 1000);
+  const { data, error } = await supabase
+    .from("feeds")
+    .select("*")
+    .eq("enabled", true)
+    .eq("websub_state", "subscribed")
+    .lte("websub_lease_expires_at", horizon.toISOString());
+  if (error) throw error;
+
+  const stats = { renewed: 0, failed: 0 };
+  for (const feed of data || []) {
+    if (recentlyRequested(feed, now)) continue;
+    try {
+      await subscribeFeed(feed);
+      stats.renewed++;
+    } catch (e) {
+      stats.failed++;
+      logger.warn("WebSub renewal failed", {
+        feedId: feed.id,
+        error: e.message,
+      });
+    }
+  }
+  return stats;
+};
@@ -0,0 +1,159 @@
+// Minimal 5-field cron expression support (no deps)
+// - minute hour day-of-month month day-of-week, evaluated in UTC
+// - Supports *, lists (1,2), ranges (1-5), steps (*/5, 1-30/2) and month/day names
+// - A leading seconds field (node-cron 6-field style) is accepted and ignored
+
+const FIELD_SPECS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  {
+    name: "month",
+    min: 1,
+    max: 12,
+    names: [
+      "jan",
+      "feb",
+      "mar",
+      "apr",
+      "may",
+      "jun",
+      "jul",
+      "aug",
+      "sep",
+      "oct",
+      "nov",
+      "dec",
+    ],
+  },
+  {
+    name: "dayOfWeek",
+    min: 0,
+    max: 7,
+    names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"],
+  },
+];
+
+// Give up when no matching minute is found within this many steps (~4 years of day jumps)
+const MAX_SEARCH_STEPS = 50000;
+
+function parseValue(raw, spec) {
+  const s = String(raw).toLowerCase();
+  if (spec.names) {
+    const idx = spec.names.indexOf(s.slice(0, 3));
+    if (idx !== -1 && /^[a-z]+$/.test(s)) return idx + spec.min;
+  }
+  if (!/^\d+$/.test(s)) throw new Error(`Invalid ${spec.name} value: ${raw}`);
+  const n = parseInt(s, 10);
+  if (n < spec.min || n > spec.max) {
+    throw new Error(`${spec.name} value out of range: ${raw}`);
+  }
+  return n;
+}
+
+function parseField(raw, spec) {
+  const values = new Set();
+  for (const part of String(raw).split(",")) {
+    if (!part) throw new Error(`Empty ${spec.name} list item`);
+    const [rangePart, stepPart, extra] = part.split("/");
+    if (extra !== undefined) throw new Error(`Invalid step: ${part}`);
+    let step = 1;
+    if (stepPart !== undefined) {
+      if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) === 0) {
+        throw new Error(`Invalid step: ${part}`);
+      }
+      step = parseInt(stepPart, 10);
+    }
+    let start;
+    let end;
+    if (rangePart === "*") {
+      start = spec.min;
+      end = spec.max;
+    } else if (rangePart.includes("-")) {
+      const [a, b] = rangePart.split("-");
+      start = parseValue(a, spec);
+      end = parseValue(b, spec);
+      if (start > end) throw new Error(`Invalid range: ${part}`);
+    } else {
+      start = parseValue(rangePart, spec);
+      // "5/15" means starting at 5 every 15 until the field max
+      end = stepPart !== undefined ? spec.max : start;
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  // Sunday may be written as 0 or 7
+  if (spec.name === "dayOfWeek" && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+  return values;
+}
+
+function parseCronExpression(expr) {
+  if (!expr || typeof expr !== "string") {
+    throw new Error("Cron expression is required");
+  }
+  let parts = expr.trim().split(/\s+/);
+  if (parts.length === 6) parts = parts.slice(1);
+  if (parts.length !== 5) {
+    throw new Error(`Expected 5 cron fields, got ${parts.length}`);
+  }
+  const parsed = {};
+  FIELD_SPECS.forEach((spec, i) => {
+    parsed[spec.name] = parseField(parts[i], spec);
+  });
+  // Standard cron semantics: when both day fields are restricted, either may match
+  parsed.dayOfMonthRestricted = !parts[2].startsWith("*");
+  parsed.dayOfWeekRestricted = !parts[4].startsWith("*");
+  return parsed;
+}
+
+// Valid = parses and can fire (rejects e.g. "0 0 31 2 *")
+export function isValidCronExpression(expr) {
+  try {
+    nextCronTime(expr);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function dayMatches(parsed, date) {
+  const dom = parsed.dayOfMonth.has(date.getUTCDate());
+  const dow = parsed.dayOfWeek.has(date.getUTCDay());
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dom || dow;
+  }
+  return dom && dow;
+}
+
+// Next UTC minute strictly after `from` matching the expression
+export function nextCronTime(expr, from = new Date()) {
+  const parsed = parseCronExpression(expr);
+  const d = new Date(from.getTime());
+  d.setUTCSeconds(0, 0);
+  d.setUTCMinutes(d.getUTCMinutes() + 1);
+
+  for (let i = 0; i < MAX_SEARCH_STEPS; i++) {
+    if (!parsed.month.has(d.getUTCMonth() + 1)) {
+      d.setUTCMonth(d.getUTCMonth() + 1, 1);
+      d.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(parsed, d)) {
+      d.setUTCDate(d.getUTCDate() + 1);
+      d.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.has(d.getUTCHours())) {
+      d.setUTCHours(d.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minute.has(d.getUTCMinutes())) {
+      d.setUTCMinutes(d.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  throw new Error(`No upcoming time matches cron expression: ${expr}`);
+}
@@ -72,6 +72,123 @@ export const extractDomain = (url) => {
   }
 };
 
+// Query parameters that only track campaigns/clicks; never part of article identity
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "mc_cid",
+  "mc_eid",
+  "igshid",
+  "ocid",
+  "cmpid",
+  "ref_src",
+  "_ga",
+  "amp",
+  "outputtype",
+]);
+
+// Second-level labels under country TLDs: amp.co.uk is not a mirror of "co.uk"
+const SECOND_LEVEL_LABELS = new Set([
+  "ac",
+  "co",
+  "com",
+  "edu",
+  "go",
+  "gov",
+  "ne",
+  "net",
+  "or",
+  "org",
+]);
+
+// amp.<domain> is an AMP mirror only when <domain> is itself registrable
+// (amp.dev is a site of its own). Returns <domain> or null.
+const ampMirrorBase = (hostname) => {
+  if (!hostname.startsWith("amp.")) return null;
+  const base = hostname.slice(4);
+  const labels = base.split(".");
+  if (labels.length < 2) return null;
+  if (
+    labels.length === 2 &&
+    labels[1].length === 2 &&
+    SECOND_LEVEL_LABELS.has(labels[0])
+  )
+    return null;
+  return base;
+};
+
+// Article-like path segment: a slug with a hyphen or digit, or an .html page
+const isArticleSegment = (segment) => /-|\d|\.html?$/.test(segment || "");
+
+// AMP path variants: /slug/amp, /amp/.../slug and .amp.html. A bare /amp
+// segment elsewhere (/tags/amp) is a real path and stays.
+const stripAmpPath = (pathname) => {
+  const parts = pathname.replace(/\/+$/, "").split("/");
+  const last = parts.length - 1;
+  if (parts[last] === "amp" && last >= 2 && isArticleSegment(parts[last - 1]))
+    parts.pop();
+  if (
+    parts[1] === "amp" &&
+    parts.length > 2 &&
+    isArticleSegment(parts[parts.length - 1])
+  )
+    parts.splice(1, 1);
+  return parts.join("/").replace(/\.amp\.html$/, ".html") || "/";
+};
+
+// Normalize an article URL for dedupe: drop tracking params and fragments,
+// unwrap AMP variants (AMP cache, amp. host, AMP paths), sort the remaining
+// query and trim the trailing slash. An amp. host maps to canonicalHost (the
+// publisher's own host, e.g. www.example.com) when that is the same site,
+// else to the bare domain. Returns null for invalid input.
+export const canonicalizeUrl = (input, { canonicalHost } = {}) => {
+  let url;
+  try {
+    url = new URL(String(input || "").trim());
+  } catch (_) {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol)) return null;
+
+  // Google AMP cache: https://host-com.cdn.ampproject.org/c/s/host.com/path
+  if (url.hostname.endsWith(".cdn.ampproject.org")) {
+    const m = url.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+    if (m) {
+      try {
+        url = new URL(`${m[1] ? "https" : "http"}://${m[2]}${url.search}`);
+      } catch (_) {
+        return null;
+      }
+    }
+  }
+
+  url.hash = "";
+  url.hostname = url.hostname.toLowerCase();
+  const ampBase = ampMirrorBase(url.hostname);
+  if (ampBase) {
+    const host = String(canonicalHost || "").toLowerCase();
+    url.hostname =
+      host &&
+      !ampMirrorBase(host) &&
+      (host === ampBase || host.endsWith(`.${ampBase}`))
+        ? host
+        : ampBase;
+  }
+  url.pathname = stripAmpPath(url.pathname);
+
+  const kept = [...url.searchParams.entries()]
+    .filter(([k]) => {
+      const key = k.toLowerCase();
+      return !key.startsWith("utm_") && !TRACKING_PARAMS.has(key);
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(kept).toString();
+
+  return url.href;
+};
+
 // (removed) sleep/_retry were unused
 
 export const chunk = (array, size) => {
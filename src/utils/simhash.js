@@ -0,0 +1,62 @@
+// 64-bit SimHash over word shingles (no deps)
+// - Near-identical texts (wire copy, light edits) differ in only a few bits
+// - Fingerprints are 16-char hex strings; compare with hammingDistance
+
+import crypto from "crypto";
+
+const SHINGLE_SIZE = 3;
+// 4 x 16-bit bands: any pair within 3 differing bits shares at least one band
+const BAND_COUNT = 4;
+const BAND_BITS = 64 / BAND_COUNT;
+
+function tokenize(text) {
+  return (
+    String(text || "")
+      .normalize("NFKC")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  );
+}
+
+function hash64(str) {
+  return crypto.createHash("md5").update(str).digest().readBigUInt64BE(0);
+}
+
+// Null when the text is too short to fingerprint reliably
+export function simhash64(text, { minTokens = 30 } = {}) {
+  const tokens = tokenize(text);
+  if (tokens.length < Math.max(minTokens, SHINGLE_SIZE)) return null;
+
+  const weights = new Array(64).fill(0);
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    const h = hash64(tokens.slice(i, i + SHINGLE_SIZE).join(" "));
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (h >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+  let out = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) out |= 1n << BigInt(bit);
+  }
+  return out.toString(16).padStart(16, "0");
+}
+
+export function hammingDistance(a, b) {
+  let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (x) {
+    x &= x - 1n;
+    count++;
+  }
+  return count;
+}
+
+// Band keys ("<index>:<hex>") for the indexed candidate lookup
+export function simhashBands(hex) {
+  const width = BAND_BITS / 4;
+  const bands = [];
+  for (let i = 0; i < BAND_COUNT; i++) {
+    bands.push(`${i}:${hex.slice(i * width, (i + 1) * width)}`);
+  }
+  return bands;
+}
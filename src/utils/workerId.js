@@ -0,0 +1,7 @@
+import os from "os";
+import crypto from "crypto";
+
+// Identifies this process as a queue-job / cron-lock holder
+export const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(3)
+  .toString("hex")}`;
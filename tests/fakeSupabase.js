@@ -0,0 +1,71 @@
+// In-memory stand-in for the Supabase query builder in unit tests
+// Usage: supabase: { from: fakeFrom(db) } where db maps table -> rows.
+// Every call is recorded as [method, ...args] and the query resolves against
+// db when awaited. Columns may name an embedded row ("articles.source_id").
+
+const valueAt = (row, col) =>
+  col.split(".").reduce((v, key) => (v == null ? v : v[key]), row);
+
+const FILTERS = {
+  eq: (value, expected) => value === expected,
+  in: (value, list) => list.includes(value),
+  gte: (value, bound) => value >= bound,
+};
+
+// Rows passing the eq / in / gte calls; other calls are ignored
+export const filterRows = (rows, ops) =>
+  rows.filter((row) =>
+    ops.every(
+      ([op, col, val]) => !FILTERS[op] || FILTERS[op](valueAt(row, col), val)
+    )
+  );
+
+// upsert() replaces rows with the same onConflict keys (default id),
+// delete() removes the matched rows, limit() caps and single() unwraps
+const runQuery = (db, table, ops) => {
+  const find = (name) => ops.find(([op]) => op === name);
+  const upsert = find("upsert");
+  if (upsert) {
+    const keys = (upsert[2]?.onConflict || "id").split(",");
+    const rows = [].concat(upsert[1]);
+    for (const row of rows) {
+      const same = (db[table] || []).find((r) =>
+        keys.every((k) => r[k] === row[k])
+      );
+      if (same) Object.assign(same, row);
+      else (db[table] = db[table] || []).push(row);
+    }
+    return find("single") ? rows[0] : rows;
+  }
+  let rows = filterRows(db[table] || [], ops);
+  if (find("delete")) db[table] = db[table].filter((r) => !rows.includes(r));
+  const limit = find("limit");
+  if (limit) rows = rows.slice(0, limit[1]);
+  return find("single") ? rows[0] ?? null : rows;
+};
+
+// `run(table, ops)` replaces the default resolution; `calls` collects
+// { table, ops } per query for assertions
+export const fakeFrom =
+  (db, { run = (table, ops) => runQuery(db, table, ops), calls } = {}) =>
+  (table) => {
+    const ops = [];
+    calls?.push({ table, ops });
+    const builder = new Proxy(
+      {},
+      {
+        get: (_t, prop) =>
+          prop === "then"
+            ? (resolve) => {
+                const data = run(table, ops);
+                const count = Array.isArray(data) ? data.length : null;
+                resolve({ data, count, error: null });
+              }
+            : (...args) => {
+                ops.push([prop, ...args]);
+                return builder;
+              },
+      }
+    );
+    return builder;
+  };
@@ -0,0 +1,219 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { step } from "../testStep.js";
+
+// In-memory api_keys table
+const db = { api_keys: [] };
+const touched = [];
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async (table, filters = {}) =>
+    db[table].filter((r) =>
+      Object.entries(filters).every(([k, v]) => r[k] === v)
+    )
+  ),
+  insertRecord: jest.fn(async (table, row) => {
+    const rec = { id: `k${db[table].length + 1}`, ...row };
+    db[table].push(rec);
+    return rec;
+  }),
+  updateRecord: jest.fn(async (table, id, updates) => {
+    const row = db[table].find((r) => r.id === id);
+    Object.assign(row, updates);
+    return row;
+  }),
+  supabase: {
+    from: () => ({
+      update: (u) => ({
+        eq: async (_col, id) => {
+          touched.push(id);
+          Object.assign(
+            db.api_keys.find((r) => r.id === id),
+            u
+          );
+          return { error: null };
+        },
+      }),
+    }),
+  },
+}));
+
+process.env.RATE_LIMIT_AUTH = "3/60";
+const { createApiKey } = await import("../../src/services/apiKeys.js");
+const { keyLookupRateLimit } = await import(
+  "../../src/middleware/rateLimiter.js"
+);
+const { optionalAuth, requireScope } = await import(
+  "../../src/middleware/auth.js"
+);
+const { default: apiKeysRouter } = await import("../../src/routes/apiKeys.js");
+
+const app = express();
+app.use(express.json());
+app.use(optionalAuth);
+app.use("/api/admin/keys", apiKeysRouter);
+app.get("/read", requireScope("read"), (req, res) => res.json({ ok: true }));
+app.post("/feeds", requireScope("feeds:write"), (req, res) =>
+  res.json({ ok: true })
+);
+
+// Same routes behind the per-IP key lookup limit
+const guarded = express();
+guarded.use(keyLookupRateLimit);
+guarded.use(optionalAuth);
+guarded.get("/read", requireScope("read"), (req, res) =>
+  res.json({ ok: true })
+);
+
+const bearer = (key) => ({ Authorization: `Bearer ${key}` });
+
+describe("scoped API keys", () => {
+  let admin;
+  let reader;
+
+  beforeAll(async () => {
+    admin = await createApiKey({ name: "ops", scopes: ["admin"] });
+    reader = await createApiKey({ name: "bff", scopes: ["read"] });
+  });
+
+  test("keys are stored hashed and scopes are enforced", async () => {
+    await step("Then the plaintext key is never stored", async () => {
+      expect(admin.key).toMatch(/^ink_/);
+      expect(JSON.stringify(db.api_keys)).not.toContain(admin.key);
+      expect(admin.record.key_hash).toBeUndefined();
+    });
+
+    await step("Then requests without a key get 401", async () => {
+      await request(app).get("/read").expect(401);
+      await request(app).get("/read").set(bearer("ink_bogus")).expect(401);
+    });
+
+    await step("And a read key can read but not write", async () => {
+      await request(app).get("/read").set(bearer(reader.key)).expect(200);
+      const res = await request(app)
+        .post("/feeds")
+        .set(bearer(reader.key))
+        .expect(403);
+      expect(res.body.error).toMatch(/feeds:write/);
+    });
+
+    await step("And admin implies every scope", async () => {
+      await request(app).post("/feeds").set(bearer(admin.key)).expect(200);
+    });
+
+    await step("And last use is tracked", async () => {
+      expect(touched).toEqual(
+        expect.arrayContaining([admin.record.id, reader.record.id])
+      );
+      const row = db.api_keys.find((r) => r.id === reader.record.id);
+      expect(row.last_used_at).toBeTruthy();
+    });
+  });
+
+  test("expired keys are rejected", async () => {
+    const expired = await createApiKey({
+      name: "old",
+      scopes: ["read"],
+      expiresAt: new Date(Date.now() + 60_000),
+    });
+    db.api_keys.find((r) => r.id === expired.record.id).expires_at = new Date(
+      Date.now() - 1000
+    ).toISOString();
+    await step("Then an expired key gets 401", async () => {
+      await request(app).get("/read").set(bearer(expired.key)).expect(401);
+    });
+  });
+
+  test("admins create, list and revoke keys", async () => {
+    await step("Then a non-admin key cannot manage keys", async () => {
+      await request(app)
+        .get("/api/admin/keys")
+        .set(bearer(reader.key))
+        .expect(403);
+    });
+
+    await step("And invalid scopes are rejected", async () => {
+      await request(app)
+        .post("/api/admin/keys")
+        .set(bearer(admin.key))
+        .send({ name: "x", scopes: ["root"] })
+        .expect(400);
+      await request(app)
+        .post("/api/admin/keys")
+        .set(bearer(admin.key))
+        .send({ name: "x", scopes: ["read"], rate_limits: { bogus: 5 } })
+        .expect(400);
+    });
+
+    const created = await step("When an admin creates a crawl key", async () =>
+      request(app)
+        .post("/api/admin/keys")
+        .set(bearer(admin.key))
+        .send({
+          name: "cron-bot",
+          scopes: ["crawl"],
+          expires_in_days: 30,
+          rate_limits: { crawl: 30 },
+        })
+        .expect(201)
+    );
+    await step("Then the key is returned once with its metadata", async () => {
+      expect(created.body.data.key).toMatch(/^ink_/);
+      expect(created.body.data).toMatchObject({
+        name: "cron-bot",
+        scopes: ["crawl"],
+        rate_limits: { crawl: 30 },
+        created_by: "api-key:ops",
+      });
+      expect(created.body.data.expires_at).toBeTruthy();
+    });
+
+    const list = await step("When keys are listed", async () =>
+      request(app).get("/api/admin/keys").set(bearer(admin.key)).expect(200)
+    );
+    await step("Then no hashes are exposed", async () => {
+      expect(list.body.count).toBe(db.api_keys.length);
+      expect(list.body.data.every((k) => !("key_hash" in k))).toBe(true);
+    });
+
+    await step("When the read key is revoked", async () =>
+      request(app)
+        .delete(`/api/admin/keys/${reader.record.id}`)
+        .set(bearer(admin.key))
+        .expect(200)
+    );
+    await step("Then it no longer authenticates", async () => {
+      await request(app).get("/read").set(bearer(reader.key)).expect(401);
+    });
+    await step("And unknown ids are 404", async () => {
+      await request(app)
+        .delete("/api/admin/keys/nope")
+        .set(bearer(admin.key))
+        .expect(404);
+    });
+  });
+
+  test("made-up keys are throttled per IP before the lookup", async () => {
+    const { key } = await createApiKey({ name: "reader", scopes: ["read"] });
+    await request(app).get("/read").set(bearer(key)).expect(200);
+    const { selectRecords } = await import("../../src/config/database.js");
+    selectRecords.mockClear();
+
+    await step("When an IP tries made-up keys", async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(guarded)
+          .get("/read")
+          .set(bearer(`ink_fake${i}`))
+          .expect(401);
+      }
+    });
+    await step("Then further lookups are refused without a query", async () => {
+      await request(guarded).get("/read").set(bearer("ink_fake9")).expect(429);
+      expect(selectRecords).toHaveBeenCalledTimes(3);
+    });
+    await step("And a cached key from the same IP still works", async () => {
+      await request(guarded).get("/read").set(bearer(key)).expect(200);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { step } from "../testStep.js";
+import { fakeFrom, filterRows } from "../fakeSupabase.js";
+
+const uuid = (n) => `00000000-0000-4000-8000-${String(n).padStart(12, "0")}`;
+
+// In-memory tables; the fake query builder records every call
+const db = {
+  sources: [
+    { id: "open", name: "Open", allowed_use: "mirror_thumb" },
+    { id: "closed", name: "Closed", allowed_use: "link+snippet" },
+  ],
+  articles: [1, 2, 3, 4, 5].map((n) => ({
+    id: uuid(n),
+    title: `Story ${n}`,
+    snippet: "snip",
+    source_id: n === 5 ? "closed" : "open",
+    language: "en",
+    published_at: `2026-10-0${n}T10:00:00.000Z`,
+    url: `https://example.com/${n}`,
+    full_text: "word ".repeat(100).trim(),
+  })),
+  article_policy: [
+    { article_id: uuid(1), max_extract_chars: 50 },
+    { article_id: uuid(5), max_extract_chars: 50 },
+  ],
+  article_scores: [{ article_id: uuid(1), score: 0.8, factors: {} }],
+  article_categories: [
+    { article_id: uuid(1), confidence: 0.9, categories: { path: "world" } },
+  ],
+  article_media: [
+    {
+      article_id: uuid(1),
+      role: "thumbnail",
+      position: 0,
+      media_assets: { id: "m1", origin: "publisher", url: "https://i/1.jpg" },
+    },
+  ],
+  categories: [],
+};
+const calls = [];
+
+const runQuery = (table, ops) => {
+  let rows = filterRows(db[table] || [], ops);
+  for (const [op, col] of ops) {
+    if (op === "or" && table === "articles") {
+      const at = col.match(/published_at\.lt\."([^"]+)"/)[1];
+      const id = col.match(/id\.lt\.([^)]+)\)/)[1];
+      rows = rows.filter(
+        (r) => r.published_at < at || (r.published_at === at && r.id < id)
+      );
+    }
+  }
+  if (table === "articles") {
+    rows.sort((a, b) => b.published_at.localeCompare(a.published_at));
+    rows = rows.map((a) => ({
+      ...a,
+      article_scores: db.article_scores.find((s) => s.article_id === a.id),
+    }));
+  }
+  const limit = ops.find(([op]) => op === "limit");
+  return limit ? rows.slice(0, limit[1]) : rows;
+};
+
+const fromTable = fakeFrom(db, { run: runQuery, calls });
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async () => []),
+  insertRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  supabase: { from: fromTable },
+}));
+
+process.env.API_PUBLIC_READ = "true";
+const { default: articlesRouter } = await import(
+  "../../src/routes/articles.js"
+);
+
+const app = express();
+app.use("/api/articles", articlesRouter);
+
+describe("articles API", () => {
+  test("lists articles newest first with cursor pagination", async () => {
+    const first = await step(
+      "When the first page of 2 is requested",
+      async () => request(app).get("/api/articles?limit=2").expect(200)
+    );
+    await step("Then it holds the newest articles and a cursor", async () => {
+      expect(first.body.data.map((a) => a.title)).toEqual([
+        "Story 5",
+        "Story 4",
+      ]);
+      expect(first.body.pagination.next_cursor).toBeTruthy();
+    });
+
+    const seen = [...first.body.data];
+    let cursor = first.body.pagination.next_cursor;
+    await step("When the cursor is followed to the end", async () => {
+      while (cursor) {
+        const res = await request(app)
+          .get(`/api/articles?limit=2&cursor=${cursor}`)
+          .expect(200);
+        seen.push(...res.body.data);
+        cursor = res.body.pagination.next_cursor;
+      }
+    });
+    await step("Then every article is returned exactly once", async () => {
+      expect(seen.map((a) => a.title)).toEqual([
+        "Story 5",
+        "Story 4",
+        "Story 3",
+        "Story 2",
+        "Story 1",
+      ]);
+      expect(seen[4].score).toBe(0.8);
+    });
+  });
+
+  test("passes filters to the query and validates them", async () => {
+    calls.length = 0;
+    await step("When filtering by source, language and score", async () =>
+      request(app)
+        .get("/api/articles?source_id=open&lang=en&min_score=0.5")
+        .expect(200)
+    );
+    await step("Then the filters reach the articles query", async () => {
+      const { ops } = calls.find((c) => c.table === "articles");
+      expect(ops).toEqual(
+        expect.arrayContaining([
+          ["eq", "source_id", "open"],
+          ["eq", "language", "en"],
+          ["gte", "article_scores.score", 0.5],
+        ])
+      );
+      expect(ops[0][1]).toContain("article_scores!inner(score)");
+    });
+
+    await step("And an unknown category returns an empty page", async () => {
+      const res = await request(app)
+        .get("/api/articles?category=world.europe")
+        .expect(200);
+      expect(res.body.data).toEqual([]);
+    });
+
+    await step("And malformed input is rejected", async () => {
+      await request(app).get("/api/articles?cursor=nope").expect(400);
+      const loose = Buffer.from(
+        JSON.stringify([`2026-10-03 10:00 GMT (",id.gt."0)`, uuid(3)])
+      ).toString("base64url");
+      calls.length = 0;
+      await request(app).get(`/api/articles?cursor=${loose}`).expect(200);
+      const [, filter] = calls[0].ops.find(([op]) => op === "or");
+      expect(filter).toContain('published_at.lt."2026-10-03T10:00:00.000Z"');
+      expect(filter).not.toContain("id.gt");
+      await request(app).get("/api/articles?from=yesterday").expect(400);
+      await request(app).get("/api/articles?category=a..b").expect(400);
+    });
+  });
+
+  test("article detail applies the extract policy", async () => {
+    const res = await step("When an open-source article is fetched", async () =>
+      request(app)
+        .get(`/api/articles/${uuid(1)}`)
+        .expect(200)
+    );
+    await step("Then the body is cut to max_extract_chars", async () => {
+      const a = res.body.data;
+      expect(a.body.length).toBeLessThanOrEqual(51);
+      expect(a.body_truncated).toBe(true);
+      expect(a.categories).toEqual([{ path: "world", confidence: 0.9 }]);
+      expect(a.media[0]).toMatchObject({ id: "m1", role: "thumbnail" });
+      expect(a.score.score).toBe(0.8);
+      expect(a.full_text).toBeUndefined();
+    });
+
+    await step("And link+snippet sources never get a body", async () => {
+      const closed = await request(app)
+        .get(`/api/articles/${uuid(5)}`)
+        .expect(200);
+      expect(closed.body.data.body).toBeNull();
+      expect(closed.body.data.snippet).toBe("snip");
+    });
+
+    await step("And articles without a policy row get no body", async () => {
+      const none = await request(app)
+        .get(`/api/articles/${uuid(2)}`)
+        .expect(200);
+      expect(none.body.data.body).toBeNull();
+    });
+
+    await step("And unknown ids are 404", async () => {
+      await request(app)
+        .get(`/api/articles/${uuid(99)}`)
+        .expect(404);
+      await request(app).get("/api/articles/not-a-uuid").expect(404);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { step } from "../testStep.js";
+import { fakeFrom } from "../fakeSupabase.js";
+
+// In-memory categories / category_aliases behind a call-recording query builder
+const db = {
+  categories: [
+    "sports",
+    "sports.football",
+    "sports.football.transfer",
+    "economy",
+    "business",
+    "business.economy",
+  ].map((path, i) => ({
+    id: i + 1,
+    path,
+    parent_path: path.includes(".")
+      ? path.slice(0, path.lastIndexOf("."))
+      : null,
+  })),
+  category_aliases: [{ alias: "soccer", target_path: "sports.football" }],
+};
+const COUNTS = [
+  { path: "sports", article_count: 5, cluster_count: 3 },
+  { path: "sports.football", article_count: 4, cluster_count: 2 },
+  { path: "economy", article_count: 9, cluster_count: 4 },
+];
+
+const rpc = jest.fn(async (fn) => {
+  if (fn === "category_counts") return { data: COUNTS, error: null };
+  if (fn === "merge_category") {
+    return { data: [{ moved_paths: 1, moved_links: 12 }], error: null };
+  }
+  return { data: [], error: null };
+});
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async () => []),
+  insertRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  supabase: { from: fakeFrom(db), rpc },
+}));
+
+process.env.API_PUBLIC_READ = "true";
+const { resolveCategoryAliases } = await import(
+  "../../src/services/categories.js"
+);
+const { default: categoriesRouter } = await import(
+  "../../src/routes/categories.js"
+);
+const { default: categoryAdminRouter } = await import(
+  "../../src/routes/categoryAdmin.js"
+);
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.apiKey = req.get("x-admin") ? { name: "ops", scopes: ["admin"] } : null;
+  next();
+});
+app.use("/api/categories", categoriesRouter);
+app.use("/api/admin/categories", categoryAdminRouter);
+
+describe("categories", () => {
+  test("the tree nests paths with counts over the window", async () => {
+    const res = await step("When the tree for 30 days is requested", async () =>
+      request(app).get("/api/categories?days=30").expect(200)
+    );
+    await step("Then roots are sorted by article count", async () => {
+      expect(res.body.data.map((n) => n.path)).toEqual([
+        "economy",
+        "sports",
+        "business",
+      ]);
+      const sports = res.body.data[1];
+      expect(sports.children[0]).toMatchObject({
+        path: "sports.football",
+        name: "football",
+        article_count: 4,
+        cluster_count: 2,
+      });
+      expect(sports.children[0].children[0].path).toBe(
+        "sports.football.transfer"
+      );
+    });
+    await step("And the window is passed as a start time", async () => {
+      const [, params] = rpc.mock.calls.find(
+        ([fn]) => fn === "category_counts"
+      );
+      const ageDays =
+        (Date.now() - new Date(params.p_since).getTime()) / 86400000;
+      expect(Math.round(ageDays)).toBe(30);
+    });
+    await step(
+      "And a subtree or an unknown root can be asked for",
+      async () => {
+        const sub = await request(app)
+          .get("/api/categories?root=sports.football")
+          .expect(200);
+        expect(sub.body.data[0].path).toBe("sports.football");
+        await request(app).get("/api/categories?root=nope").expect(404);
+      }
+    );
+  });
+
+  test("aliases rewrite drifted paths and their subpaths", async () => {
+    const resolved = await resolveCategoryAliases([
+      "soccer",
+      "soccer.transfer",
+      "economy",
+    ]);
+    await step("Then aliased prefixes map onto the target", async () => {
+      expect(resolved).toEqual([
+        "sports.football",
+        "sports.football.transfer",
+        "economy",
+      ]);
+    });
+  });
+
+  test("admins rename, merge and alias paths", async () => {
+    await step("Then a key without admin gets 401", async () => {
+      await request(app)
+        .post("/api/admin/categories/merge")
+        .send({ from: "business.economy", into: "economy" })
+        .expect(401);
+    });
+
+    const merged = await step("When business.economy is merged", async () =>
+      request(app)
+        .post("/api/admin/categories/merge")
+        .set("x-admin", "1")
+        .send({ from: "business.economy", into: "economy" })
+        .expect(200)
+    );
+    await step("Then links are re-pointed by merge_category", async () => {
+      expect(rpc).toHaveBeenCalledWith("merge_category", {
+        p_from: "business.economy",
+        p_into: "economy",
+        p_by: "api-key:ops",
+      });
+      expect(merged.body.data.moved_links).toBe(12);
+    });
+
+    await step("And rename refuses an existing target", async () => {
+      await request(app)
+        .post("/api/admin/categories/rename")
+        .set("x-admin", "1")
+        .send({ from: "business", to: "economy" })
+        .expect(409);
+      await request(app)
+        .post("/api/admin/categories/rename")
+        .set("x-admin", "1")
+        .send({ from: "sports", to: "sports.all" })
+        .expect(400);
+      await request(app)
+        .post("/api/admin/categories/rename")
+        .set("x-admin", "1")
+        .send({ from: "business", to: "companies" })
+        .expect(200);
+    });
+
+    await step("And aliases must point at an existing category", async () => {
+      await request(app)
+        .post("/api/admin/categories/aliases")
+        .set("x-admin", "1")
+        .send({ alias: "finance", target: "nope" })
+        .expect(404);
+      await request(app)
+        .post("/api/admin/categories/aliases")
+        .set("x-admin", "1")
+        .send({ alias: "business", target: "economy" })
+        .expect(409);
+      const created = await request(app)
+        .post("/api/admin/categories/aliases")
+        .set("x-admin", "1")
+        .send({ alias: "finance", target: "economy" })
+        .expect(201);
+      expect(created.body.data).toMatchObject({
+        alias: "finance",
+        target_path: "economy",
+        created_by: "api-key:ops",
+      });
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { step } from "../testStep.js";
+import { fakeFrom } from "../fakeSupabase.js";
+
+// In-memory clusters / cluster_ai / articles / app_markets; the SQL functions
+// return fixed aggregates and rankings
+const hoursAgo = (h) => new Date(Date.now() - h * 36e5).toISOString();
+const db = {
+  clusters: [
+    { id: "quake", size: 12, rep_article: "a1" },
+    { id: "local", size: 1, rep_article: "a2" },
+  ],
+  cluster_ai: [
+    { cluster_id: "quake", lang: "de", is_current: true, ai_title: "Beben" },
+  ],
+  articles: [
+    { id: "a1", title: "Earthquake hits", source_id: "wire" },
+    { id: "a2", title: "Council meets", source_id: "local" },
+  ],
+  app_markets: [
+    {
+      market_code: "ch",
+      pivot_lang: "de",
+      show_langs: ["de", "fr"],
+      geo_scope: ["CH"],
+      enabled: true,
+    },
+    { market_code: "old", pivot_lang: "en", enabled: false },
+  ],
+};
+const STATS = {
+  quake: {
+    article_count: 12,
+    recent_count: 12,
+    source_count: 8,
+    language_count: 3,
+    avg_score: 0.8,
+    first_published_at: hoursAgo(5),
+    last_published_at: hoursAgo(1),
+  },
+  local: {
+    article_count: 1,
+    recent_count: 1,
+    source_count: 1,
+    language_count: 1,
+    avg_score: null,
+    last_published_at: hoursAgo(1),
+  },
+};
+
+const rpc = jest.fn(async (fn, params) => {
+  if (fn === "cluster_trending_stats") {
+    return { data: [STATS[params.p_cluster_id]], error: null };
+  }
+  if (fn === "top_clusters") {
+    return {
+      data: [
+        { cluster_id: "quake", score: 0.52 },
+        { cluster_id: "local", score: 0.07 },
+      ],
+      error: null,
+    };
+  }
+  // find_similar_articles: the quake cluster matches
+  return {
+    data: [{ article_id: "a1", similarity: 0.9, cluster_id: "quake" }],
+    error: null,
+  };
+});
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async (table, filters = {}) =>
+    (db[table] || []).filter((r) =>
+      Object.entries(filters).every(([k, v]) => r[k] === v)
+    )
+  ),
+  insertRecord: jest.fn(async () => ({})),
+  updateRecord: jest.fn(async (table, id, updates) => {
+    const row = (db[table] || []).find((r) => r.id === id);
+    return row ? Object.assign(row, updates) : { id, ...updates };
+  }),
+  upsertRecord: jest.fn(),
+  supabase: { from: fakeFrom(db), rpc },
+}));
+
+process.env.API_PUBLIC_READ = "true";
+process.env.CLUSTERING_ENABLED = "true";
+const { refreshClusterTrending } = await import(
+  "../../src/services/clusterTrending.js"
+);
+const { assignClusterForArticle } = await import(
+  "../../src/services/clusterer.js"
+);
+const { default: clustersRouter } = await import(
+  "../../src/routes/clusters.js"
+);
+
+const app = express();
+app.use("/api/clusters", clustersRouter);
+
+const cluster = (id) => db.clusters.find((c) => c.id === id);
+
+describe("cluster trending", () => {
+  test("scores combine velocity, sources, quality and languages", async () => {
+    const quake = await step("When two clusters are refreshed", async () => {
+      await refreshClusterTrending("local");
+      return refreshClusterTrending("quake");
+    });
+    await step("Then a fast, widely covered story scores higher", () => {
+      expect(quake.components).toEqual({
+        velocity: 0.5,
+        sources: 0.7,
+        quality: 0.8,
+        languages: 0.5,
+      });
+      expect(quake.inputs).toMatchObject({
+        articles_per_hour: 2,
+        source_count: 8,
+        window_hours: 6,
+      });
+      expect(cluster("quake").trending_base).toBeCloseTo(0.62, 4);
+      expect(cluster("local").trending_base).toBeLessThan(0.1);
+    });
+    await step("And the stored score decays with age", () => {
+      expect(quake.recency).toBeCloseTo(Math.pow(0.5, 1 / 12), 3);
+      expect(cluster("quake").trending_score).toBeCloseTo(
+        quake.base * quake.recency,
+        3
+      );
+      expect(cluster("quake").last_seen).toBe(STATS.quake.last_published_at);
+    });
+  });
+
+  test("assigning an article refreshes its cluster", async () => {
+    rpc.mockClear();
+    const clusterId = await step("When an article joins a cluster", async () =>
+      assignClusterForArticle({ id: "a3", title: "Earthquake aftershocks" })
+    );
+    await step("Then the cluster's trending stats are recomputed", () => {
+      expect(clusterId).toBe("quake");
+      const call = rpc.mock.calls.find(
+        ([fn]) => fn === "cluster_trending_stats"
+      );
+      expect(call[1]).toMatchObject({ p_cluster_id: "quake" });
+      expect(cluster("quake").trending_updated_at).toBeTruthy();
+    });
+  });
+
+  test("the front page ranks clusters per market", async () => {
+    const res = await step("When a market's front page is fetched", async () =>
+      request(app).get("/api/clusters/top?market=ch&debug=true").expect(200)
+    );
+    await step("Then clusters come ranked with summaries", () => {
+      expect(res.body.lang).toBe("de");
+      expect(res.body.data.map((c) => [c.rank, c.cluster_id])).toEqual([
+        [1, "quake"],
+        [2, "local"],
+      ]);
+      expect(res.body.data[0]).toMatchObject({
+        score: 0.52,
+        rep_article: { title: "Earthquake hits" },
+        ai: { ai_title: "Beben" },
+      });
+    });
+    await step("And debug mode shows the breakdown", () => {
+      expect(res.body.data[0].debug).toMatchObject({
+        components: { velocity: 0.5, sources: 0.7 },
+        weights: { velocity: 0.35 },
+        score: 0.52,
+        half_life_hours: 12,
+      });
+    });
+    await step("And the market's scope is applied", () => {
+      const [, params] = rpc.mock.calls.find(([fn]) => fn === "top_clusters");
+      expect(params).toMatchObject({
+        p_geo_scope: ["ch"],
+        p_limit: 20,
+        p_offset: 0,
+        p_half_life_hours: 12,
+      });
+    });
+    await step("And unknown markets and bad windows are rejected", async () => {
+      const plain = await request(app).get("/api/clusters/top").expect(200);
+      expect(plain.body.data[0].debug).toBeUndefined();
+      expect(plain.body.lang).toBe("en");
+      await request(app).get("/api/clusters/top?market=old").expect(404);
+      await request(app).get("/api/clusters/top?hours=0").expect(400);
+    });
+  });
+});
@@ -14,6 +14,7 @@ jest.unstable_mockModule("../../src/config/database.js", () => ({
   selectRecords: mockDb.selectRecords,
   insertRecord: mockDb.insertRecord,
   updateRecord: mockDb.updateRecord,
+  upsertRecord: jest.fn(),
 }));
 
 describe("clusterer.assignClusterForArticle", () => {
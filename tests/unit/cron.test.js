@@ -0,0 +1,56 @@
+import { isValidCronExpression, nextCronTime } from "../../src/utils/cron.js";
+import { step } from "../testStep.js";
+
+describe("utils/cron", () => {
+  test("isValidCronExpression accepts common forms and rejects junk", async () => {
+    await step("Then valid expressions pass", async () => {
+      expect(isValidCronExpression("* * * * *")).toBe(true);
+      expect(isValidCronExpression("*/5 * * * *")).toBe(true);
+      expect(isValidCronExpression("0 6 * * mon-fri")).toBe(true);
+      expect(isValidCronExpression("0 0 1,15 jan,jul *")).toBe(true);
+      expect(isValidCronExpression("30 */2 * * * *")).toBe(true); // seconds field ignored
+      expect(isValidCronExpression("0 0 29 2 *")).toBe(true); // leap days only
+    });
+    await step("And invalid expressions fail", async () => {
+      expect(isValidCronExpression("")).toBe(false);
+      expect(isValidCronExpression("every minute")).toBe(false);
+      expect(isValidCronExpression("60 * * * *")).toBe(false);
+      expect(isValidCronExpression("*/0 * * * *")).toBe(false);
+      expect(isValidCronExpression("* * *")).toBe(false);
+      expect(isValidCronExpression(null)).toBe(false);
+      expect(isValidCronExpression("0 0 31 2 *")).toBe(false); // never fires
+    });
+  });
+
+  test("nextCronTime returns the next matching UTC minute", async () => {
+    const from = new Date("2025-03-05T10:07:30Z"); // Wednesday
+    await step("Then minute and step schedules round up", async () => {
+      expect(nextCronTime("* * * * *", from).toISOString()).toBe(
+        "2025-03-05T10:08:00.000Z"
+      );
+      expect(nextCronTime("*/5 * * * *", from).toISOString()).toBe(
+        "2025-03-05T10:10:00.000Z"
+      );
+    });
+    await step("And daily/weekly schedules roll over days", async () => {
+      expect(nextCronTime("0 6 * * *", from).toISOString()).toBe(
+        "2025-03-06T06:00:00.000Z"
+      );
+      expect(nextCronTime("0 6 * * sun", from).toISOString()).toBe(
+        "2025-03-09T06:00:00.000Z"
+      );
+      expect(nextCronTime("0 0 1 * *", from).toISOString()).toBe(
+        "2025-04-01T00:00:00.000Z"
+      );
+    });
+    await step(
+      "And a time exactly on a match moves to the next one",
+      async () => {
+        const onMatch = new Date("2025-03-05T10:10:00Z");
+        expect(nextCronTime("*/5 * * * *", onMatch).toISOString()).toBe(
+          "2025-03-05T10:15:00.000Z"
+        );
+      }
+    );
+  });
+});
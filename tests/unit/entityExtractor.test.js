@@ -0,0 +1,160 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { step } from "../testStep.js";
+import { fakeFrom } from "../fakeSupabase.js";
+
+// In-memory entities / article_entities / cluster_ai
+const db = { entities: [], article_entities: [], cluster_ai: [] };
+const generateAIContent = jest.fn();
+const rpc = jest.fn(async (fn) => ({
+  data:
+    fn === "entity_timeline"
+      ? [{ day: "2026-10-01", article_count: 2, cluster_count: 1 }]
+      : fn === "entity_clusters"
+      ? [{ cluster_id: "c1", article_count: 2 }]
+      : [{ id: "a1", title: "Merkel visits Berlin", salience: 0.9 }],
+  error: null,
+}));
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async (table, filters = {}) =>
+    db[table].filter((r) =>
+      Object.entries(filters).every(([k, v]) => r[k] === v)
+    )
+  ),
+  insertRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  upsertRecord: jest.fn(async (table, rows, { onConflict }) => {
+    const keys = onConflict.split(",");
+    for (const row of rows) {
+      const same = db[table].find((r) => keys.every((k) => r[k] === row[k]));
+      if (!same) db[table].push({ id: db[table].length + 1, ...row });
+    }
+    return null;
+  }),
+  supabase: { from: fakeFrom(db), rpc },
+}));
+jest.unstable_mockModule("../../src/services/gemini.js", () => ({
+  generateAIContent,
+}));
+
+process.env.API_PUBLIC_READ = "true";
+const { normalizeEntityName, parseEntityResponse, persistArticleEntities } =
+  await import("../../src/services/entityExtractor.js");
+const { default: entitiesRouter } = await import(
+  "../../src/routes/entities.js"
+);
+
+const app = express();
+app.use("/api/entities", entitiesRouter);
+
+const article = {
+  id: "a1",
+  language: "en",
+  title: "Angela Merkel meets NATO chiefs in Brussels",
+  full_text:
+    "Angela Merkel met NATO leaders on Monday. The talks in Brussels focused on " +
+    "defence spending, said Jens Stoltenberg. Deutsche Bank economists were cautious.",
+};
+
+describe("entity extraction", () => {
+  test("LLM output is validated and normalized", async () => {
+    const parsed = parseEntityResponse(
+      '```json\n{"entities":[' +
+        '{"name":" “Zürich” ","type":"LOC","salience":1.4},' +
+        '{"name":"zurich","type":"place","salience":0.3},' +
+        '{"name":"UN\'s","type":"org"},' +
+        '{"name":"2024","type":"date"}]}\n```'
+    );
+    await step("Then types are mapped and duplicates merged", async () => {
+      expect(parsed).toEqual([
+        { name: "Zürich", type: "place", salience: 1 },
+        { name: "UN", type: "organization", salience: 0.5 },
+      ]);
+    });
+    await step("And non-JSON is rejected", async () => {
+      expect(parseEntityResponse("Sure! Here are the entities")).toBeNull();
+      expect(normalizeEntityName("  Olaf   Scholz's ")).toBe("Olaf Scholz");
+    });
+  });
+
+  test("falls back to the heuristic and stores deduped links", async () => {
+    generateAIContent.mockResolvedValueOnce("I cannot help with that");
+    const links = await step("When the LLM returns no JSON", async () =>
+      persistArticleEntities(article)
+    );
+    await step("Then people, organizations and places are found", async () => {
+      const byName = Object.fromEntries(
+        db.entities.map((e) => [e.name, e.type])
+      );
+      expect(byName).toMatchObject({
+        "Angela Merkel": "person",
+        "Jens Stoltenberg": "person",
+        NATO: "organization",
+        "Deutsche Bank": "organization",
+        Brussels: "place",
+      });
+      expect(byName.Monday).toBeUndefined();
+    });
+    await step("And title entities are the most salient", async () => {
+      const top = links.find((l) => l.salience === 1);
+      const entity = db.entities.find((e) => e.id === top.entity_id);
+      expect(["Angela Merkel", "NATO", "Brussels"]).toContain(entity.name);
+      expect(db.article_entities).toHaveLength(links.length);
+    });
+
+    generateAIContent.mockResolvedValueOnce(
+      '{"entities":[{"name":"ANGELA MERKEL","type":"person","salience":0.9}]}'
+    );
+    await step("When another article names the same person", async () =>
+      persistArticleEntities({ ...article, id: "a2" })
+    );
+    await step("Then it links to the existing entity", async () => {
+      const merkel = db.entities.filter((e) => e.type === "person");
+      expect(merkel.map((e) => e.normalized_name)).toContain("angela merkel");
+      expect(
+        db.entities.filter((e) => e.normalized_name === "angela merkel")
+      ).toHaveLength(1);
+      const link = db.article_entities.find((l) => l.article_id === "a2");
+      expect(link).toMatchObject({ salience: 0.9 });
+    });
+
+    await step("And already-linked articles are skipped", async () => {
+      generateAIContent.mockClear();
+      expect(await persistArticleEntities(article)).toBeNull();
+      expect(generateAIContent).not.toHaveBeenCalled();
+    });
+  });
+
+  test("the entity endpoint lists clusters and articles over time", async () => {
+    const merkel = db.entities.find((e) => e.name === "Angela Merkel");
+    const res = await step("When an entity is fetched", async () =>
+      request(app).get(`/api/entities/${merkel.id}?days=30`).expect(200)
+    );
+    await step(
+      "Then the timeline, clusters and articles are returned",
+      async () => {
+        expect(res.body.data.entity.name).toBe("Angela Merkel");
+        expect(res.body.data.timeline[0].article_count).toBe(2);
+        expect(res.body.data.clusters[0]).toMatchObject({
+          cluster_id: "c1",
+          ai: null,
+        });
+        expect(res.body.data.articles[0].salience).toBe(0.9);
+        const [, params] = rpc.mock.calls.find(
+          ([fn]) => fn === "entity_articles"
+        );
+        expect(params).toMatchObject({
+          p_entity_id: merkel.id,
+          p_limit: 20,
+        });
+        expect(params.p_since).toBeTruthy();
+      }
+    );
+    await step("And unknown ids are 404", async () => {
+      await request(app).get("/api/entities/999").expect(404);
+      await request(app).get("/api/entities/abc").expect(404);
+    });
+  });
+});
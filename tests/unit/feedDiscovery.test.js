@@ -0,0 +1,89 @@
+import {
+  findFeedCandidates,
+  rankCandidates,
+} from "../../src/services/feedDiscovery.js";
+import { step } from "../testStep.js";
+
+describe("feedDiscovery", () => {
+  test("finds advertised feeds before common paths", async () => {
+    const html = await step(
+      "Given a homepage advertising two feeds",
+      async () => `<!DOCTYPE html><html lang="fr"><head>
+  <link rel="alternate" type="application/rss+xml" title="À la une" href="/rss/une.xml">
+  <link rel="alternate" type="application/feed+json" href="https://cdn.example.fr/feed.json">
+  <link rel="alternate" hreflang="en" href="/en/">
+  <link rel="stylesheet" type="text/css" href="/main.css">
+  <link rel="alternate" type="application/rss+xml" href="/rss">
+</head><body></body></html>`
+    );
+    const { pageLang, candidates } = await step("When I scan it", async () =>
+      findFeedCandidates(html, "https://www.example.fr/")
+    );
+    await step("Then link feeds come first and paths are deduped", async () => {
+      expect(pageLang).toBe("fr");
+      expect(candidates.slice(0, 3)).toEqual([
+        {
+          url: "https://www.example.fr/rss/une.xml",
+          title: "À la une",
+          kind: "rss",
+          origin: "link",
+        },
+        {
+          url: "https://cdn.example.fr/feed.json",
+          title: null,
+          kind: "jsonfeed",
+          origin: "link",
+        },
+        {
+          url: "https://www.example.fr/rss",
+          title: null,
+          kind: "rss",
+          origin: "link",
+        },
+      ]);
+      const paths = candidates.filter((c) => c.origin === "path");
+      expect(paths.map((c) => c.url)).toContain("https://www.example.fr/feed");
+      expect(paths.map((c) => c.url)).not.toContain(
+        "https://www.example.fr/rss"
+      );
+    });
+  });
+
+  test("ranks valid feeds by language match, then item count", async () => {
+    const ranked = await step("When I rank probed candidates", async () =>
+      rankCandidates(
+        [
+          { url: "a", valid: false, item_count: 0, origin: "link" },
+          {
+            url: "b",
+            valid: true,
+            language: "en",
+            item_count: 90,
+            origin: "link",
+          },
+          {
+            url: "c",
+            valid: true,
+            language: "fr-FR",
+            item_count: 20,
+            origin: "path",
+          },
+          {
+            url: "d",
+            valid: true,
+            language: "fr",
+            item_count: 40,
+            origin: "path",
+          },
+        ],
+        { lang: "fr" }
+      )
+    );
+    await step(
+      "Then the source language wins and invalid ones sink",
+      async () => {
+        expect(ranked.map((c) => c.url)).toEqual(["d", "c", "b", "a"]);
+      }
+    );
+  });
+});
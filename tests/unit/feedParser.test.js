@@ -0,0 +1,112 @@
+import {
+  mapJsonFeed,
+  parseFeedContent,
+} from "../../src/services/feedParser.js";
+import { step } from "../testStep.js";
+
+describe("feedParser.mapJsonFeed", () => {
+  test("maps JSON Feed 1.1 items to normalized items with media", async () => {
+    const doc = await step("Given a JSON Feed document", async () => ({
+      version: "https://jsonfeed.org/version/1.1",
+      title: "Example Newsroom",
+      language: "de-CH",
+      items: [
+        {
+          id: "1",
+          url: "https://news.example.com/a",
+          title: "Erste Meldung",
+          content_html: "<p>Der Bundesrat hat <b>heute</b> entschieden.</p>",
+          date_published: "2025-03-05T10:00:00Z",
+          image: "https://cdn.example.com/a.jpg",
+          attachments: [
+            { url: "https://cdn.example.com/a-2.png", mime_type: "image/png" },
+            { url: "https://cdn.example.com/a.mp3", mime_type: "audio/mpeg" },
+          ],
+        },
+        {
+          id: "2",
+          external_url: "https://other.example.org/b",
+          summary: "A short summary",
+          language: "en",
+          date_modified: "2025-03-04T08:30:00Z",
+          banner_image: "https://cdn.example.com/logo.svg",
+        },
+        { title: "No link at all" },
+        { id: "1234", title: "Only an id" },
+        { id: "3", url: "/relative/path", title: "Relative link" },
+      ],
+    }));
+    const items = await step("When I map the items", async () =>
+      mapJsonFeed(doc)
+    );
+    await step(
+      "Then items carry url, dates, language and snippet",
+      async () => {
+        expect(items).toHaveLength(2);
+        expect(items[0]).toEqual(
+          expect.objectContaining({
+            title: "Erste Meldung",
+            url: "https://news.example.com/a",
+            snippet: "Der Bundesrat hat heute entschieden.",
+            language: "de-CH",
+          })
+        );
+        expect(items[0].published_at.toISOString()).toBe(
+          "2025-03-05T10:00:00.000Z"
+        );
+        expect(items[0].content_hash).toHaveLength(16);
+        expect(items[1].url).toBe("https://other.example.org/b");
+        expect(items[1].language).toBe("en");
+        expect(items[1].published_at.toISOString()).toBe(
+          "2025-03-04T08:30:00.000Z"
+        );
+      }
+    );
+    await step(
+      "And only image attachments become media candidates",
+      async () => {
+        expect(items[0].media_candidates).toEqual([
+          "https://cdn.example.com/a.jpg",
+          "https://cdn.example.com/a-2.png",
+        ]);
+        expect(items[1].media_candidates).toEqual([]);
+      }
+    );
+  });
+});
+
+describe("feedParser.parseFeedContent", () => {
+  test("exposes WebSub hub and self links", async () => {
+    const atom = await step("Given an Atom feed advertising a hub", async () =>
+      parseFeedContent(`<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Example</title>
+  <link href="https://pubsubhubbub.example.com/?a=1&amp;b=2" rel="hub"/>
+  <link rel="self" href="https://example.com/atom.xml"/>
+  <entry><title>One</title><link href="https://example.com/1"/>
+    <link rel="hub" href="https://ignored.example.com/"/></entry>
+</feed>`)
+    );
+    const json = await step("And a JSON Feed with a WebSub hub", async () =>
+      parseFeedContent(
+        JSON.stringify({
+          version: "https://jsonfeed.org/version/1.1",
+          feed_url: "https://example.com/feed.json",
+          hubs: [{ type: "WebSub", url: "https://hub.example.com/" }],
+          items: [],
+        }),
+        { contentType: "application/feed+json" }
+      )
+    );
+    await step("Then hub/self come from the feed head", async () => {
+      expect(atom.hub).toBe("https://pubsubhubbub.example.com/?a=1&b=2");
+      expect(atom.self).toBe("https://example.com/atom.xml");
+      expect(atom.items).toHaveLength(1);
+      expect(json).toEqual({
+        items: [],
+        hub: "https://hub.example.com/",
+        self: "https://example.com/feed.json",
+      });
+    });
+  });
+});
@@ -0,0 +1,165 @@
+import { jest } from "@jest/globals";
+import { step } from "../testStep.js";
+
+const mockDb = {
+  supabase: { from: jest.fn() },
+  updateRecord: jest.fn(async () => ({})),
+};
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  supabase: mockDb.supabase,
+  updateRecord: mockDb.updateRecord,
+}));
+
+const {
+  computeNextCrawlAt,
+  computeAdaptiveInterval,
+  recordAdaptiveInterval,
+  computeFailureBackoffSec,
+  recordFeedFailure,
+} = await import("../../src/services/feedScheduler.js");
+
+describe("feedScheduler", () => {
+  beforeEach(() => {
+    mockDb.updateRecord.mockReset();
+    mockDb.updateRecord.mockResolvedValue({});
+  });
+
+  test("computeNextCrawlAt follows schedule_cron, adaptive interval when learned", async () => {
+    const from = new Date("2025-03-05T10:07:30Z");
+    await step("Then cron feeds use their own expression", async () => {
+      expect(
+        computeNextCrawlAt({ schedule_cron: "0 * * * *" }, from).toISOString()
+      ).toBe("2025-03-05T11:00:00.000Z");
+    });
+    await step(
+      "And an invalid expression falls back to every 5 minutes",
+      async () => {
+        expect(
+          computeNextCrawlAt({ schedule_cron: "nope" }, from).toISOString()
+        ).toBe("2025-03-05T10:10:00.000Z");
+      }
+    );
+    await step("And adaptive feeds add their learned interval", async () => {
+      expect(
+        computeNextCrawlAt(
+          { adaptive_poll: true, poll_interval_sec: 900 },
+          from
+        ).toISOString()
+      ).toBe("2025-03-05T10:22:30.000Z");
+    });
+  });
+
+  test("computeAdaptiveInterval stretches on 304 and shrinks for busy feeds", async () => {
+    const bounds = { minSec: 60, maxSec: 3600 };
+    await step("Then a 304 stretches the interval up to the max", async () => {
+      expect(
+        computeAdaptiveInterval({
+          currentSec: 600,
+          notModified: true,
+          ...bounds,
+        })
+      ).toBe(900);
+      expect(
+        computeAdaptiveInterval({
+          currentSec: 3000,
+          notModified: true,
+          ...bounds,
+        })
+      ).toBe(3600);
+    });
+    await step(
+      "And a feed publishing every 2 minutes pulls the interval down",
+      async () => {
+        const base = Date.parse("2025-03-05T10:00:00Z");
+        const publishedAt = [0, 1, 2, 3, 4].map(
+          (i) => new Date(base - i * 120 * 1000)
+        );
+        // target = median gap / 2 = 60s, blended with current 600s -> 330s
+        expect(
+          computeAdaptiveInterval({ currentSec: 600, publishedAt, ...bounds })
+        ).toBe(330);
+      }
+    );
+    await step("And without cadence data the interval is kept", async () => {
+      expect(
+        computeAdaptiveInterval({ currentSec: 600, publishedAt: [], ...bounds })
+      ).toBe(600);
+    });
+  });
+
+  test("recordAdaptiveInterval persists only for adaptive feeds", async () => {
+    await step("When a cron feed is recorded, nothing is written", async () => {
+      const res = await recordAdaptiveInterval(
+        { id: "f1", schedule_cron: "*/5 * * * *" },
+        { notModified: true }
+      );
+      expect(res).toBeNull();
+      expect(mockDb.updateRecord).not.toHaveBeenCalled();
+    });
+    await step(
+      "When an adaptive feed gets a 304, the seeded cron interval is stretched",
+      async () => {
+        const from = new Date("2025-03-05T10:00:00Z");
+        const res = await recordAdaptiveInterval(
+          { id: "f2", schedule_cron: "*/10 * * * *", adaptive_poll: true },
+          { notModified: true },
+          from
+        );
+        expect(res).toBe(900);
+        expect(mockDb.updateRecord).toHaveBeenCalledWith("feeds", "f2", {
+          poll_interval_sec: 900,
+          next_crawl_at: "2025-03-05T10:15:00.000Z",
+        });
+      }
+    );
+  });
+
+  test("computeFailureBackoffSec doubles per failure up to the cap", async () => {
+    await step("Then backoff grows exponentially and is capped", async () => {
+      const opts = { baseSec: 60, maxSec: 3600 };
+      expect(computeFailureBackoffSec(1, opts)).toBe(60);
+      expect(computeFailureBackoffSec(2, opts)).toBe(120);
+      expect(computeFailureBackoffSec(4, opts)).toBe(480);
+      expect(computeFailureBackoffSec(20, opts)).toBe(3600);
+    });
+  });
+
+  test("recordFeedFailure backs off and trips the breaker at the limit", async () => {
+    const from = new Date("2025-03-05T10:00:00Z");
+    await step("When a healthy feed fails once, it is pushed out", async () => {
+      const res = await recordFeedFailure(
+        { id: "f3", schedule_cron: "* * * * *", consecutive_failures: 0 },
+        new Error("Request failed with status code 503"),
+        from
+      );
+      expect(res).toEqual(
+        expect.objectContaining({ failures: 1, disabled: false })
+      );
+      expect(mockDb.updateRecord).toHaveBeenCalledWith(
+        "feeds",
+        "f3",
+        expect.objectContaining({
+          consecutive_failures: 1,
+          last_error: "Request failed with status code 503",
+          next_crawl_at: "2025-03-05T10:01:00.000Z",
+        })
+      );
+    });
+    await step(
+      "When the 10th consecutive failure happens, the feed is disabled",
+      async () => {
+        mockDb.updateRecord.mockClear();
+        const res = await recordFeedFailure(
+          { id: "f4", schedule_cron: "* * * * *", consecutive_failures: 9 },
+          new Error("timeout of 15000ms exceeded"),
+          from
+        );
+        expect(res.disabled).toBe(true);
+        const updates = mockDb.updateRecord.mock.calls[0][2];
+        expect(updates.enabled).toBe(false);
+        expect(updates.disabled_reason).toMatch(/10 consecutive failures/);
+      }
+    );
+  });
+});
@@ -0,0 +1,114 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { step } from "../testStep.js";
+
+// In-memory feeds table
+const db = {
+  feeds: [
+    {
+      id: "rss",
+      kind: "rss",
+      schedule_cron: "0 * * * *",
+      websub_secret: "s3cret",
+    },
+    {
+      id: "adaptive",
+      kind: "rss",
+      adaptive_poll: true,
+      poll_interval_sec: 600,
+    },
+    {
+      id: "scrape",
+      kind: "scrape",
+      scrape_config: { item: "article", link: "a" },
+    },
+  ],
+};
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async (table, filters = {}) =>
+    (db[table] || []).filter((r) =>
+      Object.entries(filters).every(([k, v]) => r[k] === v)
+    )
+  ),
+  insertRecord: jest.fn(),
+  updateRecord: jest.fn(async (table, id, updates) => {
+    const row = db[table].find((r) => r.id === id);
+    return Object.assign(row, updates);
+  }),
+  upsertRecord: jest.fn(),
+  supabase: { from: jest.fn(), rpc: jest.fn() },
+}));
+
+const { default: feedsRouter } = await import("../../src/routes/feeds.js");
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.apiKey = { name: "ops", scopes: ["admin"] };
+  next();
+});
+app.use("/api/feeds", feedsRouter);
+
+const put = (id, body) => request(app).put(`/api/feeds/${id}`).send(body);
+const feed = (id) => db.feeds.find((f) => f.id === id);
+
+describe("feeds API updates", () => {
+  test("scrape feeds must keep a valid scrape_config", async () => {
+    await step("When a feed becomes a scrape feed without a config", () =>
+      put("rss", { kind: "scrape" }).expect(400)
+    );
+    await step("Or a scrape feed's config is cleared", () =>
+      put("scrape", { scrape_config: null }).expect(400)
+    );
+    await step("Then neither feed changed", () => {
+      expect(feed("rss").kind).toBe("rss");
+      expect(feed("scrape").scrape_config).toEqual({
+        item: "article",
+        link: "a",
+      });
+    });
+    await step("And kind and config can change together", async () => {
+      await put("rss", {
+        kind: "scrape",
+        scrape_config: { item: "li", link: "a" },
+      }).expect(200);
+      expect(feed("rss").kind).toBe("scrape");
+      await put("scrape", { kind: "rss", scrape_config: null }).expect(200);
+      await put("missing", { kind: "rss" }).expect(404);
+    });
+  });
+
+  test("schedule_cron is validated and can be cleared", async () => {
+    await step("When a schedule can never fire", () =>
+      put("rss", { schedule_cron: "0 0 31 2 *" }).expect(400)
+    );
+    await step("Then null resets it to the default", async () => {
+      await put("rss", { schedule_cron: null }).expect(200);
+      expect(feed("rss").schedule_cron).toBe("*/5 * * * *");
+      expect(feed("rss").next_crawl_at).toBeTruthy();
+    });
+    await step("And adaptive feeds keep their learned interval", async () => {
+      const before = Date.now();
+      await put("adaptive", { schedule_cron: "0 0 * * *" }).expect(200);
+      const next = Date.parse(feed("adaptive").next_crawl_at) - before;
+      expect(next).toBeGreaterThanOrEqual(600 * 1000);
+      expect(next).toBeLessThan(610 * 1000);
+    });
+  });
+
+  test("feed responses never include the WebSub secret", async () => {
+    const res = await step("When a feed is fetched", () =>
+      request(app).get("/api/feeds/rss").expect(200)
+    );
+    await step("Then its push secret is left out", async () => {
+      expect(res.body.data.id).toBe("rss");
+      expect(res.body.data).not.toHaveProperty("websub_secret");
+      const list = await request(app).get("/api/feeds").expect(200);
+      expect(JSON.stringify(list.body)).not.toContain("s3cret");
+      const updated = await put("rss", { section: "world" }).expect(200);
+      expect(updated.body.data).not.toHaveProperty("websub_secret");
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { step } from "../testStep.js";
+import { fakeFrom } from "../fakeSupabase.js";
+
+// In-memory places / article_places / clusters / cluster_ai
+const db = { places: [], article_places: [], clusters: [], cluster_ai: [] };
+const rpc = jest.fn(async (fn) => ({
+  data:
+    fn === "place_clusters"
+      ? [
+          {
+            cluster_id: "c1",
+            article_count: 3,
+            max_confidence: 0.9,
+            last_published_at: "2026-10-01T10:00:00Z",
+          },
+        ]
+      : [{ code: "ch.zurich", lat: 47.38, lon: 8.54, article_count: "4" }],
+  error: null,
+}));
+
+const upsertRecord = jest.fn(async (table, rows, { onConflict }) => {
+  const keys = onConflict.split(",");
+  for (const row of rows) {
+    const same = db[table].find((r) => keys.every((k) => r[k] === row[k]));
+    if (same) Object.assign(same, row);
+    else db[table].push({ id: db[table].length + 1, ...row });
+  }
+  return null;
+});
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async (table, filters = {}) =>
+    db[table].filter((r) =>
+      Object.entries(filters).every(([k, v]) => r[k] === v)
+    )
+  ),
+  insertRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  upsertRecord,
+  supabase: { from: fakeFrom(db), rpc },
+}));
+
+process.env.API_PUBLIC_READ = "true";
+const { geotagArticle, persistArticlePlaces } = await import(
+  "../../src/services/geotagger.js"
+);
+const { default: placesRouter } = await import("../../src/routes/places.js");
+
+const app = express();
+app.use("/api/places", placesRouter);
+
+const codes = (tags) => Object.fromEntries(tags.map((t) => [t.place.code, t]));
+
+describe("geotagging", () => {
+  test("resolves multilingual and ambiguous names", async () => {
+    const german = await step("When a German article is tagged", async () =>
+      codes(
+        geotagArticle({
+          title: "Unwetter in München",
+          full_text:
+            "In Bayern und in Zurich fiel Hagel. Auch Zürich meldete Schäden.",
+        })
+      )
+    );
+    await step("Then local names and spellings map to one place", () => {
+      expect(Object.keys(german).sort()).toEqual([
+        "ch.zurich",
+        "de.by",
+        "de.munich",
+      ]);
+      expect(german["ch.zurich"].mentions).toBe(2);
+      expect(german["de.munich"].confidence).toBeGreaterThan(
+        german["de.by"].confidence
+      );
+    });
+
+    await step("And ambiguous names follow the article's other places", () => {
+      const state = codes(
+        geotagArticle({
+          title: "Storms hit Atlanta",
+          full_text: "Georgia declared an emergency.",
+        })
+      );
+      expect(state["us.ga"].confidence).toBe(0.5);
+      const country = codes(
+        geotagArticle({
+          title: "US and Russia clash over Georgia",
+          full_text: "The US said Georgia's sovereignty is not up for debate.",
+        })
+      );
+      expect(country.ge.confidence).toBeLessThan(country.us.confidence);
+      expect(country["us.ga"]).toBeUndefined();
+    });
+
+    await step("And common words need a same-country place", () => {
+      const tags = codes(
+        geotagArticle({
+          title: "Jordan Peterson in London",
+          full_text: "He had a nice time. Nice is far from the UK.",
+        })
+      );
+      expect(Object.keys(tags).sort()).toEqual(["gb", "gb.london"]);
+      expect(
+        codes(geotagArticle({ title: "Nice, France: floods" }))["fr.nice"]
+      ).toBeTruthy();
+    });
+  });
+
+  test("links places after syncing the gazetteer", async () => {
+    const links = await step("When an article is geotagged", async () =>
+      persistArticlePlaces({
+        id: "a1",
+        title: "Talks in Geneva",
+        snippet: "Delegations from Ukraine met in Genève on Monday.",
+      })
+    );
+    await step("Then the gazetteer is upserted once by code", () => {
+      const byCode = Object.fromEntries(db.places.map((p) => [p.code, p]));
+      expect(byCode["ch.geneva"]).toMatchObject({
+        kind: "city",
+        country_code: "ch",
+        parent_code: "ch",
+      });
+      expect(byCode["ch.geneva"].names).toMatchObject({ de: "Genf" });
+      expect(byCode["gb.london"].lat).toBeCloseTo(51.5, 0);
+    });
+    await step("And links carry confidence", () => {
+      const geneva = db.places.find((p) => p.code === "ch.geneva");
+      const link = links.find((l) => l.place_id === geneva.id);
+      expect(link.confidence).toBe(0.8);
+      expect(db.article_places).toHaveLength(2);
+    });
+    await step("And tagged articles are skipped", async () => {
+      const calls = upsertRecord.mock.calls.length;
+      expect(
+        await persistArticlePlaces({ id: "a1", title: "Paris" })
+      ).toBeNull();
+      await persistArticlePlaces({ id: "a2", title: "Vienna" });
+      // No second gazetteer sync, one link upsert
+      expect(upsertRecord.mock.calls.length).toBe(calls + 1);
+    });
+  });
+
+  test("place endpoints", async () => {
+    const res = await step("When a bounding box is queried", async () =>
+      request(app)
+        .get("/api/places?bbox=5.9,45.8,10.5,47.8&kind=city&days=30")
+        .expect(200)
+    );
+    await step("Then places come back with counts", () => {
+      expect(res.body.data[0]).toMatchObject({
+        code: "ch.zurich",
+        article_count: 4,
+      });
+      const [, params] = rpc.mock.calls.find(([fn]) => fn === "places_in_bbox");
+      expect(params).toMatchObject({
+        p_min_lon: 5.9,
+        p_min_lat: 45.8,
+        p_max_lon: 10.5,
+        p_max_lat: 47.8,
+        p_kinds: ["city"],
+      });
+      expect(params.p_since).toBeTruthy();
+    });
+    await step("And malformed boxes are rejected", async () => {
+      await request(app).get("/api/places").expect(400);
+      await request(app).get("/api/places?bbox=1,2,3").expect(400);
+      await request(app).get("/api/places?bbox=0,50,10,40").expect(400);
+      await request(app).get("/api/places?bbox=0,0,10,10&kind=x").expect(400);
+    });
+
+    const feed = await step("When a place feed is fetched", async () =>
+      request(app).get("/api/places/CH/clusters").expect(200)
+    );
+    await step("Then clusters under the place are listed", async () => {
+      expect(feed.body.place.name).toBe("Switzerland");
+      expect(feed.body.data[0]).toMatchObject({
+        cluster_id: "c1",
+        article_count: 3,
+        ai: null,
+      });
+      const [, params] = rpc.mock.calls.find(([fn]) => fn === "place_clusters");
+      expect(params).toMatchObject({ p_code: "ch", p_limit: 20 });
+      await request(app).get("/api/places/xx.nowhere/clusters").expect(404);
+      await request(app).get("/api/places/not a code/clusters").expect(404);
+    });
+  });
+});
@@ -8,6 +8,7 @@ import {
   truncateText,
   normalizeLanguageCode,
   createRateLimiter,
+  canonicalizeUrl,
 } from "../../src/utils/helpers.js";
 import { step } from "../testStep.js";
 
@@ -85,4 +86,72 @@ describe("utils/helpers", () => {
       }
     );
   });
+
+  test("canonicalizeUrl strips tracking params and AMP variants", async () => {
+    await step(
+      "Then equivalent article URLs normalize to one key",
+      async () => {
+        expect(
+          canonicalizeUrl(
+            "https://News.Example.com/world/story-1/?utm_source=rss&utm_medium=feed&fbclid=abc#comments"
+          )
+        ).toBe("https://news.example.com/world/story-1");
+        expect(canonicalizeUrl("https://example.com/a?b=2&a=1&gclid=x")).toBe(
+          "https://example.com/a?a=1&b=2"
+        );
+        expect(canonicalizeUrl("https://amp.example.com/world/story-1")).toBe(
+          "https://example.com/world/story-1"
+        );
+        expect(canonicalizeUrl("https://example.com/amp/world/story-1")).toBe(
+          "https://example.com/world/story-1"
+        );
+        expect(canonicalizeUrl("https://example.com/world/story-1/amp/")).toBe(
+          "https://example.com/world/story-1"
+        );
+        expect(
+          canonicalizeUrl("https://example.com/story.amp.html?amp=1")
+        ).toBe("https://example.com/story.html");
+        expect(
+          canonicalizeUrl(
+            "https://example-com.cdn.ampproject.org/c/s/example.com/world/story-1?outputType=amp"
+          )
+        ).toBe("https://example.com/world/story-1");
+        expect(canonicalizeUrl("https://example.com/")).toBe(
+          "https://example.com/"
+        );
+      }
+    );
+    await step("And amp. hosts map to the publisher's host", async () => {
+      expect(
+        canonicalizeUrl("https://amp.example.com/world/story-1", {
+          canonicalHost: "www.example.com",
+        })
+      ).toBe("https://www.example.com/world/story-1");
+      expect(
+        canonicalizeUrl("https://amp.example.com/world/story-1", {
+          canonicalHost: "www.other.org",
+        })
+      ).toBe("https://example.com/world/story-1");
+    });
+    await step("And real hosts and paths named amp are kept", async () => {
+      expect(canonicalizeUrl("https://amp.dev/x")).toBe("https://amp.dev/x");
+      expect(canonicalizeUrl("https://amp.co.uk/news")).toBe(
+        "https://amp.co.uk/news"
+      );
+      expect(canonicalizeUrl("https://example.com/tags/amp")).toBe(
+        "https://example.com/tags/amp"
+      );
+      expect(canonicalizeUrl("https://example.com/amp/about")).toBe(
+        "https://example.com/amp/about"
+      );
+      expect(canonicalizeUrl("https://example.com/2024/05/big-news/amp")).toBe(
+        "https://example.com/2024/05/big-news"
+      );
+    });
+    await step("And invalid or non-http input returns null", async () => {
+      expect(canonicalizeUrl("not a url")).toBeNull();
+      expect(canonicalizeUrl("mailto:a@example.com")).toBeNull();
+      expect(canonicalizeUrl(null)).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,145 @@
+import { jest } from "@jest/globals";
+import { step } from "../testStep.js";
+
+// In-memory job_locks table behind the lock RPCs
+const locks = new Map();
+let rpcDown = false;
+
+const rpc = jest.fn(async (fn, { p_name, p_holder, p_ttl_seconds }) => {
+  if (rpcDown) return { data: null, error: new Error("rpc unavailable") };
+  const now = Date.now();
+  const row = locks.get(p_name);
+  if (fn === "acquire_job_lock") {
+    if (row && row.lockedUntil >= now) return { data: false, error: null };
+    locks.set(p_name, {
+      holder: p_holder,
+      lockedUntil: now + p_ttl_seconds * 1000,
+    });
+    return { data: true, error: null };
+  }
+  if (fn === "renew_job_lock") {
+    if (!row || row.holder !== p_holder) return { data: false, error: null };
+    row.lockedUntil = now + p_ttl_seconds * 1000;
+    return { data: true, error: null };
+  }
+  if (fn === "release_job_lock") {
+    const ok = row?.holder === p_holder;
+    if (ok) locks.delete(p_name);
+    return { data: ok, error: null };
+  }
+  return { data: null, error: new Error(`unknown rpc ${fn}`) };
+});
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  supabase: { rpc },
+}));
+
+const { withJobLock } = await import("../../src/services/jobLock.js");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe("jobLock", () => {
+  beforeEach(() => {
+    locks.clear();
+    rpcDown = false;
+    rpc.mockClear();
+  });
+
+  test("only one run holds a lock at a time", async () => {
+    let release;
+    const first = withJobLock(
+      "crawl",
+      () => new Promise((resolve) => (release = resolve))
+    );
+    await sleep(5);
+
+    const second = await step("When a second run starts meanwhile", async () =>
+      withJobLock("crawl", async () => "ran")
+    );
+    await step("Then it is skipped", async () => {
+      expect(second).toEqual({ acquired: false });
+    });
+
+    release("done");
+    await step("And the first run returns its result", async () => {
+      expect(await first).toEqual({ acquired: true, result: "done" });
+    });
+    await step("And the lock is free again", async () => {
+      expect(locks.has("crawl")).toBe(false);
+      expect(await withJobLock("crawl", async () => 1)).toEqual({
+        acquired: true,
+        result: 1,
+      });
+    });
+  });
+
+  test("an expired lease from a dead holder is taken over", async () => {
+    locks.set("pretranslate", {
+      holder: "dead-worker",
+      lockedUntil: Date.now() + 60_000,
+    });
+    const blocked = await step("When the lease is still live", async () =>
+      withJobLock("pretranslate", async () => "ran")
+    );
+    await step("Then the run is skipped", async () => {
+      expect(blocked.acquired).toBe(false);
+    });
+
+    locks.get("pretranslate").lockedUntil = Date.now() - 1000;
+    const taken = await step("When the lease has expired", async () =>
+      withJobLock("pretranslate", async () => "ran")
+    );
+    await step("Then another worker takes over", async () => {
+      expect(taken).toEqual({ acquired: true, result: "ran" });
+    });
+  });
+
+  test("heartbeats renew the lease during a long run", async () => {
+    await step("When a run outlasts several heartbeats", async () =>
+      withJobLock("cluster-enrich:en", () => sleep(90), {
+        ttlSec: 1,
+        heartbeatMs: 20,
+      })
+    );
+    await step("Then the lease was renewed", async () => {
+      const renewals = rpc.mock.calls.filter(([fn]) => fn === "renew_job_lock");
+      expect(renewals.length).toBeGreaterThanOrEqual(2);
+    });
+  });
+
+  test("a run that loses its lease is told to stop", async () => {
+    let seen;
+    const res = await step("When another holder takes the lease", async () =>
+      withJobLock(
+        "crawl",
+        async (signal) => {
+          seen = signal;
+          locks.set("crawl", { holder: "other", lockedUntil: Date.now() });
+          while (!signal.aborted) await sleep(5);
+          return "stopped";
+        },
+        { ttlSec: 1, heartbeatMs: 10 }
+      )
+    );
+    await step("Then its signal aborts and the lock is left alone", () => {
+      expect(seen.aborted).toBe(true);
+      expect(res).toEqual({ acquired: true, result: "stopped" });
+      expect(locks.get("crawl").holder).toBe("other");
+      expect(rpc.mock.calls.map(([fn]) => fn)).not.toContain(
+        "release_job_lock"
+      );
+    });
+  });
+
+  test("skips the run when the lock table is unavailable", async () => {
+    rpcDown = true;
+    const fn = jest.fn(async () => "ran");
+    const res = await step("When the lock RPC fails", async () =>
+      withJobLock("log-cleanup", fn)
+    );
+    await step("Then the job does not run unlocked", async () => {
+      expect(res).toEqual({ acquired: false, unavailable: true });
+      expect(fn).not.toHaveBeenCalled();
+    });
+  });
+});
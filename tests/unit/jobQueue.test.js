@@ -0,0 +1,216 @@
+import { jest } from "@jest/globals";
+import { step } from "../testStep.js";
+
+// In-memory jobs table standing in for the enqueue_job / claim_jobs RPCs
+const db = { jobs: [], nextId: 1, rpcDown: false, maxRunningSeen: 0 };
+
+const rpc = jest.fn(async (name, args) => {
+  if (db.rpcDown) return { data: null, error: new Error("rpc unavailable") };
+  if (name === "enqueue_job") {
+    const dup = db.jobs.find(
+      (j) =>
+        j.type === args.p_type &&
+        args.p_dedupe_key &&
+        j.dedupe_key === args.p_dedupe_key &&
+        ["queued", "running"].includes(j.status)
+    );
+    if (dup) return { data: null, error: null };
+    const job = {
+      id: db.nextId++,
+      type: args.p_type,
+      payload: args.p_payload,
+      dedupe_key: args.p_dedupe_key,
+      status: "queued",
+      attempts: 0,
+      max_attempts: args.p_max_attempts,
+      run_at: args.p_run_at,
+    };
+    db.jobs.push(job);
+    return { data: job.id, error: null };
+  }
+  if (name === "claim_jobs") {
+    const running = db.jobs.filter(
+      (j) => j.type === args.p_type && j.status === "running"
+    ).length;
+    const take = Math.min(args.p_limit, args.p_max_running - running);
+    const now = Date.now();
+    const claimed = db.jobs
+      .filter(
+        (j) =>
+          j.type === args.p_type &&
+          j.status === "queued" &&
+          Date.parse(j.run_at) <= now
+      )
+      .slice(0, Math.max(take, 0));
+    for (const j of claimed) {
+      j.status = "running";
+      j.attempts += 1;
+      j.locked_by = args.p_worker;
+    }
+    db.maxRunningSeen = Math.max(db.maxRunningSeen, running + claimed.length);
+    return { data: claimed.map((j) => ({ ...j })), error: null };
+  }
+  return { data: null, error: new Error(`unknown rpc ${name}`) };
+});
+
+const from = jest.fn(() => {
+  const filters = [];
+  let updates = null;
+  let remove = false;
+  const q = {
+    update(u) {
+      updates = u;
+      return q;
+    },
+    delete() {
+      remove = true;
+      return q;
+    },
+    eq(col, val) {
+      filters.push((j) => j[col] === val);
+      return q;
+    },
+    in(col, vals) {
+      filters.push((j) => vals.includes(j[col]));
+      return q;
+    },
+    lt(col, val) {
+      filters.push((j) => j[col] != null && j[col] < val);
+      return q;
+    },
+    then(resolve) {
+      const match = (j) => filters.every((f) => f(j));
+      if (remove) db.jobs = db.jobs.filter((j) => !match(j));
+      else db.jobs.filter(match).forEach((j) => Object.assign(j, updates));
+      resolve({ error: null });
+    },
+  };
+  return q;
+});
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  supabase: { rpc, from },
+}));
+
+const {
+  enqueueJob,
+  registerJobHandler,
+  drainJobs,
+  computeRetryDelaySec,
+  pruneFinishedJobs,
+} = await import("../../src/services/jobQueue.js");
+
+const makeDue = () => {
+  for (const j of db.jobs) {
+    if (j.status === "queued") j.run_at = new Date(0).toISOString();
+  }
+};
+
+describe("jobQueue", () => {
+  beforeEach(() => {
+    db.jobs = [];
+    db.rpcDown = false;
+    db.maxRunningSeen = 0;
+  });
+
+  test("computeRetryDelaySec doubles per attempt up to the cap", async () => {
+    await step("Then delays grow exponentially and are capped", async () => {
+      expect(computeRetryDelaySec(1, { baseSec: 30, maxSec: 3600 })).toBe(30);
+      expect(computeRetryDelaySec(2, { baseSec: 30, maxSec: 3600 })).toBe(60);
+      expect(computeRetryDelaySec(4, { baseSec: 30, maxSec: 3600 })).toBe(240);
+      expect(computeRetryDelaySec(20, { baseSec: 30, maxSec: 3600 })).toBe(
+        3600
+      );
+    });
+  });
+
+  test("enqueue dedupes active jobs and reports an unavailable queue", async () => {
+    const first = await step("When a job is enqueued", async () =>
+      enqueueJob("t.dedupe", { article_id: 1 }, { dedupeKey: "1" })
+    );
+    const second = await step("And the same key is enqueued again", async () =>
+      enqueueJob("t.dedupe", { article_id: 1 }, { dedupeKey: "1" })
+    );
+    await step("Then only one job is stored", async () => {
+      expect(first.id).toBeTruthy();
+      expect(second).toEqual({ duplicate: true });
+      expect(db.jobs).toHaveLength(1);
+    });
+
+    db.rpcDown = true;
+    const down = await step("When the queue is unavailable", async () =>
+      enqueueJob("t.dedupe", { article_id: 2 })
+    );
+    await step("Then enqueue returns null for inline fallback", async () => {
+      expect(down).toBeNull();
+    });
+  });
+
+  test("drain runs handlers within the concurrency limit", async () => {
+    const seen = [];
+    registerJobHandler(
+      "t.ok",
+      async (payload) => {
+        seen.push(payload.n);
+      },
+      { concurrency: 2 }
+    );
+    for (let n = 0; n < 5; n++) await enqueueJob("t.ok", { n });
+
+    const stats = await step("When the queue is drained", async () =>
+      drainJobs({ types: ["t.ok"] })
+    );
+    await step("Then every job ran once and is done", async () => {
+      expect(seen.sort()).toEqual([0, 1, 2, 3, 4]);
+      expect(stats["t.ok"]).toMatchObject({ claimed: 5, done: 5 });
+      expect(db.jobs.every((j) => j.status === "done")).toBe(true);
+      expect(db.maxRunningSeen).toBeLessThanOrEqual(2);
+    });
+  });
+
+  test("failed jobs back off and are dead-lettered after max attempts", async () => {
+    registerJobHandler(
+      "t.fail",
+      async () => {
+        throw new Error("boom");
+      },
+      { maxAttempts: 2 }
+    );
+    await enqueueJob("t.fail", {});
+
+    await step("When the first attempt fails", async () =>
+      drainJobs({ types: ["t.fail"] })
+    );
+    await step("Then the job is requeued for later", async () => {
+      const [job] = db.jobs;
+      expect(job.status).toBe("queued");
+      expect(job.last_error).toBe("boom");
+      expect(Date.parse(job.run_at)).toBeGreaterThan(Date.now());
+    });
+
+    makeDue();
+    const stats = await step("When the last attempt fails", async () =>
+      drainJobs({ types: ["t.fail"] })
+    );
+    await step("Then it is dead-lettered", async () => {
+      expect(stats["t.fail"].dead).toBe(1);
+      expect(db.jobs[0]).toMatchObject({ status: "dead", attempts: 2 });
+    });
+  });
+
+  test("finished jobs are pruned after the retention period", async () => {
+    const daysAgo = (d) => new Date(Date.now() - d * 864e5).toISOString();
+    db.jobs = [
+      { id: 1, status: "done", finished_at: daysAgo(10) },
+      { id: 2, status: "dead", finished_at: daysAgo(10) },
+      { id: 3, status: "done", finished_at: daysAgo(1) },
+      { id: 4, status: "queued", finished_at: null },
+    ];
+    await step("When jobs older than a week are pruned", async () =>
+      pruneFinishedJobs(new Date(Date.now() - 7 * 864e5))
+    );
+    await step("Then only old done and dead jobs are deleted", async () => {
+      expect(db.jobs.map((j) => j.id)).toEqual([3, 4]);
+    });
+  });
+});
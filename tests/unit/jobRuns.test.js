@@ -0,0 +1,322 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { step } from "../testStep.js";
+
+// In-memory job_runs / job_locks / job_controls tables
+const db = { job_runs: [], job_locks: [], job_controls: [], api_keys: [] };
+const enrichPendingClusters = jest.fn(async () => ({ processed: 2 }));
+const crawlAllFeeds = jest.fn(async () => ({ totalFeeds: 1 }));
+
+const summary = () => {
+  const byName = new Map();
+  for (const r of db.job_runs) {
+    const s = byName.get(r.job_name) || { job_name: r.job_name };
+    if (!s.last_started_at || r.started_at >= s.last_started_at) {
+      Object.assign(s, {
+        last_status: r.status,
+        last_started_at: r.started_at,
+      });
+    }
+    if (r.status === "succeeded") s.last_success_at = r.finished_at;
+    byName.set(r.job_name, s);
+  }
+  return [...byName.values()];
+};
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async (table, filters = {}, options = {}) => {
+    let rows = (db[table] || []).filter((r) =>
+      Object.entries(filters).every(([k, v]) => r[k] === v)
+    );
+    if (options.orderBy) {
+      const { column, ascending } = options.orderBy;
+      rows = [...rows].sort((a, b) =>
+        ascending ? a[column] - b[column] : b[column] - a[column]
+      );
+    }
+    return options.limit ? rows.slice(0, options.limit) : rows;
+  }),
+  insertRecord: jest.fn(async (table, row) => {
+    const rec = { id: db[table].length + 1, ...row };
+    db[table].push(rec);
+    return rec;
+  }),
+  updateRecord: jest.fn(async (table, id, updates) => {
+    const row = db[table].find((r) => r.id === id);
+    Object.assign(row, updates);
+    return row;
+  }),
+  upsertRecord: jest.fn(async (table, row) => {
+    const existing = db[table].find((r) => r.name === row.name);
+    if (existing) Object.assign(existing, row);
+    else db[table].push({ ...row });
+    return null;
+  }),
+  supabase: {
+    rpc: async () => ({ data: true, error: null }),
+    from: (table) => {
+      const filters = [];
+      const q = {
+        select: () => q,
+        in: (col, vals) => {
+          filters.push((r) => vals.includes(r[col]));
+          return q;
+        },
+        eq: (col, val) => {
+          filters.push((r) => r[col] === val);
+          return q;
+        },
+        order: async () => ({ data: summary(), error: null }),
+        then: (resolve) =>
+          resolve({
+            data: db[table].filter((r) => filters.every((f) => f(r))),
+            error: null,
+          }),
+      };
+      return q;
+    },
+  },
+}));
+
+jest.unstable_mockModule("../../src/services/feedCrawler.js", () => ({
+  crawlAllFeeds,
+}));
+jest.unstable_mockModule("../../src/services/newsdataCrawler.js", () => ({
+  crawlNewsdataOnly: jest.fn(),
+}));
+jest.unstable_mockModule("../../src/services/clusterEnricher.js", () => ({
+  enrichPendingClusters,
+}));
+jest.unstable_mockModule("../../src/services/pretranslator.js", () => ({
+  runPretranslationCycle: jest.fn(),
+}));
+jest.unstable_mockModule("../../src/services/websub.js", () => ({
+  renewExpiringSubscriptions: jest.fn(),
+}));
+
+const ADMIN_KEY = "ink_test-admin-key";
+const { trackJobRun } = await import("../../src/services/jobRuns.js");
+const { hashApiKey } = await import("../../src/services/apiKeys.js");
+db.api_keys.push({
+  id: "k1",
+  name: "ops",
+  key_hash: hashApiKey(ADMIN_KEY),
+  scopes: ["admin"],
+});
+const CRAWL_KEY = "ink_test-crawl-key";
+db.api_keys.push({
+  id: "k2",
+  name: "crawler",
+  key_hash: hashApiKey(CRAWL_KEY),
+  scopes: ["crawl"],
+});
+const { optionalAuth } = await import("../../src/middleware/auth.js");
+const { default: adminRouter } = await import("../../src/routes/admin.js");
+const { isJobPaused } = await import("../../src/scheduler/jobs.js");
+
+const app = express();
+app.use(express.json());
+app.use(optionalAuth);
+app.use("/api/admin", adminRouter);
+
+describe("job run history", () => {
+  test("records successful, failed and error-result runs", async () => {
+    await step("When a crawl succeeds", async () =>
+      trackJobRun("crawl", async () => ({ totalFeeds: 3, successful: 3 }))
+    );
+    await step("And an enrich run reports an error result", async () =>
+      trackJobRun("cluster-enrich:en", async () => ({
+        processed: 0,
+        error: "LLM quota exceeded",
+      }))
+    );
+    const thrown = await step("And a pretranslate cycle throws", async () =>
+      trackJobRun("pretranslate", async () => {
+        throw new Error("db down");
+      }).catch((e) => e)
+    );
+
+    await step("Then each run is stored with status and result", async () => {
+      const [crawl, enrich, pretrans] = db.job_runs;
+      expect(crawl).toMatchObject({
+        job_name: "crawl",
+        status: "succeeded",
+        result: { totalFeeds: 3, successful: 3 },
+      });
+      expect(crawl.finished_at).toBeTruthy();
+      expect(typeof crawl.duration_ms).toBe("number");
+      expect(enrich).toMatchObject({
+        status: "failed",
+        error: "LLM quota exceeded",
+      });
+      expect(pretrans).toMatchObject({ status: "failed", error: "db down" });
+      expect(thrown.message).toBe("db down");
+    });
+  });
+
+  test("admin endpoints require a token and list jobs and runs", async () => {
+    await step("Then unauthenticated requests are rejected", async () => {
+      await request(app).get("/api/admin/jobs").expect(401);
+    });
+
+    db.job_locks.push({
+      name: "crawl",
+      holder: "host:1:abc",
+      locked_until: "2030-01-01T00:00:00Z",
+    });
+    const jobs = await step("When I list jobs with the token", async () =>
+      request(app)
+        .get("/api/admin/jobs")
+        .set("Authorization", `Bearer ${ADMIN_KEY}`)
+        .expect(200)
+    );
+    await step(
+      "Then the crawl entry has its last success and lock",
+      async () => {
+        const crawl = jobs.body.data.find((j) => j.job_name === "crawl");
+        expect(crawl.last_status).toBe("succeeded");
+        expect(crawl.last_success_at).toBeTruthy();
+        expect(crawl.lock).toEqual({
+          holder: "host:1:abc",
+          locked_until: "2030-01-01T00:00:00Z",
+        });
+      }
+    );
+
+    const runs = await step("When I list failed runs for a job", async () =>
+      request(app)
+        .get("/api/admin/jobs/cluster-enrich%3Aen/runs?status=failed")
+        .set("Authorization", `Bearer ${ADMIN_KEY}`)
+        .expect(200)
+    );
+    await step("Then only that job's runs are returned", async () => {
+      expect(runs.body.count).toBe(1);
+      expect(runs.body.data[0].job_name).toBe("cluster-enrich:en");
+    });
+
+    await step("And an unknown status is rejected", async () => {
+      await request(app)
+        .get("/api/admin/jobs/crawl/runs?status=bogus")
+        .set("Authorization", `Bearer ${ADMIN_KEY}`)
+        .expect(400);
+    });
+  });
+
+  test("manual triggers are recorded with who triggered them", async () => {
+    await step(
+      "Then cluster-enrich without a language is rejected",
+      async () => {
+        await request(app)
+          .post("/api/admin/jobs/cluster-enrich/run")
+          .set("Authorization", `Bearer ${ADMIN_KEY}`)
+          .send({})
+          .expect(400);
+      }
+    );
+
+    const res = await step("When an admin key runs enrich for de", async () =>
+      request(app)
+        .post("/api/admin/jobs/cluster-enrich/run")
+        .set("Authorization", `Bearer ${ADMIN_KEY}`)
+        .send({ lang: "de", wait: true })
+        .expect(200)
+    );
+    await step(
+      "Then the run is recorded as manual with the actor",
+      async () => {
+        expect(enrichPendingClusters).toHaveBeenCalledWith("de", {
+          signal: expect.any(AbortSignal),
+        });
+        expect(res.body.data).toEqual({
+          job: "cluster-enrich:de",
+          result: { processed: 2 },
+        });
+        const run = db.job_runs.find((r) => r.job_name === "cluster-enrich:de");
+        expect(run).toMatchObject({
+          status: "succeeded",
+          trigger: "manual",
+          triggered_by: "api-key:ops",
+        });
+      }
+    );
+
+    const bg = await step(
+      "When a crawl is triggered in the background",
+      async () =>
+        request(app)
+          .post("/api/admin/jobs/crawl/run")
+          .set("Authorization", `Bearer ${ADMIN_KEY}`)
+          .send({})
+          .expect(202)
+    );
+    await step("Then the response carries the run id", async () => {
+      expect(bg.body.data.job).toBe("crawl");
+      expect(bg.body.data.run_id).toBeTruthy();
+      expect(crawlAllFeeds).toHaveBeenCalledWith({
+        dueOnly: false,
+        signal: expect.any(AbortSignal),
+      });
+    });
+
+    await step("And crawl keys may only run crawl and enrich", async () => {
+      await request(app)
+        .post("/api/admin/jobs/log-cleanup/run")
+        .set("Authorization", `Bearer ${CRAWL_KEY}`)
+        .expect(403);
+      await request(app)
+        .post("/api/admin/jobs/source-reliability/run")
+        .set("Authorization", `Bearer ${CRAWL_KEY}`)
+        .expect(403);
+      await request(app)
+        .post("/api/admin/jobs/cluster-enrich/run")
+        .set("Authorization", `Bearer ${CRAWL_KEY}`)
+        .send({})
+        .expect(400);
+    });
+
+    await step("And unknown jobs are rejected", async () => {
+      await request(app)
+        .post("/api/admin/jobs/websub-renew/run")
+        .set("Authorization", `Bearer ${ADMIN_KEY}`)
+        .expect(400);
+    });
+  });
+
+  test("pause and resume take effect without a restart", async () => {
+    await step("When cluster-enrich is paused", async () =>
+      request(app)
+        .post("/api/admin/jobs/cluster-enrich/pause")
+        .set("Authorization", `Bearer ${ADMIN_KEY}`)
+        .send({ reason: "LLM budget" })
+        .expect(200)
+    );
+    await step("Then every language run reports paused", async () => {
+      expect(await isJobPaused("cluster-enrich:de")).toBe(true);
+      expect(await isJobPaused("crawl")).toBe(false);
+      expect(db.job_controls[0]).toMatchObject({
+        name: "cluster-enrich",
+        paused: true,
+        reason: "LLM budget",
+        updated_by: "api-key:ops",
+      });
+    });
+
+    await step("When it is resumed", async () =>
+      request(app)
+        .post("/api/admin/jobs/cluster-enrich/resume")
+        .set("Authorization", `Bearer ${ADMIN_KEY}`)
+        .expect(200)
+    );
+    await step("Then runs are no longer paused", async () => {
+      expect(await isJobPaused("cluster-enrich:de")).toBe(false);
+    });
+
+    await step("And unknown job names are rejected", async () => {
+      await request(app)
+        .post("/api/admin/jobs/nope/pause")
+        .set("Authorization", `Bearer ${ADMIN_KEY}`)
+        .expect(400);
+    });
+  });
+});
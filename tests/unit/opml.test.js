@@ -0,0 +1,157 @@
+import { jest } from "@jest/globals";
+import { step } from "../testStep.js";
+
+const mockDb = {
+  existingUrls: [],
+  sources: [],
+  inserted: [],
+};
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async () => mockDb.sources),
+  insertRecord: jest.fn(async (table, row) => {
+    mockDb.inserted.push({ table, row });
+    return table === "feeds"
+      ? { id: `feed-${mockDb.inserted.length}`, ...row }
+      : row;
+  }),
+  supabase: {
+    from: () => ({
+      select: () => ({
+        in: async (_col, urls) => ({
+          data: urls
+            .filter((u) => mockDb.existingUrls.includes(u))
+            .map((url) => ({ url })),
+          error: null,
+        }),
+      }),
+    }),
+  },
+}));
+
+const { parseOpml, buildOpml, importOpml } = await import(
+  "../../src/services/opml.js"
+);
+
+const OPML = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head><title>CH market</title></head>
+  <body>
+    <outline text="SRF News" htmlUrl="https://www.srf.ch/news" country="CH" language="de">
+      <outline type="rss" text="SRF Schweiz" xmlUrl="https://www.srf.ch/news/bnf/rss/1646" category="/News/Schweiz"/>
+      <outline type="rss" text="SRF International" xmlUrl="https://www.srf.ch/news/bnf/rss/1922" section="international"/>
+    </outline>
+    <outline type="rss" text="Le Temps" xmlUrl="https://www.letemps.ch/articles.rss" lang="fr" country="CH"/>
+    <outline type="rss" text="Broken" xmlUrl="notaurl"/>
+    <outline type="rss" text="Bad country" xmlUrl="https://x.example.com/rss" country="CHE"/>
+  </body>
+</opml>`;
+
+describe("opml", () => {
+  beforeEach(() => {
+    mockDb.existingUrls = [];
+    mockDb.sources = [];
+    mockDb.inserted = [];
+  });
+
+  test("parseOpml maps outline attributes to feed fields", async () => {
+    const entries = await step("When I parse the OPML", async () =>
+      parseOpml(OPML)
+    );
+    await step("Then group attributes are inherited", async () => {
+      expect(entries).toHaveLength(5);
+      expect(entries[0]).toMatchObject({
+        url: "https://www.srf.ch/news/bnf/rss/1646",
+        kind: "rss",
+        lang: "de",
+        country: "CH",
+        section: "schweiz",
+        source: { name: "SRF News", homepage: "https://www.srf.ch/news" },
+      });
+      expect(entries[1].section).toBe("international");
+      expect(entries[2]).toMatchObject({ lang: "fr", section: null });
+    });
+    await step("And malformed documents are rejected", async () => {
+      expect(() => parseOpml("<opml><body>")).toThrow(/Invalid OPML/);
+      expect(() => parseOpml("<rss/>")).toThrow(/Invalid OPML/);
+    });
+  });
+
+  test("importOpml creates missing sources/feeds and reports the rest", async () => {
+    await step("Given one feed URL already exists", async () => {
+      mockDb.existingUrls = ["https://www.srf.ch/news/bnf/rss/1922"];
+    });
+    const report = await step("When I import", async () => importOpml(OPML));
+    await step(
+      "Then created, duplicate and invalid entries are reported",
+      async () => {
+        expect(report.total).toBe(5);
+        expect(report.created.sources).toEqual(["srf-ch", "letemps-ch"]);
+        expect(report.created.feeds.map((f) => f.url)).toEqual([
+          "https://www.srf.ch/news/bnf/rss/1646",
+          "https://www.letemps.ch/articles.rss",
+        ]);
+        expect(report.skipped).toEqual([
+          { url: "https://www.srf.ch/news/bnf/rss/1922", reason: "duplicate" },
+        ]);
+        expect(report.invalid.map((i) => i.reason)).toEqual([
+          "Invalid feed URL",
+          "Invalid country code: CHE",
+        ]);
+        const feedRow = mockDb.inserted.find((i) => i.table === "feeds").row;
+        expect(feedRow).toMatchObject({
+          source_id: "srf-ch",
+          lang: "de",
+          country: "CH",
+          section: "schweiz",
+          enabled: true,
+        });
+      }
+    );
+  });
+
+  test("buildOpml round-trips through parseOpml", async () => {
+    const xml = await step("When I export sources with feeds", async () =>
+      buildOpml(
+        [
+          {
+            id: "srf",
+            name: "SRF & Co",
+            homepage: "https://www.srf.ch",
+            country: "CH",
+            lang: "de",
+          },
+          { id: "empty", name: "No feeds" },
+        ],
+        [
+          {
+            source_id: "srf",
+            url: "https://www.srf.ch/rss?a=1&b=2",
+            kind: "atom",
+            lang: "de",
+            country: "CH",
+            section: "news",
+          },
+        ]
+      )
+    );
+    await step("Then parsing it yields the same feed set", async () => {
+      const entries = parseOpml(xml);
+      expect(entries).toEqual([
+        {
+          title: "SRF & Co - news",
+          url: "https://www.srf.ch/rss?a=1&b=2",
+          kind: "atom",
+          lang: "de",
+          country: "CH",
+          section: "news",
+          source: {
+            id: "srf",
+            name: "SRF & Co",
+            homepage: "https://www.srf.ch",
+          },
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { step } from "../testStep.js";
+import { fakeFrom } from "../fakeSupabase.js";
+
+// In-memory projects / project_rules; project_clusters returns fixed candidates
+const db = { projects: [], project_rules: [], clusters: [], cluster_ai: [] };
+const hoursAgo = (h) => new Date(Date.now() - h * 36e5).toISOString();
+const CANDIDATES = [
+  {
+    cluster_id: "tech-zurich",
+    article_count: 2,
+    last_published_at: hoursAgo(6),
+    category_paths: ["technology.ai"],
+    place_codes: ["ch.zurich", "ch"],
+    source_ids: ["nzz"],
+  },
+  {
+    cluster_id: "football",
+    article_count: 6,
+    last_published_at: hoursAgo(1),
+    category_paths: ["sports.football"],
+    place_codes: [],
+    source_ids: ["bbc"],
+  },
+  {
+    cluster_id: "tech-us",
+    article_count: 2,
+    last_published_at: hoursAgo(6),
+    category_paths: ["technology"],
+    place_codes: ["us.san-francisco", "us.ca"],
+    source_ids: ["wired"],
+  },
+];
+
+const rpc = jest.fn(async () => ({ data: CANDIDATES, error: null }));
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async (table, filters = {}) =>
+    db[table].filter((r) =>
+      Object.entries(filters).every(([k, v]) => r[k] === v)
+    )
+  ),
+  insertRecord: jest.fn(async (table, row) => {
+    const record = { id: `p${db[table].length + 1}`, ...row };
+    db[table].push(record);
+    return record;
+  }),
+  updateRecord: jest.fn(async (table, id, updates) => {
+    const row = db[table].find((r) => r.id === id);
+    return Object.assign(row, updates);
+  }),
+  upsertRecord: jest.fn(async (table, row) => {
+    db[table] = db[table].filter((r) => r.project_id !== row.project_id);
+    db[table].push(row);
+    return null;
+  }),
+  supabase: { from: fakeFrom(db), rpc },
+}));
+
+process.env.API_PUBLIC_READ = "true";
+const { default: projectsRouter } = await import(
+  "../../src/routes/projects.js"
+);
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.apiKey = req.get("x-admin") ? { name: "ops", scopes: ["admin"] } : null;
+  next();
+});
+app.use("/api/projects", projectsRouter);
+
+const admin = (method, path) =>
+  request(app)[method](`/api/projects${path}`).set("x-admin", "1");
+
+describe("projects", () => {
+  test("projects and rules are managed by admins", async () => {
+    await step("When an anonymous client creates a project", async () => {
+      await request(app)
+        .post("/api/projects")
+        .send({ slug: "swiss-tech" })
+        .expect(401);
+    });
+    const created = await step("When an admin creates one", async () =>
+      admin("post", "")
+        .send({
+          slug: "swiss-tech",
+          description: "Swiss technology",
+          locale: "de_ch",
+          rules: { include_paths: ["technology"], geo_scope: ["ch"] },
+        })
+        .expect(201)
+    );
+    await step("Then it is stored with normalized locale and rules", () => {
+      expect(created.body.data).toMatchObject({
+        slug: "swiss-tech",
+        locale: "de-CH",
+        rules: {
+          include_paths: ["technology"],
+          exclude_paths: [],
+          geo_scope: ["ch"],
+          boosts: {},
+        },
+      });
+    });
+    await step("And invalid or duplicate input is rejected", async () => {
+      await admin("post", "").send({ slug: "swiss-tech" }).expect(409);
+      await admin("post", "").send({ slug: "Bad Slug" }).expect(400);
+      await admin("put", "/swiss-tech/rules")
+        .send({ geo_scope: ["Switzerland"] })
+        .expect(400);
+      await admin("put", "/swiss-tech/rules")
+        .send({ boosts: { places: { ch: 50 } } })
+        .expect(400);
+      await admin("put", "/swiss-tech/rules")
+        .send({ boosts: { authors: { x: 2 } } })
+        .expect(400);
+    });
+
+    const updated = await step("When the rules are replaced", async () =>
+      admin("put", "/swiss-tech/rules")
+        .send({
+          include_paths: ["technology"],
+          boosts: { places: { ch: 3 }, sources: { wired: 0.5 } },
+        })
+        .expect(200)
+    );
+    await step("Then omitted fields are cleared", () => {
+      expect(updated.body.data.rules.geo_scope).toEqual([]);
+      expect(updated.body.data.rules.boosts.places).toEqual({ ch: 3 });
+    });
+    await step("And details can be updated and listed", async () => {
+      await admin("put", "/swiss-tech")
+        .send({ description: "Tech from Switzerland" })
+        .expect(200);
+      const list = await request(app).get("/api/projects").expect(200);
+      expect(list.body.data[0]).toMatchObject({
+        slug: "swiss-tech",
+        description: "Tech from Switzerland",
+      });
+      await admin("put", "/nope").send({ description: "x" }).expect(404);
+    });
+  });
+
+  test("the channel feed ranks clusters with boosts", async () => {
+    const res = await step("When the channel is fetched", async () =>
+      request(app).get("/api/projects/swiss-tech/clusters").expect(200)
+    );
+    await step("Then place boosts lift matching clusters", () => {
+      expect(res.body.data.map((c) => c.cluster_id)).toEqual([
+        "tech-zurich",
+        "football",
+        "tech-us",
+      ]);
+      expect(res.body.data[0].boost).toEqual({
+        categories: 1,
+        places: 3,
+        sources: 1,
+      });
+      expect(res.body.data[2].boost.sources).toBe(0.5);
+      expect(res.body.data[0].score).toBeGreaterThan(res.body.data[1].score);
+    });
+    await step("And the project's rules and language are used", () => {
+      const [fn, params] = rpc.mock.calls[0];
+      expect(fn).toBe("project_clusters");
+      expect(params).toMatchObject({
+        p_project_id: "p1",
+        p_limit: 300,
+        p_half_life_hours: 24,
+      });
+      // Boosts are applied in SQL before the pool is cut
+      expect(params.p_boosts.places).toEqual({ ch: 3 });
+      expect(res.body.project.locale).toBe("de-CH");
+    });
+    await step("And pages slice the ranking", async () => {
+      const page = await request(app)
+        .get("/api/projects/swiss-tech/clusters?limit=1&offset=1")
+        .expect(200);
+      expect(page.body.data.map((c) => c.cluster_id)).toEqual(["football"]);
+      await request(app)
+        .get("/api/projects/swiss-tech/clusters?offset=290&limit=20")
+        .expect(400);
+      await request(app).get("/api/projects/nope/clusters").expect(404);
+    });
+    await step("And a deleted project is gone", async () => {
+      await admin("delete", "/swiss-tech").expect(200);
+      await request(app).get("/api/projects/swiss-tech").expect(404);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { step } from "../testStep.js";
+
+// Shared counters behind the rate_limit_hit RPC
+const counters = new Map();
+let rpcDown = false;
+const deleted = [];
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(),
+  insertRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  supabase: {
+    from: (table) => ({
+      delete: () => ({
+        lt: async (col, value) => {
+          deleted.push({ table, col, value });
+          return { error: null };
+        },
+      }),
+    }),
+    rpc: jest.fn(async (_fn, { p_key, p_window_ms }) => {
+      if (rpcDown) return { data: null, error: new Error("db down") };
+      const count = (counters.get(p_key) || 0) + 1;
+      counters.set(p_key, count);
+      const resetAt = new Date(Date.now() + p_window_ms).toISOString();
+      return { data: [{ count, reset_at: resetAt }], error: null };
+    }),
+  },
+}));
+
+process.env.RATE_LIMIT_GENERAL = "2/60";
+const { createRateLimit } = await import("../../src/middleware/rateLimiter.js");
+const { createMemoryStore, createPostgresStore, pruneRateLimitCounters } =
+  await import("../../src/services/rateLimitStore.js");
+
+// Stand-in for optionalAuth: X-Test-Key selects an API key
+const KEYS = {
+  a: { id: "a", name: "a", scopes: ["read"] },
+  b: { id: "b", name: "b", scopes: ["read"] },
+  vip: { id: "vip", name: "vip", scopes: ["read"], rateLimits: { general: 5 } },
+};
+const buildApp = (store) => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.apiKey = KEYS[req.get("x-test-key")] || null;
+    next();
+  });
+  app.use(createRateLimit("general", { store }));
+  app.get("/x", (req, res) => res.json({ ok: true }));
+  return app;
+};
+
+describe("rate limiting", () => {
+  test("limits per API key with RateLimit headers", async () => {
+    const app = buildApp(createMemoryStore());
+    const first = await step("When key a makes its first request", async () =>
+      request(app).get("/x").set("X-Test-Key", "a").expect(200)
+    );
+    await step("Then the policy and remaining quota are reported", async () => {
+      expect(first.headers["ratelimit-limit"]).toBe("2");
+      expect(first.headers["ratelimit-remaining"]).toBe("1");
+      expect(first.headers["ratelimit-policy"]).toBe("2;w=60");
+      expect(Number(first.headers["ratelimit-reset"])).toBeLessThanOrEqual(60);
+    });
+
+    await request(app).get("/x").set("X-Test-Key", "a").expect(200);
+    const blocked = await step("When key a exceeds its limit", async () =>
+      request(app).get("/x").set("X-Test-Key", "a").expect(429)
+    );
+    await step("Then Retry-After is set", async () => {
+      expect(Number(blocked.headers["retry-after"])).toBeGreaterThanOrEqual(0);
+      expect(blocked.headers["ratelimit-remaining"]).toBe("0");
+    });
+
+    await step("And key b has its own bucket", async () => {
+      await request(app).get("/x").set("X-Test-Key", "b").expect(200);
+    });
+
+    await step("And a per-key override raises the limit", async () => {
+      for (let i = 0; i < 5; i++) {
+        await request(app).get("/x").set("X-Test-Key", "vip").expect(200);
+      }
+      await request(app).get("/x").set("X-Test-Key", "vip").expect(429);
+    });
+  });
+
+  test("the Postgres store shares counts and falls back locally", async () => {
+    const appA = buildApp(createPostgresStore());
+    const appB = buildApp(createPostgresStore());
+    await step("When two replicas serve the same key", async () => {
+      await request(appA).get("/x").set("X-Test-Key", "a").expect(200);
+      await request(appB).get("/x").set("X-Test-Key", "a").expect(200);
+    });
+    await step("Then the limit holds across them", async () => {
+      await request(appA).get("/x").set("X-Test-Key", "a").expect(429);
+    });
+
+    rpcDown = true;
+    await step("When the database is down, local counters apply", async () => {
+      await request(appB).get("/x").set("X-Test-Key", "b").expect(200);
+      await request(appB).get("/x").set("X-Test-Key", "b").expect(200);
+      await request(appB).get("/x").set("X-Test-Key", "b").expect(429);
+    });
+  });
+
+  test("expired windows are swept for every key", async () => {
+    const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await step("When the cleanup prunes old windows", async () =>
+      pruneRateLimitCounters(cutoff)
+    );
+    await step("Then windows started before the cutoff are deleted", () => {
+      expect(deleted).toEqual([
+        {
+          table: "rate_limit_counters",
+          col: "window_start",
+          value: cutoff.toISOString(),
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import {
+  extractListingItems,
+  validateScrapeConfig,
+} from "../../src/services/scrapeParser.js";
+import { step } from "../testStep.js";
+
+describe("scrapeParser", () => {
+  test("extracts normalized items from a section page", async () => {
+    const html = await step(
+      "Given a listing page with article teasers",
+      async () => `<!DOCTYPE html>
+<html lang="de-CH"><body>
+  <article class="teaser">
+    <a class="teaser__link" href="/politik/reform-1">
+      <h2>  Bundesrat
+        beschliesst Reform </h2>
+    </a>
+    <time datetime="2025-03-05T10:00:00Z">5. März</time>
+    <img data-src="/img/reform.jpg" src="data:image/gif;base64,R0lGOD">
+    <p class="lead">Kurzer Text</p>
+  </article>
+  <article class="teaser">
+    <a class="teaser__link" href="https://other.example.com/story-2">Story 2</a>
+  </article>
+  <article class="teaser">
+    <a class="teaser__link" href="/politik/reform-1">Duplicate</a>
+  </article>
+  <article class="teaser"><a class="teaser__link" href="javascript:void(0)">x</a></article>
+</body></html>`
+    );
+    const items = await step("When I extract items", async () =>
+      extractListingItems(html, "https://news.example.com/politik/", {
+        item: "article.teaser",
+        link: "a.teaser__link",
+        title: "h2",
+        date: "time",
+        image: "img",
+        snippet: ".lead",
+      })
+    );
+    await step("Then links are absolute, deduped and normalized", async () => {
+      expect(items).toHaveLength(2);
+      const [first, second] = items;
+      expect(first.url).toBe("https://news.example.com/politik/reform-1");
+      expect(first.title).toBe("Bundesrat beschliesst Reform");
+      expect(first.snippet).toBe("Kurzer Text");
+      expect(first.published_at.toISOString()).toBe("2025-03-05T10:00:00.000Z");
+      expect(first.media_candidates).toEqual([
+        "https://news.example.com/img/reform.jpg",
+      ]);
+      expect(first.language).toBe("de-CH");
+      expect(first.requires_full_text).toBe(true);
+      expect(first.content_hash).toBeTruthy();
+      // No title/date match -> link text and crawl time
+      expect(second.url).toBe("https://other.example.com/story-2");
+      expect(second.title).toBe("Story 2");
+      expect(second.published_at).toBeInstanceOf(Date);
+    });
+  });
+
+  test("uses link text as title when no title selector is set", async () => {
+    const items = await step("When I extract with item/link only", async () =>
+      extractListingItems(
+        '<ul><li><a href="/a">Headline A</a></li></ul>',
+        "https://example.com/",
+        { item: "li", link: "a" },
+        { defaultLanguage: "fr" }
+      )
+    );
+    await step("Then the link text and feed language are used", async () => {
+      expect(items[0].title).toBe("Headline A");
+      expect(items[0].language).toBe("fr");
+      expect(items[0].media_candidates).toEqual([]);
+    });
+  });
+
+  test("validates selector config", async () => {
+    await step("Then missing or broken selectors are rejected", async () => {
+      expect(validateScrapeConfig(null)).toMatch(/must be an object/);
+      expect(validateScrapeConfig({ item: "article" })).toMatch(
+        /requires item and link/
+      );
+      expect(validateScrapeConfig({ item: "article", link: "a[" })).toMatch(
+        /Invalid CSS selector for link/
+      );
+      expect(
+        validateScrapeConfig({ item: "article", link: "a", date: 5 })
+      ).toMatch(/date must be a string/);
+      expect(validateScrapeConfig({ item: "article", link: "a" })).toBeNull();
+    });
+  });
+});
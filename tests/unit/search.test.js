@@ -0,0 +1,112 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { step } from "../testStep.js";
+
+const rpcCalls = [];
+const RESULTS = {
+  search_articles: [
+    {
+      id: "a1",
+      title: "Election <b>results</b>",
+      title_highlight: "<mark>Election</mark> <b>results</b>",
+      snippet_highlight: "Polls & <mark>election</mark> day",
+      rank: 0.5,
+      total: 3,
+    },
+  ],
+  search_article_facets: [
+    { facet: "source", value: "bbc", count: 1 },
+    { facet: "source", value: "dw", count: 2 },
+    { facet: "language", value: "en", count: 3 },
+    { facet: "category", value: "politics", count: 3 },
+  ],
+  search_clusters: [
+    {
+      cluster_id: "c1",
+      lang: "en",
+      title_highlight: "<mark>Election</mark> night",
+      summary_highlight: null,
+    },
+  ],
+};
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async () => []),
+  insertRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  supabase: {
+    rpc: jest.fn(async (fn, params) => {
+      rpcCalls.push([fn, params]);
+      return { data: RESULTS[fn], error: null };
+    }),
+  },
+}));
+
+process.env.API_PUBLIC_READ = "true";
+process.env.RATE_LIMIT_SEARCH = "4/60";
+const { default: searchRouter } = await import("../../src/routes/search.js");
+
+const app = express();
+app.use("/api/search", searchRouter);
+
+describe("search API", () => {
+  test("returns ranked hits, escaped highlights and facets", async () => {
+    const res = await step("When articles are searched in English", async () =>
+      request(app).get("/api/search?q=election&lang=en&limit=5").expect(200)
+    );
+    await step("Then the filters reach the search functions", async () => {
+      expect(rpcCalls).toEqual(
+        expect.arrayContaining([
+          [
+            "search_articles",
+            expect.objectContaining({
+              p_query: "election",
+              p_lang: "en",
+              p_limit: 5,
+              p_offset: 0,
+            }),
+          ],
+          ["search_clusters", expect.objectContaining({ p_lang: "en" })],
+        ])
+      );
+    });
+    await step("And highlights keep <mark> but escape the text", async () => {
+      const [hit] = res.body.data.articles;
+      expect(hit.title_highlight).toBe(
+        "<mark>Election</mark> &lt;b&gt;results&lt;/b&gt;"
+      );
+      expect(hit.snippet_highlight).toBe(
+        "Polls &amp; <mark>election</mark> day"
+      );
+      expect(hit.total).toBeUndefined();
+      expect(res.body.data.clusters[0].cluster_id).toBe("c1");
+    });
+    await step("And facets are grouped and sorted by count", async () => {
+      expect(res.body.total).toBe(3);
+      expect(res.body.facets.source).toEqual([
+        { value: "dw", count: 2 },
+        { value: "bbc", count: 1 },
+      ]);
+      expect(res.body.facets.category).toEqual([
+        { value: "politics", count: 3 },
+      ]);
+    });
+  });
+
+  test("validates input and applies the search rate limit", async () => {
+    rpcCalls.length = 0;
+    await step("Then a missing or bad query is rejected", async () => {
+      await request(app).get("/api/search").expect(400);
+      await request(app).get("/api/search?q=x&lang=english").expect(400);
+    });
+    await step("And a source filter skips cluster search", async () => {
+      await request(app).get("/api/search?q=vote&source_id=bbc").expect(200);
+      expect(rpcCalls.map(([fn]) => fn)).not.toContain("search_clusters");
+    });
+    await step("And the search group limit applies", async () => {
+      const res = await request(app).get("/api/search?q=vote").expect(429);
+      expect(res.headers["ratelimit-limit"]).toBe("4");
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import {
+  simhash64,
+  hammingDistance,
+  simhashBands,
+} from "../../src/utils/simhash.js";
+import { step } from "../testStep.js";
+
+const WIRE = `The central bank left its key interest rate unchanged on Thursday,
+citing persistent inflation in services and a labour market that remains tight.
+Policymakers said they would keep monitoring incoming data closely and stood ready
+to adjust policy if price pressures fail to ease over the coming months, while
+economists now expect the first cut no earlier than the autumn meeting of the board.`;
+
+describe("simhash", () => {
+  test("near-identical texts are a few bits apart, unrelated ones are not", async () => {
+    const [a, b, c] = await step(
+      "Given a wire story, a lightly edited copy and another story",
+      async () => [
+        simhash64(WIRE),
+        simhash64(
+          `${WIRE.replace("on Thursday", "on Thursday morning")} (Reuters)`
+        ),
+        simhash64(
+          `The football club confirmed the signing of a young striker from the
+        second division on a four year contract after a successful medical, with the
+        coach praising his pace and finishing and supporters hoping the transfer will
+        finally solve the goal scoring problems that plagued the team all season long.`
+        ),
+      ]
+    );
+    await step(
+      "Then distances separate copies from unrelated text",
+      async () => {
+        expect(a).toMatch(/^[0-9a-f]{16}$/);
+        expect(hammingDistance(a, a)).toBe(0);
+        expect(hammingDistance(a, b)).toBeLessThanOrEqual(3);
+        expect(hammingDistance(a, c)).toBeGreaterThan(10);
+      }
+    );
+  });
+
+  test("short texts are not fingerprinted and bands are positional", async () => {
+    await step(
+      "Then short input yields null and bands split the hex",
+      async () => {
+        expect(simhash64("Too short to matter")).toBeNull();
+        expect(simhashBands("0123456789abcdef")).toEqual([
+          "0:0123",
+          "1:4567",
+          "2:89ab",
+          "3:cdef",
+        ]);
+        expect(hammingDistance("0000000000000000", "000000000000000f")).toBe(4);
+      }
+    );
+  });
+});
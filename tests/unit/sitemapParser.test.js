@@ -0,0 +1,67 @@
+import { parseSitemapXml } from "../../src/services/sitemapParser.js";
+import { step } from "../testStep.js";
+
+describe("sitemapParser.parseSitemapXml", () => {
+  test("parses Google News sitemap entries with images", async () => {
+    const xml = await step(
+      "Given a news sitemap",
+      async () => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"
+        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+  <url>
+    <loc>https://news.example.com/politics/story-1</loc>
+    <news:news>
+      <news:publication>
+        <news:name>Example News</news:name>
+        <news:language>de</news:language>
+      </news:publication>
+      <news:publication_date>2025-03-05T10:00:00+01:00</news:publication_date>
+      <news:title>Bundesrat beschliesst Reform</news:title>
+    </news:news>
+    <image:image><image:loc>https://cdn.example.com/1.jpg</image:loc></image:image>
+  </url>
+  <url>
+    <loc>https://news.example.com/about</loc>
+    <lastmod>2025-01-01</lastmod>
+  </url>
+</urlset>`
+    );
+    const parsed = await step("When I parse it", async () =>
+      parseSitemapXml(xml)
+    );
+    await step("Then news fields and images are captured", async () => {
+      expect(parsed.type).toBe("urlset");
+      expect(parsed.entries).toHaveLength(2);
+      const [story, about] = parsed.entries;
+      expect(story.loc).toBe("https://news.example.com/politics/story-1");
+      expect(story.title).toBe("Bundesrat beschliesst Reform");
+      expect(story.language).toBe("de");
+      expect(story.publication_date.toISOString()).toBe(
+        "2025-03-05T09:00:00.000Z"
+      );
+      expect(story.images).toEqual(["https://cdn.example.com/1.jpg"]);
+      expect(about.title).toBe("");
+      expect(about.lastmod.toISOString()).toBe("2025-01-01T00:00:00.000Z");
+    });
+  });
+
+  test("parses a sitemap index", async () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://news.example.com/sitemap-news.xml</loc><lastmod>2025-03-05</lastmod></sitemap>
+  <sitemap><loc>https://news.example.com/sitemap-2024.xml.gz</loc></sitemap>
+</sitemapindex>`;
+    const parsed = await step("When I parse an index", async () =>
+      parseSitemapXml(xml)
+    );
+    await step("Then child sitemaps are listed", async () => {
+      expect(parsed.type).toBe("sitemapindex");
+      expect(parsed.sitemaps.map((s) => s.loc)).toEqual([
+        "https://news.example.com/sitemap-news.xml",
+        "https://news.example.com/sitemap-2024.xml.gz",
+      ]);
+      expect(parsed.entries).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { step } from "../testStep.js";
+import { fakeFrom } from "../fakeSupabase.js";
+
+// In-memory sources / feeds / articles / article_scores; source_quality_metrics
+// returns fixed counts
+const db = {
+  sources: [
+    { id: "wire", name: "Wire" },
+    { id: "aggregator", name: "Aggregator" },
+    { id: "fresh", name: "Fresh" },
+    { id: "curated", name: "Curated", reliability_override: 0.9 },
+  ],
+  feeds: [],
+  articles: [],
+  article_scores: [
+    {
+      article_id: "a1",
+      score: 0.925,
+      factors: {
+        recency: 1,
+        titleLength: 1,
+        hasSnippet: 1,
+        sourceReliability: 0.7,
+      },
+      articles: { source_id: "wire", published_at: new Date().toISOString() },
+    },
+  ],
+};
+const METRICS = [
+  {
+    source_id: "wire",
+    crawl_successes: 95,
+    crawl_attempts: 100,
+    article_count: 100,
+    duplicate_count: 2,
+    contested_clusters: 10,
+    first_reports: 8,
+    expected_firsts: 4,
+  },
+  {
+    source_id: "aggregator",
+    crawl_successes: 60,
+    crawl_attempts: 100,
+    article_count: 100,
+    duplicate_count: 40,
+    contested_clusters: 10,
+    first_reports: 0,
+    expected_firsts: 5,
+  },
+  { source_id: "fresh" },
+  {
+    source_id: "curated",
+    crawl_successes: 1,
+    crawl_attempts: 10,
+    article_count: 0,
+  },
+];
+
+const rpc = jest.fn(async () => ({ data: METRICS, error: null }));
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async (table, filters = {}) =>
+    db[table].filter((r) =>
+      Object.entries(filters).every(([k, v]) => r[k] === v)
+    )
+  ),
+  insertRecord: jest.fn(),
+  updateRecord: jest.fn(async (table, id, updates) => {
+    const row = db[table].find((r) => r.id === id);
+    return Object.assign(row, updates);
+  }),
+  upsertRecord: jest.fn(async (table, rows) => {
+    for (const row of [].concat(rows)) {
+      const same = db[table].find((r) => r.article_id === row.article_id);
+      Object.assign(same, row);
+    }
+    return null;
+  }),
+  supabase: { from: fakeFrom(db), rpc },
+}));
+
+// Items flagged known were stored by an earlier crawl; thin ones are skipped
+jest.unstable_mockModule("../../src/services/articleProcessor.js", () => ({
+  processArticle: jest.fn(async (item) => {
+    if (item.thin) return null;
+    return item.known
+      ? { id: item.url, alreadyStored: true }
+      : { id: item.url };
+  }),
+}));
+
+process.env.API_PUBLIC_READ = "true";
+const {
+  getSourceReliability,
+  recomputeSourceReliability,
+  weightedArticleScore,
+} = await import("../../src/services/scoring.js");
+const { default: sourcesRouter } = await import("../../src/routes/sources.js");
+const { processFeedItems } = await import("../../src/services/feedCrawler.js");
+const { insertRecord } = await import("../../src/config/database.js");
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.apiKey = req.get("x-admin") ? { name: "ops", scopes: ["admin"] } : null;
+  next();
+});
+app.use("/api/sources", sourcesRouter);
+
+const source = (id) => db.sources.find((s) => s.id === id);
+
+describe("source reliability", () => {
+  test("the recompute job scores sources from their metrics", async () => {
+    const result = await step("When reliability is recomputed", async () =>
+      recomputeSourceReliability()
+    );
+    await step("Then reliable sources rank above noisy ones", () => {
+      expect(source("wire").reliability).toBeCloseTo(0.835, 2);
+      expect(source("aggregator").reliability).toBeCloseTo(0.526, 2);
+      expect(source("fresh").reliability).toBe(0.7);
+      const [fn, params] = rpc.mock.calls[0];
+      expect(fn).toBe("source_quality_metrics");
+      expect(params.p_since).toBeTruthy();
+    });
+    await step("And the components are stored", () => {
+      expect(source("wire").reliability_components).toMatchObject({
+        extraction: { successes: 95, attempts: 100, rate: 0.95 },
+        first_report: { firsts: 8, contested: 10, rate: 0.8 },
+        duplicates: { duplicates: 2, articles: 100, rate: 0.02 },
+        weights: { extraction: 0.4, first_report: 0.3, duplicates: 0.3 },
+        window_days: 7,
+      });
+      expect(source("fresh").reliability_components.extraction.score).toBe(
+        null
+      );
+    });
+    await step("And editorial overrides win over the model", () => {
+      expect(source("curated").reliability).toBe(0.9);
+      expect(source("curated").reliability_components.model).toBeLessThan(0.7);
+    });
+    await step("And recent article scores are re-weighted", async () => {
+      expect(result.rescored).toBe(1);
+      const [row] = db.article_scores;
+      expect(row.factors.sourceReliability).toBe(source("wire").reliability);
+      expect(row.score).toBeCloseTo((3 + source("wire").reliability) / 4, 5);
+      expect(await getSourceReliability("wire")).toBe(
+        source("wire").reliability
+      );
+      expect(await getSourceReliability("unknown")).toBe(0.7);
+    });
+  });
+
+  test("article factors are weighted by configuration", async () => {
+    const factors = {
+      recency: 1,
+      titleLength: 0,
+      hasSnippet: 1,
+      sourceReliability: 0.5,
+    };
+    await step("Then equal weights average the factors", () => {
+      expect(weightedArticleScore(factors)).toBeCloseTo(0.625, 5);
+    });
+    await step("And zero weights drop a factor", () => {
+      process.env.SCORE_WEIGHT_TITLE = "0";
+      process.env.SCORE_WEIGHT_SOURCE = "2";
+      try {
+        expect(weightedArticleScore(factors)).toBeCloseTo(0.75, 5);
+      } finally {
+        delete process.env.SCORE_WEIGHT_TITLE;
+        delete process.env.SCORE_WEIGHT_SOURCE;
+      }
+    });
+  });
+
+  test("stats show the components and overrides rescore at once", async () => {
+    const stats = await step("When source stats are fetched", async () =>
+      request(app).get("/api/sources/wire/stats").expect(200)
+    );
+    await step("Then the reliability breakdown is included", () => {
+      expect(stats.body.data.reliability).toMatchObject({
+        score: source("wire").reliability,
+        override: null,
+        components: { extraction: { attempts: 100 } },
+      });
+    });
+    await step("And an editorial override replaces the score", async () => {
+      await request(app)
+        .put("/api/sources/wire")
+        .set("x-admin", "1")
+        .send({ reliability_override: 1.5 })
+        .expect(400);
+      await request(app)
+        .put("/api/sources/wire")
+        .set("x-admin", "1")
+        .send({ reliability_override: 0.2 })
+        .expect(200);
+      expect(source("wire").reliability).toBe(0.2);
+      expect(await getSourceReliability("wire")).toBe(0.2);
+    });
+    const score = () => db.article_scores.find((r) => r.article_id === "a1");
+    await step("And the source's recent articles are rescored", () => {
+      expect(score().factors.sourceReliability).toBe(0.2);
+    });
+    await step("And clearing it restores the model value", async () => {
+      await request(app)
+        .put("/api/sources/wire")
+        .set("x-admin", "1")
+        .send({ reliability_override: null })
+        .expect(200);
+      const model = source("wire").reliability_components.model;
+      expect(source("wire").reliability).toBe(model);
+      expect(score().factors.sourceReliability).toBe(model);
+    });
+  });
+
+  test("re-polled items are logged apart from new extractions", async () => {
+    insertRecord.mockClear();
+    const stats = await step("When a feed returns new and known items", () =>
+      processFeedItems({ id: "f1", source_id: "wire" }, [
+        { url: "https://wire.example/new" },
+        { url: "https://wire.example/old", known: true },
+        { url: "https://wire.example/thin", thin: true },
+      ])
+    );
+    await step("Then only the new item is logged as a success", () => {
+      const statuses = insertRecord.mock.calls
+        .filter(([table]) => table === "crawl_log")
+        .map(([, row]) => row.status);
+      expect(statuses).toEqual(["success", "exists", "skipped"]);
+      expect(stats).toMatchObject({ processed: 2, skipped: 1, errors: 0 });
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import { jest } from "@jest/globals";
+import crypto from "crypto";
+import http from "http";
+import express from "express";
+import { step } from "../testStep.js";
+
+// In-memory feeds table
+const db = { feeds: [] };
+const processed = [];
+
+jest.unstable_mockModule("../../src/config/database.js", () => ({
+  selectRecords: jest.fn(async (table, filters = {}) =>
+    (db[table] || []).filter((r) =>
+      Object.entries(filters).every(([k, v]) => r[k] === v)
+    )
+  ),
+  updateRecord: jest.fn(async (table, id, updates) => {
+    const row = (db[table] || []).find((r) => r.id === id);
+    Object.assign(row, updates);
+    return row;
+  }),
+  insertRecord: jest.fn(async (_table, row) => row),
+  supabase: { from: jest.fn() },
+}));
+
+jest.unstable_mockModule("../../src/services/articleProcessor.js", () => ({
+  processArticle: jest.fn(async (item, sourceId) => {
+    processed.push({ item, sourceId });
+    return { id: `a-${processed.length}` };
+  }),
+}));
+
+const { ensureSubscription } = await import("../../src/services/websub.js");
+const { default: websubRouter } = await import("../../src/routes/websub.js");
+
+const listen = (handler) =>
+  new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, "127.0.0.1", () =>
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` })
+    );
+  });
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => resolve(data));
+  });
+
+const waitFor = async (predicate, ms = 2000) => {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > ms) throw new Error("Timed out waiting");
+    await new Promise((r) => setTimeout(r, 20));
+  }
+};
+
+const TOPIC = "https://news.example.com/feed.xml";
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"><channel>
+  <title>Example</title>
+  <atom:link rel="hub" href="https://hub.example.com/"/>
+  <atom:link rel="self" href="${TOPIC}"/>
+  <item><title>Breaking: pushed story</title><link>https://news.example.com/a1</link>
+    <description>Pushed within seconds of publishing</description>
+    <pubDate>Wed, 05 Mar 2025 10:00:00 GMT</pubDate></item>
+</channel></rss>`;
+
+describe("websub", () => {
+  let subscriber;
+  let hub;
+  const hubState = { requests: [], verification: null };
+
+  beforeAll(async () => {
+    const app = express();
+    app.use("/api/websub", websubRouter);
+    subscriber = await listen(app);
+    process.env.WEBSUB_CALLBACK_BASE_URL = subscriber.url;
+
+    // Local hub stand-in: accept the request, then verify intent like a real hub
+    hub = await listen(async (req, res) => {
+      const params = new URLSearchParams(await readBody(req));
+      hubState.requests.push(Object.fromEntries(params));
+      res.writeHead(202).end();
+      const verifyUrl = new URL(params.get("hub.callback"));
+      verifyUrl.searchParams.set("hub.mode", params.get("hub.mode"));
+      verifyUrl.searchParams.set("hub.topic", params.get("hub.topic"));
+      verifyUrl.searchParams.set("hub.challenge", "challenge-123");
+      verifyUrl.searchParams.set("hub.lease_seconds", "600");
+      const r = await fetch(verifyUrl);
+      hubState.verification = { status: r.status, body: await r.text() };
+    });
+  });
+
+  afterAll(async () => {
+    delete process.env.WEBSUB_CALLBACK_BASE_URL;
+    await new Promise((r) => subscriber.server.close(r));
+    await new Promise((r) => hub.server.close(r));
+  });
+
+  const push = (feedId, body, signature) =>
+    fetch(`${subscriber.url}/api/websub/callback/${feedId}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/rss+xml",
+        ...(signature ? { "X-Hub-Signature": signature } : {}),
+      },
+      body,
+    });
+
+  test("subscribes, answers the challenge and ingests signed pushes", async () => {
+    const feed = await step(
+      "Given a polled feed advertising a hub",
+      async () => {
+        db.feeds = [
+          { id: "f1", source_id: "s1", url: TOPIC, kind: "rss", enabled: true },
+        ];
+        return db.feeds[0];
+      }
+    );
+
+    await step("When the crawler ensures a subscription", async () => {
+      await ensureSubscription(feed, { hub: hub.url, self: TOPIC });
+      await waitFor(() => hubState.verification);
+    });
+
+    await step(
+      "Then the hub got a subscribe request and the challenge was echoed",
+      async () => {
+        expect(hubState.requests[0]).toMatchObject({
+          "hub.mode": "subscribe",
+          "hub.topic": TOPIC,
+          "hub.callback": `${subscriber.url}/api/websub/callback/f1`,
+        });
+        expect(hubState.requests[0]["hub.secret"]).toBe(feed.websub_secret);
+        expect(hubState.verification).toEqual({
+          status: 200,
+          body: "challenge-123",
+        });
+        expect(feed.websub_state).toBe("subscribed");
+        expect(
+          new Date(feed.websub_lease_expires_at).getTime()
+        ).toBeGreaterThan(Date.now());
+      }
+    );
+
+    await step("And a signed push goes through processArticle", async () => {
+      const sig = crypto
+        .createHmac("sha256", feed.websub_secret)
+        .update(RSS)
+        .digest("hex");
+      const res = await push("f1", RSS, `sha256=${sig}`);
+      expect(res.status).toBe(202);
+      await waitFor(() => processed.length === 1);
+      expect(processed[0].sourceId).toBe("s1");
+      expect(processed[0].item).toMatchObject({
+        title: "Breaking: pushed story",
+        url: "https://news.example.com/a1",
+      });
+      expect(feed.websub_last_push_at).toBeTruthy();
+    });
+
+    await step(
+      "But a push with a bad signature is acknowledged and dropped",
+      async () => {
+        const res = await push("f1", RSS, "sha256=deadbeef");
+        expect(res.status).toBe(202);
+        await new Promise((r) => setTimeout(r, 100));
+        expect(processed).toHaveLength(1);
+      }
+    );
+
+    await step("And pushes for unknown subscriptions are gone", async () => {
+      const res = await push("nope", RSS, "sha256=00");
+      expect(res.status).toBe(410);
+    });
+  });
+
+  test("rejects verification for intents we never requested", async () => {
+    db.feeds = [{ id: "f2", url: TOPIC, kind: "rss", enabled: true }];
+    const res = await step("When a hub verifies an unknown topic", async () =>
+      fetch(
+        `${
+          subscriber.url
+        }/api/websub/callback/f2?hub.mode=subscribe&hub.topic=${encodeURIComponent(
+          TOPIC
+        )}&hub.challenge=x`
+      )
+    );
+    await step("Then the challenge is not echoed", async () => {
+      expect(res.status).toBe(404);
+    });
+  });
+});